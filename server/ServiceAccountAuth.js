@@ -0,0 +1,111 @@
+// server/ServiceAccountAuth.js
+
+import {createSign} from 'node:crypto';
+import {AuthError, fetchWithNetworkError} from '../src/services/errors.js';
+
+// 만료 1분 전부터는 새 토큰 발급
+const TOKEN_REFRESH_MARGIN_MS = 60 * 1000;
+
+/**
+ * 서비스 계정 인증 (서버 전용)
+ * 브라우저의 GoogleSheetsAuth와 같은 JWT 흐름을 node:crypto로 서명하여 수행하므로
+ * 개인 키가 브라우저로 전달되지 않음
+ */
+class ServiceAccountAuth {
+    /**
+     * @param {Object} credentials - 서비스 계정 자격 증명 (client_email, private_key)
+     * @param {Object} api - {tokenUrl, scope}
+     */
+    constructor(credentials, {tokenUrl, scope}) {
+        if (!credentials?.client_email || !credentials?.private_key) {
+            throw new AuthError('서비스 계정 자격 증명이 없습니다. GOOGLE_SERVICE_ACCOUNT_CREDENTIALS 또는 GOOGLE_SERVICE_ACCOUNT_FILE을 설정하세요.');
+        }
+
+        this.credentials = credentials;
+        this.tokenUrl = tokenUrl;
+        this.scope = scope;
+        this.accessToken = null;
+        this.tokenExpiryTime = null;
+        this.pendingToken = null;
+    }
+
+    /**
+     * RS256으로 서명한 JWT 생성
+     * @returns {string} JWT
+     */
+    createJWT() {
+        const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+        const now = Math.floor(Date.now() / 1000);
+        const unsignedToken = `${encode({alg: 'RS256', typ: 'JWT'})}.${encode({
+            iss: this.credentials.client_email,
+            scope: this.scope,
+            aud: this.tokenUrl,
+            exp: now + 3600,
+            iat: now
+        })}`;
+
+        const signature = createSign('RSA-SHA256')
+            .update(unsignedToken)
+            .sign(this.credentials.private_key, 'base64url');
+
+        return `${unsignedToken}.${signature}`;
+    }
+
+    /**
+     * 유효한 액세스 토큰 반환 (만료가 가까우면 새로 발급, 동시 요청은 한 번만 발급)
+     * @returns {Promise<string>} 액세스 토큰
+     */
+    async getAccessToken() {
+        if (this.accessToken && Date.now() < this.tokenExpiryTime - TOKEN_REFRESH_MARGIN_MS) {
+            return this.accessToken;
+        }
+
+        if (!this.pendingToken) {
+            this.pendingToken = this.requestToken().finally(() => {
+                this.pendingToken = null;
+            });
+        }
+        return this.pendingToken;
+    }
+
+    /**
+     * 토큰 엔드포인트에서 액세스 토큰 발급
+     * @returns {Promise<string>} 액세스 토큰
+     */
+    async requestToken() {
+        const response = await fetchWithNetworkError(this.tokenUrl, {
+            method: 'POST',
+            headers: {'Content-Type': 'application/x-www-form-urlencoded'},
+            body: new URLSearchParams({
+                grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+                assertion: this.createJWT()
+            })
+        });
+
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok || !data.access_token) {
+            // 화면 사용자의 인증 실패와 구분되도록 upstream 표시
+            throw new AuthError(`액세스 토큰 발급 실패: ${response.status} - ${data.error_description || data.error || response.statusText}`, {
+                status: response.status,
+                upstream: true
+            });
+        }
+
+        this.accessToken = data.access_token;
+        this.tokenExpiryTime = Date.now() + (data.expires_in || 3600) * 1000;
+        console.log('🔑 서비스 계정 액세스 토큰 발급 완료');
+
+        return this.accessToken;
+    }
+
+    /**
+     * 저장된 토큰 삭제 (401 응답 시 재발급용)
+     */
+    clear() {
+        this.accessToken = null;
+        this.tokenExpiryTime = null;
+    }
+}
+
+export default ServiceAccountAuth;
@@ -0,0 +1,152 @@
+// server/SheetsClient.js
+
+import {createHttpError, fetchWithNetworkError} from '../src/services/errors.js';
+
+/**
+ * Sheets v4 REST 클라이언트 (서버 전용)
+ * 프록시 엔드포인트가 사용하는 호출만 구현하며, Google 응답을 가공하지 않고 그대로 반환
+ */
+class SheetsClient {
+    /**
+     * @param {import('./ServiceAccountAuth.js').default} auth - 서비스 계정 인증
+     * @param {Object} api - {baseUrl}
+     */
+    constructor(auth, {baseUrl}) {
+        this.auth = auth;
+        this.baseUrl = baseUrl;
+    }
+
+    /**
+     * API 요청 (401이면 토큰을 다시 발급받아 한 번 더 전송)
+     * 실패하면 upstream 표시가 붙은 서비스 에러로 변환
+     * @param {string} spreadsheetId - 스프레드시트 ID
+     * @param {string} path - 스프레드시트 ID 뒤의 경로 (예: '/values:batchGet')
+     * @param {Object} options - {method, body, query}
+     * @returns {Promise<Object>} API 응답
+     */
+    async request(spreadsheetId, path, {method = 'GET', body, query} = {}) {
+        const url = `${this.baseUrl}/${encodeURIComponent(spreadsheetId)}${path}${query ? `?${query}` : ''}`;
+
+        const send = async () => fetchWithNetworkError(url, {
+            method,
+            headers: {
+                Authorization: `Bearer ${await this.auth.getAccessToken()}`,
+                'Content-Type': 'application/json'
+            },
+            body: body ? JSON.stringify(body) : undefined
+        });
+
+        let response = await send();
+        if (response.status === 401) {
+            this.auth.clear();
+            response = await send();
+        }
+
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw createHttpError(
+                response.status,
+                `Sheets API 요청 실패: ${response.status} - ${data.error?.message || response.statusText}`,
+                {upstream: true}
+            );
+        }
+
+        return data;
+    }
+
+    /**
+     * 여러 범위 조회 (values:batchGet)
+     * @param {string} spreadsheetId - 스프레드시트 ID
+     * @param {Array<string>} ranges - A1 범위 목록
+     * @returns {Promise<Object>} {valueRanges}
+     */
+    batchGet(spreadsheetId, ranges) {
+        const query = new URLSearchParams({
+            valueRenderOption: 'FORMATTED_VALUE',
+            dateTimeRenderOption: 'FORMATTED_STRING'
+        });
+        ranges.forEach(range => query.append('ranges', range));
+
+        return this.request(spreadsheetId, '/values:batchGet', {query});
+    }
+
+    /**
+     * 스프레드시트 메타데이터 조회 (제목과 시트 속성만)
+     * @param {string} spreadsheetId - 스프레드시트 ID
+     * @returns {Promise<Object>} {spreadsheetId, properties, sheets}
+     */
+    getMetadata(spreadsheetId) {
+        const query = new URLSearchParams({fields: 'spreadsheetId,properties.title,sheets.properties'});
+        return this.request(spreadsheetId, '', {query});
+    }
+
+    /**
+     * 단일 셀 업데이트 (values.update)
+     * @param {string} spreadsheetId - 스프레드시트 ID
+     * @param {string} range - 시트명을 포함한 셀 범위
+     * @param {string} value - 새 값
+     * @returns {Promise<Object>} values.update 응답
+     */
+    update(spreadsheetId, range, value) {
+        const query = new URLSearchParams({
+            valueInputOption: 'USER_ENTERED',
+            includeValuesInResponse: 'true',
+            responseValueRenderOption: 'FORMATTED_VALUE',
+            responseDateTimeRenderOption: 'FORMATTED_STRING'
+        });
+
+        return this.request(spreadsheetId, `/values/${encodeURIComponent(range)}`, {
+            method: 'PUT',
+            query,
+            body: {range, majorDimension: 'ROWS', values: [[value]]}
+        });
+    }
+
+    /**
+     * 여러 셀 업데이트 (values:batchUpdate)
+     * @param {string} spreadsheetId - 스프레드시트 ID
+     * @param {Array<{range: string, value: string}>} cells - 업데이트할 셀 목록
+     * @returns {Promise<Object>} values:batchUpdate 응답
+     */
+    batchUpdate(spreadsheetId, cells) {
+        return this.request(spreadsheetId, '/values:batchUpdate', {
+            method: 'POST',
+            body: {
+                valueInputOption: 'USER_ENTERED',
+                data: cells.map(({range, value}) => ({range, majorDimension: 'ROWS', values: [[value]]}))
+            }
+        });
+    }
+
+    /**
+     * 시트 마지막 행 다음에 행 추가 (values:append, RAW)
+     * @param {string} spreadsheetId - 스프레드시트 ID
+     * @param {string} sheetName - 시트명
+     * @param {Array<Array<string>>} rows - 추가할 행 목록
+     * @returns {Promise<Object>} values:append 응답
+     */
+    append(spreadsheetId, sheetName, rows) {
+        const query = new URLSearchParams({valueInputOption: 'RAW', insertDataOption: 'INSERT_ROWS'});
+
+        return this.request(spreadsheetId, `/values/${encodeURIComponent(`${sheetName}!A1`)}:append`, {
+            method: 'POST',
+            query,
+            body: {majorDimension: 'ROWS', values: rows}
+        });
+    }
+
+    /**
+     * 새 시트 추가 (batchUpdate addSheet)
+     * @param {string} spreadsheetId - 스프레드시트 ID
+     * @param {string} sheetName - 추가할 시트명
+     * @returns {Promise<Object>} batchUpdate 응답
+     */
+    addSheet(spreadsheetId, sheetName) {
+        return this.request(spreadsheetId, ':batchUpdate', {
+            method: 'POST',
+            body: {requests: [{addSheet: {properties: {title: sheetName}}}]}
+        });
+    }
+}
+
+export default SheetsClient;
@@ -0,0 +1,834 @@
+// server/app.js
+
+import {createServer} from 'node:http';
+import {createHash, randomBytes, timingSafeEqual} from 'node:crypto';
+import {columnIndexToLetter, parseCellReference} from '../src/services/a1Notation.js';
+import {DATA_START_ROW, LECTURE_START_COLUMN, isEqualStatus, parseLectureDateCell} from '../src/services/model.js';
+import {ATTENDANCE_STATUS} from '../src/utils/attendanceStatus.js';
+import {
+    AUDIT_COLUMNS,
+    AUDIT_SOURCE,
+    createLockoutAuditEntry,
+    createOfflineFailureAuditEntry,
+    formatAuditTimestamp,
+    formatQueuedCheckInNote,
+    parseAuditRow,
+    toAuditRow
+} from '../src/services/auditEntries.js';
+import {AttemptLimiter, formatLockRemaining, normalizeDeviceId} from '../src/services/attemptLimiter.js';
+import {getCurrentAttendanceCode, matchesAttendanceCode} from '../src/services/attendanceCodes.js';
+import {createCheckInToken, verifyCheckInToken} from '../src/services/checkInLinks.js';
+import {assertCheckInOpen, parseQueuedAt} from '../src/services/checkInWindow.js';
+import {
+    REQUEST_DECIDED_BY_COLUMN,
+    REQUEST_STATUS,
+    assertRequestTarget,
+    findPendingRequest,
+    getRequestColumns,
+    getRequestTargetCells,
+    normalizeRequestText,
+    parseRequestRows,
+    toRequestRow
+} from '../src/services/studentRequests.js';
+import {
+    createAdminSessionToken,
+    findAdminAccount,
+    verifyAdminSessionToken,
+    verifyPasswordHash
+} from '../src/services/adminAccounts.js';
+import {
+    AttendanceCodeError,
+    AuthError,
+    ConflictError,
+    INVALID_ATTENDANCE_CODE,
+    NetworkError,
+    PermissionError,
+    QuotaError,
+    ValidationError
+} from '../src/services/errors.js';
+import ServiceAccountAuth from './ServiceAccountAuth.js';
+import SheetsClient from './SheetsClient.js';
+
+// 본인 출석체크로 기록할 수 있는 값
+export const CHECK_IN_VALUES = [ATTENDANCE_STATUS.PRESENT, ATTENDANCE_STATUS.LATE];
+
+// 한 번에 조회할 수 있는 최대 범위 수
+const MAX_READ_RANGES = 100;
+
+// 요청 본문 최대 크기 (바이트)
+const MAX_BODY_BYTES = 1024 * 1024;
+
+// 접속 주소별 연속 실패 한도 (같은 와이파이의 학생들은 주소가 같으므로 기기/학생별 한도보다 넉넉하게)
+const ADDRESS_MAX_FAILURES = 50;
+
+/**
+ * 요청 본문(JSON) 읽기
+ * 모든 엔드포인트가 객체 본문을 받으므로 null, 배열, 숫자 등은 ValidationError
+ * @param {import('node:http').IncomingMessage} req - 요청
+ * @returns {Promise<Object>} 본문 객체
+ */
+async function readJsonBody(req) {
+    const chunks = [];
+    let size = 0;
+
+    for await (const chunk of req) {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+            throw new ValidationError('요청 본문이 너무 큽니다.');
+        }
+        chunks.push(chunk);
+    }
+
+    if (chunks.length === 0) {
+        return {};
+    }
+
+    let body;
+    try {
+        body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch {
+        throw new ValidationError('요청 본문이 올바른 JSON이 아닙니다.');
+    }
+
+    if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+        throw new ValidationError('요청 본문은 JSON 객체여야 합니다.');
+    }
+    return body;
+}
+
+/**
+ * JSON 응답 전송
+ */
+function sendJson(res, status, body, headers = {}) {
+    res.writeHead(status, {...headers, 'Content-Type': 'application/json; charset=utf-8'});
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * 에러 → HTTP 상태 코드
+ * Google 쪽 인증/권한 문제(upstream)는 화면 사용자의 인증 실패(401)와 구분하여 502로 응답
+ */
+function getErrorStatus(error) {
+    if (error.options?.upstream) {
+        return [400, 429].includes(error.status) ? error.status : 502;
+    }
+    if (error instanceof ConflictError) return 409;
+    if (error instanceof AttendanceCodeError) return 403;
+    if (error instanceof ValidationError) return 400;
+    if (error instanceof AuthError) return 401;
+    if (error instanceof PermissionError) return 403;
+    if (error instanceof QuotaError) return 429;
+    if (error instanceof NetworkError) return 502;
+    return 500;
+}
+
+/**
+ * 에러 응답 본문 (Sheets API와 같은 {error: {code, message}} 형식, CAS 충돌이면 conflict 포함)
+ */
+function toErrorBody(error, status) {
+    const body = {
+        code: status,
+        message: status === 500 ? '프록시 서버 오류가 발생했습니다.' : error.message
+    };
+
+    if (error instanceof AttendanceCodeError) {
+        body.status = INVALID_ATTENDANCE_CODE;
+    }
+    if (error instanceof ConflictError) {
+        body.conflict = {
+            cellAddress: error.cellAddress,
+            currentValue: error.currentValue,
+            expectedValue: error.expectedValue
+        };
+    }
+
+    return {error: body};
+}
+
+/**
+ * 범위의 시트명 ("시트!A1:B2" → "시트", 작은따옴표 제거)
+ */
+function getRangeSheetName(range) {
+    const separator = range.lastIndexOf('!');
+    const sheetName = separator >= 0 ? range.slice(0, separator) : range;
+    return sheetName.replace(/^'(.*)'$/, '$1').replace(/''/g, "'");
+}
+
+/**
+ * IPv4 주소가 IPv6 형식("::ffff:127.0.0.1")으로 들어와도 같은 주소로 비교
+ */
+const normalizeAddress = (address) => (address || '').trim().replace(/^::ffff:(?=\d+\.)/, '');
+
+/**
+ * 요청한 접속 주소
+ * 신뢰하는 리버스 프록시(TRUST_PROXY)에서 온 요청만 X-Forwarded-For를 오른쪽부터 읽어 처음 나오는 신뢰하지 않는 주소를 사용
+ * (그 밖의 요청이 보낸 X-Forwarded-For는 위조할 수 있으므로 무시)
+ * @param {import('node:http').IncomingMessage} req - 요청
+ * @param {Array<string>} trustedProxies - 신뢰하는 프록시 주소
+ * @returns {string} 접속 주소
+ */
+export function getClientAddress(req, trustedProxies = []) {
+    const trusted = trustedProxies.map(normalizeAddress);
+    const remoteAddress = normalizeAddress(req.socket.remoteAddress) || 'unknown';
+    if (!trusted.includes(remoteAddress)) {
+        return remoteAddress;
+    }
+
+    const forwarded = (req.headers['x-forwarded-for'] || '').split(',').map(normalizeAddress).filter(Boolean);
+    return forwarded.reverse().find(address => !trusted.includes(address)) || remoteAddress;
+}
+
+/**
+ * 비밀번호 비교 (길이와 관계없이 일정한 시간)
+ */
+function isSameSecret(value, expected) {
+    const hash = (text) => createHash('sha256').update(String(text)).digest();
+    return timingSafeEqual(hash(value), hash(expected));
+}
+
+/**
+ * 문자열 필드 확인
+ */
+function requireString(value, name) {
+    if (typeof value !== 'string' || !value.trim()) {
+        throw new ValidationError(`${name} 값이 필요합니다.`);
+    }
+    return value;
+}
+
+/**
+ * 프록시 요청 처리 함수 생성
+ * 서비스 계정 자격 증명은 서버에만 두고, 브라우저에는 다음 다섯 엔드포인트만 공개
+ * - POST /api/roster: 출석부 조회 (범위 조회, 메타데이터)
+ * - POST /api/check-in: 본인 출석체크 (빈 출석 셀에 출석/지각 값만 서버에서 CAS로 기록하고 이력을 남김)
+ * - POST /api/request: 학생 신청 접수 (결석 사유, 소감문 - 신청 시트에 대기 상태로 행 추가만 가능)
+ * - POST /api/admin/login: 관리자 로그인 (계정 확인 후 서명한 세션 토큰 발급)
+ * - POST /api/admin/update: 관리자 수정 (Authorization: Bearer <세션 토큰>)
+ * @param {Object} options
+ * @param {Object} options.config - loadConfig() 결과
+ * @param {SheetsClient} options.sheets - Sheets 클라이언트 (없으면 config로 생성)
+ * @param {Object} options.lockoutPolicy - 인증번호/비밀번호 시도 잠금 정책 (DEFAULT_LOCKOUT_POLICY 일부 덮어쓰기)
+ * @param {Object} options.addressLockoutPolicy - 접속 주소별 잠금 정책 (기본값: ADDRESS_MAX_FAILURES번 틀리면 잠금)
+ * @param {Function} options.now - 현재 시각 (ms, 본인 출석체크 판정 기준 - 테스트에서 지정)
+ * @returns {Function} (req, res) => Promise
+ */
+export function createProxyHandler({config, sheets, lockoutPolicy, addressLockoutPolicy, now = Date.now}) {
+    if (config.spreadsheetIds.length === 0) {
+        throw new Error('SPREADSHEET_ID가 설정되지 않았습니다.');
+    }
+
+    const client = sheets || new SheetsClient(new ServiceAccountAuth(config.credentials, config.api), config.api);
+
+    // 쓰기는 순서대로 처리하여 이 서버를 거치는 CAS 확인과 기록 사이에 다른 쓰기가 끼어들지 않도록 함
+    let writeQueue = Promise.resolve();
+    const withWriteLock = (task) => {
+        const run = writeQueue.then(task);
+        writeQueue = run.catch(() => {});
+        return run;
+    };
+
+    // 스프레드시트/시트별 이력·신청 시트 준비 Promise
+    const preparedSheets = new Map();
+
+    // 학생 신청 시트 (관리자만 조회하고, 학생은 /api/request로 행 추가만 가능)
+    const requestSheetNames = Object.values(config.requestSheetNames);
+
+    // 관리자 세션 서명 비밀 값 (설정이 없으면 이 서버가 살아 있는 동안만 유효)
+    const sessionSecret = config.adminSessionSecret || randomBytes(32).toString('base64url');
+
+    // 로그아웃한 세션 ID → 로그인 후 유효 시간 (토큰은 서명만 확인하므로 로그아웃한 토큰도 그때까지 거부)
+    const revokedSessions = new Map();
+
+    /**
+     * 세션 폐기 (유효 시간이 지난 폐기 기록은 토큰도 만료되었으므로 정리)
+     */
+    const revokeSession = ({sessionId, absoluteExpiresAt}) => {
+        const current = now();
+        for (const [id, expiresAt] of revokedSessions) {
+            if (expiresAt <= current) {
+                revokedSessions.delete(id);
+            }
+        }
+        revokedSessions.set(sessionId, absoluteExpiresAt);
+    };
+
+    // 인증번호/비밀번호 실패 기록 (여러 번 틀리면 점점 길게 잠금 - 4자리 인증번호나 비밀번호를 대입해 맞히지 못하도록)
+    // 본인 출석체크는 기기별, 학생(출석부 행)별로, 관리자 로그인은 기기별, 아이디별로 셈
+    // 기기 식별자는 화면이 정해 보내므로 요청마다 바꿔 피할 수 있어, 접속 주소별로도 셈
+    // (같은 와이파이(공유기)의 학생들은 접속 주소가 같으므로 주소별 한도는 넉넉하게)
+    const checkInAttempts = new AttemptLimiter({policy: lockoutPolicy});
+    const loginAttempts = new AttemptLimiter({policy: lockoutPolicy});
+    const addressAttempts = new AttemptLimiter({policy: {maxFailures: ADDRESS_MAX_FAILURES, ...addressLockoutPolicy}});
+
+    /**
+     * 요청한 접속 주소의 키 (본인 출석체크와 관리자 로그인을 따로 셈)
+     */
+    const getAddressKey = (req, scope) => `${scope}:address:${getClientAddress(req, config.trustedProxies)}`;
+
+    /**
+     * 실패가 쌓인 키(기기/학생/아이디 또는 접속 주소)가 있으면 QuotaError
+     */
+    const assertAttemptAllowed = (limiter, {keys, addressKey}, message) => {
+        limiter.assertAllowed(keys, message);
+        addressAttempts.assertAllowed([addressKey], message);
+    };
+
+    /**
+     * 실패 기록 (기기/학생/아이디와 접속 주소 모두)
+     * @returns {Object|null} 이번 실패로 잠긴 키 (AttemptLimiter.recordFailure 결과), 없으면 null
+     */
+    const recordAttemptFailure = (limiter, {keys, addressKey}) => {
+        const lockout = limiter.recordFailure(keys);
+        const addressLockout = addressAttempts.recordFailure([addressKey]);
+        return lockout || addressLockout;
+    };
+
+    /**
+     * 요청한 기기의 키 (화면이 보낸 기기 식별자, 없으면 접속 주소)
+     */
+    const getDeviceKey = (req, body) => {
+        const deviceId = normalizeDeviceId(body.deviceId);
+        return deviceId ? `device:${deviceId}` : `client:${getClientAddress(req, config.trustedProxies)}`;
+    };
+
+    /**
+     * 인증번호 확인 전 잠금 여부 확인 (실패가 쌓인 기기, 학생, 접속 주소는 잠시 거부)
+     * @returns {{keys: Array<string>, addressKey: string, studentKey: string}} 실패를 기록할 키 [기기, 학생]와 접속 주소 키, 성공하면 지울 학생 키
+     */
+    const assertCodeAttemptAllowed = (req, body, {spreadsheetId, sheetName, row}) => {
+        if (!config.attendanceCodeSecret && !config.attendanceCode) {
+            throw new PermissionError('ATTENDANCE_CODE_SECRET 또는 ATTENDANCE_CODE가 설정되지 않아 본인 출석체크를 받지 않습니다.');
+        }
+
+        const studentKey = `student:${spreadsheetId}:${sheetName}:${row}`;
+        const attempt = {keys: [getDeviceKey(req, body), studentKey], addressKey: getAddressKey(req, 'checkIn'), studentKey};
+        assertAttemptAllowed(checkInAttempts, attempt, '인증번호를 여러 번 틀렸습니다.');
+        return attempt;
+    };
+
+    /**
+     * 본인 출석체크 잠금을 콘솔과 변경 이력에 남김 (다른 학생 대신 출석하려는 시도를 관리자가 확인하도록)
+     */
+    const recordCheckInLockout = async (spreadsheetId, target, lockout) => {
+        console.warn(`🚫 본인 출석체크 잠금: ${target.userName || '?'} ${target.sheetName}!${target.cellAddress} ` +
+            `(${lockout.key}, ${formatLockRemaining(lockout.lockMs)})`);
+
+        try {
+            await ensureAuditSheet(spreadsheetId);
+            await client.append(spreadsheetId, config.auditSheetName, [toAuditRow(createLockoutAuditEntry(target, lockout))]);
+        } catch (error) {
+            console.warn('⚠️ 잠금 이력 기록 실패:', error.message);
+        }
+    };
+
+    /**
+     * 오프라인 대기열 출석체크의 충돌/거부를 콘솔과 변경 이력에 남김 (학생 기기에만 남은 실패를 관리자가 확인하도록)
+     */
+    const recordOfflineFailure = async (spreadsheetId, target, failure) => {
+        console.warn(`📴 오프라인 출석체크 저장 실패: ${target.userName || '?'} ${target.sheetName}!${target.cellAddress} (${failure.reason})`);
+
+        try {
+            await ensureAuditSheet(spreadsheetId);
+            await client.append(spreadsheetId, config.auditSheetName, [toAuditRow(createOfflineFailureAuditEntry(target, failure))]);
+        } catch (error) {
+            console.warn('⚠️ 오프라인 실패 이력 기록 실패:', error.message);
+        }
+    };
+
+    /**
+     * 본인 출석체크 인증 확인 (QR 출석 토큰 또는 인증번호)
+     * - QR 토큰: 서명, 만료 시각, 시트/강의 일치 확인
+     * - ATTENDANCE_CODE_SECRET이 있으면 출석 셀 열의 강의명으로 만든 시간 기반 인증번호(현재/직전 구간), 없으면 고정 인증번호
+     * - 만료와 인증번호 구간은 서버가 요청을 받은 시각(checkInTime) 기준
+     */
+    const verifyCheckInCredential = async ({attendanceCode, checkInToken}, {sheetName, lecture}, checkInTime) => {
+        let matches;
+        if (checkInToken !== undefined) {
+            const payload = await verifyCheckInToken(checkInToken, config.attendanceCodeSecret, {now: checkInTime});
+            matches = Boolean(payload) && payload.sheetName === sheetName && payload.lecture === lecture;
+        } else {
+            const input = typeof attendanceCode === 'string' ? attendanceCode.trim() : '';
+            matches = config.attendanceCodeSecret
+                ? await matchesAttendanceCode(input, config.attendanceCodeSecret, lecture, {
+                    timestamp: checkInTime,
+                    periodSeconds: config.attendanceCodePeriod
+                })
+                : isSameSecret(input, config.attendanceCode);
+        }
+
+        if (!matches) {
+            throw new AttendanceCodeError(checkInToken !== undefined
+                ? 'QR 코드가 만료되었거나 이 강의의 QR 코드가 아닙니다.'
+                : '인증번호가 일치하지 않습니다.');
+        }
+    };
+
+    const assertSpreadsheet = (spreadsheetId) => {
+        if (!config.spreadsheetIds.includes(spreadsheetId)) {
+            throw new PermissionError(`허용되지 않은 스프레드시트입니다: ${spreadsheetId}`);
+        }
+    };
+
+    /**
+     * 요청한 관리자 (세션 토큰의 서명과 만료 시각을 확인하고, 로그아웃한 세션과 설정에서 지운 계정의 세션은 거부)
+     * @returns {Promise<{username: string, name: string, sessionId: string, absoluteExpiresAt: number}|null>} 관리자, 아니면 null
+     */
+    const getRequestAdmin = async (req) => {
+        const [scheme, token] = (req.headers.authorization || '').split(' ');
+        if (scheme !== 'Bearer' || !token) {
+            return null;
+        }
+
+        const payload = await verifyAdminSessionToken(token, sessionSecret, {now: now()});
+        if (!payload || revokedSessions.has(payload.sessionId)) {
+            return null;
+        }
+        const account = findAdminAccount(config.adminAccounts, payload.username);
+        return account ? {
+            username: account.username,
+            name: account.name,
+            sessionId: payload.sessionId,
+            absoluteExpiresAt: payload.absoluteExpiresAt
+        } : null;
+    };
+
+    /**
+     * 시트가 없으면 제목 행과 함께 생성 (스프레드시트/시트별로 한 번만 확인)
+     */
+    const ensureSheet = (spreadsheetId, sheetName, headerRow, label) => {
+        const key = `${spreadsheetId}\n${sheetName}`;
+        if (!preparedSheets.has(key)) {
+            const promise = client.getMetadata(spreadsheetId).then(async metadata => {
+                const exists = (metadata.sheets || []).some(sheet => sheet.properties?.title === sheetName);
+                if (!exists) {
+                    console.log(`📄 ${label} 시트 생성: ${sheetName}`);
+                    await client.addSheet(spreadsheetId, sheetName);
+                    await client.append(spreadsheetId, sheetName, [headerRow]);
+                }
+            }).catch(error => {
+                preparedSheets.delete(key);
+                throw error;
+            });
+            preparedSheets.set(key, promise);
+        }
+        return preparedSheets.get(key);
+    };
+
+    const ensureAuditSheet = (spreadsheetId) => ensureSheet(spreadsheetId, config.auditSheetName, AUDIT_COLUMNS, '변경 이력');
+
+    /**
+     * 강의의 현재 출석 인증번호 (고정 인증번호면 주기/만료 시각은 null)
+     */
+    const getAttendanceCode = async (lecture) => {
+        if (config.attendanceCodeSecret) {
+            return getCurrentAttendanceCode(config.attendanceCodeSecret, lecture, {periodSeconds: config.attendanceCodePeriod});
+        }
+        if (config.attendanceCode) {
+            return {code: config.attendanceCode, lecture, periodSeconds: null, expiresAt: null, remainingMs: null};
+        }
+        throw new PermissionError('ATTENDANCE_CODE_SECRET 또는 ATTENDANCE_CODE가 설정되지 않았습니다.');
+    };
+
+    /**
+     * 출석부 조회
+     * body: {spreadsheetId, ranges} 또는 {spreadsheetId, metadata: true}
+     * 변경 이력 시트와 학생 신청 시트는 관리자만 조회 가능
+     */
+    const readRoster = async (body, req) => {
+        assertSpreadsheet(body.spreadsheetId);
+
+        if (body.metadata) {
+            return client.getMetadata(body.spreadsheetId);
+        }
+
+        const ranges = body.ranges;
+        if (!Array.isArray(ranges) || ranges.length === 0 || ranges.length > MAX_READ_RANGES) {
+            throw new ValidationError(`조회할 범위를 1~${MAX_READ_RANGES}개 지정하세요.`);
+        }
+        ranges.forEach(range => requireString(range, 'ranges'));
+
+        if (ranges.some(range => getRangeSheetName(range) === config.auditSheetName) && !(await getRequestAdmin(req))) {
+            throw new AuthError('변경 이력은 관리자만 조회할 수 있습니다.');
+        }
+        if (ranges.some(range => requestSheetNames.includes(getRangeSheetName(range))) && !(await getRequestAdmin(req))) {
+            throw new AuthError('학생 신청 목록은 관리자만 조회할 수 있습니다.');
+        }
+
+        return client.batchGet(body.spreadsheetId, ranges);
+    };
+
+    /**
+     * 본인 출석체크
+     * body: {spreadsheetId, sheetName, cellAddress, newValue, expectedValue, guards, attendanceCode 또는 checkInToken, deviceId, queuedAt}
+     * 인증번호나 QR 토큰(시간 기반/QR이면 출석 셀 열의 강의명 기준)이 맞아야 하고, 학생 행의 강의 열, 아직 기록되지 않은 셀에 출석 값만 기록할 수 있으며
+     * 이력의 학생 이름과 강의명은 브라우저가 보낸 값 대신 시트에서 읽은 값을 사용
+     * 강의 당일 출석체크 시간(2행 날짜 셀)이 지나면 기록하지 않고, 출석/지각은 브라우저가 보낸 값 대신 서버 시각으로 정함
+     * 출석/지각, 마감, 인증번호 구간, QR 토큰 만료는 모두 서버가 받은 시각으로 판정하고,
+     * 오프라인 대기열이 보낸 보관 시각(queuedAt)은 기기 시계로 정한 값이므로 확인(parseQueuedAt - 최근 것만)한 뒤 이력 메모로만 남김
+     * 그 요청이 충돌/거부되면 학생 기기에만 남지 않도록 변경 이력에 '오프라인 저장 실패'로 남김
+     */
+    const checkIn = async (body, req) => {
+        const {spreadsheetId, newValue, expectedValue = '', guards = []} = body;
+        assertSpreadsheet(spreadsheetId);
+
+        const sheetName = requireString(body.sheetName, 'sheetName');
+        const cellAddress = requireString(body.cellAddress, 'cellAddress').toUpperCase();
+        if (sheetName === config.auditSheetName) {
+            throw new ValidationError('변경 이력 시트에는 출석을 기록할 수 없습니다.');
+        }
+        if (sheetName === config.settingsSheetName) {
+            throw new ValidationError('설정 시트에는 출석을 기록할 수 없습니다.');
+        }
+        if (requestSheetNames.includes(sheetName)) {
+            throw new ValidationError('신청 시트에는 출석을 기록할 수 없습니다.');
+        }
+
+        const {row, col} = parseCellReference(cellAddress);
+        const attempt = assertCodeAttemptAllowed(req, body, {spreadsheetId, sheetName, row});
+        if (row + 1 < DATA_START_ROW || col < LECTURE_START_COLUMN) {
+            throw new ValidationError(`출석 셀이 아닙니다: ${cellAddress}`);
+        }
+        if (!CHECK_IN_VALUES.includes(newValue)) {
+            throw new ValidationError(`본인 출석체크로 기록할 수 없는 값입니다: "${newValue}"`);
+        }
+        if (!isEqualStatus(expectedValue, '')) {
+            throw new ValidationError('이미 기록된 출석은 본인 출석체크로 바꿀 수 없습니다.');
+        }
+        if (!Array.isArray(guards) || guards.some(guard => typeof guard?.cellAddress !== 'string')) {
+            throw new ValidationError('보호 셀은 {cellAddress, expectedValue} 객체 목록이어야 합니다.');
+        }
+        if (guards.some(guard => parseCellReference(guard.cellAddress).row !== row)) {
+            throw new ValidationError('보호 셀은 출석 셀과 같은 행이어야 합니다.');
+        }
+
+        const nameCell = `A${row + 1}`;
+        const lectureCell = `${columnIndexToLetter(col)}1`;
+        const dateCell = `${columnIndexToLetter(col)}2`;
+
+        return withWriteLock(async () => {
+            const ranges = [cellAddress, nameCell, lectureCell, dateCell, ...guards.map(guard => guard.cellAddress)]
+                .map(address => `${sheetName}!${address}`);
+            const {valueRanges = []} = await client.batchGet(spreadsheetId, ranges);
+            const valueAt = (index) => (valueRanges[index]?.values?.[0]?.[0] || '').toString().trim();
+
+            try {
+                // 유예 시간이 지났으면 지각으로 기록 (받은 시각 기준)
+                const checkInTime = now();
+                parseQueuedAt(body.queuedAt, checkInTime);
+                const {status: checkInValue} = assertCheckInOpen({lecture: valueAt(2), ...parseLectureDateCell(valueAt(3))}, checkInTime);
+
+                try {
+                    await verifyCheckInCredential(body, {sheetName, lecture: valueAt(2)}, checkInTime);
+                } catch (error) {
+                    const lockout = recordAttemptFailure(checkInAttempts, attempt);
+                    if (lockout) {
+                        await recordCheckInLockout(spreadsheetId, {sheetName, cellAddress, userName: valueAt(1), lecture: valueAt(2)}, lockout);
+                        assertAttemptAllowed(checkInAttempts, attempt, '인증번호를 여러 번 틀렸습니다.');
+                    }
+                    throw error;
+                }
+                // 이 학생의 실패 기록만 지움 (기기/접속 주소 기록은 다른 학생 행으로 바꿔 가며 맞히는 시도를 막도록 그대로 둠)
+                checkInAttempts.recordSuccess([attempt.studentKey]);
+
+                guards.forEach((guard, index) => {
+                    const guardValue = valueAt(index + 4);
+                    if (guardValue !== (guard.expectedValue || '').toString().trim()) {
+                        throw new ConflictError(`행 정보가 변경되었습니다. ${guard.cellAddress} 현재 값: "${guardValue}"`, {
+                            cellAddress: guard.cellAddress,
+                            currentValue: guardValue,
+                            expectedValue: guard.expectedValue
+                        });
+                    }
+                });
+
+                const currentValue = valueAt(0);
+                if (!isEqualStatus(currentValue, '')) {
+                    throw new ConflictError(`데이터가 이미 수정되었습니다. 현재 값: "${currentValue}"`, {
+                        cellAddress,
+                        currentValue,
+                        expectedValue
+                    });
+                }
+
+                const userName = valueAt(1);
+                if (!userName) {
+                    throw new ValidationError(`학생 행이 아닙니다: ${cellAddress}`);
+                }
+
+                const result = await client.update(spreadsheetId, `${sheetName}!${cellAddress}`, checkInValue);
+                console.log(`✅ 본인 출석체크: ${userName} ${sheetName}!${cellAddress} = "${checkInValue}"`);
+
+                // 이력 기록 실패는 출석 기록을 실패시키지 않음 (audited: false면 화면에서 다시 시도)
+                let audited = true;
+                try {
+                    await ensureAuditSheet(spreadsheetId);
+                    await client.append(spreadsheetId, config.auditSheetName, [toAuditRow({
+                        source: AUDIT_SOURCE.SELF_CHECK_IN,
+                        sheetName,
+                        cellAddress,
+                        userName,
+                        lecture: valueAt(2),
+                        previousValue: currentValue,
+                        newValue: checkInValue,
+                        note: formatQueuedCheckInNote(body.queuedAt)
+                    })]);
+                } catch (error) {
+                    audited = false;
+                    console.warn('⚠️ 변경 이력 기록 실패:', error.message);
+                }
+
+                return {...result, previousValue: currentValue, newValue: checkInValue, audited};
+            } catch (error) {
+                // 오프라인 대기열이 다시 보낸 출석체크는 학생 기기에만 남으므로 충돌/거부를 이력에 남김 (잠시 거부된 429는 다시 보냄)
+                if (body.queuedAt !== undefined && !(error instanceof QuotaError)) {
+                    await recordOfflineFailure(spreadsheetId, {sheetName, cellAddress, userName: valueAt(1), lecture: valueAt(2)}, {
+                        newValue,
+                        currentValue: error instanceof ConflictError ? error.currentValue : undefined,
+                        queuedAt: body.queuedAt,
+                        reason: error.message
+                    });
+                }
+                throw error;
+            }
+        });
+    };
+
+    /**
+     * 학생 신청 접수
+     * body: {spreadsheetId, type, sheetName, cellAddress, userName, text}
+     * 학생 행의 강의 열만 신청할 수 있고, 기록하는 학생 이름과 강의명은 시트에서 읽은 값을 사용
+     * 상태는 항상 대기로 기록하며 (승인/반려는 관리자 수정으로만), 같은 출석 셀에 대기 중인 신청이 있으면 받지 않음
+     */
+    const submitRequest = async (body) => {
+        const {spreadsheetId, type} = body;
+        assertSpreadsheet(spreadsheetId);
+
+        const columns = getRequestColumns(type);
+        const requestSheetName = config.requestSheetNames[type];
+        const sheetName = requireString(body.sheetName, 'sheetName');
+        if (sheetName === config.auditSheetName || sheetName === config.settingsSheetName || requestSheetNames.includes(sheetName)) {
+            throw new ValidationError(`출석부 시트가 아닙니다: ${sheetName}`);
+        }
+        const text = normalizeRequestText(type, body.text);
+        const target = getRequestTargetCells(requireString(body.cellAddress, 'cellAddress'));
+
+        return withWriteLock(async () => {
+            const {valueRanges = []} = await client.batchGet(spreadsheetId, [target.nameCell, target.lectureCell]
+                .map(address => `${sheetName}!${address}`));
+            const [nameValue, lecture] = [0, 1].map(index => (valueRanges[index]?.values?.[0]?.[0] || '').toString().trim());
+            assertRequestTarget({userName: body.userName, nameValue, lecture, nameCell: target.nameCell});
+
+            await ensureSheet(spreadsheetId, requestSheetName, columns, '신청');
+            const {valueRanges: [requestSheet] = []} = await client.batchGet(spreadsheetId, [requestSheetName]);
+            if (findPendingRequest(parseRequestRows(requestSheet?.values), {sheetName, cellAddress: target.cellAddress})) {
+                throw new ValidationError(`${lecture} 신청이 이미 접수되어 관리자 확인을 기다리고 있습니다.`);
+            }
+
+            const entry = {
+                timestamp: formatAuditTimestamp(),
+                sheetName,
+                cellAddress: target.cellAddress,
+                userName: nameValue,
+                lecture,
+                text,
+                status: REQUEST_STATUS.PENDING
+            };
+            await client.append(spreadsheetId, requestSheetName, [toRequestRow(entry)]);
+            console.log(`📨 신청 접수: ${nameValue} ${sheetName}!${target.cellAddress} (${requestSheetName})`);
+
+            return entry;
+        });
+    };
+
+    /**
+     * 관리자 로그인
+     * body: {username, password, deviceId}
+     * 없는 아이디도 비밀번호 해시를 계산하여 응답 시간으로 아이디 존재 여부가 드러나지 않도록 함
+     * 해시 계산(PBKDF2)이 무거우므로 잠긴 기기, 아이디, 접속 주소는 계산 전에 거부
+     * @returns {Promise<Object>} {token, expiresAt, absoluteExpiresAt, idleTimeoutMs, admin: {username, name}}
+     */
+    const login = async (body, req) => {
+        if (config.adminAccounts.length === 0) {
+            throw new PermissionError('ADMIN_ACCOUNTS가 설정되지 않아 관리자 로그인을 받지 않습니다.');
+        }
+
+        const username = requireString(body.username, 'username');
+        const userKey = `user:${username.trim().toLowerCase()}`;
+        const attempt = {keys: [getDeviceKey(req, body), userKey], addressKey: getAddressKey(req, 'login')};
+        assertAttemptAllowed(loginAttempts, attempt, '비밀번호를 여러 번 틀렸습니다.');
+
+        const account = findAdminAccount(config.adminAccounts, username);
+        const matches = await verifyPasswordHash(body.password, (account || config.adminAccounts[0]).passwordHash);
+        if (!account || !matches) {
+            const lockout = recordAttemptFailure(loginAttempts, attempt);
+            if (lockout) {
+                console.warn(`🚫 관리자 로그인 잠금: ${username} (${lockout.key}, ${formatLockRemaining(lockout.lockMs)})`);
+                assertAttemptAllowed(loginAttempts, attempt, '비밀번호를 여러 번 틀렸습니다.');
+            }
+            throw new AuthError('아이디 또는 비밀번호가 일치하지 않습니다.');
+        }
+        loginAttempts.recordSuccess([userKey]);
+
+        console.log(`🔐 관리자 로그인: ${account.username}`);
+        return createAdminSessionToken(sessionSecret, {...account, sessionId: randomBytes(16).toString('base64url')}, {
+            ttlMs: config.adminSessionTtlMs,
+            idleTimeoutMs: config.adminIdleTimeoutMs,
+            now: now()
+        });
+    };
+
+    /**
+     * 관리자 수정
+     * body: {spreadsheetId, action, ...}
+     * - verify: 세션 확인만 수행하고 로그인한 관리자를 돌려줌 (spreadsheetId 불필요)
+     * - refresh: 사용 중인 세션의 만료 시각을 유휴 시간만큼 연장한 새 토큰 발급 (로그인 후 유효 시간은 넘지 않음)
+     * - logout: 사용 중인 세션 폐기 (연장한 토큰을 포함해 같은 세션의 토큰은 모두 401)
+     * - attendanceCode: {lecture} 강의의 현재 출석 인증번호 (인증번호 표시 화면용, spreadsheetId 불필요)
+     * - checkInToken: {sheetName, lecture, expiresAt} QR 출석 토큰 서명 (spreadsheetId 불필요)
+     * - update: {sheetName, cellAddress, value} (변경 이력 시트는 거부)
+     * - batchUpdate: {sheetName, cells: [{cellAddress, value}]} (변경 이력 시트는 거부, 신청 시트면 처리 관리자 열을 로그인한 관리자로 채움)
+     * - append: {sheetName, rows} (변경 이력 시트면 관리자 열을 로그인한 관리자로 채움)
+     * - addSheet: {sheetName}
+     */
+    const adminUpdate = async (body, req) => {
+        if (config.adminAccounts.length === 0) {
+            throw new PermissionError('ADMIN_ACCOUNTS가 설정되지 않아 관리자 수정을 받지 않습니다.');
+        }
+        const admin = await getRequestAdmin(req);
+        if (!admin) {
+            throw new AuthError('관리자 로그인이 필요합니다.');
+        }
+        const {spreadsheetId, action} = body;
+        if (action === 'verify') {
+            return {success: true, admin: {username: admin.username, name: admin.name}};
+        }
+        if (action === 'refresh') {
+            return createAdminSessionToken(sessionSecret, admin, {
+                idleTimeoutMs: config.adminIdleTimeoutMs,
+                absoluteExpiresAt: admin.absoluteExpiresAt,
+                now: now()
+            });
+        }
+        if (action === 'logout') {
+            revokeSession(admin);
+            console.log(`👋 관리자 로그아웃: ${admin.username}`);
+            return {success: true};
+        }
+        if (action === 'attendanceCode') {
+            return getAttendanceCode(requireString(body.lecture, 'lecture'));
+        }
+        if (action === 'checkInToken') {
+            if (!config.attendanceCodeSecret) {
+                throw new PermissionError('QR 출석에는 ATTENDANCE_CODE_SECRET이 필요합니다.');
+            }
+            return createCheckInToken(config.attendanceCodeSecret, {
+                sheetName: requireString(body.sheetName, 'sheetName'),
+                lecture: requireString(body.lecture, 'lecture'),
+                expiresAt: body.expiresAt
+            });
+        }
+        assertSpreadsheet(spreadsheetId);
+
+        const sheetName = requireString(body.sheetName, 'sheetName');
+        // 변경 이력은 추가만 가능 (관리자도 기존 이력을 고치거나 지울 수 없음)
+        if ((action === 'update' || action === 'batchUpdate') && sheetName === config.auditSheetName) {
+            throw new ValidationError('변경 이력 시트는 수정할 수 없습니다.');
+        }
+
+        switch (action) {
+            case 'update':
+                parseCellReference(body.cellAddress);
+                return withWriteLock(() => client.update(spreadsheetId, `${sheetName}!${body.cellAddress}`, body.value ?? ''));
+            case 'batchUpdate': {
+                const cells = Array.isArray(body.cells) ? body.cells : [];
+                cells.forEach(cell => parseCellReference(cell.cellAddress));
+                // 신청을 처리한 관리자는 화면이 보낸 값 대신 세션 토큰의 관리자로 기록 (제목 행은 그대로)
+                const isDecidedByCell = (cellAddress) => {
+                    const {row, col} = parseCellReference(cellAddress);
+                    return requestSheetNames.includes(sheetName) && row > 0 && col === REQUEST_DECIDED_BY_COLUMN;
+                };
+                return withWriteLock(() => client.batchUpdate(spreadsheetId, cells.map(cell => ({
+                    range: `${sheetName}!${cell.cellAddress}`,
+                    value: isDecidedByCell(cell.cellAddress) ? admin.username : cell.value ?? ''
+                }))));
+            }
+            case 'append': {
+                if (!Array.isArray(body.rows)) {
+                    throw new ValidationError('rows 값이 필요합니다.');
+                }
+                // 이력의 관리자는 화면이 보낸 값 대신 세션 토큰의 관리자로 기록 (제목 행은 그대로)
+                const rows = sheetName === config.auditSheetName
+                    ? body.rows.map((row, index) => index === 0 && row[0] === AUDIT_COLUMNS[0]
+                        ? row
+                        : toAuditRow({...parseAuditRow(row), admin: admin.username}))
+                    : body.rows;
+                return withWriteLock(() => client.append(spreadsheetId, sheetName, rows));
+            }
+            case 'addSheet':
+                return withWriteLock(() => client.addSheet(spreadsheetId, sheetName));
+            default:
+                throw new ValidationError(`알 수 없는 관리자 작업: ${action}`);
+        }
+    };
+
+    const routes = {
+        '/api/roster': readRoster,
+        '/api/check-in': checkIn,
+        '/api/request': submitRequest,
+        '/api/admin/login': login,
+        '/api/admin/update': adminUpdate
+    };
+
+    const allowsOrigin = (origin) => config.allowedOrigins.includes('*') || config.allowedOrigins.includes(origin);
+
+    return async function handleRequest(req, res) {
+        const origin = req.headers.origin;
+        const corsHeaders = origin && allowsOrigin(origin) ? {
+            'Access-Control-Allow-Origin': origin,
+            'Access-Control-Allow-Methods': 'POST, OPTIONS',
+            'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+            'Access-Control-Max-Age': '600',
+            Vary: 'Origin'
+        } : {};
+
+        // 허용하지 않은 화면에서 온 요청은 처리하지 않음 (Origin이 없는 서버 간 호출/테스트는 허용)
+        if (origin && !allowsOrigin(origin)) {
+            sendJson(res, 403, {error: {code: 403, message: '허용되지 않은 출처입니다.'}});
+            return;
+        }
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, corsHeaders);
+            res.end();
+            return;
+        }
+
+        const {pathname} = new URL(req.url, 'http://localhost');
+        const route = routes[pathname];
+        if (!route || req.method !== 'POST') {
+            sendJson(res, 404, {error: {code: 404, message: '없는 엔드포인트입니다.'}}, corsHeaders);
+            return;
+        }
+
+        try {
+            const body = await readJsonBody(req);
+            sendJson(res, 200, await route(body, req), corsHeaders);
+        } catch (error) {
+            const status = getErrorStatus(error);
+            if (status >= 500) {
+                console.error(`❌ ${pathname} 처리 실패:`, error);
+            }
+            const retryHeaders = error.retryAfterMs ? {'Retry-After': String(Math.ceil(error.retryAfterMs / 1000))} : {};
+            sendJson(res, status, toErrorBody(error, status), {...corsHeaders, ...retryHeaders});
+        }
+    };
+}
+
+/**
+ * 프록시 HTTP 서버 생성 (listen은 호출하는 쪽에서)
+ * @param {Object} options - createProxyHandler 옵션
+ * @returns {import('node:http').Server} HTTP 서버
+ */
+export function createProxyServer(options) {
+    return createServer(createProxyHandler(options));
+}
@@ -0,0 +1,133 @@
+// server/attemptLimits.test.js
+// 접속 주소별 시도 제한 테스트 (기기 식별자/아이디를 바꿔 가며 대입하는 경우, npm test)
+
+import {after, before, test} from 'node:test';
+import assert from 'node:assert/strict';
+import {loadConfig} from './config.js';
+import {createProxyServer} from './app.js';
+import {createFakeCredentials, createFakeSheetsServer} from './fakeSheets.js';
+import {columnIndexToLetter} from '../src/services/a1Notation.js';
+import {getCheckInToday} from '../src/services/checkInWindow.js';
+import {SAMPLE_ADMIN_ACCOUNTS, createSampleSpreadsheet} from '../src/services/fixtures/sampleSpreadsheet.js';
+
+const SPREADSHEET_ID = 'test-spreadsheet';
+const SHEET_NAME = '출석부 웹페이지 DB';
+const ATTENDANCE_CODE = '1234';
+
+// 기기/학생은 3번, 접속 주소는 10번 틀리면 잠금
+const MAX_FAILURES = 3;
+const MAX_ADDRESS_FAILURES = 10;
+
+let fakeServer;
+let proxyServer;
+let proxyUrl;
+
+const listen = (server) => new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+});
+
+const close = (server) => new Promise(resolve => {
+    server.closeAllConnections();
+    server.close(() => resolve());
+});
+
+/**
+ * forwardedFor 접속 주소에서 프록시에 POST 요청
+ */
+const post = async (path, body, forwardedFor) => {
+    const response = await fetch(`${proxyUrl}${path}`, {
+        method: 'POST',
+        headers: {'Content-Type': 'application/json', 'X-Forwarded-For': forwardedFor},
+        body: JSON.stringify(body)
+    });
+    return {status: response.status, body: await response.json()};
+};
+
+const sheetValues = () => fakeServer.spreadsheet.sheets[SHEET_NAME];
+
+/**
+ * 오늘 강의 출석 셀 주소
+ */
+const todayCell = (rowNumber) => {
+    const today = getCheckInToday();
+    const dateText = `${today.getFullYear()}. ${today.getMonth() + 1}. ${today.getDate()}`;
+    const column = sheetValues()[1].findIndex(cell => cell === dateText || cell.startsWith(`${dateText} `));
+    assert.ok(column >= 0, '예제 출석부에 오늘 강의가 없습니다.');
+    return `${columnIndexToLetter(column)}${rowNumber}`;
+};
+
+const checkInBody = (rowNumber, overrides = {}) => ({
+    spreadsheetId: SPREADSHEET_ID,
+    sheetName: SHEET_NAME,
+    cellAddress: todayCell(rowNumber),
+    newValue: 'O',
+    expectedValue: '',
+    guards: [{cellAddress: `A${rowNumber}`, expectedValue: sheetValues()[rowNumber - 1][0]}],
+    attendanceCode: ATTENDANCE_CODE,
+    ...overrides
+});
+
+before(async () => {
+    const {credentials, publicKey} = createFakeCredentials();
+    fakeServer = createFakeSheetsServer({
+        spreadsheet: createSampleSpreadsheet({spreadsheetId: SPREADSHEET_ID, sheetName: SHEET_NAME, settingsSheetName: '설정'}),
+        publicKey
+    });
+    const fakeUrl = await listen(fakeServer);
+
+    const config = {
+        ...loadConfig({}),
+        spreadsheetIds: [SPREADSHEET_ID],
+        adminAccounts: SAMPLE_ADMIN_ACCOUNTS,
+        attendanceCode: ATTENDANCE_CODE,
+        // 테스트 요청은 모두 127.0.0.1에서 오므로 X-Forwarded-For로 접속 주소를 나눔
+        trustedProxies: ['127.0.0.1'],
+        credentials,
+        api: {...loadConfig({}).api, baseUrl: `${fakeUrl}/v4/spreadsheets`, tokenUrl: `${fakeUrl}/token`}
+    };
+    proxyServer = createProxyServer({
+        config,
+        lockoutPolicy: {maxFailures: MAX_FAILURES},
+        addressLockoutPolicy: {maxFailures: MAX_ADDRESS_FAILURES}
+    });
+    proxyUrl = await listen(proxyServer);
+});
+
+after(async () => {
+    await close(proxyServer);
+    await close(fakeServer);
+});
+
+test('/api/check-in: 기기 식별자를 바꿔 가며 여러 학생 행에 대입해도 접속 주소별로 잠금', async () => {
+    const forwardedFor = '198.51.100.20';
+    const rows = [3, 4, 5, 6, 7, 8];
+    for (let i = 1; i <= MAX_ADDRESS_FAILURES; i++) {
+        // 학생 행마다 잠금 한도보다 적게 틀림
+        const body = checkInBody(rows[i % rows.length], {attendanceCode: '0000', deviceId: `test-device-rotate-${String(i).padStart(4, '0')}`});
+        const {status} = await post('/api/check-in', body, forwardedFor);
+        assert.equal(status, i < MAX_ADDRESS_FAILURES ? 403 : 429);
+    }
+
+    const fresh = {deviceId: 'test-device-rotate-fresh'};
+    assert.equal((await post('/api/check-in', checkInBody(8, fresh), forwardedFor)).status, 429);
+    assert.equal((await post('/api/check-in', checkInBody(8, fresh), '198.51.100.21')).status, 200);
+});
+
+test('/api/admin/login: 아이디와 기기 식별자를 바꿔 가며 대입해도 접속 주소별로 잠금', async () => {
+    const forwardedFor = '198.51.100.30';
+    for (let i = 1; i <= MAX_ADDRESS_FAILURES; i++) {
+        const {status} = await post('/api/admin/login', {
+            username: `guess${i}`,
+            password: 'wrong',
+            deviceId: `test-device-login-${String(i).padStart(4, '0')}`
+        }, forwardedFor);
+        assert.equal(status, i < MAX_ADDRESS_FAILURES ? 401 : 429);
+    }
+
+    // 잠긴 동안은 맞는 비밀번호도 확인하지 않고 거부
+    assert.equal((await post('/api/admin/login', {username: 'admin', password: '1111'}, forwardedFor)).status, 429);
+
+    // 다른 접속 주소의 관리자는 그대로 로그인
+    assert.equal((await post('/api/admin/login', {username: 'admin', password: '1111'}, '198.51.100.31')).status, 200);
+});
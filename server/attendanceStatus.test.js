@@ -0,0 +1,101 @@
+// server/attendanceStatus.test.js
+// 설정 탭 출석 상태 표 테스트 (npm test)
+
+import {afterEach, test} from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    ATTENDANCE_CONFIG,
+    ATTENDANCE_STATUS,
+    applyStatusRegistry,
+    getStudentVisibleStatus,
+    isAttendanceStatus,
+    parseAttendanceCell,
+    parseStatusRegistry
+} from '../src/utils/attendanceStatus.js';
+
+const HEADER = ['기호', '표시명', '짧은 표시명', '색상', '아이콘', '출석 인정', '관리자 전용', '설명'];
+
+afterEach(() => applyStatusRegistry([]));
+
+test('머리글 아래 행마다 상태 하나, 비어 있는 칸은 undefined', () => {
+    const entries = parseStatusRegistry([
+        ['출석 상태'],
+        HEADER,
+        ['ㄷ', '조퇴', '', '보라', '', '예', '', '조퇴 (출석 인정)'],
+        ['병', '병가', '병가', 'green', '🏥', 'o', 'yes', '']
+    ]);
+
+    assert.deepEqual(entries, [
+        {status: 'ㄷ', displayName: '조퇴', displayShortName: undefined, color: 'purple', icon: undefined, isAttendance: true, adminOnly: undefined, description: '조퇴 (출석 인정)'},
+        {status: '병', displayName: '병가', displayShortName: '병가', color: 'green', icon: '🏥', isAttendance: true, adminOnly: true, description: undefined}
+    ]);
+});
+
+test('잘못된 설정 행은 건너뛰거나 기본값 사용', () => {
+    assert.deepEqual(parseStatusRegistry(undefined), []);
+    assert.deepEqual(parseStatusRegistry([['표시명', '색상'], ['조퇴', '보라']]), [], '기호 머리글이 없으면 빈 목록');
+
+    const entries = parseStatusRegistry([
+        ['색상', '기호', '표시명'],
+        null,
+        ['빨강'],
+        ['파랑', '-', '미입력'],
+        ['회색', 'Etc', '기타'],
+        ['None', 'None', '미입력'],
+        ['무지개', '온', '온라인'],
+        ['', '  ', '빈 기호']
+    ]);
+
+    // 열 순서가 달라도 머리글로 찾고, 기호가 없거나 예약된 행은 버리며, 모르는 색은 회색
+    assert.deepEqual(entries.map(({status, displayName, color}) => ({status, displayName, color})), [
+        {status: '온', displayName: '온라인', color: 'gray'}
+    ]);
+});
+
+test('같은 기호가 여러 번 있으면 처음 것만 사용', () => {
+    const entries = parseStatusRegistry([
+        HEADER,
+        ['ㄷ', '조퇴', '', '보라', '', '예'],
+        ['ㄷ', '조퇴(중복)', '', '빨강', '', '아니오']
+    ]);
+
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].displayName, '조퇴');
+    assert.equal(entries[0].isAttendance, true);
+});
+
+test('설정 탭 상태를 반영하고 기본 상태는 적힌 칸만 바꿈', () => {
+    applyStatusRegistry(parseStatusRegistry([
+        HEADER,
+        ['ㅣ', '늦음', '', '빨강'],
+        ['병', '병가', '', '', '', '예', '예']
+    ]));
+
+    assert.equal(ATTENDANCE_CONFIG[ATTENDANCE_STATUS.LATE].displayName, '늦음');
+    assert.equal(ATTENDANCE_CONFIG[ATTENDANCE_STATUS.LATE].color, 'red');
+    assert.equal(ATTENDANCE_CONFIG[ATTENDANCE_STATUS.LATE].isAttendance, true, '적지 않은 칸은 기본값');
+
+    assert.deepEqual(parseAttendanceCell('병'), {status: '병', desc: '병가'});
+    assert.equal(isAttendanceStatus('병'), true);
+    assert.equal(getStudentVisibleStatus('병'), ATTENDANCE_STATUS.PRESENT);
+
+    // 미입력/기타는 항상 마지막
+    assert.deepEqual(Object.keys(ATTENDANCE_CONFIG).slice(-2), [ATTENDANCE_STATUS.OTHER, ATTENDANCE_STATUS.NONE]);
+});
+
+test('다시 불러오면 이전 설정 탭 상태는 사라지고 기본 상태로 돌아감', () => {
+    applyStatusRegistry(parseStatusRegistry([HEADER, ['병', '병가', '', '', '', '예'], ['ㅣ', '늦음']]));
+    assert.equal(parseAttendanceCell('병').status, '병');
+
+    // 설정 탭에서 병가 행을 지우고 다시 불러온 경우
+    applyStatusRegistry(parseStatusRegistry([HEADER, ['ㄷ', '조퇴']]));
+    assert.equal(ATTENDANCE_CONFIG['병'], undefined);
+    assert.deepEqual(parseAttendanceCell('병'), {status: ATTENDANCE_STATUS.OTHER, desc: '병'});
+    assert.equal(ATTENDANCE_CONFIG[ATTENDANCE_STATUS.LATE].displayName, '지각');
+    assert.equal(ATTENDANCE_CONFIG['ㄷ'].displayName, '조퇴');
+
+    // 설정 탭이 없으면 기본 상태만
+    applyStatusRegistry([]);
+    assert.equal(ATTENDANCE_CONFIG['ㄷ'], undefined);
+    assert.deepEqual(Object.keys(ATTENDANCE_CONFIG), ['O', 'X', 'ㅁ', 'ㅣ', 'Etc', 'None']);
+});
@@ -0,0 +1,71 @@
+// server/checkInWindow.test.js
+// 출석체크 시간 계산 테스트 (npm test) - 서버 시간대(TZ)와 관계없이 출석부 시간대 기준
+
+import {afterEach, test} from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    CHECK_IN_PHASE,
+    DEFAULT_TIME_ZONE,
+    MAX_QUEUED_CHECK_IN_AGE_MS,
+    assertCheckInOpen,
+    configureCheckInWindow,
+    getCheckInState,
+    getCheckInToday,
+    parseQueuedAt
+} from '../src/services/checkInWindow.js';
+
+// 2025. 9. 10 14:00~16:00 (유예 10분)
+const HEADER = {
+    lecture: '1강',
+    date: new Date(2025, 8, 10),
+    checkInWindow: {startMinutes: 14 * 60, endMinutes: 16 * 60, graceMinutes: 10}
+};
+
+afterEach(() => configureCheckInWindow({timeZone: DEFAULT_TIME_ZONE, openLeadMinutes: 0}));
+
+test('출석체크 시각은 출석부 시간대(Asia/Seoul) 기준', () => {
+    // 14:05 KST = 05:05 UTC
+    assert.equal(getCheckInState(HEADER, Date.UTC(2025, 8, 10, 5, 5)).phase, CHECK_IN_PHASE.ON_TIME);
+    // 14:30 KST
+    assert.equal(getCheckInState(HEADER, Date.UTC(2025, 8, 10, 5, 30)).phase, CHECK_IN_PHASE.LATE);
+    // 16:00 KST
+    assert.equal(getCheckInState(HEADER, Date.UTC(2025, 8, 10, 7, 0)).phase, CHECK_IN_PHASE.CLOSED);
+});
+
+test('강의 당일이라도 시작 시각 전에는 출석체크를 받지 않음', () => {
+    // 09:00 KST
+    const morning = Date.UTC(2025, 8, 10, 0, 0);
+    assert.equal(getCheckInState(HEADER, morning).phase, CHECK_IN_PHASE.NOT_OPEN);
+    assert.throws(() => assertCheckInOpen(HEADER, morning), {name: 'ValidationError', message: /14:00부터/});
+
+    // 10분 전부터 받도록 설정하면 13:50부터 출석
+    configureCheckInWindow({openLeadMinutes: 10});
+    assert.equal(getCheckInState(HEADER, Date.UTC(2025, 8, 10, 4, 49)).phase, CHECK_IN_PHASE.NOT_OPEN);
+    assert.equal(assertCheckInOpen(HEADER, Date.UTC(2025, 8, 10, 4, 50)).status, 'O');
+});
+
+test('오프라인 대기열의 보관 시각은 최근 것만 받음 (판정에는 쓰지 않음)', () => {
+    const now = Date.UTC(2025, 8, 10, 5, 40);
+    const queuedAt = Date.UTC(2025, 8, 10, 5, 5);
+    assert.equal(parseQueuedAt(queuedAt, now), queuedAt);
+    assert.equal(parseQueuedAt(undefined, now), null);
+
+    assert.throws(() => parseQueuedAt(now + 5 * 60 * 1000, now), {name: 'ValidationError'});
+    assert.throws(() => parseQueuedAt(now - MAX_QUEUED_CHECK_IN_AGE_MS - 1, now), {name: 'ValidationError'});
+    assert.throws(() => parseQueuedAt('어제', now), {name: 'ValidationError'});
+});
+
+test('강의 당일도 출석부 시간대 기준', () => {
+    // 9월 10일 00:30 KST (UTC로는 아직 9월 9일)
+    assert.equal(getCheckInToday(Date.UTC(2025, 8, 9, 15, 30)).toDateString(), HEADER.date.toDateString());
+    // 9월 10일 15:30 UTC (KST로는 이미 9월 11일)
+    assert.equal(getCheckInState(HEADER, Date.UTC(2025, 8, 10, 15, 30)).phase, CHECK_IN_PHASE.NOT_TODAY);
+});
+
+test('설정한 시간대로 계산하고, 알 수 없는 시간대는 거부', () => {
+    configureCheckInWindow({timeZone: 'America/New_York'});
+    // 14:05 EDT = 18:05 UTC
+    assert.equal(getCheckInState(HEADER, Date.UTC(2025, 8, 10, 18, 5)).phase, CHECK_IN_PHASE.ON_TIME);
+
+    assert.throws(() => configureCheckInWindow({timeZone: 'Mars/Olympus'}), {name: 'ValidationError'});
+});
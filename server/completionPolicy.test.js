@@ -0,0 +1,95 @@
+// server/completionPolicy.test.js
+// 설정 탭 수료 기준과 수료 판정 테스트 (npm test)
+
+import {afterEach, test} from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    COMPLETION_POLICY,
+    COMPLETION_RESULT,
+    applyCompletionPolicy,
+    evaluateCompletion,
+    parseCompletionPolicy
+} from '../src/utils/completionPolicy.js';
+import {applyStatusRegistry, parseStatusRegistry} from '../src/utils/attendanceStatus.js';
+
+const NOW = new Date(2025, 8, 20, 12, 0);
+
+// 1~4강은 지난 강의, 5~6강은 남은 강의
+const HEADERS = [
+    {lecture: '1강', date: new Date(2025, 8, 1)},
+    {lecture: '2강', date: new Date(2025, 8, 8)},
+    {lecture: '3강', date: new Date(2025, 8, 15)},
+    {lecture: '4강', date: new Date(2025, 8, 18)},
+    {lecture: '5강', date: new Date(2025, 8, 22)},
+    {lecture: '6강', date: new Date(2025, 8, 29)}
+];
+
+const attendance = (...statuses) => statuses.map(status => ({status}));
+
+afterEach(() => {
+    applyCompletionPolicy({});
+    applyStatusRegistry([]);
+});
+
+test('수료 기준 표를 읽고, 잘못된 행은 건너뛰거나 기본값 사용', () => {
+    assert.deepEqual(parseCompletionPolicy(undefined), {});
+    assert.deepEqual(parseCompletionPolicy([['최소 출석', '3']]), {}, '머리글이 없으면 빈 기준');
+
+    const policy = parseCompletionPolicy([
+        ['메모'],
+        ['수료 기준', '값'],
+        ['최소 출석', '4'],
+        ['최대 결석', '-1'],
+        ['소감문 인정 한도', '1.5'],
+        ['위험 기준', '두 번'],
+        ['필수 강의', ' 1강, ,6강 '],
+        ['출석률', '80'],
+        null,
+        ['', '3']
+    ]);
+
+    assert.deepEqual(policy, {minAttended: 4, requiredLectures: ['1강', '6강']});
+});
+
+test('다시 불러오면 이전 수료 기준은 기본값으로 돌아감', () => {
+    applyCompletionPolicy(parseCompletionPolicy([['수료 기준'], ['최대 결석', '1'], ['필수 강의', '1강']]));
+    assert.equal(COMPLETION_POLICY.maxAbsences, 1);
+    assert.deepEqual(COMPLETION_POLICY.requiredLectures, ['1강']);
+
+    applyCompletionPolicy(parseCompletionPolicy([['수료 기준'], ['최소 출석', '2']]));
+    assert.equal(COMPLETION_POLICY.minAttended, 2);
+    assert.equal(COMPLETION_POLICY.maxAbsences, null);
+    assert.deepEqual(COMPLETION_POLICY.requiredLectures, []);
+});
+
+test('최소 출석, 최대 결석, 필수 강의로 수료 여부 판정', () => {
+    // 기본 최소 출석은 전체 6강의 2/3인 4강
+    const onTrack = evaluateCompletion(attendance('O', 'ㅣ', 'X', 'O'), HEADERS, COMPLETION_POLICY, NOW);
+    assert.equal(onTrack.minAttended, 4);
+    assert.equal(onTrack.attended, 3);
+    assert.equal(onTrack.remaining, 2);
+    assert.equal(onTrack.lecturesNeeded, 1);
+    assert.equal(onTrack.result, COMPLETION_RESULT.AT_RISK);
+
+    const failed = evaluateCompletion(attendance('X', 'X', 'X', 'O'), HEADERS, COMPLETION_POLICY, NOW);
+    assert.equal(failed.result, COMPLETION_RESULT.FAILED);
+    assert.equal(failed.lecturesNeeded, null);
+
+    applyCompletionPolicy({requiredLectures: ['2강'], minAttended: 1});
+    const missed = evaluateCompletion(attendance('O', 'X'), HEADERS, COMPLETION_POLICY, NOW);
+    assert.equal(missed.result, COMPLETION_RESULT.FAILED);
+    assert.deepEqual(missed.missedRequired, ['2강']);
+});
+
+test('소감문은 인정 한도까지만 출석, 설정 탭에서 소감문을 출석 불인정으로 바꾸면 결석', () => {
+    applyCompletionPolicy({maxEssaySubstitutions: 1});
+    const limited = evaluateCompletion(attendance('ㅁ', 'ㅁ', 'O', 'O'), HEADERS, COMPLETION_POLICY, NOW);
+    assert.equal(limited.essaysCredited, 1);
+    assert.equal(limited.essaysOverLimit, 1);
+    assert.equal(limited.attended, 3);
+
+    applyStatusRegistry(parseStatusRegistry([['기호', '출석 인정'], ['ㅁ', '아니오']]));
+    const notCredited = evaluateCompletion(attendance('ㅁ', 'O', 'O', 'O'), HEADERS, COMPLETION_POLICY, NOW);
+    assert.equal(notCredited.attended, 3);
+    assert.equal(notCredited.absences, 1);
+});
@@ -0,0 +1,120 @@
+// server/config.js
+
+import {readFileSync} from 'node:fs';
+import {DEFAULT_CODE_PERIOD_SECONDS} from '../src/services/attendanceCodes.js';
+import {DEFAULT_ADMIN_IDLE_TIMEOUT_MS, DEFAULT_ADMIN_SESSION_TTL_MS, parseAdminAccounts} from '../src/services/adminAccounts.js';
+import {REQUEST_TYPE} from '../src/services/studentRequests.js';
+import {DEFAULT_TIME_ZONE} from '../src/services/checkInWindow.js';
+
+/**
+ * 쉼표로 구분된 환경변수 값을 배열로 변환
+ * @param {string} value - 환경변수 값
+ * @returns {Array<string>} 값 목록
+ */
+const parseList = (value) => (value || '')
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+
+/**
+ * 서비스 계정 자격 증명 읽기
+ * GOOGLE_SERVICE_ACCOUNT_CREDENTIALS(JSON 문자열) 또는 GOOGLE_SERVICE_ACCOUNT_FILE(JSON 파일 경로)
+ * 브라우저 번들에 포함되지 않도록 VITE_ 접두어가 없는 이름만 사용
+ * @param {Object} env - 환경변수
+ * @returns {Object|null} 서비스 계정 자격 증명
+ */
+export function loadCredentials(env = process.env) {
+    if (env.GOOGLE_SERVICE_ACCOUNT_CREDENTIALS) {
+        return JSON.parse(env.GOOGLE_SERVICE_ACCOUNT_CREDENTIALS);
+    }
+    if (env.GOOGLE_SERVICE_ACCOUNT_FILE) {
+        return JSON.parse(readFileSync(env.GOOGLE_SERVICE_ACCOUNT_FILE, 'utf8'));
+    }
+    return null;
+}
+
+/**
+ * 관리자 계정 읽기
+ * ADMIN_ACCOUNTS(JSON 문자열) 또는 ADMIN_ACCOUNTS_FILE(JSON 파일 경로)
+ * 형식: [{"username": "kim", "name": "김관리", "passwordHash": "pbkdf2-sha256$..."}] (해시는 npm run admin:hash로 생성)
+ * @param {Object} env - 환경변수
+ * @returns {Array<Object>} 관리자 계정 목록
+ */
+export function loadAdminAccounts(env = process.env) {
+    if (env.ADMIN_ACCOUNTS) {
+        return parseAdminAccounts(env.ADMIN_ACCOUNTS);
+    }
+    if (env.ADMIN_ACCOUNTS_FILE) {
+        return parseAdminAccounts(readFileSync(env.ADMIN_ACCOUNTS_FILE, 'utf8'));
+    }
+    return [];
+}
+
+/**
+ * 프록시 서버 설정
+ * @param {Object} env - 환경변수
+ * @returns {Object} 서버 설정
+ */
+export function loadConfig(env = process.env) {
+    return {
+        host: env.PROXY_HOST || '127.0.0.1',
+        port: parseInt(env.PROXY_PORT || '8787', 10),
+
+        // 요청을 허용할 화면 주소 (CORS, '*'이면 모두 허용)
+        allowedOrigins: parseList(env.PROXY_ALLOWED_ORIGINS || 'http://localhost:5173'),
+
+        // 이 서버 앞에 둔 리버스 프록시 주소 (쉼표로 여러 개) - 이 주소에서 온 요청만 X-Forwarded-For의 접속 주소를 믿음
+        trustedProxies: parseList(env.TRUST_PROXY),
+
+        // 접근을 허용할 스프레드시트 ID (쉼표로 여러 개 지정 가능)
+        spreadsheetIds: parseList(env.SPREADSHEET_ID),
+
+        // 관리자 계정 (없으면 관리자 로그인/수정을 받지 않음)
+        adminAccounts: loadAdminAccounts(env),
+
+        // 관리자 세션 토큰 서명 비밀 값 (없으면 서버를 시작할 때마다 새로 만들어 재시작하면 다시 로그인해야 함)
+        adminSessionSecret: env.ADMIN_SESSION_SECRET || null,
+
+        // 관리자 세션 유효 시간과 유휴 시간 (분) - 로그인 후 유효 시간이 지나거나, 유휴 시간 동안 사용하지 않으면 만료
+        adminSessionTtlMs: env.ADMIN_SESSION_TTL_MINUTES
+            ? parseInt(env.ADMIN_SESSION_TTL_MINUTES, 10) * 60 * 1000
+            : DEFAULT_ADMIN_SESSION_TTL_MS,
+        adminIdleTimeoutMs: env.ADMIN_SESSION_IDLE_MINUTES
+            ? parseInt(env.ADMIN_SESSION_IDLE_MINUTES, 10) * 60 * 1000
+            : DEFAULT_ADMIN_IDLE_TIMEOUT_MS,
+
+        // 본인 출석체크 고정 인증번호 (ATTENDANCE_CODE_SECRET이 없을 때 사용, 둘 다 없으면 본인 출석체크를 받지 않음)
+        attendanceCode: env.ATTENDANCE_CODE || null,
+
+        // 강의별 시간 기반 인증번호의 비밀 값과 주기 (초)
+        attendanceCodeSecret: env.ATTENDANCE_CODE_SECRET || null,
+        attendanceCodePeriod: parseInt(env.ATTENDANCE_CODE_PERIOD || String(DEFAULT_CODE_PERIOD_SECONDS), 10),
+
+        // 출석부 시간대 - 출석체크 시간(시작, 지각, 마감)과 강의 당일을 이 시간대로 계산 (화면의 VITE_TIME_ZONE과 같게 지정)
+        timeZone: env.TIME_ZONE || DEFAULT_TIME_ZONE,
+
+        // 강의 시작 몇 분 전부터 본인 출석체크를 받을지 (기본값 0 - 시작 시각부터, 화면의 VITE_CHECK_IN_OPEN_LEAD_MINUTES와 같게 지정)
+        checkInOpenLeadMinutes: parseInt(env.CHECK_IN_OPEN_LEAD_MINUTES || '0', 10),
+
+        // 본인 출석체크 이력을 기록할 시트명
+        auditSheetName: env.AUDIT_SHEET_NAME || '변경 이력',
+
+        // 출석 상태 정의 등을 두는 설정 시트명 (본인 출석체크로 기록할 수 없음)
+        settingsSheetName: env.SETTINGS_SHEET_NAME || '설정',
+
+        // 학생 신청 종류별 시트명 (관리자만 조회, 본인 출석체크로 기록할 수 없음)
+        requestSheetNames: {
+            [REQUEST_TYPE.ABSENCE]: env.ABSENCE_REQUEST_SHEET_NAME || '결석 신청',
+            [REQUEST_TYPE.ESSAY]: env.ESSAY_SHEET_NAME || '소감문'
+        },
+
+        credentials: loadCredentials(env),
+
+        // 테스트에서는 가짜 Sheets 서버 주소로 바꿔서 사용
+        api: {
+            baseUrl: env.SHEETS_API_BASE_URL || 'https://sheets.googleapis.com/v4/spreadsheets',
+            tokenUrl: env.GOOGLE_TOKEN_URL || 'https://oauth2.googleapis.com/token',
+            scope: 'https://www.googleapis.com/auth/spreadsheets'
+        }
+    };
+}
@@ -0,0 +1,205 @@
+// server/fakeSheets.js
+
+import {createServer} from 'node:http';
+import {createVerify, generateKeyPairSync} from 'node:crypto';
+import {parseA1Range, parseCellReference} from '../src/services/a1Notation.js';
+
+// 가짜 토큰 엔드포인트가 발급하는 액세스 토큰
+const FAKE_ACCESS_TOKEN = 'fake-sheets-access-token';
+
+/**
+ * 가짜 Sheets 서버용 서비스 계정 자격 증명 생성
+ * 실제와 같은 RSA 키로 JWT를 서명하므로 프록시의 토큰 발급 과정까지 함께 확인할 수 있음
+ * @returns {{credentials: Object, publicKey: string}} 자격 증명과 서명 확인용 공개 키
+ */
+export function createFakeCredentials() {
+    const {privateKey, publicKey} = generateKeyPairSync('rsa', {
+        modulusLength: 2048,
+        privateKeyEncoding: {type: 'pkcs8', format: 'pem'},
+        publicKeyEncoding: {type: 'spki', format: 'pem'}
+    });
+
+    return {
+        credentials: {
+            type: 'service_account',
+            client_email: 'proxy-test@fake-project.iam.gserviceaccount.com',
+            private_key: privateKey
+        },
+        publicKey
+    };
+}
+
+/**
+ * 요청 본문 읽기
+ */
+async function readBody(req) {
+    const chunks = [];
+    for await (const chunk of req) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * 가짜 Sheets v4 REST 서버 생성 (테스트, 로컬 개발용)
+ * 프록시가 사용하는 토큰 발급, 메타데이터, values.batchGet/update/batchUpdate/append,
+ * batchUpdate(addSheet)만 메모리의 스프레드시트로 흉내냄
+ * 주소: http://host:port/token (토큰), http://host:port/v4/spreadsheets (API)
+ * @param {Object} options
+ * @param {Object} options.spreadsheet - {spreadsheetId, title, sheets: {시트명: 2차원 배열}}
+ * @param {string} options.publicKey - JWT 서명 확인용 공개 키 (없으면 서명을 확인하지 않음)
+ * @returns {import('node:http').Server} HTTP 서버 (server.spreadsheet로 현재 상태 확인)
+ */
+export function createFakeSheetsServer({spreadsheet, publicKey = null}) {
+    const state = structuredClone(spreadsheet);
+
+    const getSheet = (sheetName) => {
+        if (!state.sheets[sheetName]) {
+            throw Object.assign(new Error(`Unable to parse range: ${sheetName}`), {status: 400});
+        }
+        return state.sheets[sheetName];
+    };
+
+    const readRange = (range) => {
+        // 시트명만 지정하면 시트 전체
+        const parsed = state.sheets[range]
+            ? {sheetName: range, startRow: 0, startCol: 0, endRow: Infinity, endCol: Infinity}
+            : parseA1Range(range);
+        const values = getSheet(parsed.sheetName)
+            .slice(parsed.startRow, parsed.endRow + 1)
+            .map(row => row.slice(parsed.startCol, parsed.endCol + 1).map(cell => (cell ?? '').toString()));
+
+        // Sheets API처럼 뒤쪽 빈 셀/빈 행은 생략
+        values.forEach(row => {
+            while (row.length > 0 && row[row.length - 1] === '') row.pop();
+        });
+        while (values.length > 0 && values[values.length - 1].length === 0) values.pop();
+
+        return values.length > 0 ? {range, majorDimension: 'ROWS', values} : {range, majorDimension: 'ROWS'};
+    };
+
+    const writeCell = (range, value) => {
+        const separator = range.lastIndexOf('!');
+        const values = getSheet(range.slice(0, separator));
+        const {row, col} = parseCellReference(range.slice(separator + 1));
+
+        while (values.length <= row) values.push([]);
+        while (values[row].length < col) values[row].push('');
+        values[row][col] = value ?? '';
+    };
+
+    const getMetadata = () => ({
+        spreadsheetId: state.spreadsheetId,
+        properties: {title: state.title},
+        sheets: Object.entries(state.sheets).map(([title, values], index) => ({
+            properties: {
+                sheetId: index,
+                title,
+                index,
+                gridProperties: {
+                    rowCount: Math.max(values.length, 1000),
+                    columnCount: Math.max(...values.map(row => row.length), 26)
+                }
+            }
+        }))
+    });
+
+    const issueToken = (body) => {
+        const assertion = new URLSearchParams(body).get('assertion') || '';
+        const [header, payload, signature] = assertion.split('.');
+
+        if (publicKey) {
+            const isValid = Boolean(signature) && createVerify('RSA-SHA256')
+                .update(`${header}.${payload}`)
+                .verify(publicKey, signature, 'base64url');
+            if (!isValid) {
+                return [400, {error: 'invalid_grant', error_description: 'Invalid JWT Signature.'}];
+            }
+        }
+
+        return [200, {access_token: FAKE_ACCESS_TOKEN, expires_in: 3600, token_type: 'Bearer'}];
+    };
+
+    const handleApi = (req, url, body) => {
+        const prefix = `/v4/spreadsheets/${encodeURIComponent(state.spreadsheetId)}`;
+        if (!url.pathname.startsWith(prefix)) {
+            return [404, {error: {code: 404, message: 'Requested entity was not found.'}}];
+        }
+        const path = decodeURIComponent(url.pathname.slice(prefix.length));
+
+        if (req.method === 'GET' && path === '') {
+            return [200, getMetadata()];
+        }
+        if (req.method === 'GET' && path === '/values:batchGet') {
+            return [200, {spreadsheetId: state.spreadsheetId, valueRanges: url.searchParams.getAll('ranges').map(readRange)}];
+        }
+        if (req.method === 'PUT' && path.startsWith('/values/')) {
+            const range = path.slice('/values/'.length);
+            writeCell(range, body.values?.[0]?.[0]);
+            return [200, {
+                spreadsheetId: state.spreadsheetId,
+                updatedRange: range,
+                updatedRows: 1,
+                updatedColumns: 1,
+                updatedCells: 1,
+                updatedData: readRange(range)
+            }];
+        }
+        if (req.method === 'POST' && path === '/values:batchUpdate') {
+            (body.data || []).forEach(item => writeCell(item.range, item.values?.[0]?.[0]));
+            return [200, {spreadsheetId: state.spreadsheetId, totalUpdatedCells: (body.data || []).length}];
+        }
+        if (req.method === 'POST' && path.startsWith('/values/') && path.endsWith(':append')) {
+            const sheetName = parseA1Range(path.slice('/values/'.length, -':append'.length)).sheetName;
+            const values = getSheet(sheetName);
+            const startRow = values.length + 1;
+            values.push(...(body.values || []).map(row => row.map(cell => (cell ?? '').toString())));
+            return [200, {
+                spreadsheetId: state.spreadsheetId,
+                updates: {updatedRange: `${sheetName}!A${startRow}`, updatedRows: (body.values || []).length}
+            }];
+        }
+        if (req.method === 'POST' && path === ':batchUpdate') {
+            const replies = (body.requests || []).map(request => {
+                const title = request.addSheet?.properties?.title;
+                if (!title) {
+                    throw Object.assign(new Error('Unsupported request'), {status: 400});
+                }
+                if (state.sheets[title]) {
+                    throw Object.assign(new Error(`A sheet with the name "${title}" already exists.`), {status: 400});
+                }
+                state.sheets[title] = [];
+                return {addSheet: {properties: {sheetId: Object.keys(state.sheets).length - 1, title}}};
+            });
+            return [200, {spreadsheetId: state.spreadsheetId, replies}];
+        }
+
+        return [404, {error: {code: 404, message: `Unsupported request: ${req.method} ${path}`}}];
+    };
+
+    const server = createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const text = await readBody(req);
+        let status;
+        let responseBody;
+
+        try {
+            if (req.method === 'POST' && url.pathname === '/token') {
+                [status, responseBody] = issueToken(text);
+            } else if (req.headers.authorization !== `Bearer ${FAKE_ACCESS_TOKEN}`) {
+                [status, responseBody] = [401, {error: {code: 401, message: 'Request had invalid authentication credentials.'}}];
+            } else {
+                [status, responseBody] = handleApi(req, url, text ? JSON.parse(text) : {});
+            }
+        } catch (error) {
+            status = error.status || 400;
+            responseBody = {error: {code: status, message: error.message}};
+        }
+
+        res.writeHead(status, {'Content-Type': 'application/json; charset=utf-8'});
+        res.end(JSON.stringify(responseBody));
+    });
+
+    server.spreadsheet = state;
+    return server;
+}
@@ -0,0 +1,30 @@
+// server/hashPassword.js
+// 관리자 계정 만들기 (ADMIN_ACCOUNTS에 넣을 JSON 출력)
+//   npm run admin:hash -- <아이디> [이름]   - 비밀번호는 입력창에서 입력 (명령 기록에 남지 않도록)
+
+import {createInterface} from 'node:readline/promises';
+import {hashPassword} from '../src/services/adminAccounts.js';
+
+async function main() {
+    const [username, name = username] = process.argv.slice(2);
+    if (!username) {
+        console.error('사용법: npm run admin:hash -- <아이디> [이름]');
+        process.exit(1);
+    }
+
+    const readline = createInterface({input: process.stdin, output: process.stderr});
+    const password = await readline.question('비밀번호: ');
+    readline.close();
+
+    if (!password) {
+        console.error('❌ 비밀번호가 비어 있습니다.');
+        process.exit(1);
+    }
+
+    console.log(JSON.stringify({username, name, passwordHash: await hashPassword(password)}));
+}
+
+main().catch(error => {
+    console.error('❌ 관리자 계정 만들기 실패:', error.message);
+    process.exit(1);
+});
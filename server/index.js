@@ -0,0 +1,83 @@
+// server/index.js
+// 출석부 프록시 서버 실행
+//   npm run server        - 실제 Google Sheets 사용 (환경변수는 README 참고)
+//   npm run server:fake   - 메모리의 예제 출석부를 흉내내는 가짜 Sheets 서버 사용 (관리자 계정이 없으면 admin / 1111)
+
+import {loadConfig} from './config.js';
+import {createProxyServer} from './app.js';
+import {createFakeCredentials, createFakeSheetsServer} from './fakeSheets.js';
+import {SAMPLE_ADMIN_ACCOUNTS, createSampleSpreadsheet} from '../src/services/fixtures/sampleSpreadsheet.js';
+import {configureCheckInWindow} from '../src/services/checkInWindow.js';
+
+/**
+ * 서버 시작 (port 0이면 빈 포트 사용)
+ */
+const listen = (server, port, host) => new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => resolve(server.address()));
+});
+
+/**
+ * 가짜 Sheets 서버를 띄우고 프록시 설정을 그쪽으로 연결
+ */
+async function connectFakeSheets(config) {
+    const {credentials, publicKey} = createFakeCredentials();
+    const spreadsheetId = config.spreadsheetIds[0] || 'fake-spreadsheet';
+    const sheetName = process.env.SHEET_NAME || '출석부 웹페이지 DB';
+
+    const fakeServer = createFakeSheetsServer({
+        spreadsheet: createSampleSpreadsheet({spreadsheetId, sheetName, settingsSheetName: config.settingsSheetName}),
+        publicKey
+    });
+    const {port} = await listen(fakeServer, 0, '127.0.0.1');
+    const baseUrl = `http://127.0.0.1:${port}`;
+
+    console.log(`🧪 가짜 Sheets 서버: ${baseUrl} (스프레드시트 ${spreadsheetId}, 시트 ${sheetName})`);
+
+    return {
+        ...config,
+        spreadsheetIds: [spreadsheetId],
+        adminAccounts: config.adminAccounts.length > 0 ? config.adminAccounts : SAMPLE_ADMIN_ACCOUNTS,
+        attendanceCode: config.attendanceCode || (config.attendanceCodeSecret ? null : '1234'),
+        credentials,
+        api: {...config.api, baseUrl: `${baseUrl}/v4/spreadsheets`, tokenUrl: `${baseUrl}/token`}
+    };
+}
+
+async function main() {
+    let config = loadConfig();
+
+    // 출석체크 시간은 서버 시간대(TZ)와 관계없이 출석부 시간대로 계산 (가짜 Sheets 서버의 오늘 강의도 이 시간대 기준)
+    configureCheckInWindow({timeZone: config.timeZone, openLeadMinutes: config.checkInOpenLeadMinutes});
+    console.log(`🕒 출석부 시간대: ${config.timeZone} (강의 시작 ${config.checkInOpenLeadMinutes}분 전부터 본인 출석체크)`);
+
+    if (process.argv.includes('--fake')) {
+        config = await connectFakeSheets(config);
+    }
+
+    if (config.adminAccounts.length === 0) {
+        console.warn('⚠️ ADMIN_ACCOUNTS가 없어 관리자 로그인/수정은 거부됩니다.');
+    } else {
+        console.log(`🔐 관리자 계정 ${config.adminAccounts.length}개 ` +
+            `(세션 최대 ${config.adminSessionTtlMs / 60000}분, ${config.adminIdleTimeoutMs / 60000}분 동안 사용하지 않으면 로그아웃)`);
+        if (!config.adminSessionSecret) {
+            console.warn('⚠️ ADMIN_SESSION_SECRET이 없어 서버를 다시 시작하면 관리자가 다시 로그인해야 합니다.');
+        }
+    }
+    if (config.attendanceCodeSecret) {
+        console.log(`🔢 강의별 시간 기반 인증번호 사용 (${config.attendanceCodePeriod}초마다 변경)`);
+    } else if (!config.attendanceCode) {
+        console.warn('⚠️ ATTENDANCE_CODE_SECRET 또는 ATTENDANCE_CODE가 없어 본인 출석체크는 거부됩니다.');
+    }
+
+    const server = createProxyServer({config});
+    await listen(server, config.port, config.host);
+
+    console.log(`🚀 출석부 프록시 서버: http://${config.host}:${config.port}`);
+    console.log(`   허용 출처: ${config.allowedOrigins.join(', ')}`);
+}
+
+main().catch(error => {
+    console.error('❌ 프록시 서버 시작 실패:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,344 @@
+// server/proxy.test.js
+// 가짜 Sheets 서버에 연결한 프록시 엔드포인트 테스트 (npm test)
+
+import {after, before, test} from 'node:test';
+import assert from 'node:assert/strict';
+import {loadConfig} from './config.js';
+import {createProxyServer, getClientAddress} from './app.js';
+import {createFakeCredentials, createFakeSheetsServer} from './fakeSheets.js';
+import {columnIndexToLetter} from '../src/services/a1Notation.js';
+import {INVALID_ATTENDANCE_CODE} from '../src/services/errors.js';
+import {getCheckInToday, getCheckInWindowTimes} from '../src/services/checkInWindow.js';
+import {createCheckInToken} from '../src/services/checkInLinks.js';
+import {parseLectureDateCell} from '../src/services/model.js';
+import {SAMPLE_ADMIN_ACCOUNTS, createSampleSpreadsheet} from '../src/services/fixtures/sampleSpreadsheet.js';
+
+const SPREADSHEET_ID = 'test-spreadsheet';
+const SHEET_NAME = '출석부 웹페이지 DB';
+const ATTENDANCE_CODE = '1234';
+
+// 테스트에서는 3번 틀리면 잠금
+const MAX_FAILURES = 3;
+
+let fakeServer;
+let fakeUrl;
+let config;
+let proxyServer;
+let proxyUrl;
+
+// 프록시 서버 시각 (null이면 현재 시각)
+let serverNow = null;
+const proxyClock = () => serverNow ?? Date.now();
+
+/**
+ * 서버 시작 (빈 포트) 후 주소 반환
+ */
+const listen = (server) => new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+});
+
+const close = (server) => new Promise(resolve => {
+    server.closeAllConnections();
+    server.close(() => resolve());
+});
+
+/**
+ * 프록시에 POST 요청 (본문이 문자열이면 그대로 전송)
+ */
+const post = async (path, body, token = null) => {
+    const response = await fetch(`${proxyUrl}${path}`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            ...(token ? {Authorization: `Bearer ${token}`} : {})
+        },
+        body: typeof body === 'string' ? body : JSON.stringify(body)
+    });
+    return {status: response.status, body: await response.json()};
+};
+
+const sheetValues = (sheetName = SHEET_NAME) => fakeServer.spreadsheet.sheets[sheetName];
+
+/**
+ * 오늘 강의 열 (0부터, 예제 출석부는 출석부 시간대 기준 오늘 강의를 포함)
+ */
+const todayColumn = () => {
+    const today = getCheckInToday();
+    const dateText = `${today.getFullYear()}. ${today.getMonth() + 1}. ${today.getDate()}`;
+    const column = sheetValues()[1].findIndex(cell => cell === dateText || cell.startsWith(`${dateText} `));
+    assert.ok(column >= 0, '예제 출석부에 오늘 강의가 없습니다.');
+    return column;
+};
+
+const todayCell = (rowNumber) => `${columnIndexToLetter(todayColumn())}${rowNumber}`;
+
+const todayValue = (rowNumber) => sheetValues()[rowNumber - 1][todayColumn()] ?? '';
+
+/**
+ * 오늘 강의에 출석체크 시간(14:00~16:00, 유예 10분)을 넣고 작업 실행 (끝나면 날짜 셀과 서버 시각 복원)
+ * @param {Function} task - (출석체크 시각들, 강의명) => Promise
+ */
+const withTodayWindow = async (task) => {
+    const column = todayColumn();
+    const dateText = sheetValues()[1][column];
+    sheetValues()[1][column] = `${dateText} 14:00~16:00 (유예 10분)`;
+    const {date, checkInWindow} = parseLectureDateCell(sheetValues()[1][column]);
+    try {
+        await task(getCheckInWindowTimes(date, checkInWindow), sheetValues()[0][column]);
+    } finally {
+        sheetValues()[1][column] = dateText;
+        serverNow = null;
+    }
+};
+
+/**
+ * 본인 출석체크 요청 본문 (이름 셀을 보호 셀로 지정)
+ */
+const checkInBody = (rowNumber, overrides = {}) => ({
+    spreadsheetId: SPREADSHEET_ID,
+    sheetName: SHEET_NAME,
+    cellAddress: todayCell(rowNumber),
+    newValue: 'O',
+    expectedValue: '',
+    guards: [{cellAddress: `A${rowNumber}`, expectedValue: sheetValues()[rowNumber - 1][0]}],
+    attendanceCode: ATTENDANCE_CODE,
+    deviceId: 'test-device-default',
+    ...overrides
+});
+
+before(async () => {
+    const {credentials, publicKey} = createFakeCredentials();
+    fakeServer = createFakeSheetsServer({
+        spreadsheet: createSampleSpreadsheet({spreadsheetId: SPREADSHEET_ID, sheetName: SHEET_NAME, settingsSheetName: '설정'}),
+        publicKey
+    });
+    fakeUrl = await listen(fakeServer);
+
+    config = {
+        ...loadConfig({}),
+        spreadsheetIds: [SPREADSHEET_ID],
+        adminAccounts: SAMPLE_ADMIN_ACCOUNTS,
+        attendanceCode: ATTENDANCE_CODE,
+        credentials,
+        api: {...loadConfig({}).api, baseUrl: `${fakeUrl}/v4/spreadsheets`, tokenUrl: `${fakeUrl}/token`}
+    };
+    proxyServer = createProxyServer({config, lockoutPolicy: {maxFailures: MAX_FAILURES}, now: proxyClock});
+    proxyUrl = await listen(proxyServer);
+});
+
+after(async () => {
+    await close(proxyServer);
+    await close(fakeServer);
+});
+
+test('/api/roster: 출석부를 읽고, 변경 이력은 관리자가 아니면 거부', async () => {
+    const {status, body} = await post('/api/roster', {spreadsheetId: SPREADSHEET_ID, ranges: [`${SHEET_NAME}!A1:B3`]});
+    assert.equal(status, 200);
+    assert.deepEqual(body.valueRanges[0].values[0], ['이름', '반']);
+
+    const audit = await post('/api/roster', {spreadsheetId: SPREADSHEET_ID, ranges: ['변경 이력!A1:A2']});
+    assert.equal(audit.status, 401);
+});
+
+test('/api/check-in: 인증번호가 틀리면 403이고 셀은 그대로', async () => {
+    const {status, body} = await post('/api/check-in', checkInBody(3, {attendanceCode: '0000'}));
+    assert.equal(status, 403);
+    assert.equal(body.error.status, INVALID_ATTENDANCE_CODE);
+    assert.equal(todayValue(3), '');
+});
+
+test('/api/check-in: 빈 출석 셀에 출석을 기록하고 변경 이력을 남김', async () => {
+    const {status, body} = await post('/api/check-in', checkInBody(4));
+    assert.equal(status, 200);
+    assert.equal(body.newValue, 'O');
+    assert.equal(body.audited, true);
+
+    assert.equal(todayValue(4), 'O');
+    assert.ok(sheetValues('변경 이력').some(row => row.includes(todayCell(4)) && row.includes(sheetValues()[3][0])));
+});
+
+test('/api/check-in: 이미 기록된 셀이나 바뀐 학생 행은 409 CAS 충돌', async () => {
+    const {status, body} = await post('/api/check-in', checkInBody(4));
+    assert.equal(status, 409);
+    assert.equal(body.error.conflict.cellAddress, todayCell(4));
+    assert.equal(body.error.conflict.currentValue, 'O');
+
+    const renamed = await post('/api/check-in', checkInBody(5, {guards: [{cellAddress: 'A5', expectedValue: '다른 학생'}]}));
+    assert.equal(renamed.status, 409);
+    assert.equal(renamed.body.error.conflict.cellAddress, 'A5');
+});
+
+test('/api/check-in: 같은 접속 주소의 다른 학생은 잠긴 기기나 학생과 따로 셈', async () => {
+    const attacker = {attendanceCode: '0000', deviceId: 'test-device-attacker'};
+    for (let i = 1; i <= MAX_FAILURES; i++) {
+        const {status} = await post('/api/check-in', checkInBody(6, attacker));
+        assert.equal(status, i < MAX_FAILURES ? 403 : 429);
+    }
+
+    // 잠긴 학생은 다른 기기에서도 거부, 잠긴 기기는 다른 학생으로도 거부
+    assert.equal((await post('/api/check-in', checkInBody(6, {deviceId: 'test-device-classmate'}))).status, 429);
+    assert.equal((await post('/api/check-in', checkInBody(7, {deviceId: 'test-device-attacker'}))).status, 429);
+
+    // 같은 와이파이(같은 접속 주소)의 다른 학생은 그대로 출석
+    assert.equal((await post('/api/check-in', checkInBody(7, {deviceId: 'test-device-classmate'}))).status, 200);
+});
+
+test('/api/check-in: 다른 학생이 출석에 성공해도 공유하는 실패 기록은 지워지지 않음', async () => {
+    // 기기 식별자가 없으면 접속 주소로 셈 (같은 주소의 다른 학생이 성공해도 그 학생의 기록만 지움)
+    const noDevice = {deviceId: undefined};
+    for (let i = 1; i < MAX_FAILURES; i++) {
+        assert.equal((await post('/api/check-in', checkInBody(8, {...noDevice, attendanceCode: '0000'}))).status, 403);
+    }
+
+    assert.equal((await post('/api/check-in', checkInBody(9, noDevice))).status, 200);
+    assert.equal((await post('/api/check-in', checkInBody(10, {...noDevice, attendanceCode: '0000'}))).status, 429);
+});
+
+test('/api/check-in: 오프라인 대기열이 다시 보낸 출석체크는 보관 시각을 메모로 남기고 오래된 것은 거부', async () => {
+    const queuedAt = Date.now() - 1000;
+    const {status} = await post('/api/check-in', checkInBody(11, {queuedAt}));
+    assert.equal(status, 200);
+    assert.ok(sheetValues('변경 이력').some(row => row.includes(todayCell(11)) && row[9]?.startsWith('오프라인 출석체크')));
+
+    const stale = await post('/api/check-in', checkInBody(12, {queuedAt: Date.now() - 13 * 60 * 60 * 1000}));
+    assert.equal(stale.status, 400);
+    assert.equal(todayValue(12), '');
+});
+
+test('/api/check-in: 보관 시각을 앞당겨도 고정 인증번호의 지각 판정은 서버가 받은 시각 기준', async () => {
+    await withTodayWindow(async ({lateAfter}) => {
+        serverNow = lateAfter + 45 * 60 * 1000;
+        const {status, body} = await post('/api/check-in', checkInBody(14, {queuedAt: serverNow - 55 * 60 * 1000}));
+        assert.equal(status, 200);
+        assert.equal(body.newValue, 'ㅣ');
+    });
+    assert.equal(todayValue(14), 'ㅣ');
+});
+
+test('/api/check-in: 보관 시각을 앞당겨도 만료된 QR 토큰은 거부하고 QR 출석도 받은 시각으로 판정', async () => {
+    const secret = 'test-check-in-secret';
+    const qrServer = createProxyServer({config: {...config, attendanceCodeSecret: secret}, now: proxyClock});
+    const qrUrl = await listen(qrServer);
+    const postQr = async (body) => {
+        const response = await fetch(`${qrUrl}/api/check-in`, {
+            method: 'POST',
+            headers: {'Content-Type': 'application/json'},
+            body: JSON.stringify(body)
+        });
+        return {status: response.status, body: await response.json()};
+    };
+
+    try {
+        await withTodayWindow(async ({startsAt, lateAfter}, lecture) => {
+            serverNow = lateAfter + 45 * 60 * 1000;
+            const qrBody = async (rowNumber, expiresAt) => checkInBody(rowNumber, {
+                attendanceCode: undefined,
+                checkInToken: (await createCheckInToken(secret, {sheetName: SHEET_NAME, lecture, expiresAt}, {now: startsAt})).token,
+                queuedAt: startsAt
+            });
+
+            // 강의 시작 후 30분 동안만 쓸 수 있는 토큰 (받은 시각에는 만료)
+            const expired = await postQr(await qrBody(15, startsAt + 30 * 60 * 1000));
+            assert.equal(expired.status, 403);
+            assert.equal(todayValue(15), '');
+
+            const valid = await postQr(await qrBody(16, serverNow + 60 * 60 * 1000));
+            assert.equal(valid.status, 200);
+            assert.equal(valid.body.newValue, 'ㅣ');
+        });
+    } finally {
+        await close(qrServer);
+    }
+});
+
+test('/api/check-in: 오프라인 대기열이 다시 보낸 출석체크가 충돌/거부되면 변경 이력에 남김', async () => {
+    const offlineFailure = (rowNumber) => sheetValues('변경 이력').find(row => row[1] === 'offline' && row[3] === todayCell(rowNumber));
+
+    // 4행은 이미 출석
+    const conflict = await post('/api/check-in', checkInBody(4, {queuedAt: Date.now() - 1000}));
+    assert.equal(conflict.status, 409);
+    const row = offlineFailure(4);
+    assert.equal(row[4], sheetValues()[3][0]);
+    assert.deepEqual([row[6], row[7]], ['O', 'O']);
+    assert.ok(row[9].startsWith('오프라인 출석체크'));
+
+    const rejected = await post('/api/check-in', checkInBody(13, {queuedAt: Date.now() - 1000, attendanceCode: '0000', deviceId: 'test-device-offline'}));
+    assert.equal(rejected.status, 403);
+    assert.ok(offlineFailure(13));
+    assert.equal(todayValue(13), '');
+
+    // 온라인 출석체크 실패는 화면에서 바로 안내하므로 남기지 않음
+    assert.equal((await post('/api/check-in', checkInBody(4))).status, 409);
+    assert.equal(sheetValues('변경 이력').filter(row => row[1] === 'offline' && row[3] === todayCell(4)).length, 1);
+});
+
+test('getClientAddress: 신뢰하는 프록시에서 온 요청만 X-Forwarded-For 사용', () => {
+    const request = (remoteAddress, forwardedFor) => ({
+        socket: {remoteAddress},
+        headers: forwardedFor ? {'x-forwarded-for': forwardedFor} : {}
+    });
+
+    assert.equal(getClientAddress(request('203.0.113.7', '10.0.0.1')), '203.0.113.7');
+    assert.equal(getClientAddress(request('::ffff:127.0.0.1', '198.51.100.4, 10.0.0.9'), ['127.0.0.1', '10.0.0.9']), '198.51.100.4');
+    assert.equal(getClientAddress(request('127.0.0.1'), ['127.0.0.1']), '127.0.0.1');
+});
+
+test('/api/admin/update: 로그인한 관리자만 셀을 수정', async () => {
+    const update = {spreadsheetId: SPREADSHEET_ID, action: 'update', sheetName: SHEET_NAME, cellAddress: 'C3', value: '공가'};
+
+    const anonymous = await post('/api/admin/update', update);
+    assert.equal(anonymous.status, 401);
+
+    const wrongPassword = await post('/api/admin/login', {username: 'admin', password: 'wrong'});
+    assert.equal(wrongPassword.status, 401);
+
+    const login = await post('/api/admin/login', {username: 'admin', password: '1111'});
+    assert.equal(login.status, 200);
+
+    const {status} = await post('/api/admin/update', update, login.body.token);
+    assert.equal(status, 200);
+    assert.equal(sheetValues()[2][2], '공가');
+});
+
+test('/api/admin/update: 로그아웃한 세션의 토큰은 연장한 토큰까지 거부', async () => {
+    const login = await post('/api/admin/login', {username: 'admin', password: '1111'});
+    const other = await post('/api/admin/login', {username: 'admin', password: '1111'});
+    const refreshed = await post('/api/admin/update', {action: 'refresh'}, login.body.token);
+    assert.equal(refreshed.status, 200);
+
+    assert.equal((await post('/api/admin/update', {action: 'logout'}, login.body.token)).status, 200);
+    assert.equal((await post('/api/admin/update', {action: 'verify'}, login.body.token)).status, 401);
+    assert.equal((await post('/api/admin/update', {action: 'verify'}, refreshed.body.token)).status, 401);
+
+    // 같은 관리자의 다른 로그인 세션은 그대로
+    assert.equal((await post('/api/admin/update', {action: 'verify'}, other.body.token)).status, 200);
+});
+
+test('/api/admin/update: 관리자도 변경 이력은 수정할 수 없고 추가만 가능', async () => {
+    const {token} = (await post('/api/admin/login', {username: 'admin', password: '1111'})).body;
+    const before = sheetValues('변경 이력').map(row => [...row]);
+
+    const update = {spreadsheetId: SPREADSHEET_ID, action: 'update', sheetName: '변경 이력', cellAddress: 'A2', value: ''};
+    assert.equal((await post('/api/admin/update', update, token)).status, 400);
+
+    const batchUpdate = {spreadsheetId: SPREADSHEET_ID, action: 'batchUpdate', sheetName: '변경 이력', cells: [{cellAddress: 'D2', value: 'A1'}]};
+    assert.equal((await post('/api/admin/update', batchUpdate, token)).status, 400);
+
+    assert.deepEqual(sheetValues('변경 이력'), before);
+});
+
+test('객체가 아닌 요청 본문은 400', async () => {
+    for (const body of ['null', '[]', '42']) {
+        const {status} = await post('/api/admin/login', body);
+        assert.equal(status, 400);
+    }
+});
+
+test('/api/check-in: 객체가 아니거나 셀 주소가 없는 보호 셀은 400', async () => {
+    for (const guards of [[null], ['A3'], [{expectedValue: ''}], [{cellAddress: 3}], {}]) {
+        const {status} = await post('/api/check-in', checkInBody(3, {guards}));
+        assert.equal(status, 400);
+    }
+    assert.equal(todayValue(3), '');
+});
@@ -4,6 +4,19 @@ import AttendanceCheck from './components/attendance/AttendanceCheck';
 import FooterComponent from "./components/layout/FooterComponent.jsx";
 import HeaderComponent from "./components/layout/HeaderComponent.jsx";
 import PasswordAuth from './components/auth/PasswordAuth.jsx';
+import SessionTimeoutWarning from './components/auth/SessionTimeoutWarning.jsx';
+import dataBackend from './services/dataBackend.js';
+import {CHECK_IN_LINK_PARAM, readCheckInToken} from './services/checkInLinks.js';
+import {useAdminSession} from './hooks/useAdminSession.js';
+
+// 관리자 로그인 (프록시 서버가 계정을 확인하고 세션 토큰을 발급, 프록시 없는 google 모드에서는 받지 않음)
+const loginAdmin = (username, password) => dataBackend.loginAdmin(username, password);
+
+// 이 기기의 관리자 로그인 잠금 상태 (비밀번호를 여러 번 틀린 경우)
+const getAdminLoginLock = (username) => dataBackend.getAdminLoginLock(username);
+
+// QR 출석 링크(?checkin=...)로 들어온 경우의 출석 토큰
+const initialCheckInToken = readCheckInToken(window.location.search);
 
 /**
  * 메인 애플리케이션 컴포넌트
@@ -12,15 +25,31 @@ function App() {
     // 현재 화면 상태 관리
     const [currentView, setCurrentView] = useState('attendanceCheck'); // 'attendanceCheck' | 'management'
 
-    // 인증 상태 관리
-    const [isAuthenticated, setIsAuthenticated] = useState(false);
+    // 관리자 세션 (새로고침해도 만료 전이면 유지)
+    const [adminSession, setAdminSession] = useState(() => dataBackend.getAdminSession());
+    const isAuthenticated = Boolean(adminSession);
 
-    // 초기 마운트 시 sessionStorage에서 인증 상태 복원
-    useEffect(() => {
-        const authStatus = sessionStorage.getItem('isAuthenticated');
-        if (authStatus === 'true') {
-            setIsAuthenticated(true);
+    // 로그인 화면 안내 (세션 만료로 로그아웃된 경우)
+    const [authNotice, setAuthNotice] = useState(null);
+
+    // 세션 연장/만료/로그아웃 반영 (만료되면 로그인 화면으로 돌아감)
+    const {remainingMs, isWarning, canExtend, extend, signOut} = useAdminSession({
+        session: adminSession,
+        onSessionChange: (session, reason) => {
+            setAdminSession(session);
+            if (reason === 'expired') {
+                setAuthNotice('세션이 만료되어 로그아웃되었습니다. 다시 로그인해주세요');
+            }
         }
+    });
+
+    // 새로고침하거나 주소를 공유해도 토큰이 남지 않도록 주소창에서 출석 토큰 제거
+    useEffect(() => {
+        if (!initialCheckInToken) return;
+
+        const url = new URL(window.location.href);
+        url.searchParams.delete(CHECK_IN_LINK_PARAM);
+        window.history.replaceState(window.history.state, '', url.toString());
     }, []);
 
     // Google Sheets 뷰어 옵션 설정
@@ -28,6 +57,9 @@ function App() {
         // 자동으로 데이터 로드
         autoFetch: true,
 
+        // 학기별 탭 목록을 불러와 현재 학기 탭을 기본으로 표시
+        semesterTabs: true,
+
         // 30초마다 자동 새로고침 (선택사항)
         // refetchInterval: 30000,
 
@@ -47,9 +79,9 @@ function App() {
     };
 
     // 인증 성공 핸들러
-    const handleAuthSuccess = () => {
-        setIsAuthenticated(true);
-        sessionStorage.setItem('isAuthenticated', 'true');
+    const handleAuthSuccess = (session) => {
+        setAdminSession(session);
+        setAuthNotice(null);
     };
 
     return (
@@ -58,6 +90,8 @@ function App() {
             <HeaderComponent
                 currentView={currentView}
                 onViewChange={handleViewChange}
+                adminName={adminSession?.admin.name || null}
+                onSignOut={signOut}
             />
 
             {/* 메인 콘텐츠 */}
@@ -72,6 +106,9 @@ function App() {
                     ) : (
                         <PasswordAuth
                             onSuccess={handleAuthSuccess}
+                            login={loginAdmin}
+                            getLock={getAdminLoginLock}
+                            notice={authNotice}
                             className="animate-fade-in"
                         />
                     )
@@ -79,11 +116,21 @@ function App() {
                     // 출석체크 페이지
                     <AttendanceCheck
                         options={sheetsOptions}
+                        checkInToken={initialCheckInToken}
                         className="animate-fade-in"
                     />
                 )}
             </main>
 
+            {/* 관리자 세션 만료 경고 */}
+            <SessionTimeoutWarning
+                isOpen={isWarning}
+                remainingMs={remainingMs}
+                canExtend={canExtend}
+                onExtend={extend}
+                onSignOut={signOut}
+            />
+
             {/* 푸터 */}
             <FooterComponent/>
 
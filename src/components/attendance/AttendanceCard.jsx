@@ -4,9 +4,15 @@ import {
     getAttendanceStyle,
     ATTENDANCE_STATUS,
     ATTENDANCE_CONFIG,
+    getStudentVisibleStatus,
     isAttendanceStatus
 } from '../../utils/attendanceStatus.js';
 import AttendanceConfirmModal from "../auth/AttendanceConfirmModal.jsx";
+import StudentRequestModal from './StudentRequestModal.jsx';
+import { REQUEST_TYPE, getRequestTextLimit } from '../../services/studentRequests.js';
+import { CHECK_IN_PHASE, describeCheckInWindow, formatClock, getCheckInState, getCheckInToday, getOpenMinutes, isCheckInDay } from '../../services/checkInWindow.js';
+import { COMPLETION_RESULT_CLASSES, COMPLETION_RESULT_LABELS, evaluateCompletion, getCompletionSummary } from '../../utils/completionPolicy.js';
+import { useCountdown } from '../../hooks/useCountdown';
 
 /**
  * 날짜를 "9/10" 형식으로 포맷팅
@@ -17,19 +23,11 @@ const formatDate = (date) => {
 };
 
 /**
- * 현재 날짜와 강의 날짜가 동일한지 확인
- */
-const isSameDate = (lectureDate) => {
-    if (!lectureDate || !(lectureDate instanceof Date)) return false;
-    const today = new Date();
-    return today.toDateString() === lectureDate.toDateString();
-};
-
-/**
- * 출석 체크가 가능한지 확인
+ * 출석 체크가 가능한지 확인 (강의 당일, 출석체크 마감 전)
  */
 const canMarkAttendance = (header, attendanceItem) => {
-    if (!isSameDate(header.date)) {
+    const { phase } = getCheckInState(header);
+    if (phase !== CHECK_IN_PHASE.ON_TIME && phase !== CHECK_IN_PHASE.LATE) {
         return false;
     }
 
@@ -41,12 +39,59 @@ const canMarkAttendance = (header, attendanceItem) => {
     return isUnrecorded;
 };
 
+/**
+ * 결석 사유를 제출할 수 있는지 확인 (결석이거나, 아직 기록되지 않았고 지금 출석체크할 수 없는 지난/예정 강의)
+ */
+const canSubmitAbsenceReason = (header, attendanceItem) => {
+    const status = attendanceItem?.status?.trim() || ATTENDANCE_STATUS.NONE;
+    if (status === ATTENDANCE_STATUS.ABSENT) {
+        return true;
+    }
+    return status === ATTENDANCE_STATUS.NONE && !canMarkAttendance(header, attendanceItem);
+};
+
+/**
+ * 소감문을 제출할 수 있는지 확인 (결석했거나, 지나간 강의에 출석 기록이 없는 경우)
+ */
+const canSubmitEssay = (header, attendanceItem) => {
+    const status = attendanceItem?.status?.trim() || ATTENDANCE_STATUS.NONE;
+    if (status === ATTENDANCE_STATUS.ABSENT) {
+        return true;
+    }
+    if (status !== ATTENDANCE_STATUS.NONE || !(header?.date instanceof Date)) {
+        return false;
+    }
+
+    const { phase } = getCheckInState(header);
+    return phase === CHECK_IN_PHASE.CLOSED || header.date < getCheckInToday();
+};
+
+// 학생 신청 작성 창 문구 (종류별)
+const REQUEST_FORMS = {
+    [REQUEST_TYPE.ABSENCE]: {
+        title: '결석 사유 제출',
+        placeholder: '결석(예정) 사유를 적어주세요. (예: 병원 진료, 학교 행사)',
+        guide: '관리자가 확인한 뒤 출석부에 반영됩니다. 증빙 서류가 있으면 따로 제출해주세요.',
+        rows: 4
+    },
+    [REQUEST_TYPE.ESSAY]: {
+        title: '소감문 제출',
+        placeholder: '강의 자료를 보고 배운 점과 느낀 점을 적어주세요.',
+        guide: '관리자가 읽고 승인하면 이 강의가 소감문(ㅁ)으로 출석 인정됩니다.',
+        rows: 10
+    }
+};
+
 /**
  * 오늘의 출석 상태를 확인
+ * QR 출석 링크로 들어왔다면 날짜 대신 링크의 강의를 선택
  */
-const getTodayAttendanceStatus = (headers, attendance) => {
-    // 오늘 날짜에 해당하는 강의 찾기
-    const todayLectureIndex = headers.findIndex(header => isSameDate(header.date));
+const getTodayAttendanceStatus = (headers, attendance, linkedLecture = null) => {
+    // 링크의 강의 또는 오늘 날짜에 해당하는 강의 찾기
+    const linkedLectureIndex = linkedLecture ? headers.findIndex(header => header.lecture === linkedLecture) : -1;
+    const todayLectureIndex = linkedLectureIndex >= 0
+        ? linkedLectureIndex
+        : headers.findIndex(header => isCheckInDay(header.date));
 
     if (todayLectureIndex === -1) {
         return {
@@ -75,21 +120,53 @@ const getTodayAttendanceStatus = (headers, attendance) => {
     };
 };
 
+/**
+ * 출석체크 상태가 다음에 바뀌는 시각 (시작 전 → 출석 → 지각 → 마감, 시간이 정해진 강의만)
+ */
+const getNextCheckInChange = (header, checkInState) => {
+    if (!header?.checkInWindow) return null;
+    if (checkInState.phase === CHECK_IN_PHASE.NOT_OPEN) return checkInState.opensAt;
+    if (checkInState.phase === CHECK_IN_PHASE.ON_TIME) return checkInState.lateAfter;
+    if (checkInState.phase === CHECK_IN_PHASE.LATE) return checkInState.closesAt;
+    return null;
+};
+
+/**
+ * 출석체크 시간 안내 (다음 단계까지 1시간 이내로 남았을 때만)
+ */
+const formatCheckInCountdown = (checkInState, remainingMs) => {
+    const minutes = Math.ceil(remainingMs / 60000);
+    if (!checkInState.startsAt || minutes <= 0 || minutes > 60) {
+        return '';
+    }
+    if (checkInState.phase === CHECK_IN_PHASE.NOT_OPEN) {
+        return `${minutes}분 후 시작`;
+    }
+    if (checkInState.phase === CHECK_IN_PHASE.ON_TIME) {
+        return `${minutes}분 후부터 지각`;
+    }
+    return `${minutes}분 후 마감`;
+};
+
 /**
  * 출석 체크 헤더 컴포넌트
+ * 출석체크 시간이 정해진 강의는 시간(시작 · 지각 · 마감)을 함께 표시하고, 유예 시간이 지나면 지각으로 기록됨을 안내
  */
 const AttendanceCheckHeader = ({
                                    student,
                                    todayStatus,
+                                   checkInState,
+                                   checkInRemainingMs,
                                    onAttendanceClick,
                                    cellUpdateLoading
                                }) => {
     const { hasTodayLecture, isCompleted, header, attendance } = todayStatus;
+    const windowText = describeCheckInWindow(header?.checkInWindow);
 
     // 상태에 따른 버튼/메시지 렌더링
     const renderContent = () => {
-        if (!hasTodayLecture) {
-            // 오늘 강의가 없는 경우
+        if (!hasTodayLecture || (!isCompleted && checkInState.phase === CHECK_IN_PHASE.NOT_TODAY)) {
+            // 오늘 강의가 없는 경우 (QR 링크의 강의가 오늘이 아닌 경우 포함)
             return (
                 <div className="flex items-center justify-center py-3 px-4 bg-gray-50 border border-gray-200 rounded-lg">
                     <div className="flex items-center text-gray-600">
@@ -104,7 +181,7 @@ const AttendanceCheckHeader = ({
 
         if (isCompleted) {
             // 출석 완료된 경우
-            const style = getAttendanceStyle(attendance.status);
+            const style = getAttendanceStyle(getStudentVisibleStatus(attendance.status));
             return (
                 <div className="flex items-center justify-center py-3 px-4 bg-green-50 border border-green-200 rounded-lg">
                     <div className="flex items-center text-green-700">
@@ -121,16 +198,62 @@ const AttendanceCheckHeader = ({
             );
         }
 
-        // 출석 가능한 경우
+        if (checkInState.phase === CHECK_IN_PHASE.NOT_OPEN) {
+            // 강의 당일, 출석체크 시작 전
+            const countdownText = formatCheckInCountdown(checkInState, checkInRemainingMs);
+            return (
+                <div className="flex items-center justify-center py-3 px-4 bg-gray-50 border border-gray-200 rounded-lg">
+                    <div className="flex items-center text-gray-600">
+                        <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+                        </svg>
+                        <span className="text-sm font-medium">
+                            {header.lecture} 출석체크는 {formatClock(getOpenMinutes(header.checkInWindow))}부터 할 수 있습니다
+                            {countdownText && ` (${countdownText})`}
+                        </span>
+                    </div>
+                </div>
+            );
+        }
+
+        if (checkInState.phase === CHECK_IN_PHASE.CLOSED) {
+            // 출석체크 마감 후
+            return (
+                <div className="flex items-center justify-center py-3 px-4 bg-gray-50 border border-gray-200 rounded-lg">
+                    <div className="flex items-center text-gray-600">
+                        <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+                        </svg>
+                        <span className="text-sm font-medium">
+                            {header.lecture} 출석체크가 마감되었습니다 ({formatClock(header.checkInWindow.endMinutes)} 마감)
+                        </span>
+                    </div>
+                </div>
+            );
+        }
+
+        // 출석 가능한 경우 (유예 시간이 지났으면 지각으로 기록)
+        const isLate = checkInState.phase === CHECK_IN_PHASE.LATE;
+        const countdownText = formatCheckInCountdown(checkInState, checkInRemainingMs);
         return (
-            <div className="flex items-center justify-between py-3 px-4 bg-blue-50 border border-blue-200 rounded-lg">
-                <div className="flex items-center text-blue-700">
+            <div className={`flex items-center justify-between py-3 px-4 border rounded-lg ${isLate ? 'bg-orange-50 border-orange-200' : 'bg-blue-50 border-blue-200'}`}>
+                <div className={`flex items-center ${isLate ? 'text-orange-700' : 'text-blue-700'}`}>
                     <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                         <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5H7a2 2 0 00-2 2v10a2 2 0 002 2h8a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2" />
                     </svg>
                     <div>
                         <div className="text-sm font-medium">{header.lecture}</div>
-                        <div className="text-xs text-blue-600">{formatDate(header.date)}</div>
+                        <div className={`text-xs ${isLate ? 'text-orange-600' : 'text-blue-600'}`}>
+                            {formatDate(header.date)}
+                            {windowText && ` · ${windowText}`}
+                        </div>
+                        {(isLate || countdownText) && (
+                            <div className={`text-xs font-medium ${isLate ? 'text-orange-600' : 'text-blue-600'}`}>
+                                {isLate ? '지금 출석하면 지각으로 기록됩니다' : ''}
+                                {isLate && countdownText ? ' · ' : ''}
+                                {countdownText}
+                            </div>
+                        )}
                     </div>
                 </div>
                 <button
@@ -150,7 +273,7 @@ const AttendanceCheckHeader = ({
                             <svg className="w-4 h-4 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z" />
                             </svg>
-                            출석 체크
+                            {isLate ? '출석 체크 (지각)' : '출석 체크'}
                         </>
                     )}
                 </button>
@@ -175,6 +298,9 @@ const AttendanceCheckHeader = ({
  * @param {Function} props.onAttendanceUpdate - 출석 업데이트 콜백
  * @param {number} props.studentRowIndex - 학생의 데이터 행 인덱스
  * @param {boolean} props.cellUpdateLoading - 셀 업데이트 로딩 상태
+ * @param {Object|null} props.checkInLink - QR 출석 링크 {token, lecture} (있으면 해당 강의를 인증번호 없이 출석)
+ * @param {Function} props.getCheckInLock - 이 기기의 본인 출석체크 잠금 상태 (studentName) => {lockedUntil}
+ * @param {Function} props.onStudentRequest - 학생 신청(결석 사유, 소감문) 제출 콜백 (type, rowIndex, lectureIndex, text) => Promise (없으면 신청 버튼 숨김)
  * @param {string} props.className - 추가 CSS 클래스
  */
 const AttendanceCard = ({
@@ -185,18 +311,37 @@ const AttendanceCard = ({
                             onAttendanceUpdate,
                             studentRowIndex,
                             cellUpdateLoading = false,
+                            checkInLink = null,
+                            getCheckInLock,
+                            onStudentRequest,
                             className = ''
                         }) => {
     // 확인 모달 상태
     const [confirmModal, setConfirmModal] = useState({
         isOpen: false,
-        lectureIndex: -1
+        lectureIndex: -1,
+        lockedUntil: null,
+        isLate: false
     });
 
+    // 작성 중인 신청 {type, lectureIndex} (null이면 닫힘)와 이 화면에서 제출한 신청 ("종류:강의 인덱스")
+    const [requestForm, setRequestForm] = useState(null);
+    const [submittedRequests, setSubmittedRequests] = useState(() => new Set());
+
     // 오늘의 출석 상태 확인
     const todayStatus = useMemo(() => {
-        return getTodayAttendanceStatus(headers, attendance);
-    }, [headers, attendance]);
+        return getTodayAttendanceStatus(headers, attendance, checkInLink?.lecture);
+    }, [headers, attendance, checkInLink]);
+
+    // 오늘 강의의 출석체크 시간 (지각 처리 시작, 마감 시각이 되면 다시 계산되도록 다음 시각까지 카운트다운)
+    const checkInState = getCheckInState(todayStatus.header);
+    const nextCheckInChange = getNextCheckInChange(todayStatus.header, checkInState);
+    const checkInRemainingMs = useCountdown(nextCheckInChange);
+
+    // QR 링크의 강의를 출석하는 경우에만 인증번호 입력 생략
+    const usesCheckInLink = Boolean(checkInLink) &&
+        confirmModal.lectureIndex >= 0 &&
+        headers[confirmModal.lectureIndex]?.lecture === checkInLink.lecture;
 
     // 출석 통계 계산 - 새로운 calculateAttendanceStats 함수 사용
     const attendanceStats = useMemo(() => {
@@ -242,6 +387,9 @@ const AttendanceCard = ({
         };
     }, [attendance, headers.length]);
 
+    // 수료 판정 (설정 탭의 수료 기준)
+    const completion = useMemo(() => evaluateCompletion(attendance, headers), [attendance, headers]);
+
     // 전체 출석 현황 (오름차순 정렬)
     const allAttendance = useMemo(() => {
         if (!attendance || !headers) return [];
@@ -249,8 +397,7 @@ const AttendanceCard = ({
         return headers.map((header, index) => ({
             header,
             attendance: attendance[index] || { status: ATTENDANCE_STATUS.NONE, desc: '' },
-            index,
-            canMark: canMarkAttendance(header, attendance[index])
+            index
         })).sort((a, b) => {
             // 날짜 오름차순 정렬
             return new Date(a.header.date) - new Date(b.header.date);
@@ -258,13 +405,18 @@ const AttendanceCard = ({
     }, [attendance, headers]);
 
     // 인증번호 검증 성공 후 출석 처리
-    const handleAttendanceConfirm = async () => {
+    const handleAttendanceConfirm = async (attendanceCode) => {
         if (!onAttendanceUpdate || confirmModal.lectureIndex < 0) return;
 
         try {
-            // 출석 상태(PRESENT)만 저장
-            await onAttendanceUpdate(studentRowIndex, confirmModal.lectureIndex, ATTENDANCE_STATUS.PRESENT);
-            setConfirmModal({ isOpen: false, lectureIndex: -1 });
+            // 출석(유예 시간이 지났으면 지각)만 저장 - 인증번호(또는 QR 토큰)는 기록 요청과 함께 보내 백엔드에서 확인
+            // 백엔드도 출석체크 시간을 다시 확인하여 출석/지각을 정함
+            const credential = usesCheckInLink && attendanceCode === undefined
+                ? { checkInToken: checkInLink.token }
+                : { attendanceCode };
+            const status = getCheckInState(headers[confirmModal.lectureIndex]).status || ATTENDANCE_STATUS.PRESENT;
+            await onAttendanceUpdate(studentRowIndex, confirmModal.lectureIndex, status, credential);
+            setConfirmModal({ isOpen: false, lectureIndex: -1, lockedUntil: null, isLate: false });
         } catch (error) {
             // 에러는 상위 컴포넌트에서 처리됨
             console.error('출석 처리 실패:', error);
@@ -276,13 +428,39 @@ const AttendanceCard = ({
     const handleAttendanceClick = (lectureIndex) => {
         setConfirmModal({
             isOpen: true,
-            lectureIndex: lectureIndex
+            lectureIndex: lectureIndex,
+            // 인증번호를 여러 번 틀려 잠긴 상태면 창을 열 때부터 남은 시간 안내
+            lockedUntil: getCheckInLock?.(student.name).lockedUntil ?? null,
+            isLate: getCheckInState(headers[lectureIndex]).phase === CHECK_IN_PHASE.LATE
         });
     };
 
     // 모달 취소 핸들러
     const handleModalCancel = () => {
-        setConfirmModal({ isOpen: false, lectureIndex: -1 });
+        setConfirmModal({ isOpen: false, lectureIndex: -1, lockedUntil: null, isLate: false });
+    };
+
+    // 결석 사유/소감문 제출 (에러는 작성 창에 표시)
+    const handleRequestSubmit = async (text) => {
+        const { type, lectureIndex } = requestForm;
+        await onStudentRequest(type, studentRowIndex, lectureIndex, text);
+        setSubmittedRequests(prev => new Set(prev).add(`${type}:${lectureIndex}`));
+        setRequestForm(null);
+    };
+
+    // 신청 버튼 (이 화면에서 이미 제출했으면 제출됨 표시)
+    const renderRequestButton = (type, lectureIndex, label) => {
+        if (submittedRequests.has(`${type}:${lectureIndex}`)) {
+            return <span className="px-2 py-1 text-xs text-gray-500">{label} 제출됨</span>;
+        }
+        return (
+            <button
+                onClick={() => setRequestForm({ type, lectureIndex })}
+                className="px-3 py-1 text-sm text-gray-700 border border-gray-300 rounded-full hover:bg-gray-50 transition-colors"
+            >
+                {label}
+            </button>
+        );
     };
 
     if (!student) {
@@ -297,6 +475,8 @@ const AttendanceCard = ({
                     <AttendanceCheckHeader
                         student={student}
                         todayStatus={todayStatus}
+                        checkInState={checkInState}
+                        checkInRemainingMs={checkInRemainingMs}
                         onAttendanceClick={handleAttendanceClick}
                         cellUpdateLoading={cellUpdateLoading}
                     />
@@ -320,7 +500,15 @@ const AttendanceCard = ({
                                 </p>
                             </div>
                         </div>
+                        {headers.length > 0 && (
+                            <span className={`px-2.5 py-1 rounded-full text-sm font-medium ${COMPLETION_RESULT_CLASSES[completion.result]}`}>
+                                {COMPLETION_RESULT_LABELS[completion.result]}
+                            </span>
+                        )}
                     </div>
+                    {headers.length > 0 && (
+                        <p className="mt-2 text-sm text-gray-600">{getCompletionSummary(completion)}</p>
+                    )}
                 </div>
 
                 {/* 전체 출석 현황 (오름차순 정렬) */}
@@ -329,9 +517,10 @@ const AttendanceCard = ({
                         <h4 className="text-sm font-medium text-gray-700 mb-3">전체 출석 현황</h4>
                         <div className="space-y-2 max-h-80 overflow-y-auto">
                             {allAttendance.map((item, index) => {
-                                // 새로운 getAttendanceStyle 함수 사용
-                                const style = getAttendanceStyle(item.attendance.status);
-                                const config = ATTENDANCE_CONFIG[item.attendance.status];
+                                // 새로운 getAttendanceStyle 함수 사용 (관리자 전용 상태는 출석/결석으로 표시)
+                                const visibleStatus = getStudentVisibleStatus(item.attendance.status);
+                                const style = getAttendanceStyle(visibleStatus);
+                                const config = ATTENDANCE_CONFIG[visibleStatus];
 
                                 // 표시할 내용 결정 - 새로운 시스템에 맞게
                                 let displayContent;
@@ -353,7 +542,7 @@ const AttendanceCard = ({
                                                 <div className="font-medium">{item.header.lecture}</div>
                                                 <div className="text-xs text-gray-500">
                                                     {formatDate(item.header.date)}
-                                                    {isSameDate(item.header.date) && (
+                                                    {isCheckInDay(item.header.date) && (
                                                         <span className="ml-2 text-blue-500 font-medium">오늘</span>
                                                     )}
                                                 </div>
@@ -372,8 +561,8 @@ const AttendanceCard = ({
                                                 </span>
                                             </div>
 
-                                            {/* 출석 버튼 (조건부 표시) - 출석만 체크 가능 */}
-                                            {item.canMark && onAttendanceUpdate && (
+                                            {/* 출석 버튼 (조건부 표시) - 출석체크 시간 안에만 체크 가능 (지각, 마감 시각에 다시 계산) */}
+                                            {canMarkAttendance(item.header, attendance[item.index]) && onAttendanceUpdate && (
                                                 <button
                                                     onClick={() => handleAttendanceClick(item.index)}
                                                     disabled={cellUpdateLoading}
@@ -391,6 +580,14 @@ const AttendanceCard = ({
                                                     )}
                                                 </button>
                                             )}
+
+                                            {/* 결석 사유 제출 (결석이거나 출석체크할 수 없는 미기록 강의, 관리자 승인 후 반영) */}
+                                            {onStudentRequest && canSubmitAbsenceReason(item.header, attendance[item.index]) &&
+                                                renderRequestButton(REQUEST_TYPE.ABSENCE, item.index, '사유')}
+
+                                            {/* 소감문 제출 (놓친 강의, 관리자 승인 후 소감문으로 출석 인정) */}
+                                            {onStudentRequest && canSubmitEssay(item.header, attendance[item.index]) &&
+                                                renderRequestButton(REQUEST_TYPE.ESSAY, item.index, '소감문')}
                                         </div>
                                     </div>
                                 );
@@ -422,6 +619,20 @@ const AttendanceCard = ({
                 onConfirm={handleAttendanceConfirm}
                 onCancel={handleModalCancel}
                 loading={cellUpdateLoading}
+                hasCheckInLink={usesCheckInLink}
+                lockedUntil={confirmModal.lockedUntil}
+                isLate={confirmModal.isLate}
+            />
+
+            {/* 결석 사유/소감문 작성 */}
+            <StudentRequestModal
+                isOpen={requestForm !== null}
+                {...(requestForm ? REQUEST_FORMS[requestForm.type] : {})}
+                studentName={student.name}
+                header={requestForm ? headers[requestForm.lectureIndex] : null}
+                maxLength={requestForm ? getRequestTextLimit(requestForm.type) : undefined}
+                onSubmit={handleRequestSubmit}
+                onCancel={() => setRequestForm(null)}
             />
         </>
     );
@@ -2,20 +2,28 @@ import React, {useState, useMemo, useRef, useEffect, useCallback} from 'react';
 import {useGoogleSheets} from '../../hooks/useGoogleSheets';
 import LoadingSpinner from '../common/LoadingSpinner';
 import ErrorMessage from '../common/ErrorMessage';
+import SemesterSelector from '../common/SemesterSelector';
+import {AUDIT_SOURCE} from '../../services/auditLog.js';
+import {AttendanceCodeError, QuotaError} from '../../services/errors.js';
+import {decodeCheckInToken} from '../../services/checkInLinks.js';
+import {OUTBOX_STATUS, isSelfCheckInEntry} from '../../services/offlineOutbox.js';
+import {REQUEST_TEXT_LABELS} from '../../services/studentRequests.js';
 import AttendanceCard from './AttendanceCard';
 // 새로운 출석 상태 모듈 import
 import {
     ATTENDANCE_STATUS,
-    isAttendanceStatus
+    isAttendanceStatus,
+    parseAttendanceCell
 } from '../../utils/attendanceStatus.js';
 
 /**
  * 모바일용 출석체크 메인 컨테이너 컴포넌트
  * @param {Object} props
  * @param {Object} props.options - useGoogleSheets 훅 옵션
+ * @param {string|null} props.checkInToken - QR 출석 링크로 들어온 경우의 출석 토큰
  * @param {string} props.className - 추가 CSS 클래스
  */
-const AttendanceCheck = ({options = {}, className = ''}) => {
+const AttendanceCheck = ({options = {}, checkInToken = null, className = ''}) => {
     // 검색 관련 상태 관리
     const [searchTerm, setSearchTerm] = useState('');
     const [selectedStudent, setSelectedStudent] = useState(null);
@@ -29,6 +37,7 @@ const AttendanceCheck = ({options = {}, className = ''}) => {
     // 성공/에러 메시지 상태 추가
     const [successMessage, setSuccessMessage] = useState('');
     const [errorMessage, setErrorMessage] = useState('');
+    const [pendingMessage, setPendingMessage] = useState('');
 
     // Google Sheets 훅 사용 - cellUpdateLoading 추가
     const {
@@ -43,8 +52,45 @@ const AttendanceCheck = ({options = {}, className = ''}) => {
         isAuthenticated,
         config,
         updateCell,           // 추가
-        cellUpdateLoading     // 추가
-    } = useGoogleSheets(options);
+        submitStudentRequest,
+        getCheckInLock,
+        cellUpdateLoading,    // 추가
+        queueStatus,
+        outboxStatus,
+        dismissOutboxEntry,
+        semesters,
+        selectedSemester,
+        selectSemester
+    } = useGoogleSheets({
+        ...options,
+        // 와이파이가 끊겨도 출석이 사라지지 않도록 오프라인 대기열 사용
+        offlineQueue: true,
+        // 본인 출석체크 기록은 변경 이력에 남김
+        auditSource: AUDIT_SOURCE.SELF_CHECK_IN
+    });
+
+    // 오프라인으로 보관했다가 다시 보냈지만 저장되지 않은 본인 출석체크 (학생이 확인하면 정리)
+    const failedCheckIns = useMemo(() => (outboxStatus?.entries || [])
+        .filter(entry => entry.status !== OUTBOX_STATUS.PENDING && isSelfCheckInEntry(entry)), [outboxStatus]);
+
+    // QR 출석 링크 (서명은 기록 요청 때 백엔드에서 확인하고, 여기서는 강의 선택에만 사용)
+    const checkInLink = useMemo(() => {
+        const payload = decodeCheckInToken(checkInToken);
+        return payload ? {...payload, token: checkInToken, expired: payload.expiresAt <= Date.now()} : null;
+    }, [checkInToken]);
+    const activeCheckInLink = checkInLink && !checkInLink.expired ? checkInLink : null;
+
+    // QR 링크의 학기 출석부로 한 번만 전환 (이후 학기 변경은 사용자 선택을 따름)
+    const checkInSemesterAppliedRef = useRef(false);
+    useEffect(() => {
+        if (!activeCheckInLink || checkInSemesterAppliedRef.current || semesters.length === 0) return;
+
+        checkInSemesterAppliedRef.current = true;
+        const linkedSemester = semesters.find(semester => semester.sheetName === activeCheckInLink.sheetName);
+        if (linkedSemester && linkedSemester.sheetName !== selectedSemester.sheetName) {
+            selectSemester(linkedSemester.sheetName);
+        }
+    }, [activeCheckInLink, semesters, selectedSemester.sheetName, selectSemester]);
 
     // 검색 제안 목록 생성
     const suggestions = useMemo(() => {
@@ -55,6 +101,9 @@ const AttendanceCheck = ({options = {}, className = ''}) => {
         const searchLower = searchTerm.toLowerCase();
         return data.dataRows
             .filter(row => {
+                // 퇴소한 학생은 출석체크 대상에서 제외 (기록은 시트에 유지)
+                if (row.user?.withdrawn) return false;
+
                 const name = row.user?.name || '';
                 const className = row.user?.class || '';
                 return name.toLowerCase().includes(searchLower) ||
@@ -144,6 +193,12 @@ const AttendanceCheck = ({options = {}, className = ''}) => {
         setHighlightedIndex(-1);
     };
 
+    // 학기 변경 핸들러 - 다른 학기 출석부에는 선택한 학생 행이 없으므로 검색 초기화
+    const handleSelectSemester = (semesterSheetName) => {
+        handleClearSearch();
+        selectSemester(semesterSheetName);
+    };
+
     // 학생 선택 핸들러
     const handleSelectStudent = (student) => {
         setSelectedStudent(student);
@@ -185,10 +240,11 @@ const AttendanceCheck = ({options = {}, className = ''}) => {
     };
 
     // 출석 업데이트 핸들러 - 출석(O)만 저장하도록 수정
-    const handleAttendanceUpdate = useCallback(async (rowIndex, colIndex, newValue) => {
+    const handleAttendanceUpdate = useCallback(async (rowIndex, colIndex, newValue, options = {}) => {
         try {
             setErrorMessage('');
             setSuccessMessage('');
+            setPendingMessage('');
 
             // 1. 즉시 UI 업데이트를 위한 데이터 수정
             if (selectedStudent && data?.dataRows) {
@@ -197,11 +253,8 @@ const AttendanceCheck = ({options = {}, className = ''}) => {
                 const targetRow = { ...updatedDataRows[selectedStudent.originalIndex] };
                 const updatedAttendance = [...(targetRow.attendance || [])];
 
-                // 새로운 출석 상태로 업데이트 - 출석만 저장
-                updatedAttendance[colIndex] = {
-                    status: newValue === ATTENDANCE_STATUS.PRESENT ? ATTENDANCE_STATUS.PRESENT : ATTENDANCE_STATUS.NONE,
-                    desc: ''
-                };
+                // 새로운 출석 상태로 업데이트 - 출석(또는 지각)만 저장
+                updatedAttendance[colIndex] = parseAttendanceCell(newValue);
 
                 targetRow.attendance = updatedAttendance;
                 updatedDataRows[selectedStudent.originalIndex] = targetRow;
@@ -214,12 +267,21 @@ const AttendanceCheck = ({options = {}, className = ''}) => {
                 }));
             }
 
-            // 2. 실제 Google Sheets 업데이트
-            await updateCell(rowIndex, colIndex, newValue);
+            // 2. 실제 Google Sheets 업데이트 (연결이 끊기면 대기열에 보관됨)
+            const written = await updateCell(rowIndex, colIndex, newValue, options);
+            const studentName = selectedStudent?.user?.name || '학생';
+
+            if (!written) {
+                // 연결 복구 시 자동으로 저장되므로 에러 대신 대기 상태 안내
+                setPendingMessage(`${studentName}의 출석이 저장 대기 중입니다. 연결되면 자동으로 저장됩니다.`);
+                setTimeout(() => setPendingMessage(''), 5000);
+                return;
+            }
 
             // 3. 성공 메시지 표시
-            const studentName = selectedStudent?.user?.name || '학생';
-            setSuccessMessage(`${studentName}의 출석이 완료되었습니다.`);
+            setSuccessMessage(newValue === ATTENDANCE_STATUS.LATE
+                ? `${studentName}의 출석이 지각으로 기록되었습니다.`
+                : `${studentName}의 출석이 완료되었습니다.`);
 
             // 4. 백그라운드에서 최신 데이터 가져오기 (UI 블로킹 없이)
             setTimeout(() => {
@@ -245,11 +307,28 @@ const AttendanceCheck = ({options = {}, className = ''}) => {
                 }
             }
 
+            // 인증번호 오류는 확인 창에서 다시 입력하도록 전달
+            if (error instanceof AttendanceCodeError || error instanceof QuotaError) {
+                throw error;
+            }
+
             setErrorMessage(`출석 처리 실패: ${error.message}`);
             setTimeout(() => setErrorMessage(''), 5000);
         }
     }, [updateCell, selectedStudent, data]);
 
+    // 학생 신청 핸들러 (결석 사유 등) - 출석부는 관리자가 승인할 때 바뀌므로 접수 안내만 표시
+    // 실패하면 작성 창에서 에러를 보여주도록 전달
+    const handleStudentRequest = useCallback(async (type, rowIndex, colIndex, text) => {
+        setErrorMessage('');
+        setSuccessMessage('');
+
+        const entry = await submitStudentRequest(type, rowIndex, colIndex, text);
+        setSuccessMessage(`${entry.userName}의 ${entry.lecture} ${REQUEST_TEXT_LABELS[type] || '신청'} 제출 완료 - 관리자 확인 후 반영됩니다.`);
+        setTimeout(() => setSuccessMessage(''), 5000);
+        return entry;
+    }, [submitStudentRequest]);
+
     // 메시지 닫기 핸들러들
     const handleCloseSuccessMessage = () => setSuccessMessage('');
     const handleCloseErrorMessage = () => setErrorMessage('');
@@ -311,6 +390,29 @@ const AttendanceCheck = ({options = {}, className = ''}) => {
     // 성공 상태 렌더링
     return (
         <div className={`container mx-auto px-4 py-6 md:max-w-lg md:rounded-3xl md:shadow-lg mx-auto ${className}`}>
+            {/* 학기 */}
+            <div className="flex items-center justify-between mb-4">
+                <h2 className="text-lg font-semibold text-gray-900">{selectedSemester.label} 출석체크</h2>
+                <SemesterSelector
+                    semesters={semesters}
+                    selectedSheetName={selectedSemester.sheetName}
+                    onSelect={handleSelectSemester}
+                    disabled={loading || cellUpdateLoading}
+                />
+            </div>
+
+            {/* QR 출석 안내 */}
+            {activeCheckInLink && activeCheckInLink.sheetName === selectedSemester.sheetName && (
+                <div className="mb-4 p-3 bg-blue-50 border border-blue-200 rounded-lg text-sm text-blue-800">
+                    📱 QR 출석: <strong>{activeCheckInLink.lecture}</strong> — 이름을 찾아 출석 체크를 누르세요
+                </div>
+            )}
+            {checkInLink?.expired && (
+                <div className="mb-4 p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800">
+                    ⏰ QR 코드가 만료되었습니다. 강의실 화면의 인증번호로 출석해주세요
+                </div>
+            )}
+
             {/* 검색바 */}
             <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4 mb-6 relative">
                 <div className="relative mb-4">
@@ -445,7 +547,7 @@ const AttendanceCheck = ({options = {}, className = ''}) => {
             </div>
 
             {/* 성공/에러 메시지 표시 영역 */}
-            {(successMessage || errorMessage) && (
+            {(successMessage || errorMessage || pendingMessage) && (
                 <div className="mb-4 space-y-2">
                     {/* 성공 메시지 */}
                     {successMessage && (
@@ -463,6 +565,22 @@ const AttendanceCheck = ({options = {}, className = ''}) => {
                         </div>
                     )}
 
+                    {/* 저장 대기 메시지 */}
+                    {pendingMessage && (
+                        <div className="bg-amber-50 border border-amber-200 rounded-lg p-4 flex items-center justify-between">
+                            <div className="flex items-center">
+                                <div className="text-amber-500 mr-2">⏳</div>
+                                <span className="text-amber-700 font-medium">{pendingMessage}</span>
+                            </div>
+                            <button
+                                onClick={() => setPendingMessage('')}
+                                className="text-amber-500 hover:text-amber-700"
+                            >
+                                ✕
+                            </button>
+                        </div>
+                    )}
+
                     {/* 에러 메시지 */}
                     {errorMessage && (
                         <div className="bg-red-50 border border-red-200 rounded-lg p-4 flex items-center justify-between">
@@ -481,6 +599,35 @@ const AttendanceCheck = ({options = {}, className = ''}) => {
                 </div>
             )}
 
+            {/* 오프라인 출석체크 저장 실패 안내 */}
+            {failedCheckIns.length > 0 && (
+                <div className="mb-4 space-y-2">
+                    {failedCheckIns.map(entry => (
+                        <div key={entry.id} className="bg-red-50 border border-red-200 rounded-lg p-4 flex items-center justify-between">
+                            <div className="flex items-start">
+                                <div className="text-red-500 mr-2">⚠</div>
+                                <div>
+                                    <div className="text-red-700 font-medium">
+                                        {entry.userName} {entry.lecture} 출석체크가 저장되지 않았습니다
+                                    </div>
+                                    <div className="text-sm text-red-600">
+                                        {entry.status === OUTBOX_STATUS.CONFLICT
+                                            ? '그 사이 출석부가 바뀌었습니다. 출석 현황을 확인해주세요.'
+                                            : `${entry.lastError} 출석체크가 아직 열려 있으면 다시 해주시고, 아니면 담당자에게 알려주세요.`}
+                                    </div>
+                                </div>
+                            </div>
+                            <button
+                                onClick={() => dismissOutboxEntry(entry.id)}
+                                className="text-red-500 hover:text-red-700"
+                            >
+                                ✕
+                            </button>
+                        </div>
+                    ))}
+                </div>
+            )}
+
             {/* 메인 컨텐츠 */}
             {!hasData ? (
                 <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-8 text-center">
@@ -558,6 +705,9 @@ const AttendanceCheck = ({options = {}, className = ''}) => {
                         onAttendanceUpdate={handleAttendanceUpdate}
                         studentRowIndex={selectedStudent.originalIndex}
                         cellUpdateLoading={cellUpdateLoading}
+                        checkInLink={activeCheckInLink?.sheetName === selectedSemester.sheetName ? activeCheckInLink : null}
+                        getCheckInLock={getCheckInLock}
+                        onStudentRequest={handleStudentRequest}
                     />
                 </div>
             )}
@@ -584,6 +734,12 @@ const AttendanceCheck = ({options = {}, className = ''}) => {
                 </span>
                 </div>
 
+                {config?.backend === 'local' && (
+                    <div className="px-2 py-0.5 bg-yellow-50 text-yellow-700 text-xs rounded-full border border-yellow-200">
+                        오프라인 데모
+                    </div>
+                )}
+
                 {loading && (
                     <div className="flex items-center gap-2">
                         <div className="w-2 h-2 bg-blue-400 rounded-full animate-pulse"></div>
@@ -591,6 +747,23 @@ const AttendanceCheck = ({options = {}, className = ''}) => {
                     </div>
                 )}
 
+                {outboxStatus?.pending > 0 && (
+                    <div className="flex items-center gap-2">
+                        <div className="w-2 h-2 bg-amber-400 rounded-full animate-pulse"></div>
+                        <span className="text-sm text-amber-600">저장 대기 중 {outboxStatus.pending}건</span>
+                    </div>
+                )}
+
+                {/* 요청이 몰려 대기 중이거나 재시도 중일 때 표시 */}
+                {(queueStatus?.pending > 0 || queueStatus?.retrying > 0) && (
+                    <div className="flex items-center gap-2">
+                        <div className="w-2 h-2 bg-orange-400 rounded-full animate-pulse"></div>
+                        <span className="text-sm text-orange-600">
+                            {queueStatus.retrying > 0 ? '접속자가 많아 재시도 중...' : `요청 대기 중 ${queueStatus.pending}건`}
+                        </span>
+                    </div>
+                )}
+
                 {lastFetch && (
                     <div className="text-sm text-gray-500">
                         최근 업데이트: {new Date(lastFetch).toLocaleString('ko-KR')}
@@ -0,0 +1,111 @@
+import React, { useState, useEffect } from 'react';
+import { MAX_REQUEST_TEXT_LENGTH } from '../../services/studentRequests.js';
+
+/**
+ * 학생 신청 작성 팝업 (결석 사유, 소감문)
+ * 제출한 내용은 관리자가 확인한 뒤 출석부에 반영되며, 실패하면 창을 닫지 않고 에러 메시지를 표시
+ * @param {Object} props
+ * @param {boolean} props.isOpen - 모달 열림 상태
+ * @param {string} props.title - 제목 (예: '결석 사유 제출')
+ * @param {string} props.studentName - 학생 이름
+ * @param {Object|null} props.header - 신청할 강의 헤더 {lecture, date}
+ * @param {string} props.placeholder - 입력 안내 문구
+ * @param {string} props.guide - 제출 후 처리 안내 문구
+ * @param {number} props.rows - 입력 칸 줄 수
+ * @param {number} props.maxLength - 최대 글자 수 (getRequestTextLimit)
+ * @param {Function} props.onSubmit - 제출 핸들러 (text) => Promise
+ * @param {Function} props.onCancel - 취소 버튼 클릭 핸들러
+ */
+const StudentRequestModal = ({ isOpen, title, studentName, header, placeholder = '', guide = '', rows = 4, maxLength = MAX_REQUEST_TEXT_LENGTH, onSubmit, onCancel }) => {
+    const [text, setText] = useState('');
+    const [error, setError] = useState('');
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    // 모달이 닫힐 때 초기화
+    useEffect(() => {
+        if (!isOpen) {
+            setText('');
+            setError('');
+            setIsSubmitting(false);
+        }
+    }, [isOpen]);
+
+    const trimmedLength = text.trim().length;
+    const isTooLong = trimmedLength > maxLength;
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+
+        setIsSubmitting(true);
+        setError('');
+        try {
+            await onSubmit(text);
+            // 성공 시 모달은 부모 컴포넌트에서 닫힘
+        } catch (error) {
+            setIsSubmitting(false);
+            setError(error.message || '제출 중 오류가 발생했습니다');
+        }
+    };
+
+    if (!isOpen) return null;
+
+    return (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+            <div className="bg-white rounded-lg p-6 max-w-md w-full shadow-xl">
+                {/* 헤더 */}
+                <h3 className="text-lg font-semibold text-gray-900 mb-2 text-center">
+                    {title}
+                </h3>
+                <p className="text-gray-600 mb-4 text-center text-sm">
+                    <span className="font-medium text-blue-600">{studentName}</span>
+                    {header && ` · ${header.lecture}`}
+                    {header?.date instanceof Date && ` (${header.date.getMonth() + 1}/${header.date.getDate()})`}
+                </p>
+
+                <form onSubmit={handleSubmit} className="space-y-4">
+                    <div>
+                        <textarea
+                            value={text}
+                            onChange={(e) => setText(e.target.value)}
+                            placeholder={placeholder}
+                            rows={rows}
+                            autoFocus
+                            className={`w-full px-3 py-2 text-sm border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 ${isTooLong ? 'border-red-300' : 'border-gray-300'}`}
+                        />
+                        <div className={`text-right text-xs ${isTooLong ? 'text-red-600' : 'text-gray-500'}`}>
+                            {trimmedLength} / {maxLength}자
+                        </div>
+                    </div>
+
+                    {guide && <p className="text-xs text-gray-500">{guide}</p>}
+
+                    {error && (
+                        <div className="p-2.5 bg-red-50 border border-red-200 rounded-lg">
+                            <p className="text-sm text-red-700">{error}</p>
+                        </div>
+                    )}
+
+                    <div className="flex space-x-3">
+                        <button
+                            type="button"
+                            onClick={onCancel}
+                            disabled={isSubmitting}
+                            className="flex-1 px-4 py-2 text-gray-700 bg-gray-100 hover:bg-gray-200 rounded-lg transition-colors disabled:opacity-50"
+                        >
+                            취소
+                        </button>
+                        <button
+                            type="submit"
+                            disabled={isSubmitting || trimmedLength === 0 || isTooLong}
+                            className="flex-1 px-4 py-2 text-white bg-blue-600 hover:bg-blue-700 rounded-lg transition-colors disabled:bg-gray-400 disabled:cursor-not-allowed"
+                        >
+                            {isSubmitting ? '제출 중...' : '제출'}
+                        </button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+};
+
+export default StudentRequestModal;
@@ -1,64 +1,90 @@
 import React, { useState, useEffect } from 'react';
+import { AttendanceCodeError, QuotaError } from '../../services/errors.js';
+import { formatLockRemaining } from '../../services/attemptLimiter.js';
+import { useCountdown } from '../../hooks/useCountdown';
 
 /**
  * 출석 확인 팝업 컴포넌트 - 인증번호 입력 추가
+ * 인증번호는 브라우저에서 비교하지 않고 출석 기록 요청과 함께 보내 백엔드(프록시 서버)에서 확인
  * @param {Object} props
  * @param {boolean} props.isOpen - 모달 열림 상태
  * @param {string} props.studentName - 학생 이름
- * @param {Function} props.onConfirm - 확인 버튼 클릭 핸들러
+ * @param {Function} props.onConfirm - 확인 버튼 클릭 핸들러 (attendanceCode) => Promise (QR 출석이면 attendanceCode 없이 호출)
  * @param {Function} props.onCancel - 취소 버튼 클릭 핸들러
  * @param {boolean} props.loading - 로딩 상태
+ * @param {boolean} props.hasCheckInLink - QR 출석 링크로 들어왔는지 여부 (인증번호 입력 생략)
+ * @param {number|null} props.lockedUntil - 인증번호를 여러 번 틀려 잠긴 경우 풀리는 시각 (창을 열 때의 잠금 상태)
+ * @param {boolean} props.isLate - 지각 유예 시간이 지나 지각으로 기록되는지 여부
  */
-const AttendanceConfirmModal = ({ isOpen, studentName, onConfirm, onCancel, loading }) => {
+const AttendanceConfirmModal = ({ isOpen, studentName, onConfirm, onCancel, loading, hasCheckInLink = false, lockedUntil = null, isLate = false }) => {
     // 인증번호 관련 state
     const [code, setCode] = useState('');
     const [error, setError] = useState('');
     const [showCode, setShowCode] = useState(false);
     const [isVerifying, setIsVerifying] = useState(false);
 
-    // 환경변수에서 올바른 인증번호 가져오기
-    const correctCode = import.meta.env.VITE_ATTENDANCE_CODE || '1234';
+    // QR 링크가 만료되어 거부되면 인증번호 입력으로 전환
+    const [linkRejected, setLinkRejected] = useState(false);
+    const usesCheckInLink = hasCheckInLink && !linkRejected;
 
-    // 모달이 닫힐 때 초기화
+    // 인증번호를 여러 번 틀려 잠긴 동안은 입력을 막고 남은 시간 표시 (새로고침해도 유지)
+    const [lockUntil, setLockUntil] = useState(lockedUntil);
+    const lockRemainingMs = useCountdown(lockUntil);
+    const isLocked = lockRemainingMs > 0;
+
+    // 모달이 열릴 때 잠금 상태 반영, 닫힐 때 초기화
     useEffect(() => {
-        if (!isOpen) {
+        if (isOpen) {
+            setLockUntil(lockedUntil);
+        } else {
             setCode('');
             setError('');
             setShowCode(false);
             setIsVerifying(false);
+            setLinkRejected(false);
+            setLockUntil(null);
         }
-    }, [isOpen]);
+    }, [isOpen, lockedUntil]);
 
-    // 인증번호 검증 및 출석 처리
+    // 출석 처리 (인증번호 검증은 기록 요청과 함께 수행)
     const handleSubmit = async (e) => {
         e.preventDefault();
 
-        // 인증번호 검증
-        if (code !== correctCode) {
-            setError('인증번호가 일치하지 않습니다');
-            setCode('');
-
-            // 3초 후 에러 메시지 자동 제거
-            setTimeout(() => {
-                setError('');
-            }, 3000);
-            return;
-        }
-
-        // 검증 성공 - 출석 처리
         setIsVerifying(true);
         try {
-            await onConfirm();
+            await onConfirm(usesCheckInLink ? undefined : code);
             // 성공 시 모달은 부모 컴포넌트에서 닫힘
         } catch (error) {
-            setError('출석 처리 중 오류가 발생했습니다');
             setIsVerifying(false);
+
+            if (error instanceof AttendanceCodeError && usesCheckInLink) {
+                setLinkRejected(true);
+                setError('QR 코드가 만료되었습니다. 강의실 화면의 인증번호를 입력해주세요');
+            } else if (error instanceof AttendanceCodeError) {
+                setError('인증번호가 일치하지 않습니다');
+                setCode('');
+
+                // 3초 후 에러 메시지 자동 제거
+                setTimeout(() => {
+                    setError('');
+                }, 3000);
+            } else if (error instanceof QuotaError) {
+                if (error.retryAfterMs) {
+                    setLockUntil(Date.now() + error.retryAfterMs);
+                    setError('');
+                } else {
+                    setError('인증번호를 여러 번 틀렸습니다. 잠시 후 다시 시도해주세요');
+                }
+                setCode('');
+            } else {
+                setError('출석 처리 중 오류가 발생했습니다');
+            }
         }
     };
 
     // Enter 키 핸들러
     const handleKeyPress = (e) => {
-        if (e.key === 'Enter' && code.trim() && !loading && !isVerifying) {
+        if (e.key === 'Enter' && code.trim() && !loading && !isVerifying && !isLocked) {
             handleSubmit(e);
         }
     };
@@ -76,54 +102,82 @@ const AttendanceConfirmModal = ({ isOpen, studentName, onConfirm, onCancel, load
                     <span className="font-medium text-blue-600">{studentName}</span> 출석
                 </p>
 
+                {isLate && (
+                    <div className="flex items-center gap-2 p-2.5 mb-4 bg-orange-50 border border-orange-200 rounded-lg">
+                        <span className="text-orange-500 text-sm">⏰</span>
+                        <p className="text-sm text-orange-700">
+                            출석 인정 시간이 지나 지각으로 기록됩니다
+                        </p>
+                    </div>
+                )}
+
                 {/* 인증번호 입력 폼 */}
                 <form onSubmit={handleSubmit} className="space-y-4">
-                    {/* 인증번호 입력 필드 */}
-                    <div>
-                        <label
-                            htmlFor="attendance-code"
-                            className="block text-sm font-medium text-gray-700 mb-2"
-                        >
-                            인증번호
-                        </label>
-                        <div className="relative">
-                            <input
-                                id="attendance-code"
-                                type={showCode ? "text" : "password"}
-                                value={code}
-                                onChange={(e) => setCode(e.target.value)}
-                                onKeyPress={handleKeyPress}
-                                placeholder="인증번호 4자리"
-                                maxLength={4}
-                                className={`
-                                    w-full px-4 py-2.5 pr-12
-                                    border rounded-lg
-                                    focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent
-                                    transition-all duration-200
-                                    ${error ? 'border-red-300 bg-red-50' : 'border-gray-300'}
-                                `}
-                                disabled={loading || isVerifying}
-                                autoFocus
-                            />
-
-                            {/* 인증번호 표시/숨김 토글 버튼 */}
-                            <button
-                                type="button"
-                                onClick={() => setShowCode(!showCode)}
-                                className="absolute right-3 top-1/2 transform -translate-y-1/2 text-gray-500 hover:text-gray-700 transition-colors"
-                                tabIndex={-1}
+                    {usesCheckInLink ? (
+                        // QR 출석 링크로 들어온 경우 인증번호 입력 생략
+                        <div className="flex items-center gap-2 p-3 bg-blue-50 border border-blue-200 rounded-lg">
+                            <span className="text-blue-500">📱</span>
+                            <p className="text-sm text-blue-700">
+                                QR 코드로 들어왔습니다. 본인 이름이 맞으면 출석 체크를 눌러주세요
+                            </p>
+                        </div>
+                    ) : (
+                        <div>
+                            <label
+                                htmlFor="attendance-code"
+                                className="block text-sm font-medium text-gray-700 mb-2"
                             >
-                                {showCode ? (
-                                    <i className="fa-solid fa-eye"></i>
-                                ) : (
-                                    <i className="fa-solid fa-eye-slash"></i>
-                                )}
-                            </button>
+                                인증번호
+                            </label>
+                            <div className="relative">
+                                <input
+                                    id="attendance-code"
+                                    type={showCode ? "text" : "password"}
+                                    value={code}
+                                    onChange={(e) => setCode(e.target.value)}
+                                    onKeyPress={handleKeyPress}
+                                    placeholder="인증번호 4자리"
+                                    maxLength={4}
+                                    className={`
+                                        w-full px-4 py-2.5 pr-12
+                                        border rounded-lg
+                                        focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent
+                                        transition-all duration-200
+                                        ${error ? 'border-red-300 bg-red-50' : 'border-gray-300'}
+                                    `}
+                                    disabled={loading || isVerifying || isLocked}
+                                    autoFocus
+                                />
+
+                                {/* 인증번호 표시/숨김 토글 버튼 */}
+                                <button
+                                    type="button"
+                                    onClick={() => setShowCode(!showCode)}
+                                    className="absolute right-3 top-1/2 transform -translate-y-1/2 text-gray-500 hover:text-gray-700 transition-colors"
+                                    tabIndex={-1}
+                                >
+                                    {showCode ? (
+                                        <i className="fa-solid fa-eye"></i>
+                                    ) : (
+                                        <i className="fa-solid fa-eye-slash"></i>
+                                    )}
+                                </button>
+                            </div>
                         </div>
-                    </div>
+                    )}
+
+                    {/* 잠금 안내 */}
+                    {isLocked && (
+                        <div className="flex items-center gap-2 p-2.5 bg-red-50 border border-red-200 rounded-lg">
+                            <span className="text-red-500 text-sm">🔒</span>
+                            <p className="text-sm text-red-700 font-medium">
+                                인증번호를 여러 번 틀렸습니다. {formatLockRemaining(lockRemainingMs)} 후 다시 시도해주세요
+                            </p>
+                        </div>
+                    )}
 
                     {/* 에러 메시지 */}
-                    {error && (
+                    {error && !isLocked && (
                         <div className="flex items-center gap-2 p-2.5 bg-red-50 border border-red-200 rounded-lg animate-shake">
                             <span className="text-red-500 text-sm">❌</span>
                             <p className="text-sm text-red-700 font-medium">
@@ -145,11 +199,11 @@ const AttendanceConfirmModal = ({ isOpen, studentName, onConfirm, onCancel, load
                         </button>
                         <button
                             type="submit"
-                            disabled={!code.trim() || loading || isVerifying}
+                            disabled={(!usesCheckInLink && !code.trim()) || loading || isVerifying || isLocked}
                             className={`
                                 flex-1 px-4 py-2.5 rounded-lg transition-colors font-medium
                                 flex items-center justify-center
-                                ${code.trim() && !loading && !isVerifying
+                                ${(usesCheckInLink || code.trim()) && !loading && !isVerifying && !isLocked
                                 ? 'bg-blue-600 hover:bg-blue-700 text-white'
                                 : 'bg-gray-300 text-gray-500 cursor-not-allowed'
                             }
@@ -170,7 +224,7 @@ const AttendanceConfirmModal = ({ isOpen, studentName, onConfirm, onCancel, load
                 {/* 도움말 */}
                 <div className="mt-4 pt-4 border-t border-gray-200">
                     <p className="text-xs text-gray-500 text-center">
-                        💡 인증번호를 모르시면 담당자에게 문의하세요
+                        💡 강의실 화면에 표시된 인증번호를 입력하세요 (모르시면 담당자에게 문의하세요)
                     </p>
                 </div>
             </div>
@@ -1,39 +1,68 @@
 import React, {useState} from 'react';
+import {PermissionError, QuotaError} from '../../services/errors.js';
+import {formatLockRemaining} from '../../services/attemptLimiter.js';
+import {useCountdown} from '../../hooks/useCountdown';
 
 /**
- * 비밀번호 인증 컴포넌트
+ * 관리자 로그인 컴포넌트
  * @param {Object} props
- * @param {Function} props.onSuccess - 인증 성공 시 콜백 함수
+ * @param {Function} props.onSuccess - 인증 성공 시 콜백 함수 (session) => void
+ * @param {Function} props.login - 로그인 함수 (username, password) => Promise<Object|null> (틀리면 null)
+ * @param {Function} props.getLock - 이 기기의 로그인 잠금 상태 (username) => {lockedUntil}
  * @param {string} props.title - 인증 화면 제목
+ * @param {string|null} props.notice - 로그인 화면 안내 (예: 세션 만료로 로그아웃됨)
  * @param {string} props.className - 추가 CSS 클래스
  */
 const PasswordAuth = ({
                           onSuccess,
+                          login,
+                          getLock,
                           title = "관리자 인증",
+                          notice = null,
                           className = ''
                       }) => {
+    const [username, setUsername] = useState('');
     const [password, setPassword] = useState('');
     const [error, setError] = useState('');
     const [showPassword, setShowPassword] = useState(false);
     const [isLoading, setIsLoading] = useState(false);
 
-    // 환경변수에서 비밀번호 가져오기
-    const correctPassword = import.meta.env.VITE_ADMIN_PASSWORD || '1111';
+    // 비밀번호를 여러 번 틀려 잠긴 동안은 입력을 막고 남은 시간 표시 (새로고침해도 유지)
+    const lockRemainingMs = useCountdown(getLock?.(username).lockedUntil ?? null);
+    const isLocked = lockRemainingMs > 0;
 
-    // 비밀번호 검증 핸들러
+    const canSubmit = Boolean(username.trim() && password.trim()) && !isLocked;
+
+    // 로그인 핸들러
     const handleSubmit = (e) => {
         e.preventDefault();
         setIsLoading(true);
         setError('');
 
         // 약간의 딜레이로 UX 개선
-        setTimeout(() => {
-            if (password === correctPassword) {
+        setTimeout(async () => {
+            let session = null;
+            let errorMessage = '아이디 또는 비밀번호가 일치하지 않습니다';
+
+            try {
+                session = await login(username.trim(), password);
+            } catch (err) {
+                console.error('❌ 관리자 로그인 실패:', err);
+                if (err instanceof PermissionError) {
+                    errorMessage = err.message;
+                } else if (err instanceof QuotaError) {
+                    errorMessage = '비밀번호를 여러 번 틀렸습니다. 잠시 후 다시 시도해주세요';
+                } else {
+                    errorMessage = '인증 서버에 연결할 수 없습니다';
+                }
+            }
+
+            if (session) {
                 // 인증 성공
-                onSuccess?.();
+                onSuccess?.(session);
             } else {
                 // 인증 실패
-                setError('비밀번호가 일치하지 않습니다');
+                setError(errorMessage);
                 setPassword('');
 
                 // 3초 후 에러 메시지 자동 제거
@@ -47,7 +76,7 @@ const PasswordAuth = ({
 
     // Enter 키 핸들러
     const handleKeyPress = (e) => {
-        if (e.key === 'Enter' && password.trim()) {
+        if (e.key === 'Enter' && canSubmit) {
             handleSubmit(e);
         }
     };
@@ -63,12 +92,49 @@ const PasswordAuth = ({
                             {title}
                         </h2>
                         <p className="text-sm text-gray-600">
-                            출결 관리 페이지에 접근하려면 비밀번호를 입력하세요
+                            출결 관리 페이지에 접근하려면 관리자 계정으로 로그인하세요
                         </p>
                     </div>
 
+                    {/* 안내 메시지 */}
+                    {notice && (
+                        <div className="flex items-center gap-2 p-3 mb-4 bg-yellow-50 border border-yellow-200 rounded-lg">
+                            <span className="text-yellow-500">⏰</span>
+                            <p className="text-sm text-yellow-800">
+                                {notice}
+                            </p>
+                        </div>
+                    )}
+
                     {/* 입력 폼 */}
                     <form onSubmit={handleSubmit} className="space-y-4">
+                        {/* 아이디 입력 필드 */}
+                        <div>
+                            <label
+                                htmlFor="username"
+                                className="block text-sm font-medium text-gray-700 mb-2"
+                            >
+                                아이디
+                            </label>
+                            <input
+                                id="username"
+                                type="text"
+                                value={username}
+                                onChange={(e) => setUsername(e.target.value)}
+                                placeholder="아이디를 입력하세요"
+                                autoComplete="username"
+                                className={`
+                                    w-full px-4 py-3
+                                    border rounded-lg
+                                    focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent
+                                    transition-all duration-200
+                                    ${error ? 'border-red-300 bg-red-50' : 'border-gray-300'}
+                                `}
+                                disabled={isLoading}
+                                autoFocus
+                            />
+                        </div>
+
                         {/* 비밀번호 입력 필드 */}
                         <div>
                             <label
@@ -85,6 +151,7 @@ const PasswordAuth = ({
                                     onChange={(e) => setPassword(e.target.value)}
                                     onKeyPress={handleKeyPress}
                                     placeholder="비밀번호를 입력하세요"
+                                    autoComplete="current-password"
                                     className={`
                                         w-full px-4 py-3 pr-12
                                         border rounded-lg
@@ -92,8 +159,7 @@ const PasswordAuth = ({
                                         transition-all duration-200
                                         ${error ? 'border-red-300 bg-red-50' : 'border-gray-300'}
                                     `}
-                                    disabled={isLoading}
-                                    autoFocus
+                                    disabled={isLoading || isLocked}
                                 />
 
                                 {/* 비밀번호 표시/숨김 토글 버튼 */}
@@ -112,8 +178,18 @@ const PasswordAuth = ({
                             </div>
                         </div>
 
+                        {/* 잠금 안내 */}
+                        {isLocked && (
+                            <div className="flex items-center gap-2 p-3 bg-red-50 border border-red-200 rounded-lg">
+                                <span className="text-red-500">🔒</span>
+                                <p className="text-sm text-red-700 font-medium">
+                                    비밀번호를 여러 번 틀렸습니다. {formatLockRemaining(lockRemainingMs)} 후 다시 시도해주세요
+                                </p>
+                            </div>
+                        )}
+
                         {/* 에러 메시지 */}
-                        {error && (
+                        {error && !isLocked && (
                             <div
                                 className="flex items-center gap-2 p-3 bg-red-50 border border-red-200 rounded-lg animate-shake">
                                 <span className="text-red-500">❌</span>
@@ -126,13 +202,13 @@ const PasswordAuth = ({
                         {/* 확인 버튼 */}
                         <button
                             type="submit"
-                            disabled={!password.trim() || isLoading}
+                            disabled={!canSubmit || isLoading}
                             className={`
                                 w-full py-3 px-4 rounded-lg
                                 font-medium text-white
                                 transition-all duration-200
                                 flex items-center justify-center gap-2
-                                ${password.trim() && !isLoading
+                                ${canSubmit && !isLoading
                                 ? 'bg-blue-600 hover:bg-blue-700 active:scale-95 cursor-pointer'
                                 : 'bg-gray-300 cursor-not-allowed'
                             }
@@ -155,7 +231,7 @@ const PasswordAuth = ({
                     {/* 도움말 */}
                     <div className="mt-6 pt-6 border-t border-gray-200">
                         <p className="text-xs text-gray-500 text-center">
-                            💡 비밀번호를 분실하셨나요? 관리자에게 문의하세요
+                            💡 계정이 없거나 비밀번호를 분실하셨나요? 담당자에게 문의하세요
                         </p>
                     </div>
                 </div>
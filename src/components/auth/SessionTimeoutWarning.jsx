@@ -0,0 +1,72 @@
+import React from 'react';
+
+/**
+ * 남은 시간 표시 (분:초)
+ */
+const formatRemaining = (remainingMs) => {
+    const totalSeconds = Math.max(Math.ceil(remainingMs / 1000), 0);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return minutes > 0 ? `${minutes}분 ${seconds}초` : `${seconds}초`;
+};
+
+/**
+ * 관리자 세션 만료 경고 팝업
+ * 유휴 시간이 거의 끝나면 남은 시간을 보여주고 연장 또는 로그아웃을 선택
+ * @param {Object} props
+ * @param {boolean} props.isOpen - 팝업 열림 상태
+ * @param {number} props.remainingMs - 자동 로그아웃까지 남은 시간
+ * @param {boolean} props.canExtend - 연장 가능 여부 (로그인 후 유효 시간에 도달하면 다시 로그인해야 함)
+ * @param {Function} props.onExtend - 계속 사용 버튼 클릭 핸들러
+ * @param {Function} props.onSignOut - 로그아웃 버튼 클릭 핸들러
+ */
+const SessionTimeoutWarning = ({isOpen, remainingMs, canExtend, onExtend, onSignOut}) => {
+    if (!isOpen) return null;
+
+    return (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+            <div className="bg-white rounded-lg p-6 max-w-sm w-full shadow-xl" role="alertdialog" aria-live="assertive">
+                {/* 헤더 */}
+                <h3 className="text-lg font-semibold text-gray-900 mb-2 text-center">
+                    ⏰ 자동 로그아웃 안내
+                </h3>
+                <p className="text-gray-600 mb-4 text-center text-sm">
+                    <span className="font-medium text-red-600">{formatRemaining(remainingMs)}</span> 후 자동으로 로그아웃됩니다
+                </p>
+
+                {!canExtend && (
+                    <div className="flex items-center gap-2 p-2.5 mb-4 bg-yellow-50 border border-yellow-200 rounded-lg">
+                        <span className="text-yellow-500 text-sm">⚠️</span>
+                        <p className="text-sm text-yellow-800">
+                            로그인 후 사용할 수 있는 시간이 끝났습니다. 다시 로그인해주세요
+                        </p>
+                    </div>
+                )}
+
+                {/* 버튼 그룹 */}
+                <div className="flex space-x-3 pt-2">
+                    <button
+                        type="button"
+                        onClick={onSignOut}
+                        className="flex-1 px-4 py-2.5 text-gray-700 bg-gray-100 hover:bg-gray-200
+                                 rounded-lg transition-colors font-medium"
+                    >
+                        로그아웃
+                    </button>
+                    {canExtend && (
+                        <button
+                            type="button"
+                            onClick={onExtend}
+                            className="flex-1 px-4 py-2.5 rounded-lg transition-colors font-medium bg-blue-600 hover:bg-blue-700 text-white"
+                            autoFocus
+                        >
+                            계속 사용
+                        </button>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default SessionTimeoutWarning;
@@ -1,5 +1,5 @@
 import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
-import { getAllAttendanceStatuses, getAttendanceStyle, ATTENDANCE_STATUS, ATTENDANCE_CONFIG } from '../../utils/attendanceStatus.js';
+import { getAllAttendanceStatuses, getAttendanceLegend, getAttendanceStyle, ATTENDANCE_STATUS } from '../../utils/attendanceStatus.js';
 
 /**
  * 셀 편집 모달 컴포넌트
@@ -26,61 +26,37 @@ const CellEditModal = ({
     const modalRef = useRef(null);
 
     // 출석 상태 프리셋을 완전히 동적으로 생성
-    const attendancePresets = useMemo(() => {
-        const allStatuses = getAllAttendanceStatuses();
-
-        return allStatuses.map(statusConfig => {
-            const style = getAttendanceStyle(statusConfig.status);
-
-            return {
-                value: statusConfig.status === ATTENDANCE_STATUS.NONE ? '' : statusConfig.status,
-                label: statusConfig.displayName,
-                shortName: statusConfig.shortName,
-                icon: statusConfig.icon,
-                description: statusConfig.description,
-                isAttendance: statusConfig.isAttendance,
-                style: style
-            };
-        });
-    }, []);
+    // 설정 탭을 다시 읽으면 상태 목록이 바뀌므로 메모하지 않고 렌더링마다 생성
+    const attendancePresets = getAllAttendanceStatuses().map(statusConfig => {
+        const style = getAttendanceStyle(statusConfig.status);
+
+        return {
+            value: statusConfig.status === ATTENDANCE_STATUS.NONE ? '' : statusConfig.status,
+            label: statusConfig.displayName,
+            shortName: statusConfig.shortName,
+            icon: statusConfig.icon,
+            description: statusConfig.description,
+            isAttendance: statusConfig.isAttendance,
+            style: style
+        };
+    });
 
     // 프리셋 정렬 (자주 사용되는 것들 우선)
-    const sortedPresets = useMemo(() => {
-        // 기본 상태들을 우선순위로 배치
-        const primaryStates = [ATTENDANCE_STATUS.PRESENT, ATTENDANCE_STATUS.ABSENT, ATTENDANCE_STATUS.NONE];
-
-        const primaryItems = attendancePresets.filter(preset => {
-            const actualStatus = preset.value === '' ? ATTENDANCE_STATUS.NONE : preset.value;
-            return primaryStates.includes(actualStatus);
-        });
-
-        const secondaryItems = attendancePresets.filter(preset => {
-            const actualStatus = preset.value === '' ? ATTENDANCE_STATUS.NONE : preset.value;
-            return !primaryStates.includes(actualStatus);
-        });
-
-        return [...primaryItems, ...secondaryItems];
-    }, [attendancePresets]);
-
-    // 도움말 텍스트를 동적으로 생성
-    const helpGuide = useMemo(() => {
-        const guides = Object.entries(ATTENDANCE_CONFIG)
-            .filter(([status, config]) => status !== ATTENDANCE_STATUS.OTHER) // 기타는 제외
-            .map(([status, config]) => {
-                const displayValue = config.shortName === '-' ? '빈 값' : config.shortName;
-                const attendanceStatus = config.isAttendance ? '출석 인정' : '미출석';
-                const colorClass = getAttendanceStyle(status).className.split(' ')[0]; // 첫 번째 색상 클래스만 추출
-
-                return {
-                    value: displayValue,
-                    description: config.displayName,
-                    status: attendanceStatus,
-                    colorClass: colorClass
-                };
-            });
-
-        return guides;
-    }, []);
+    // 기본 상태들을 우선순위로 배치
+    const primaryStates = [ATTENDANCE_STATUS.PRESENT, ATTENDANCE_STATUS.ABSENT, ATTENDANCE_STATUS.NONE];
+    const isPrimaryPreset = (preset) => primaryStates.includes(preset.value === '' ? ATTENDANCE_STATUS.NONE : preset.value);
+    const sortedPresets = [
+        ...attendancePresets.filter(isPrimaryPreset),
+        ...attendancePresets.filter(preset => !isPrimaryPreset(preset))
+    ];
+
+    // 도움말 텍스트를 동적으로 생성 (기타는 범례에서 제외)
+    const helpGuide = getAttendanceLegend().map(config => ({
+        value: config.shortName === '-' ? '빈 값' : config.shortName,
+        description: config.displayName,
+        status: config.isAttendance ? '출석 인정' : '미출석',
+        colorClass: getAttendanceStyle(config.status).className.split(' ')[0] // 첫 번째 색상 클래스만 추출
+    }));
 
     // 그리드 컬럼 수 동적 계산
     const gridCols = useMemo(() => {
@@ -275,6 +251,15 @@ const CellEditModal = ({
                                 ))}
                             </div>
                         </div>
+
+                        {/* 기호 안내 (설정 탭의 상태 포함) */}
+                        <div className="mt-3 flex flex-wrap gap-x-3 gap-y-1 text-xs text-gray-500">
+                            {helpGuide.map((guide) => (
+                                <span key={guide.value}>
+                                    <span className={`font-semibold ${guide.colorClass}`}>{guide.value}</span> {guide.description} ({guide.status})
+                                </span>
+                            ))}
+                        </div>
                     </div>
 
                     {/* 에러 메시지 */}
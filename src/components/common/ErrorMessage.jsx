@@ -1,11 +1,73 @@
 // components/common/ErrorMessage.jsx
 
 import React from 'react';
+import {
+    AuthError,
+    ConflictError,
+    NetworkError,
+    PermissionError,
+    QuotaError,
+    ValidationError
+} from '../../services/errors.js';
+
+// 기본 문제 해결 방법 (에러 종류를 알 수 없을 때)
+const DEFAULT_REMEDIATION = [
+    '인터넷 연결 상태를 확인해보세요',
+    '스프레드시트 권한이 올바르게 설정되어 있는지 확인하세요',
+    '잠시 후 다시 시도해보세요',
+    '문제가 계속되면 관리자에게 문의하세요'
+];
+
+/**
+ * 에러 종류에 맞는 문제 해결 방법 반환
+ * @param {Error|string} error - 에러 객체 또는 메시지
+ * @returns {Array<string>} 해결 방법 목록
+ */
+const getRemediation = (error) => {
+    if (error instanceof NetworkError) {
+        return [
+            '와이파이 또는 모바일 데이터 연결을 확인해보세요',
+            '연결이 복구되면 다시 시도 버튼을 눌러주세요'
+        ];
+    }
+    if (error instanceof QuotaError) {
+        return [
+            '동시에 접속한 사람이 많아 요청이 제한되었습니다',
+            '1분 정도 기다린 후 다시 시도해보세요'
+        ];
+    }
+    if (error instanceof AuthError) {
+        return [
+            '서비스 계정 자격 증명(VITE_SERVICE_ACCOUNT_CREDENTIALS)이 올바른지 확인하세요',
+            '기기의 날짜와 시간이 정확한지 확인하세요 (토큰 서명에 사용됩니다)',
+            '페이지를 새로고침하여 다시 인증해보세요'
+        ];
+    }
+    if (error instanceof PermissionError) {
+        return [
+            '스프레드시트 ID가 올바른지 확인하세요',
+            '스프레드시트가 서비스 계정 이메일에 편집자로 공유되어 있는지 확인하세요'
+        ];
+    }
+    if (error instanceof ConflictError) {
+        return [
+            '다른 사람이 먼저 같은 칸을 수정했습니다',
+            '새로고침하여 최신 값을 확인한 뒤 다시 시도하세요'
+        ];
+    }
+    if (error instanceof ValidationError) {
+        return [
+            '시트명과 시트 구조(1행 강의명, 2행 날짜, A열 이름)가 올바른지 확인하세요',
+            '문제가 계속되면 관리자에게 문의하세요'
+        ];
+    }
+    return DEFAULT_REMEDIATION;
+};
 
 /**
  * 에러 메시지 컴포넌트
  * @param {Object} props
- * @param {string} props.error - 에러 메시지
+ * @param {Error|string} props.error - 에러 객체 또는 메시지 (에러 종류에 따라 해결 방법 안내)
  * @param {Function} props.onRetry - 재시도 함수
  * @param {string} props.title - 에러 제목 (선택사항)
  * @param {string} props.className - 추가 CSS 클래스
@@ -18,6 +80,9 @@ const ErrorMessage = ({
                           className = '',
                           showRetryButton = true
                       }) => {
+    const message = typeof error === 'string' ? error : error?.message;
+    const remediation = getRemediation(error);
+
     return (
         <div className={`bg-red-50 border border-red-200 rounded-lg p-6 ${className}`}>
             {/* 에러 헤더 */}
@@ -33,7 +98,7 @@ const ErrorMessage = ({
             {/* 에러 메시지 */}
             <div className="mb-4">
                 <p className="text-red-700 mb-2">
-                    {error}
+                    {message}
                 </p>
 
                 {/* 추가 도움말 */}
@@ -43,10 +108,9 @@ const ErrorMessage = ({
                     </summary>
                     <div className="mt-2 p-3 bg-red-100 rounded text-sm text-red-800">
                         <ul className="list-disc list-inside space-y-1">
-                            <li>인터넷 연결 상태를 확인해보세요</li>
-                            <li>스프레드시트 권한이 올바르게 설정되어 있는지 확인하세요</li>
-                            <li>잠시 후 다시 시도해보세요</li>
-                            <li>문제가 계속되면 관리자에게 문의하세요</li>
+                            {remediation.map(item => (
+                                <li key={item}>{item}</li>
+                            ))}
                         </ul>
                     </div>
                 </details>
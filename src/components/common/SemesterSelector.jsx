@@ -0,0 +1,45 @@
+// components/common/SemesterSelector.jsx
+
+import React from 'react';
+
+/**
+ * 학기 선택 드롭다운
+ * 학기 탭이 하나뿐이면 표시하지 않음
+ * @param {Object} props
+ * @param {Array<{sheetName: string, label: string}>} props.semesters - 학기 탭 목록
+ * @param {string} props.selectedSheetName - 선택된 학기 탭 이름
+ * @param {Function} props.onSelect - 학기 선택 함수 (sheetName)
+ * @param {boolean} props.disabled - 비활성화 여부
+ * @param {string} props.className - 추가 CSS 클래스
+ */
+const SemesterSelector = ({
+                              semesters = [],
+                              selectedSheetName,
+                              onSelect,
+                              disabled = false,
+                              className = ''
+                          }) => {
+    if (semesters.length <= 1) {
+        return null;
+    }
+
+    return (
+        <label className={`inline-flex items-center space-x-2 text-sm text-gray-600 ${className}`}>
+            <span>학기</span>
+            <select
+                value={selectedSheetName || ''}
+                onChange={(e) => onSelect?.(e.target.value)}
+                disabled={disabled}
+                className="px-3 py-1.5 border border-gray-300 rounded-md bg-white text-gray-900 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
+            >
+                {semesters.map(semester => (
+                    <option key={semester.sheetName} value={semester.sheetName}>
+                        {semester.label}
+                    </option>
+                ))}
+            </select>
+        </label>
+    );
+};
+
+export default SemesterSelector;
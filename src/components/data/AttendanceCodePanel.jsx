@@ -0,0 +1,269 @@
+// components/data/AttendanceCodePanel.jsx
+
+import React, {useEffect, useRef, useState} from 'react';
+import QRCode from 'qrcode';
+import {useAttendanceCode} from '../../hooks/useAttendanceCode';
+import {useCheckInLink} from '../../hooks/useCheckInLink';
+import {getCheckInLinkExpiry} from '../../services/checkInLinks.js';
+import {isCheckInDay} from '../../services/checkInWindow.js';
+import {findMostRecentPastDate, formatKoreanDate} from '../../utils/weeklyStatus.js';
+
+/**
+ * 현재 강의 (오늘 강의, 없으면 가장 최근에 지난 강의)
+ */
+const getCurrentLectureIndex = (headers) => {
+    const todayIndex = headers.findIndex(header => isCheckInDay(header.date));
+    if (todayIndex >= 0) return todayIndex;
+
+    return findMostRecentPastDate(headers)?.lectureIndex ?? -1;
+};
+
+/**
+ * 출석체크 화면 주소 (QR 링크의 기준 주소)
+ */
+const getCheckInBaseUrl = () => `${window.location.origin}${window.location.pathname}`;
+
+/**
+ * 전체 화면 표시 틀 (강의실 화면에 띄워두는 용도)
+ */
+const FullScreenDisplay = ({header, title, onClose, children}) => {
+    const overlayRef = useRef(null);
+
+    // 브라우저 전체 화면 전환 (지원하지 않거나 거부되면 창 전체 표시로 유지)
+    useEffect(() => {
+        overlayRef.current?.requestFullscreen?.().catch(() => {});
+
+        return () => {
+            if (document.fullscreenElement) {
+                document.exitFullscreen().catch(() => {});
+            }
+        };
+    }, []);
+
+    // Esc로 닫기 (전체 화면이면 브라우저가 먼저 전체 화면을 해제)
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape' && !document.fullscreenElement) {
+                onClose();
+            }
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [onClose]);
+
+    return (
+        <div
+            ref={overlayRef}
+            className="fixed inset-0 z-50 bg-gray-900 text-white flex flex-col items-center justify-center p-8"
+        >
+            <button
+                onClick={onClose}
+                className="absolute top-6 right-6 px-4 py-2 text-sm text-gray-300 border border-gray-600 rounded-md hover:bg-gray-800"
+            >
+                닫기
+            </button>
+
+            <p className="text-2xl md:text-4xl font-semibold text-gray-200">{header.lecture} {title}</p>
+            {header.date && <p className="mt-2 text-lg text-gray-400">{formatKoreanDate(header.date)}</p>}
+
+            {children}
+        </div>
+    );
+};
+
+/**
+ * 표시 화면의 오류 안내와 다시 시도 버튼
+ */
+const DisplayError = ({error, onRetry}) => (
+    <div className="mt-12 text-center">
+        <p className="text-xl text-red-300">{error}</p>
+        <button
+            onClick={onRetry}
+            className="mt-4 px-6 py-2 text-lg text-white bg-blue-600 hover:bg-blue-700 rounded-md"
+        >
+            다시 시도
+        </button>
+    </div>
+);
+
+/**
+ * 전체 화면 인증번호 표시
+ * 열려 있는 동안만 인증번호를 가져오고, 바뀌는 시점에 자동으로 갱신
+ */
+const AttendanceCodeDisplay = ({header, backend, onClose}) => {
+    const [now, setNow] = useState(() => Date.now());
+    const {codeInfo, loading, error, refetch} = useAttendanceCode({lecture: header.lecture, backend});
+
+    // 남은 시간 표시용 시계
+    useEffect(() => {
+        const timer = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(timer);
+    }, []);
+
+    const remainingSeconds = codeInfo?.expiresAt ? Math.max(Math.ceil((codeInfo.expiresAt - now) / 1000), 0) : null;
+    const progress = remainingSeconds !== null && codeInfo.periodSeconds
+        ? Math.min(remainingSeconds / codeInfo.periodSeconds, 1) * 100
+        : null;
+
+    return (
+        <FullScreenDisplay header={header} title="출석 인증번호" onClose={onClose}>
+            {error ? (
+                <DisplayError error={error} onRetry={refetch} />
+            ) : (
+                <p className="mt-12 font-mono font-bold tracking-[0.3em] text-[8rem] md:text-[14rem] leading-none">
+                    {codeInfo?.code || (loading ? '····' : '----')}
+                </p>
+            )}
+
+            {progress !== null && !error && (
+                <div className="mt-12 w-full max-w-xl">
+                    <div className="h-2 bg-gray-700 rounded-full overflow-hidden">
+                        <div
+                            className="h-full bg-blue-500 transition-all duration-1000 ease-linear"
+                            style={{width: `${progress}%`}}
+                        />
+                    </div>
+                    <p className="mt-3 text-center text-lg text-gray-400">{remainingSeconds}초 후 새 번호로 바뀝니다</p>
+                </div>
+            )}
+        </FullScreenDisplay>
+    );
+};
+
+/**
+ * 전체 화면 QR 출석 링크 표시
+ * 서명된 출석 링크를 브라우저에서 QR 코드로 그리며(외부 서비스 사용 안 함), 링크는 출석체크 마감 시각(없으면 강의 당일이 끝날 때) 만료
+ */
+const CheckInQrDisplay = ({header, sheetName, backend, onClose}) => {
+    const [qrImage, setQrImage] = useState(null);
+    const {link, loading, error, refetch} = useCheckInLink({
+        sheetName,
+        lecture: header.lecture,
+        expiresAt: getCheckInLinkExpiry(header.date, header.checkInWindow),
+        baseUrl: getCheckInBaseUrl(),
+        backend
+    });
+
+    useEffect(() => {
+        if (!link?.url) {
+            return undefined;
+        }
+
+        let cancelled = false;
+        QRCode.toDataURL(link.url, {errorCorrectionLevel: 'M', margin: 2, width: 720})
+            .then(image => {
+                if (!cancelled) setQrImage(image);
+            })
+            .catch(err => console.error('QR 코드 만들기 실패:', err));
+
+        return () => {
+            cancelled = true;
+        };
+    }, [link?.url]);
+
+    return (
+        <FullScreenDisplay header={header} title="QR 출석" onClose={onClose}>
+            {error ? (
+                <DisplayError error={error} onRetry={refetch} />
+            ) : (
+                <>
+                    <div className="mt-8 bg-white p-4 rounded-lg">
+                        {qrImage ? (
+                            <img src={qrImage} alt={`${header.lecture} QR 출석`} className="w-[60vmin] h-[60vmin]" />
+                        ) : (
+                            <div className="w-[60vmin] h-[60vmin] flex items-center justify-center text-gray-400">
+                                {loading ? 'QR 코드를 만드는 중...' : ''}
+                            </div>
+                        )}
+                    </div>
+                    <p className="mt-6 text-xl text-gray-300">휴대폰 카메라로 QR 코드를 찍고 이름을 찾아 출석하세요</p>
+                    {link?.expiresAt && (
+                        <p className="mt-2 text-lg text-gray-400">
+                            {new Date(link.expiresAt).toLocaleTimeString('ko-KR', {hour: '2-digit', minute: '2-digit'})}까지 유효
+                        </p>
+                    )}
+                </>
+            )}
+        </FullScreenDisplay>
+    );
+};
+
+/**
+ * 출석 인증번호 패널 (관리자 화면)
+ * 현재 강의의 인증번호 또는 QR 출석 링크를 강의실 화면에 전체 화면으로 띄움
+ * @param {Object} props
+ * @param {Array<Object>} props.headers - 강의 헤더 (getHeader 결과)
+ * @param {string} props.sheetName - 현재 출석부 시트명 (QR 링크에 포함)
+ * @param {Object} props.backend - 데이터 백엔드 (없으면 기본 백엔드)
+ */
+const AttendanceCodePanel = ({headers = [], sheetName, backend}) => {
+    const currentIndex = getCurrentLectureIndex(headers);
+    const [selectedIndex, setSelectedIndex] = useState(null);
+    const [display, setDisplay] = useState(null); // 'code' | 'qr' | null
+
+    const lectureIndex = selectedIndex ?? currentIndex;
+    const header = headers[lectureIndex];
+
+    // QR 링크는 강의 당일이 끝나면 만료되므로 오늘 강의만 만듦
+    const canShowQr = Boolean(header) && isCheckInDay(header.date);
+
+    return (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden mb-6">
+            <div className="px-6 py-4 flex flex-wrap items-center justify-between gap-3">
+                <div>
+                    <h3 className="text-lg font-semibold text-gray-900">🔢 출석 인증번호</h3>
+                    <p className="text-sm text-gray-600">
+                        {currentIndex >= 0
+                            ? `현재 강의: ${headers[currentIndex].lecture}`
+                            : '진행한 강의가 없습니다'}
+                    </p>
+                </div>
+                <div className="flex items-center gap-2">
+                    <select
+                        value={lectureIndex}
+                        onChange={(e) => setSelectedIndex(parseInt(e.target.value, 10))}
+                        className="px-3 py-1.5 text-sm border border-gray-300 rounded-md bg-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                        {lectureIndex < 0 && <option value={-1}>강의 선택</option>}
+                        {headers.map((item, index) => (
+                            <option key={item.column} value={index}>{item.lecture}</option>
+                        ))}
+                    </select>
+                    <button
+                        onClick={() => setDisplay('code')}
+                        disabled={!header}
+                        className="px-4 py-1.5 text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-md transition-colors disabled:opacity-50"
+                    >
+                        인증번호 표시
+                    </button>
+                    <button
+                        onClick={() => setDisplay('qr')}
+                        disabled={!canShowQr}
+                        title={canShowQr ? undefined : '오늘 강의만 QR 코드를 만들 수 있습니다'}
+                        className="px-4 py-1.5 text-sm font-medium text-blue-700 border border-blue-300 hover:bg-blue-50 rounded-md transition-colors disabled:opacity-50"
+                    >
+                        QR 코드 표시
+                    </button>
+                </div>
+            </div>
+
+            {display === 'code' && header && (
+                <AttendanceCodeDisplay
+                    header={header}
+                    backend={backend}
+                    onClose={() => setDisplay(null)}
+                />
+            )}
+            {display === 'qr' && header && (
+                <CheckInQrDisplay
+                    header={header}
+                    sheetName={sheetName}
+                    backend={backend}
+                    onClose={() => setDisplay(null)}
+                />
+            )}
+        </div>
+    );
+};
+
+export default AttendanceCodePanel;
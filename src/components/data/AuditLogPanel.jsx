@@ -0,0 +1,156 @@
+// components/data/AuditLogPanel.jsx
+
+import React, {useMemo, useState} from 'react';
+import {useAuditLog} from '../../hooks/useAuditLog';
+import {AUDIT_SOURCE, AUDIT_SOURCE_LABELS, filterAuditEntries} from '../../services/auditLog.js';
+
+// 한 번에 표시할 최대 이력 수
+const MAX_VISIBLE_ENTRIES = 200;
+
+/**
+ * 변경 이력 목록 (패널을 열었을 때만 불러옴)
+ */
+const AuditLogList = ({options}) => {
+    const {entries, loading, error, refetch} = useAuditLog(options);
+    const [filters, setFilters] = useState({query: '', lecture: '', source: '', sheetName: ''});
+
+    const lectures = useMemo(() => [...new Set(entries.map(entry => entry.lecture).filter(Boolean))], [entries]);
+    const sheetNames = useMemo(() => [...new Set(entries.map(entry => entry.sheetName).filter(Boolean))], [entries]);
+    const filteredEntries = useMemo(() => filterAuditEntries(entries, filters), [entries, filters]);
+    // 학생 기기에서 다시 보냈지만 저장하지 못한 오프라인 출석 기록 (표에서 직접 확인할 대상)
+    const offlineFailures = useMemo(() => entries.filter(entry => entry.source === AUDIT_SOURCE.OFFLINE_FAILED).length, [entries]);
+
+    const selectClassName = 'px-3 py-1.5 text-sm border border-gray-300 rounded-md bg-white focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+    return (
+        <div className="border-t border-gray-200">
+            {/* 필터 */}
+            <div className="px-6 py-4 flex flex-wrap items-center gap-2 bg-gray-50">
+                <input
+                    type="text"
+                    placeholder="학생 이름, 셀 주소 또는 관리자"
+                    value={filters.query}
+                    onChange={(e) => setFilters({...filters, query: e.target.value})}
+                    className={selectClassName}
+                />
+                <select
+                    value={filters.lecture}
+                    onChange={(e) => setFilters({...filters, lecture: e.target.value})}
+                    className={selectClassName}
+                >
+                    <option value="">전체 강의</option>
+                    {lectures.map(lecture => <option key={lecture} value={lecture}>{lecture}</option>)}
+                </select>
+                <select
+                    value={filters.source}
+                    onChange={(e) => setFilters({...filters, source: e.target.value})}
+                    className={selectClassName}
+                >
+                    <option value="">전체 출처</option>
+                    {Object.entries(AUDIT_SOURCE_LABELS).map(([source, label]) => (
+                        <option key={source} value={source}>{label}</option>
+                    ))}
+                </select>
+                {sheetNames.length > 1 && (
+                    <select
+                        value={filters.sheetName}
+                        onChange={(e) => setFilters({...filters, sheetName: e.target.value})}
+                        className={selectClassName}
+                    >
+                        <option value="">전체 시트</option>
+                        {sheetNames.map(sheetName => <option key={sheetName} value={sheetName}>{sheetName}</option>)}
+                    </select>
+                )}
+                <button
+                    onClick={refetch}
+                    disabled={loading}
+                    className="ml-auto px-3 py-1.5 text-sm text-gray-700 border border-gray-300 rounded-md hover:bg-white disabled:opacity-50"
+                >
+                    {loading ? '불러오는 중...' : '새로고침'}
+                </button>
+            </div>
+
+            {error && <p className="px-6 py-2 text-sm text-red-600 bg-red-50">{error}</p>}
+
+            <p className="px-6 py-2 text-sm text-gray-600">
+                {filteredEntries.length}건
+                {filteredEntries.length > MAX_VISIBLE_ENTRIES && ` 중 최근 ${MAX_VISIBLE_ENTRIES}건 표시`}
+                {offlineFailures > 0 && filters.source !== AUDIT_SOURCE.OFFLINE_FAILED && (
+                    <button
+                        onClick={() => setFilters({...filters, source: AUDIT_SOURCE.OFFLINE_FAILED})}
+                        className="ml-3 text-red-600 hover:underline"
+                    >
+                        오프라인 저장 실패 {offlineFailures}건 확인
+                    </button>
+                )}
+            </p>
+
+            {/* 이력 목록 */}
+            <div className="max-h-96 overflow-y-auto">
+                <table className="min-w-full text-sm">
+                    <thead className="bg-gray-50 text-gray-500 sticky top-0">
+                        <tr>
+                            <th className="px-6 py-2 text-left font-medium">시각</th>
+                            <th className="px-3 py-2 text-left font-medium">출처</th>
+                            <th className="px-3 py-2 text-left font-medium">학생</th>
+                            <th className="px-3 py-2 text-left font-medium">강의</th>
+                            <th className="px-3 py-2 text-left font-medium">셀</th>
+                            <th className="px-3 py-2 text-left font-medium">변경</th>
+                        </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-100">
+                        {filteredEntries.slice(0, MAX_VISIBLE_ENTRIES).map(entry => (
+                            <tr key={entry.rowNumber} className={entry.source === AUDIT_SOURCE.OFFLINE_FAILED ? 'bg-red-50' : undefined}>
+                                <td className="px-6 py-2 whitespace-nowrap text-gray-600">{entry.timestamp}</td>
+                                <td className="px-3 py-2 whitespace-nowrap">
+                                    {AUDIT_SOURCE_LABELS[entry.source] || entry.source}
+                                    {entry.admin && <span className="ml-1 text-gray-500">({entry.admin})</span>}
+                                </td>
+                                <td className="px-3 py-2 whitespace-nowrap font-medium text-gray-900">{entry.userName}</td>
+                                <td className="px-3 py-2 whitespace-nowrap">{entry.lecture}</td>
+                                <td className="px-3 py-2 whitespace-nowrap text-gray-500">{entry.sheetName}!{entry.cellAddress}</td>
+                                <td className="px-3 py-2 whitespace-nowrap">
+                                    <span className="text-gray-500">{entry.previousValue || '(빈 값)'}</span>
+                                    <span className="mx-1 text-gray-400">→</span>
+                                    <span className="font-medium">{entry.newValue || '(빈 값)'}</span>
+                                    {entry.source === AUDIT_SOURCE.OFFLINE_FAILED && <span className="ml-1 text-red-600">저장 안 됨</span>}
+                                    {entry.note && <div className="text-xs text-gray-500">{entry.note}</div>}
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+};
+
+/**
+ * 변경 이력 패널 (관리자 화면)
+ * 본인 출석체크와 관리자 수정으로 바뀐 출석 기록을 "변경 이력" 시트에서 불러와 표시
+ * 학생 기기의 오프라인 대기열에서 충돌/거부되어 저장하지 못한 기록도 함께 표시 (오프라인 저장 실패)
+ * @param {Object} props
+ * @param {Object} props.options - useAuditLog 훅 옵션 (spreadsheetId, backend)
+ */
+const AuditLogPanel = ({options = {}}) => {
+    const [isOpen, setIsOpen] = useState(false);
+
+    return (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden mb-6">
+            <button
+                onClick={() => setIsOpen(!isOpen)}
+                className="w-full px-6 py-4 flex items-center justify-between hover:bg-gray-50 transition-colors"
+            >
+                <div className="text-left">
+                    <h3 className="text-lg font-semibold text-gray-900">🧾 변경 이력</h3>
+                    <p className="text-sm text-gray-600">출석 기록이 언제, 누구에 의해 바뀌었는지 확인</p>
+                </div>
+                <span className="text-gray-400">{isOpen ? '▲' : '▼'}</span>
+            </button>
+
+            {isOpen && <AuditLogList options={options}/>}
+        </div>
+    );
+};
+
+export default AuditLogPanel;
@@ -0,0 +1,62 @@
+// components/data/EditHistoryToolbar.jsx
+
+import React from 'react';
+
+/**
+ * 셀 변경 요약 ("강민영 · 6강: O → X")
+ */
+const describeChange = (change, fromValue, toValue) =>
+    `${change.userName || change.cellAddress} · ${change.lecture || change.cellAddress}: ${fromValue || '빈 값'} → ${toValue || '빈 값'}`;
+
+/**
+ * 실행 취소/다시 실행 도구 모음 (관리자 화면)
+ * @param {Object} props
+ * @param {Object} props.history - useEditHistory 반환값
+ * @param {string} props.message - 마지막 실행 결과 메시지 (충돌 안내 등)
+ */
+const EditHistoryToolbar = ({history, message}) => {
+    const {canUndo, canRedo, nextUndo, nextRedo, busy, undo, redo} = history;
+
+    if (!nextUndo && !nextRedo && !message) {
+        return null;
+    }
+
+    const run = (action) => {
+        action().catch(err => console.error('실행 취소/다시 실행 실패:', err));
+    };
+
+    const buttonClassName = 'inline-flex items-center px-3 py-1.5 text-sm text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed';
+
+    return (
+        <div className="mb-4 flex flex-wrap items-center gap-2">
+            <button
+                onClick={() => run(undo)}
+                disabled={!canUndo}
+                className={buttonClassName}
+                title={nextUndo ? `실행 취소: ${describeChange(nextUndo, nextUndo.newValue, nextUndo.previousValue)}` : '실행 취소할 변경이 없습니다'}
+            >
+                <span className="mr-1">↶</span> 실행 취소
+                <span className="ml-2 text-xs text-gray-400">Ctrl+Z</span>
+            </button>
+            <button
+                onClick={() => run(redo)}
+                disabled={!canRedo}
+                className={buttonClassName}
+                title={nextRedo ? `다시 실행: ${describeChange(nextRedo, nextRedo.previousValue, nextRedo.newValue)}` : '다시 실행할 변경이 없습니다'}
+            >
+                <span className="mr-1">↷</span> 다시 실행
+                <span className="ml-2 text-xs text-gray-400">Ctrl+Shift+Z</span>
+            </button>
+
+            {busy && <span className="text-sm text-blue-600 animate-pulse">적용 중...</span>}
+            {!busy && nextUndo && (
+                <span className="text-sm text-gray-500">
+                    최근 변경: {describeChange(nextUndo, nextUndo.previousValue, nextUndo.newValue)}
+                </span>
+            )}
+            {message && <span className="text-sm text-amber-700">{message}</span>}
+        </div>
+    );
+};
+
+export default EditHistoryToolbar;
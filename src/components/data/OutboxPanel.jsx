@@ -0,0 +1,78 @@
+import React from 'react';
+import {OUTBOX_STATUS} from '../../services/offlineOutbox.js';
+
+/**
+ * 오프라인 대기열 패널 (관리자 화면)
+ * 연결이 끊겼을 때 이 기기에 보관된 출석 기록과 재전송 중 충돌하거나 거부된 기록을 표시
+ * @param {Object} props
+ * @param {Object} props.outboxStatus - 대기열 상태 ({pending, conflicts, rejected, entries})
+ * @param {Function} props.onReplay - 대기 중인 기록 재전송 함수
+ * @param {Function} props.onDismiss - 대기열 항목 삭제 함수 (id)
+ */
+const OutboxPanel = ({outboxStatus, onReplay, onDismiss}) => {
+    if (!outboxStatus || (outboxStatus.pending === 0 && outboxStatus.conflicts === 0 && !outboxStatus.rejected)) {
+        return null;
+    }
+
+    const failedEntries = outboxStatus.entries.filter(entry => entry.status !== OUTBOX_STATUS.PENDING);
+
+    const formatTime = (timestamp) => new Date(timestamp).toLocaleString('ko-KR', {
+        month: 'short',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+
+    return (
+        <div className="bg-white rounded-lg shadow-sm border border-amber-200 overflow-hidden mb-6">
+            <div className="px-6 py-4 border-b bg-amber-50 flex items-center justify-between">
+                <div>
+                    <h3 className="text-lg font-semibold text-amber-800">⏳ 오프라인 출석 기록</h3>
+                    <p className="text-sm text-amber-700">
+                        저장 대기 {outboxStatus.pending}건 · 충돌 {outboxStatus.conflicts}건
+                        {outboxStatus.rejected > 0 && ` · 거부 ${outboxStatus.rejected}건`}
+                    </p>
+                </div>
+                {outboxStatus.pending > 0 && (
+                    <button
+                        onClick={onReplay}
+                        className="px-4 py-2 text-sm font-medium text-white bg-amber-600 hover:bg-amber-700 rounded-md transition-colors"
+                    >
+                        지금 다시 전송
+                    </button>
+                )}
+            </div>
+
+            {failedEntries.length > 0 && (
+                <div className="divide-y divide-gray-100">
+                    <p className="px-6 py-3 text-sm text-gray-600">
+                        아래 기록은 연결 복구 후 저장하려 했지만 그 사이 시트 값이 바뀌었거나(충돌) 거부되어 저장하지 않았습니다.
+                        표에서 직접 확인 후 정리해주세요. (학생 기기에서 저장하지 못한 출석체크는 변경 이력의 '오프라인 저장 실패'에서 확인)
+                    </p>
+                    {failedEntries.map(entry => (
+                        <div key={entry.id} className="px-6 py-3 flex items-center justify-between">
+                            <div className="text-sm">
+                                <div className="font-medium text-gray-900">
+                                    {entry.status === OUTBOX_STATUS.CONFLICT ? '충돌' : '거부'} · {entry.userName || '알 수 없음'} · {entry.lecture || entry.cellAddress}
+                                    <span className="ml-2 text-gray-500">({entry.sheetName}!{entry.cellAddress})</span>
+                                </div>
+                                <div className="text-gray-600">
+                                    기록하려던 값 "{entry.newValue}" · 당시 값 "{entry.expectedValue}" · {formatTime(entry.createdAt)}
+                                </div>
+                                <div className="text-red-600">{entry.lastError}</div>
+                            </div>
+                            <button
+                                onClick={() => onDismiss(entry.id)}
+                                className="ml-4 px-3 py-1 text-sm text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50"
+                            >
+                                확인
+                            </button>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default OutboxPanel;
@@ -0,0 +1,240 @@
+// components/data/RequestInboxPanel.jsx
+
+import React, {useMemo, useState} from 'react';
+import {useStudentRequests} from '../../hooks/useStudentRequests';
+import {
+    REQUEST_APPROVAL_VALUES,
+    REQUEST_STATUS,
+    REQUEST_STATUS_LABELS,
+    REQUEST_TEXT_LABELS,
+    sortRequestsForInbox
+} from '../../services/studentRequests.js';
+import {ATTENDANCE_STATUS, getAttendanceLegend} from '../../utils/attendanceStatus.js';
+
+// 한 번에 표시할 최대 신청 수
+const MAX_VISIBLE_REQUESTS = 200;
+
+const STATUS_BADGE_CLASSES = {
+    [REQUEST_STATUS.PENDING]: 'bg-yellow-100 text-yellow-800',
+    [REQUEST_STATUS.APPROVED]: 'bg-green-100 text-green-800',
+    [REQUEST_STATUS.REJECTED]: 'bg-gray-100 text-gray-600'
+};
+
+const inputClassName = 'px-2 py-1 text-sm border border-gray-300 rounded-md bg-white focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+/**
+ * 대기 중인 신청 처리 (기록할 값과 메모 입력 후 승인/반려, 기록 값이 정해진 종류는 값 입력 없이 표시만)
+ */
+const PendingActions = ({request, defaultValue, fixedValue, listId, onApprove, onReject, disabled}) => {
+    const [value, setValue] = useState(fixedValue ?? defaultValue);
+    const [note, setNote] = useState('');
+    const [error, setError] = useState(null);
+
+    const run = async (action) => {
+        try {
+            setError(null);
+            await action();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    return (
+        <div className="space-y-1">
+            <div className="flex flex-wrap items-center gap-2">
+                {fixedValue !== undefined ? (
+                    <span className="text-sm text-gray-600">승인 시 <span className="font-semibold">{fixedValue}</span> 기록</span>
+                ) : (
+                    <input
+                        type="text"
+                        list={listId}
+                        placeholder="기록할 값"
+                        value={value}
+                        onChange={(e) => setValue(e.target.value)}
+                        className={`${inputClassName} w-24`}
+                    />
+                )}
+                <input
+                    type="text"
+                    placeholder="메모 (선택)"
+                    value={note}
+                    onChange={(e) => setNote(e.target.value)}
+                    className={`${inputClassName} w-40`}
+                />
+                <button
+                    onClick={() => run(() => onApprove(request, value, note))}
+                    disabled={disabled || !value.trim()}
+                    className="px-3 py-1 text-sm text-white bg-green-600 rounded-md hover:bg-green-700 disabled:opacity-50"
+                >
+                    승인
+                </button>
+                <button
+                    onClick={() => run(() => onReject(request, note))}
+                    disabled={disabled}
+                    className="px-3 py-1 text-sm text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50"
+                >
+                    반려
+                </button>
+            </div>
+            {error && <p className="text-xs text-red-600">{error}</p>}
+        </div>
+    );
+};
+
+/**
+ * 신청 목록 (패널을 열었을 때만 불러옴)
+ */
+const RequestList = ({options, defaultValue, onDecided}) => {
+    const {requests, loading, error, deciding, refetch, approve, reject} = useStudentRequests(options);
+    const [showDecided, setShowDecided] = useState(false);
+
+    const sortedRequests = useMemo(() => sortRequestsForInbox(requests), [requests]);
+    const visibleRequests = showDecided
+        ? sortedRequests
+        : sortedRequests.filter(request => request.status === REQUEST_STATUS.PENDING);
+    const pendingCount = requests.filter(request => request.status === REQUEST_STATUS.PENDING).length;
+    const statusListId = `request-inbox-statuses-${options.type}`;
+
+    // 승인할 때 고를 수 있는 값 (설정 탭의 상태 포함, 미입력 제외)
+    const statusOptions = getAttendanceLegend().filter(item => item.status !== ATTENDANCE_STATUS.NONE);
+
+    const handleApprove = async (request, value, note) => {
+        await approve(request, value, note);
+        onDecided?.();
+    };
+
+    const handleReject = async (request, note) => {
+        await reject(request, note);
+        onDecided?.();
+    };
+
+    return (
+        <div className="border-t border-gray-200">
+            <div className="px-6 py-4 flex flex-wrap items-center gap-3 bg-gray-50">
+                <span className="text-sm text-gray-700">대기 {pendingCount}건</span>
+                <label className="flex items-center gap-1 text-sm text-gray-600">
+                    <input
+                        type="checkbox"
+                        checked={showDecided}
+                        onChange={(e) => setShowDecided(e.target.checked)}
+                    />
+                    처리한 신청도 보기
+                </label>
+                <button
+                    onClick={refetch}
+                    disabled={loading}
+                    className="ml-auto px-3 py-1.5 text-sm text-gray-700 border border-gray-300 rounded-md hover:bg-white disabled:opacity-50"
+                >
+                    {loading ? '불러오는 중...' : '새로고침'}
+                </button>
+            </div>
+
+            {error && <p className="px-6 py-2 text-sm text-red-600 bg-red-50">{error}</p>}
+
+            <datalist id={statusListId}>
+                {statusOptions.map(item => (
+                    <option key={item.status} value={item.shortName}>{item.displayName}</option>
+                ))}
+            </datalist>
+
+            {visibleRequests.length === 0 ? (
+                <p className="px-6 py-4 text-sm text-gray-500">
+                    {showDecided ? '신청이 없습니다.' : '처리할 신청이 없습니다.'}
+                </p>
+            ) : (
+                <div className="max-h-96 overflow-y-auto">
+                    <table className="min-w-full text-sm">
+                        <thead className="bg-gray-50 text-gray-500 sticky top-0">
+                            <tr>
+                                <th className="px-6 py-2 text-left font-medium">신청 시각</th>
+                                <th className="px-3 py-2 text-left font-medium">학생</th>
+                                <th className="px-3 py-2 text-left font-medium">강의</th>
+                                <th className="px-3 py-2 text-left font-medium">{REQUEST_TEXT_LABELS[options.type] || '내용'}</th>
+                                <th className="px-3 py-2 text-left font-medium">상태</th>
+                                <th className="px-3 py-2 text-left font-medium">처리</th>
+                            </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-100 align-top">
+                            {visibleRequests.slice(0, MAX_VISIBLE_REQUESTS).map(request => (
+                                <tr key={request.rowNumber}>
+                                    <td className="px-6 py-2 whitespace-nowrap text-gray-600">{request.timestamp}</td>
+                                    <td className="px-3 py-2 whitespace-nowrap font-medium text-gray-900">{request.userName}</td>
+                                    <td className="px-3 py-2 whitespace-nowrap">
+                                        {request.lecture}
+                                        <span className="block text-xs text-gray-500">{request.sheetName}!{request.cellAddress}</span>
+                                    </td>
+                                    <td className="px-3 py-2 max-w-md">
+                                        <div className="max-h-32 overflow-y-auto whitespace-pre-wrap break-words">{request.text}</div>
+                                    </td>
+                                    <td className="px-3 py-2 whitespace-nowrap">
+                                        <span className={`px-2 py-0.5 rounded-full text-xs ${STATUS_BADGE_CLASSES[request.status] || STATUS_BADGE_CLASSES[REQUEST_STATUS.REJECTED]}`}>
+                                            {REQUEST_STATUS_LABELS[request.status] || request.status}
+                                        </span>
+                                        {request.status === REQUEST_STATUS.PENDING && (
+                                            <span className="block mt-1 text-xs text-gray-500">
+                                                현재 값: {request.currentValue || '(빈 값)'}
+                                            </span>
+                                        )}
+                                    </td>
+                                    <td className="px-3 py-2">
+                                        {request.status === REQUEST_STATUS.PENDING ? (
+                                            <PendingActions
+                                                request={request}
+                                                defaultValue={defaultValue}
+                                                fixedValue={REQUEST_APPROVAL_VALUES[options.type]}
+                                                listId={statusListId}
+                                                onApprove={handleApprove}
+                                                onReject={handleReject}
+                                                disabled={deciding}
+                                            />
+                                        ) : (
+                                            <span className="text-xs text-gray-600">
+                                                {request.decidedAt}
+                                                {request.decidedBy && ` (${request.decidedBy})`}
+                                                {request.value && <span className="block">기록: {request.value}</span>}
+                                                {request.note && <span className="block">메모: {request.note}</span>}
+                                            </span>
+                                        )}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+};
+
+/**
+ * 학생 신청함 패널 (관리자 화면)
+ * 학생이 제출한 결석 사유, 소감문을 신청 시트에서 불러와 승인(출석 셀에 값 기록) 또는 반려
+ * @param {Object} props
+ * @param {Object} props.options - useStudentRequests 훅 옵션 (type, spreadsheetId, backend)
+ * @param {string} props.title - 패널 제목
+ * @param {string} props.description - 패널 설명
+ * @param {string} props.defaultValue - 승인할 때 기록할 값의 기본값 (기록 값이 정해진 종류는 REQUEST_APPROVAL_VALUES)
+ * @param {Function} props.onDecided - 승인/반려 후 콜백 (출석부 새로고침)
+ */
+const RequestInboxPanel = ({options = {}, title, description, defaultValue = '', onDecided}) => {
+    const [isOpen, setIsOpen] = useState(false);
+
+    return (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden mb-6">
+            <button
+                onClick={() => setIsOpen(!isOpen)}
+                className="w-full px-6 py-4 flex items-center justify-between hover:bg-gray-50 transition-colors"
+            >
+                <div className="text-left">
+                    <h3 className="text-lg font-semibold text-gray-900">{title}</h3>
+                    <p className="text-sm text-gray-600">{description}</p>
+                </div>
+                <span className="text-gray-400">{isOpen ? '▲' : '▼'}</span>
+            </button>
+
+            {isOpen && <RequestList options={options} defaultValue={defaultValue} onDecided={onDecided}/>}
+        </div>
+    );
+};
+
+export default RequestInboxPanel;
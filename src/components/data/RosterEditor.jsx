@@ -0,0 +1,218 @@
+// components/data/RosterEditor.jsx
+
+import React, {useState} from 'react';
+import {ConflictError} from '../../services/errors.js';
+
+/**
+ * 명단 관리 패널 (관리자 화면)
+ * 새 학생 추가, 이름/반 수정, 퇴소 처리를 시트를 직접 열지 않고 처리
+ * 모든 기록은 CAS로 처리되어 다른 관리자가 먼저 수정했다면 저장하지 않음
+ * @param {Object} props
+ * @param {Array<Object>} props.dataRows - 데이터 행 (getDataRows 결과)
+ * @param {Function} props.onAdd - 학생 추가 함수 ({name, className})
+ * @param {Function} props.onUpdate - 이름/반 수정 함수 (rowIndex, {name, className})
+ * @param {Function} props.onSetWithdrawn - 퇴소 처리/취소 함수 (rowIndex, withdrawn)
+ * @param {boolean} props.loading - 저장 중 여부
+ */
+const RosterEditor = ({dataRows = [], onAdd, onUpdate, onSetWithdrawn, loading = false}) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const [newStudent, setNewStudent] = useState({name: '', className: ''});
+    const [editing, setEditing] = useState(null);
+    const [message, setMessage] = useState(null);
+
+    const withdrawnCount = dataRows.filter(row => row.user?.withdrawn).length;
+
+    // 저장 실행 및 결과 메시지 표시
+    const runAction = async (action, successText) => {
+        setMessage(null);
+        try {
+            await action();
+            setMessage({type: 'success', text: successText});
+            return true;
+        } catch (error) {
+            setMessage({
+                type: 'error',
+                text: error instanceof ConflictError
+                    ? '다른 곳에서 명단이 먼저 수정되었습니다. 최신 명단을 불러왔으니 확인 후 다시 시도해주세요.'
+                    : error.message || '저장에 실패했습니다.'
+            });
+            return false;
+        }
+    };
+
+    const handleAdd = async (e) => {
+        e.preventDefault();
+        const saved = await runAction(
+            () => onAdd(newStudent),
+            `${newStudent.name.trim()} 학생을 추가했습니다.`
+        );
+        if (saved) {
+            setNewStudent({name: '', className: ''});
+        }
+    };
+
+    const handleSaveEdit = async () => {
+        const saved = await runAction(
+            () => onUpdate(editing.rowIndex, {name: editing.name, className: editing.className}),
+            `${editing.name.trim()} 학생 정보를 수정했습니다.`
+        );
+        if (saved) {
+            setEditing(null);
+        }
+    };
+
+    const handleToggleWithdrawn = (rowIndex, user) => {
+        const withdrawn = !user.withdrawn;
+        if (withdrawn && !window.confirm(`${user.name} 학생을 퇴소 처리할까요? 출석 기록은 그대로 남습니다.`)) {
+            return;
+        }
+        runAction(
+            () => onSetWithdrawn(rowIndex, withdrawn),
+            withdrawn ? `${user.name} 학생을 퇴소 처리했습니다.` : `${user.name} 학생의 퇴소를 취소했습니다.`
+        );
+    };
+
+    const inputClassName = 'px-3 py-1.5 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+    return (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden mb-6">
+            <button
+                onClick={() => setIsOpen(!isOpen)}
+                className="w-full px-6 py-4 flex items-center justify-between hover:bg-gray-50 transition-colors"
+            >
+                <div className="text-left">
+                    <h3 className="text-lg font-semibold text-gray-900">👥 명단 관리</h3>
+                    <p className="text-sm text-gray-600">
+                        {dataRows.length}명{withdrawnCount > 0 && ` (퇴소 ${withdrawnCount}명)`} · 학생 추가, 이름/반 수정, 퇴소 처리
+                    </p>
+                </div>
+                <span className="text-gray-400">{isOpen ? '▲' : '▼'}</span>
+            </button>
+
+            {isOpen && (
+                <div className="border-t border-gray-200">
+                    {/* 학생 추가 */}
+                    <form onSubmit={handleAdd} className="px-6 py-4 flex flex-wrap items-center gap-2 bg-gray-50">
+                        <input
+                            type="text"
+                            placeholder="이름"
+                            value={newStudent.name}
+                            onChange={(e) => setNewStudent({...newStudent, name: e.target.value})}
+                            className={inputClassName}
+                            disabled={loading}
+                        />
+                        <input
+                            type="text"
+                            placeholder="반 (예: A)"
+                            value={newStudent.className}
+                            onChange={(e) => setNewStudent({...newStudent, className: e.target.value})}
+                            className={`${inputClassName} w-28`}
+                            disabled={loading}
+                        />
+                        <button
+                            type="submit"
+                            disabled={loading || !newStudent.name.trim()}
+                            className="px-4 py-1.5 text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-md transition-colors disabled:opacity-50"
+                        >
+                            학생 추가
+                        </button>
+                    </form>
+
+                    {message && (
+                        <p className={`px-6 py-2 text-sm ${message.type === 'error' ? 'text-red-600 bg-red-50' : 'text-green-700 bg-green-50'}`}>
+                            {message.text}
+                        </p>
+                    )}
+
+                    {/* 명단 */}
+                    <div className="divide-y divide-gray-100 max-h-96 overflow-y-auto">
+                        {dataRows.map((row, rowIndex) => {
+                            const user = row.user || {};
+                            const isEditing = editing?.rowIndex === rowIndex;
+
+                            return (
+                                <div
+                                    key={`${row.rowNumber}-${user.name}`}
+                                    className={`px-6 py-2 flex items-center justify-between ${user.withdrawn ? 'bg-gray-50' : ''}`}
+                                >
+                                    {isEditing ? (
+                                        <div className="flex items-center gap-2">
+                                            <input
+                                                type="text"
+                                                value={editing.name}
+                                                onChange={(e) => setEditing({...editing, name: e.target.value})}
+                                                className={inputClassName}
+                                                disabled={loading}
+                                                autoFocus
+                                            />
+                                            <input
+                                                type="text"
+                                                value={editing.className}
+                                                onChange={(e) => setEditing({...editing, className: e.target.value})}
+                                                className={`${inputClassName} w-28`}
+                                                disabled={loading}
+                                            />
+                                        </div>
+                                    ) : (
+                                        <div className="text-sm">
+                                            <span className={`font-medium ${user.withdrawn ? 'text-gray-400 line-through' : 'text-gray-900'}`}>
+                                                {user.name}
+                                            </span>
+                                            <span className="ml-2 text-gray-500">{user.class || '반 없음'}</span>
+                                            {user.withdrawn && (
+                                                <span className="ml-2 px-2 py-0.5 bg-gray-200 text-gray-600 text-xs rounded-full">퇴소</span>
+                                            )}
+                                            <span className="ml-2 text-xs text-gray-400">{row.rowNumber}행</span>
+                                        </div>
+                                    )}
+
+                                    <div className="flex items-center gap-2">
+                                        {isEditing ? (
+                                            <>
+                                                <button
+                                                    onClick={handleSaveEdit}
+                                                    disabled={loading || !editing.name.trim()}
+                                                    className="px-3 py-1 text-sm text-white bg-blue-600 hover:bg-blue-700 rounded-md disabled:opacity-50"
+                                                >
+                                                    저장
+                                                </button>
+                                                <button
+                                                    onClick={() => setEditing(null)}
+                                                    disabled={loading}
+                                                    className="px-3 py-1 text-sm text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50"
+                                                >
+                                                    취소
+                                                </button>
+                                            </>
+                                        ) : (
+                                            <>
+                                                <button
+                                                    onClick={() => setEditing({rowIndex, name: user.name, className: user.class})}
+                                                    disabled={loading}
+                                                    className="px-3 py-1 text-sm text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50"
+                                                >
+                                                    수정
+                                                </button>
+                                                <button
+                                                    onClick={() => handleToggleWithdrawn(rowIndex, user)}
+                                                    disabled={loading}
+                                                    className={`px-3 py-1 text-sm rounded-md border disabled:opacity-50 ${user.withdrawn
+                                                        ? 'text-blue-700 border-blue-200 hover:bg-blue-50'
+                                                        : 'text-red-600 border-red-200 hover:bg-red-50'}`}
+                                                >
+                                                    {user.withdrawn ? '퇴소 취소' : '퇴소'}
+                                                </button>
+                                            </>
+                                        )}
+                                    </div>
+                                </div>
+                            );
+                        })}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default RosterEditor;
@@ -0,0 +1,355 @@
+// components/data/SchedulePanel.jsx
+
+import React, {useState} from 'react';
+import {ConflictError} from '../../services/errors.js';
+import {columnIndexToLetter} from '../../services/a1Notation.js';
+import {findMostRecentPastDate, formatKoreanDate} from '../../utils/weeklyStatus.js';
+import {
+    DEFAULT_GRACE_MINUTES,
+    createCheckInWindow,
+    describeCheckInWindow,
+    formatClock,
+    isCheckInDay
+} from '../../services/checkInWindow.js';
+
+/**
+ * Date → date input 값 ("2025-09-10")
+ */
+const toDateInputValue = (date) => {
+    if (!(date instanceof Date) || isNaN(date.getTime())) return '';
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * date input 값 → Date (로컬 시간 자정)
+ */
+const fromDateInputValue = (value) => {
+    const [year, month, day] = (value || '').split('-').map(part => parseInt(part, 10));
+    if (!year || !month || !day) return null;
+    return new Date(year, month - 1, day);
+};
+
+/**
+ * 출석체크 시간 → 입력값 ({startTime: "14:00", endTime: "16:00", graceMinutes: "10"}, 없으면 빈 값)
+ */
+const toWindowInputValues = (checkInWindow) => ({
+    startTime: checkInWindow ? formatClock(checkInWindow.startMinutes) : '',
+    endTime: checkInWindow && checkInWindow.endMinutes !== null ? formatClock(checkInWindow.endMinutes) : '',
+    graceMinutes: String(checkInWindow?.graceMinutes ?? DEFAULT_GRACE_MINUTES)
+});
+
+/**
+ * 새 강의 기본값 (다음 회차, 마지막 강의 1주 뒤)
+ */
+const getNextLectureDefaults = (headers) => {
+    const lastDate = headers.reduce((latest, header) =>
+        header.date instanceof Date && (!latest || header.date > latest) ? header.date : latest, null);
+    const nextDate = lastDate ? new Date(lastDate) : new Date();
+    if (lastDate) {
+        nextDate.setDate(nextDate.getDate() + 7);
+    }
+
+    // 출석체크 시간은 직전 강의와 같게
+    const lastWindow = [...headers].reverse().find(header => header.checkInWindow)?.checkInWindow || null;
+
+    return {lecture: `${headers.length + 1}강`, date: toDateInputValue(nextDate), ...toWindowInputValues(lastWindow)};
+};
+
+/**
+ * 출석체크 시간 입력 (시작, 마감, 지각 유예 시간 - 시작을 비우면 강의 당일 언제든 출석)
+ */
+const CheckInWindowInputs = ({values, onChange, inputClassName, disabled}) => (
+    <>
+        <input
+            type="time"
+            title="출석 시작 (비우면 당일 언제든 출석)"
+            value={values.startTime}
+            onChange={(e) => onChange({...values, startTime: e.target.value})}
+            className={inputClassName}
+            disabled={disabled}
+        />
+        <span className="text-sm text-gray-500">~</span>
+        <input
+            type="time"
+            title="출석체크 마감 (비우면 당일 끝까지)"
+            value={values.endTime}
+            onChange={(e) => onChange({...values, endTime: e.target.value})}
+            className={inputClassName}
+            disabled={disabled || !values.startTime}
+        />
+        <label className="flex items-center gap-1 text-sm text-gray-600">
+            유예
+            <input
+                type="number"
+                min="0"
+                value={values.graceMinutes}
+                onChange={(e) => onChange({...values, graceMinutes: e.target.value})}
+                className={`${inputClassName} w-16`}
+                disabled={disabled || !values.startTime}
+            />
+            분
+        </label>
+    </>
+);
+
+/**
+ * 강의 일정 패널 (관리자 화면)
+ * 1행(강의명)과 2행(날짜, 출석체크 시간) 헤더를 시트를 직접 열지 않고 수정
+ * 모든 기록은 CAS로 처리되어 다른 관리자가 먼저 수정했다면 저장하지 않음
+ * @param {Object} props
+ * @param {Array<Object>} props.headers - 강의 헤더 (getHeader 결과)
+ * @param {Function} props.onAdd - 강의 추가 함수 ({lecture, date, checkInWindow})
+ * @param {Function} props.onUpdate - 강의 수정 함수 (lectureIndex, {lecture, date, checkInWindow})
+ * @param {Function} props.onPostpone - 강의 연기 함수 (lectureIndex, days)
+ * @param {boolean} props.loading - 저장 중 여부
+ */
+const SchedulePanel = ({headers = [], onAdd, onUpdate, onPostpone, loading = false}) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const [newLecture, setNewLecture] = useState(null);
+    const [editing, setEditing] = useState(null);
+    const [message, setMessage] = useState(null);
+
+    const recentPast = findMostRecentPastDate(headers);
+    const todayIndex = headers.findIndex(header => isCheckInDay(header.date));
+
+    // 저장 실행 및 결과 메시지 표시
+    const runAction = async (action, successText) => {
+        setMessage(null);
+        try {
+            await action();
+            setMessage({type: 'success', text: successText});
+            return true;
+        } catch (error) {
+            setMessage({
+                type: 'error',
+                text: error instanceof ConflictError
+                    ? '다른 곳에서 일정이 먼저 수정되었습니다. 최신 일정을 불러왔으니 확인 후 다시 시도해주세요.'
+                    : error.message || '저장에 실패했습니다.'
+            });
+            return false;
+        }
+    };
+
+    const handleAdd = async (e) => {
+        e.preventDefault();
+        const saved = await runAction(
+            () => onAdd({
+                lecture: newLecture.lecture,
+                date: fromDateInputValue(newLecture.date),
+                checkInWindow: createCheckInWindow(newLecture)
+            }),
+            `${newLecture.lecture.trim()}을(를) 추가했습니다.`
+        );
+        if (saved) {
+            setNewLecture(null);
+        }
+    };
+
+    const handleSaveEdit = async () => {
+        const saved = await runAction(
+            () => onUpdate(editing.lectureIndex, {
+                lecture: editing.lecture,
+                date: fromDateInputValue(editing.date),
+                checkInWindow: createCheckInWindow(editing)
+            }),
+            `${editing.lecture.trim()} 일정을 수정했습니다.`
+        );
+        if (saved) {
+            setEditing(null);
+        }
+    };
+
+    const handlePostpone = (lectureIndex, header) => {
+        if (!window.confirm(`${header.lecture}을(를) 1주 연기할까요?`)) {
+            return;
+        }
+        runAction(() => onPostpone(lectureIndex, 7), `${header.lecture}을(를) 1주 연기했습니다.`);
+    };
+
+    const inputClassName = 'px-3 py-1.5 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+    return (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden mb-6">
+            <button
+                onClick={() => setIsOpen(!isOpen)}
+                className="w-full px-6 py-4 flex items-center justify-between hover:bg-gray-50 transition-colors"
+            >
+                <div className="text-left">
+                    <h3 className="text-lg font-semibold text-gray-900">🗓️ 강의 일정</h3>
+                    <p className="text-sm text-gray-600">
+                        {headers.length}개 강의
+                        {todayIndex >= 0 && ` · 오늘: ${headers[todayIndex].lecture}`}
+                        {recentPast && ` · 최근 강의: ${recentPast.header.lecture}`}
+                    </p>
+                </div>
+                <span className="text-gray-400">{isOpen ? '▲' : '▼'}</span>
+            </button>
+
+            {isOpen && (
+                <div className="border-t border-gray-200">
+                    {/* 강의 추가 */}
+                    <div className="px-6 py-4 bg-gray-50">
+                        {newLecture ? (
+                            <form onSubmit={handleAdd} className="flex flex-wrap items-center gap-2">
+                                <input
+                                    type="text"
+                                    placeholder="강의명"
+                                    value={newLecture.lecture}
+                                    onChange={(e) => setNewLecture({...newLecture, lecture: e.target.value})}
+                                    className={inputClassName}
+                                    disabled={loading}
+                                />
+                                <input
+                                    type="date"
+                                    value={newLecture.date}
+                                    onChange={(e) => setNewLecture({...newLecture, date: e.target.value})}
+                                    className={inputClassName}
+                                    disabled={loading}
+                                />
+                                <CheckInWindowInputs
+                                    values={newLecture}
+                                    onChange={setNewLecture}
+                                    inputClassName={inputClassName}
+                                    disabled={loading}
+                                />
+                                <button
+                                    type="submit"
+                                    disabled={loading || !newLecture.lecture.trim() || !newLecture.date}
+                                    className="px-4 py-1.5 text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-md transition-colors disabled:opacity-50"
+                                >
+                                    추가
+                                </button>
+                                <button
+                                    type="button"
+                                    onClick={() => setNewLecture(null)}
+                                    disabled={loading}
+                                    className="px-4 py-1.5 text-sm text-gray-700 border border-gray-300 rounded-md hover:bg-white"
+                                >
+                                    취소
+                                </button>
+                            </form>
+                        ) : (
+                            <button
+                                onClick={() => setNewLecture(getNextLectureDefaults(headers))}
+                                disabled={loading}
+                                className="px-4 py-1.5 text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-md transition-colors disabled:opacity-50"
+                            >
+                                강의 추가
+                            </button>
+                        )}
+                    </div>
+
+                    {message && (
+                        <p className={`px-6 py-2 text-sm ${message.type === 'error' ? 'text-red-600 bg-red-50' : 'text-green-700 bg-green-50'}`}>
+                            {message.text}
+                        </p>
+                    )}
+
+                    {/* 강의 목록 */}
+                    <div className="divide-y divide-gray-100 max-h-96 overflow-y-auto">
+                        {headers.map((header, lectureIndex) => {
+                            const isEditing = editing?.lectureIndex === lectureIndex;
+
+                            return (
+                                <div
+                                    key={header.column}
+                                    className={`px-6 py-2 flex items-center justify-between ${lectureIndex === todayIndex ? 'bg-blue-50' : ''}`}
+                                >
+                                    {isEditing ? (
+                                        <div className="flex flex-wrap items-center gap-2">
+                                            <input
+                                                type="text"
+                                                value={editing.lecture}
+                                                onChange={(e) => setEditing({...editing, lecture: e.target.value})}
+                                                className={inputClassName}
+                                                disabled={loading}
+                                                autoFocus
+                                            />
+                                            <input
+                                                type="date"
+                                                value={editing.date}
+                                                onChange={(e) => setEditing({...editing, date: e.target.value})}
+                                                className={inputClassName}
+                                                disabled={loading}
+                                            />
+                                            <CheckInWindowInputs
+                                                values={editing}
+                                                onChange={setEditing}
+                                                inputClassName={inputClassName}
+                                                disabled={loading}
+                                            />
+                                        </div>
+                                    ) : (
+                                        <div className="text-sm">
+                                            <span className="font-medium text-gray-900">{header.lecture}</span>
+                                            <span className="ml-2 text-gray-600">
+                                                {header.date ? formatKoreanDate(header.date) : `날짜 형식 오류 ("${header.dateCell}")`}
+                                            </span>
+                                            {header.checkInWindow && (
+                                                <span className="ml-2 text-xs text-gray-500">{describeCheckInWindow(header.checkInWindow)}</span>
+                                            )}
+                                            {lectureIndex === todayIndex && (
+                                                <span className="ml-2 px-2 py-0.5 bg-blue-100 text-blue-700 text-xs rounded-full">오늘</span>
+                                            )}
+                                            {recentPast?.lectureIndex === lectureIndex && (
+                                                <span className="ml-2 px-2 py-0.5 bg-gray-100 text-gray-600 text-xs rounded-full">최근 강의</span>
+                                            )}
+                                            <span className="ml-2 text-xs text-gray-400">{columnIndexToLetter(header.column)}열</span>
+                                        </div>
+                                    )}
+
+                                    <div className="flex items-center gap-2">
+                                        {isEditing ? (
+                                            <>
+                                                <button
+                                                    onClick={handleSaveEdit}
+                                                    disabled={loading || !editing.lecture.trim() || !editing.date}
+                                                    className="px-3 py-1 text-sm text-white bg-blue-600 hover:bg-blue-700 rounded-md disabled:opacity-50"
+                                                >
+                                                    저장
+                                                </button>
+                                                <button
+                                                    onClick={() => setEditing(null)}
+                                                    disabled={loading}
+                                                    className="px-3 py-1 text-sm text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50"
+                                                >
+                                                    취소
+                                                </button>
+                                            </>
+                                        ) : (
+                                            <>
+                                                <button
+                                                    onClick={() => setEditing({
+                                                        lectureIndex,
+                                                        lecture: header.lecture,
+                                                        date: toDateInputValue(header.date),
+                                                        ...toWindowInputValues(header.checkInWindow)
+                                                    })}
+                                                    disabled={loading}
+                                                    className="px-3 py-1 text-sm text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50"
+                                                >
+                                                    수정
+                                                </button>
+                                                <button
+                                                    onClick={() => handlePostpone(lectureIndex, header)}
+                                                    disabled={loading || !header.date}
+                                                    className="px-3 py-1 text-sm text-amber-700 border border-amber-200 rounded-md hover:bg-amber-50 disabled:opacity-50"
+                                                >
+                                                    1주 연기
+                                                </button>
+                                            </>
+                                        )}
+                                    </div>
+                                </div>
+                            );
+                        })}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default SchedulePanel;
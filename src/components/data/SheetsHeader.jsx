@@ -9,8 +9,14 @@ import {formatKoreanDate, getLastWeekStats} from "../../utils/weeklyStatus.js";
  * @param {Function} props.onRefresh - 새로고침 함수
  * @param {boolean} props.loading - 로딩 상태
  * @param {Object} props.config - 설정 정보
+ * @param {Object} props.queueStatus - 요청 대기열 상태 ({pending, active, retrying})
+ * @param {Object} props.semester - 선택된 학기 ({sheetName, label})
+ * @param {React.ReactNode} props.semesterSelector - 학기 선택 드롭다운
  */
-const SheetsHeader = ({data, onRefresh, loading, config}) => {
+const SheetsHeader = ({data, onRefresh, loading, config, queueStatus, semester, semesterSelector}) => {
+    const semesterLabel = semester?.label || data?.sheetName || config?.sheetName || '출석부';
+    const sheetName = data?.sheetName || config?.sheetName;
+
     const formatLastUpdated = (timestamp) => {
         if (!timestamp) return '알 수 없음';
         return new Date(timestamp).toLocaleString('ko-KR', {
@@ -32,15 +38,44 @@ const SheetsHeader = ({data, onRefresh, loading, config}) => {
                 <div className="flex items-center justify-between">
                     <div>
                         <h1 className="text-2xl font-bold text-gray-900 mb-1 flex items-center space-x-2">
-                            25-2학기
+                            {semesterLabel}
                         </h1>
                         <p className="text-sm text-gray-600">
-                            {config?.sheetName ? `${config.sheetName} 시트의 데이터를 표시합니다` : '스프레드시트 데이터를 불러와서 표시합니다'}
+                            {sheetName ? `${sheetName} 시트의 데이터를 표시합니다` : '스프레드시트 데이터를 불러와서 표시합니다'}
+                            {config?.backend === 'local' && (
+                                <span className="ml-2 px-2 py-0.5 bg-yellow-50 text-yellow-700 text-xs rounded-full border border-yellow-200">
+                                    오프라인 데모 데이터
+                                </span>
+                            )}
+                            {(queueStatus?.pending > 0 || queueStatus?.retrying > 0) && (
+                                <span className="ml-2 px-2 py-0.5 bg-orange-50 text-orange-700 text-xs rounded-full border border-orange-200">
+                                    대기 {queueStatus.pending}건 · 진행 {queueStatus.active}건
+                                    {queueStatus.retrying > 0 && ` · 재시도 ${queueStatus.retrying}건`}
+                                </span>
+                            )}
                         </p>
                     </div>
+                    {semesterSelector}
                 </div>
             </div>
 
+            {/* 범위 잘림 경고 */}
+            {data?.truncation && (
+                <div className="mb-6 p-4 bg-yellow-50 border border-yellow-200 rounded-lg">
+                    <div className="flex items-start space-x-2">
+                        <i className="fas fa-exclamation-triangle text-yellow-600 mt-0.5"></i>
+                        <div className="text-sm text-yellow-800">
+                            <p className="font-medium">일부 데이터가 표시되지 않았을 수 있습니다.</p>
+                            <p className="mt-1">
+                                조회 범위({data.truncation.range})가 시트 크기({data.truncation.rowCount}행 × {data.truncation.columnCount}열)보다 작습니다.
+                                {data.truncation.rows && ' 아래쪽 학생 행이 잘렸을 수 있습니다.'}
+                                {data.truncation.columns && ' 오른쪽 강의 열이 잘렸을 수 있습니다.'}
+                            </p>
+                        </div>
+                    </div>
+                </div>
+            )}
+
             {/* 데이터 정보 */}
             {data && (
                 <div className="grid gap-6">
@@ -55,7 +90,7 @@ const SheetsHeader = ({data, onRefresh, loading, config}) => {
                                     <div>
 
                                         <h3 className="text-lg font-medium text-gray-900 flex items-center space-x-2">
-                                            <span>지난 강의 출석 현황</span>
+                                            <span>{semesterLabel} 지난 강의 출석 현황</span>
                                             <span className="text-sm font-normal text-gray-500">
                                             ({weeklyStats.lectureInfo.lecture} - {formatKoreanDate(weeklyStats.lectureInfo.date)})
                                         </span>
@@ -1,5 +1,6 @@
 import React, { useState, useMemo, useCallback } from 'react';
 import { getAttendanceStyle, getAttendanceTooltip, ATTENDANCE_CONFIG } from '../../utils/attendanceStatus.js';
+import { COMPLETION_RESULT_CLASSES, COMPLETION_RESULT_LABELS, evaluateCompletion, getCompletionSummary } from '../../utils/completionPolicy.js';
 import SheetsTableSkeleton from "./SheetsTableSkeleton.jsx";
 import SheetsTableWithNoData from "./SheetsTableWithNoData.jsx";
 
@@ -13,6 +14,23 @@ const formatDate = (date) => {
     return `${date.getMonth() + 1}/${date.getDate()}`;
 };
 
+/**
+ * 수료 판정 배지 (툴팁에 판정 근거)
+ * @param {Object} evaluation - evaluateCompletion 결과
+ */
+const CompletionBadge = ({ evaluation }) => {
+    if (!evaluation) return null;
+
+    return (
+        <span
+            className={`px-2 py-0.5 rounded-full text-xs ${COMPLETION_RESULT_CLASSES[evaluation.result]}`}
+            title={getCompletionSummary(evaluation)}
+        >
+            {COMPLETION_RESULT_LABELS[evaluation.result]}
+        </span>
+    );
+};
+
 /**
  * 스프레드시트 테이블 컴포넌트
  */
@@ -21,12 +39,18 @@ const SheetsTable = ({
                          loading,
                          onCellClick,
                          cellUpdateLoading = false,
+                         semesterLabel = '',
                          className = ''
                      }) => {
     const [searchTerm, setSearchTerm] = useState('');
     const [sortConfig, setSortConfig] = useState({ key: null, direction: 'asc' });
     const [hoveredCell, setHoveredCell] = useState(null);
 
+    // 학생별 수료 판정 (설정 탭의 수료 기준)
+    const completions = useMemo(() => new Map(
+        (data?.dataRows || []).map(row => [row, evaluateCompletion(row.attendance, data.headers)])
+    ), [data]);
+
     // 데이터 검색 및 정렬
     const processedData = useMemo(() => {
         if (!data?.dataRows || data.dataRows.length === 0) return [];
@@ -88,9 +112,8 @@ const SheetsTable = ({
                 ? ''
                 : (attendance?.status || '');
 
-        const originalRowIndex = data.dataRows.findIndex(row =>
-            row.user?.name === processedData[rowIndex]?.user?.name
-        );
+        // 동명이인이 있어도 정확한 행을 가리키도록 이름이 아닌 행 객체로 검색
+        const originalRowIndex = data.dataRows.indexOf(processedData[rowIndex]);
 
         const cellInfo = {
             userName: processedData[rowIndex]?.user?.name,
@@ -130,7 +153,7 @@ const SheetsTable = ({
                 <div className="flex items-center justify-between">
                     <h3 className="text-lg font-medium text-gray-900 flex items-center space-x-2">
                         <span>📋</span>
-                        <span>25 가을학기</span>
+                        <span>{semesterLabel || '출석부'}</span>
                         {cellUpdateLoading && (
                             <span className="text-sm text-blue-600 animate-pulse">저장 중...</span>
                         )}
@@ -179,6 +202,10 @@ const SheetsTable = ({
                             반
                         </th>
 
+                        <th className="px-4 py-3 text-center text-xs font-medium text-gray-500 uppercase tracking-wider border-r border-gray-200">
+                            수료
+                        </th>
+
                         {data.headers.map((header, index) => (
                             <th
                                 key={index}
@@ -199,7 +226,7 @@ const SheetsTable = ({
                     <tbody className="bg-white divide-y divide-gray-200">
                     {processedData.length === 0 ? (
                         <tr>
-                            <td colSpan={data.headers.length + 2} className="px-6 py-8 text-center text-gray-500">
+                            <td colSpan={data.headers.length + 3} className="px-6 py-8 text-center text-gray-500">
                                 {searchTerm ? (
                                     <div>
                                         <div className="text-2xl mb-2">🔍</div>
@@ -219,7 +246,12 @@ const SheetsTable = ({
                             <tr key={rowIndex} className="hover:bg-gray-50 transition-colors">
                                 {/* 이름 셀 */}
                                 <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900 border-r border-gray-100">
-                                    {row.user?.name || '-'}
+                                    <span className={row.user?.withdrawn ? 'text-gray-400 line-through' : ''}>
+                                        {row.user?.name || '-'}
+                                    </span>
+                                    {row.user?.withdrawn && (
+                                        <span className="ml-2 px-2 py-0.5 bg-gray-100 text-gray-500 text-xs rounded-full">퇴소</span>
+                                    )}
                                 </td>
 
                                 {/* 반 셀 */}
@@ -227,6 +259,11 @@ const SheetsTable = ({
                                     {row.user?.class || '-'}
                                 </td>
 
+                                {/* 수료 판정 셀 - 마우스를 올리면 판정 근거 표시 */}
+                                <td className="px-4 py-4 whitespace-nowrap text-center border-r border-gray-100">
+                                    <CompletionBadge evaluation={completions.get(row)}/>
+                                </td>
+
                                 {/* 출석 정보 셀들 - displayShortName으로 텍스트 표시 */}
                                 {row.attendance?.map((attendance, colIndex) => {
                                         const style = getAttendanceStyle(attendance.status);
@@ -1,12 +1,23 @@
 // components/sheets/SheetsViewer.jsx
 
-import React, { useState, useCallback } from 'react';
+import React, { useState, useCallback, useRef } from 'react';
 import { useGoogleSheets } from '../../hooks/useGoogleSheets';
+import { useEditHistory } from '../../hooks/useEditHistory';
 import LoadingSpinner from '../common/LoadingSpinner';
 import ErrorMessage from '../common/ErrorMessage';
 import SheetsHeader from './SheetsHeader';
 import SheetsTable from './SheetsTable';
 import CellEditModal from '../common/CellEditModal';
+import OutboxPanel from './OutboxPanel';
+import SemesterSelector from '../common/SemesterSelector';
+import RosterEditor from './RosterEditor';
+import SchedulePanel from './SchedulePanel';
+import AuditLogPanel from './AuditLogPanel';
+import RequestInboxPanel from './RequestInboxPanel';
+import AttendanceCodePanel from './AttendanceCodePanel';
+import EditHistoryToolbar from './EditHistoryToolbar';
+import {AUDIT_SOURCE} from '../../services/auditLog.js';
+import {REQUEST_TYPE} from '../../services/studentRequests.js';
 
 /**
  * 스프레드시트 뷰어 메인 컨테이너 컴포넌트
@@ -19,6 +30,10 @@ const SheetsViewer = ({ options = {}, className = '' }) => {
     const [isModalOpen, setIsModalOpen] = useState(false);
     const [selectedCell, setSelectedCell] = useState(null);
     const [modalError, setModalError] = useState(null);
+    const [historyMessage, setHistoryMessage] = useState('');
+
+    // 실행 취소 기록 추가 (기록 훅은 아래에서 훅 결과를 받아 만들어지므로 ref로 연결)
+    const recordChangeRef = useRef(null);
 
     // Google Sheets 훅 사용
     const {
@@ -35,11 +50,31 @@ const SheetsViewer = ({ options = {}, className = '' }) => {
         authStatus,
         config,
         updateCell,
-        cellUpdateLoading
+        cellUpdateLoading,
+        queueStatus,
+        outboxStatus,
+        replayOutbox,
+        dismissOutboxEntry,
+        semesters,
+        selectedSemester,
+        selectSemester,
+        addStudent,
+        updateStudent,
+        setStudentWithdrawn,
+        addLecture,
+        updateLecture,
+        postponeLecture,
+        applyCellChange
     } = useGoogleSheets({
         ...options,
+        // 관리자 화면에서 바꾼 출석 기록은 변경 이력에 남김
+        auditSource: AUDIT_SOURCE.ADMIN,
         onCellUpdate: (result) => {
             console.log('셀 업데이트 성공:', result);
+            if (result.previousValue !== result.newValue) {
+                recordChangeRef.current?.(result);
+                setHistoryMessage('');
+            }
             setIsModalOpen(false);
             setSelectedCell(null);
             setModalError(null);
@@ -64,6 +99,19 @@ const SheetsViewer = ({ options = {}, className = '' }) => {
         }
     });
 
+    // 되돌릴 셀이 그 사이 바뀐 경우 안내
+    const handleHistoryConflict = useCallback((change) => {
+        setHistoryMessage(`${change.userName || change.cellAddress} · ${change.lecture || ''} 셀이 그 사이 다른 곳에서 바뀌어 되돌리지 않았습니다.`);
+    }, []);
+
+    // 실행 취소/다시 실행 (모달이 열려 있으면 단축키 비활성화)
+    const history = useEditHistory({
+        apply: applyCellChange,
+        enabled: !isModalOpen,
+        onConflict: handleHistoryConflict
+    });
+    recordChangeRef.current = history.record;
+
     // 셀 클릭 핸들러
     const handleCellClick = useCallback((rowIndex, colIndex, currentValue, cellInfo) => {
         setSelectedCell({
@@ -106,7 +154,7 @@ const SheetsViewer = ({ options = {}, className = '' }) => {
     if (error) {
         return (
             <div className={`container max-w-7xl mx-auto px-4 py-8 ${className}`}>
-                <SheetsHeader config={config} />
+                <SheetsHeader config={config} semester={selectedSemester} />
                 <ErrorMessage
                     error={error}
                     onRetry={refetch}
@@ -138,7 +186,7 @@ const SheetsViewer = ({ options = {}, className = '' }) => {
     if (loading && !data) {
         return (
             <div className={`container max-w-7xl mx-auto px-4 py-8 ${className}`}>
-                <SheetsHeader config={config} />
+                <SheetsHeader config={config} semester={selectedSemester} />
                 <LoadingSpinner
                     message="스프레드시트 데이터를 불러오는 중입니다..."
                     size="lg"
@@ -156,14 +204,75 @@ const SheetsViewer = ({ options = {}, className = '' }) => {
                 onRefresh={refetch}
                 loading={loading}
                 config={config}
+                queueStatus={queueStatus}
+                semester={selectedSemester}
+                semesterSelector={
+                    <SemesterSelector
+                        semesters={semesters}
+                        selectedSheetName={selectedSemester.sheetName}
+                        onSelect={selectSemester}
+                        disabled={loading || cellUpdateLoading}
+                    />
+                }
             />
 
+            {/* 오프라인 대기열 (저장 대기 / 충돌) */}
+            <OutboxPanel
+                outboxStatus={outboxStatus}
+                onReplay={replayOutbox}
+                onDismiss={dismissOutboxEntry}
+            />
+
+            {/* 출석 인증번호 (강의실 화면 표시) */}
+            <AttendanceCodePanel headers={data?.headers} sheetName={selectedSemester.sheetName} backend={options.backend} />
+
+            {/* 강의 일정 */}
+            <SchedulePanel
+                headers={data?.headers}
+                onAdd={addLecture}
+                onUpdate={updateLecture}
+                onPostpone={postponeLecture}
+                loading={cellUpdateLoading}
+            />
+
+            {/* 명단 관리 */}
+            <RosterEditor
+                dataRows={data?.dataRows}
+                onAdd={addStudent}
+                onUpdate={updateStudent}
+                onSetWithdrawn={setStudentWithdrawn}
+                loading={cellUpdateLoading}
+            />
+
+            {/* 결석 사유 신청함 */}
+            <RequestInboxPanel
+                options={{ type: REQUEST_TYPE.ABSENCE, backend: options.backend, spreadsheetId: config.spreadsheetId }}
+                title="📨 결석 사유 신청"
+                description="학생이 제출한 결석 사유를 확인하고 승인하면 출석부에 기록"
+                onDecided={refetch}
+            />
+
+            {/* 소감문 검토 */}
+            <RequestInboxPanel
+                options={{ type: REQUEST_TYPE.ESSAY, backend: options.backend, spreadsheetId: config.spreadsheetId }}
+                title="📝 소감문 검토"
+                description="결석한 강의에 학생이 제출한 소감문을 읽고 승인하면 소감문(ㅁ)으로 출석 인정"
+                onDecided={refetch}
+            />
+
+            {/* 변경 이력 */}
+            <AuditLogPanel options={{ backend: options.backend, spreadsheetId: config.spreadsheetId }} />
+
+            {/* 실행 취소/다시 실행 */}
+            <EditHistoryToolbar history={history} message={historyMessage} />
+
             {/* 데이터 테이블 */}
             <SheetsTable
                 data={data}
                 loading={loading}
                 onCellClick={handleCellClick}
                 cellUpdateLoading={cellUpdateLoading}
+                semesterLabel={selectedSemester.label}
             />
 
             {/* 셀 편집 모달 */}
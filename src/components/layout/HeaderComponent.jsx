@@ -5,8 +5,10 @@ import React, { useState } from "react";
  * @param {Object} props
  * @param {string} props.currentView - 현재 화면 ('attendanceCheck' | 'management')
  * @param {Function} props.onViewChange - 화면 전환 콜백 함수
+ * @param {string|null} props.adminName - 로그인한 관리자 이름 (로그인하지 않았으면 null)
+ * @param {Function} props.onSignOut - 로그아웃 콜백 함수
  */
-function HeaderComponent({ currentView = 'management', onViewChange }) {
+function HeaderComponent({ currentView = 'management', onViewChange, adminName = null, onSignOut }) {
     // 모바일 메뉴 토글 상태
     const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
 
@@ -19,6 +21,12 @@ function HeaderComponent({ currentView = 'management', onViewChange }) {
         setIsMobileMenuOpen(false);
     };
 
+    // 로그아웃 클릭 핸들러
+    const handleSignOut = () => {
+        onSignOut?.();
+        setIsMobileMenuOpen(false);
+    };
+
     // 네비게이션 아이템 스타일 계산
     const getNavItemStyle = (view) => {
         const baseStyle = "px-3 py-2 rounded-md text-sm font-medium transition-colors duration-200";
@@ -63,6 +71,20 @@ function HeaderComponent({ currentView = 'management', onViewChange }) {
                         </div>
                     </div>
 
+                    {/* 데스크톱 관리자 정보 */}
+                    {adminName && (
+                        <div className="hidden md:flex items-center space-x-3">
+                            <span className="text-sm text-gray-600">👤 {adminName}</span>
+                            <button
+                                onClick={handleSignOut}
+                                className="px-3 py-1.5 rounded-md text-sm font-medium text-gray-500 border border-gray-300 hover:text-gray-700 hover:bg-gray-50 transition-colors duration-200"
+                                type="button"
+                            >
+                                로그아웃
+                            </button>
+                        </div>
+                    )}
+
                     {/* 모바일 네비게이션 메뉴 버튼 */}
                     <div className="md:hidden">
                         <button
@@ -103,6 +125,19 @@ function HeaderComponent({ currentView = 'management', onViewChange }) {
                             >
                                 🗂️ 출결관리(관리자용)
                             </button>
+
+                            {adminName && (
+                                <div className="flex items-center justify-between border-t border-gray-200 pt-3 px-3">
+                                    <span className="text-sm text-gray-600">👤 {adminName}</span>
+                                    <button
+                                        onClick={handleSignOut}
+                                        className="px-3 py-1.5 rounded-md text-sm font-medium text-gray-500 border border-gray-300 hover:text-gray-700 hover:bg-gray-50"
+                                        type="button"
+                                    >
+                                        로그아웃
+                                    </button>
+                                </div>
+                            )}
                         </div>
                     </div>
                 )}
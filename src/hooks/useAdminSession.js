@@ -0,0 +1,121 @@
+// hooks/useAdminSession.js
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+import defaultDataBackend from "../services/dataBackend.js";
+import {ADMIN_SESSION_WARNING_MS} from "../services/adminAccounts.js";
+
+// 관리자 세션 연장 간격 (사용 중이면 이 간격마다 만료 시각을 유휴 시간만큼 연장)
+const ADMIN_SESSION_REFRESH_INTERVAL_MS = 60 * 1000;
+
+// 관리자가 화면을 사용하고 있다고 보는 이벤트
+const ADMIN_ACTIVITY_EVENTS = ['pointerdown', 'keydown', 'wheel', 'touchstart'];
+
+/**
+ * 관리자 세션 만료를 관리하는 훅
+ * - 화면을 사용하는 동안에는 주기적으로 세션을 연장하고, 유휴 시간 동안 사용하지 않거나 로그인 후 유효 시간이 지나면 로그아웃
+ * - 만료 직전(warningMs)에는 경고 상태가 되며, 이때는 화면 이벤트가 아닌 extend()로만 연장
+ * @param {Object} options
+ * @param {Object|null} options.session - 현재 관리자 세션
+ * @param {Function} options.onSessionChange - 세션 변경 콜백 (session, reason) - 만료/로그아웃이면 session은 null, reason은 'expired' | 'signedOut'
+ * @param {number} options.warningMs - 만료 전 경고 시간
+ * @param {Object} options.backend - 데이터 백엔드
+ */
+export const useAdminSession = (options = {}) => {
+    const {
+        session,
+        onSessionChange,
+        warningMs = ADMIN_SESSION_WARNING_MS,
+        backend = defaultDataBackend
+    } = options;
+
+    const [remainingMs, setRemainingMs] = useState(() => session ? session.expiresAt - Date.now() : null);
+
+    const lastActivityRef = useRef(0);
+    const lastRefreshRef = useRef(0);
+    const refreshingRef = useRef(false);
+    const onSessionChangeRef = useRef(onSessionChange);
+    useEffect(() => {
+        onSessionChangeRef.current = onSessionChange;
+    }, [onSessionChange]);
+
+    const expire = useCallback((reason) => {
+        backend.logoutAdmin();
+        setRemainingMs(null);
+        onSessionChangeRef.current?.(null, reason);
+    }, [backend]);
+
+    // 세션 연장 (서버가 없으면 화면에서 만료 시각만 연장)
+    const extend = useCallback(async () => {
+        if (refreshingRef.current) return;
+
+        refreshingRef.current = true;
+        lastRefreshRef.current = Date.now();
+        try {
+            const next = await backend.refreshAdminSession();
+            if (!next) {
+                expire('expired');
+                return;
+            }
+            setRemainingMs(next.expiresAt - Date.now());
+            onSessionChangeRef.current?.(next, 'refreshed');
+        } catch (err) {
+            // 연결 오류면 현재 세션을 유지하고 다음 간격에 다시 시도
+            console.warn('⚠️ 관리자 세션 연장 실패:', err.message);
+        } finally {
+            refreshingRef.current = false;
+        }
+    }, [backend, expire]);
+
+    const signOut = useCallback(() => {
+        console.log('👋 관리자 로그아웃');
+        expire('signedOut');
+    }, [expire]);
+
+    useEffect(() => {
+        if (!session) {
+            return undefined;
+        }
+
+        lastRefreshRef.current = Date.now();
+        const handleActivity = () => {
+            lastActivityRef.current = Date.now();
+        };
+        ADMIN_ACTIVITY_EVENTS.forEach(event => window.addEventListener(event, handleActivity, {passive: true}));
+
+        const timer = setInterval(() => {
+            // 만료되었거나 서버가 401로 거부해 삭제된 세션
+            const current = backend.getAdminSession();
+            if (!current) {
+                console.log('⏰ 관리자 세션이 만료되어 로그아웃합니다.');
+                expire('expired');
+                return;
+            }
+
+            const now = Date.now();
+            const remaining = current.expiresAt - now;
+            setRemainingMs(remaining);
+
+            const isActive = lastActivityRef.current > lastRefreshRef.current;
+            const canExtend = current.expiresAt < current.absoluteExpiresAt;
+            if (isActive && canExtend && remaining > warningMs && now - lastRefreshRef.current >= ADMIN_SESSION_REFRESH_INTERVAL_MS) {
+                extend();
+            }
+        }, 1000);
+
+        return () => {
+            clearInterval(timer);
+            ADMIN_ACTIVITY_EVENTS.forEach(event => window.removeEventListener(event, handleActivity));
+        };
+    }, [session, backend, warningMs, expire, extend]);
+
+    return {
+        remainingMs,
+        isWarning: Boolean(session) && remainingMs !== null && remainingMs <= warningMs,
+        // 로그인 후 유효 시간에 도달한 세션은 연장할 수 없음
+        canExtend: Boolean(session) && session.expiresAt < session.absoluteExpiresAt,
+        extend,
+        signOut
+    };
+};
+
+export default useAdminSession;
@@ -0,0 +1,70 @@
+// hooks/useAttendanceCode.js
+
+import { useState, useEffect, useCallback } from 'react';
+import defaultDataBackend from "../services/dataBackend.js";
+
+/**
+ * 강의의 현재 출석 인증번호를 가져오는 훅 (관리자 인증번호 표시 화면용)
+ * 시간 기반 인증번호는 바뀌는 시점에 다시 가져옴
+ * @param {Object} options
+ * @param {string} options.lecture - 강의명
+ * @param {Object} options.backend - 데이터 백엔드
+ * @param {boolean} options.enabled - 가져올지 여부 (기본값: true)
+ */
+export const useAttendanceCode = (options = {}) => {
+    const [codeInfo, setCodeInfo] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+
+    const {
+        lecture,
+        backend = defaultDataBackend,
+        enabled = true
+    } = options;
+
+    const fetchCode = useCallback(async () => {
+        try {
+            setLoading(true);
+            setError(null);
+
+            const result = await backend.getAttendanceCode(lecture);
+
+            // 서버와 화면의 시계가 다를 수 있으므로 남은 시간으로 이 화면 기준 만료 시각 계산
+            setCodeInfo({
+                ...result,
+                expiresAt: result.remainingMs != null ? Date.now() + result.remainingMs : null
+            });
+
+        } catch (err) {
+            setError(err.message);
+            console.error('출석 인증번호 가져오기 실패:', err);
+        } finally {
+            setLoading(false);
+        }
+    }, [backend, lecture]);
+
+    useEffect(() => {
+        if (enabled && lecture) {
+            fetchCode();
+        }
+    }, [enabled, lecture, fetchCode]);
+
+    // 인증번호가 바뀌는 시점에 다시 가져옴
+    useEffect(() => {
+        if (!enabled || !codeInfo?.expiresAt) {
+            return undefined;
+        }
+
+        const timer = setTimeout(fetchCode, Math.max(codeInfo.expiresAt - Date.now(), 0) + 250);
+        return () => clearTimeout(timer);
+    }, [enabled, codeInfo, fetchCode]);
+
+    return {
+        codeInfo,
+        loading,
+        error,
+        refetch: fetchCode
+    };
+};
+
+export default useAttendanceCode;
@@ -0,0 +1,62 @@
+// hooks/useAuditLog.js
+
+import { useState, useEffect, useCallback } from 'react';
+import {SHEETS_CONFIG} from "../services/sheetsConfig.js";
+import defaultDataBackend from "../services/dataBackend.js";
+import defaultAuditLog from "../services/auditLog.js";
+
+/**
+ * 출석 변경 이력을 가져오는 훅
+ * @param {Object} options
+ * @param {string} options.spreadsheetId - 스프레드시트 ID
+ * @param {Object} options.backend - 데이터 백엔드
+ * @param {Object} options.auditLog - 변경 이력 (기본값: 공유 변경 이력)
+ * @param {boolean} options.autoFetch - 자동으로 가져올지 여부 (기본값: true)
+ */
+export const useAuditLog = (options = {}) => {
+    const [entries, setEntries] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+
+    const {
+        spreadsheetId = SHEETS_CONFIG.spreadsheetId,
+        backend = defaultDataBackend,
+        auditLog = defaultAuditLog,
+        autoFetch = true
+    } = options;
+
+    const fetchEntries = useCallback(async () => {
+        try {
+            setLoading(true);
+            setError(null);
+
+            // 인증 확인
+            if (!backend.isAuthenticated()) {
+                await backend.authenticate();
+            }
+
+            setEntries(await auditLog.list(backend, spreadsheetId));
+
+        } catch (err) {
+            setError(err.message);
+            console.error('변경 이력 가져오기 실패:', err);
+        } finally {
+            setLoading(false);
+        }
+    }, [backend, auditLog, spreadsheetId]);
+
+    useEffect(() => {
+        if (autoFetch) {
+            fetchEntries();
+        }
+    }, [autoFetch, fetchEntries]);
+
+    return {
+        entries,
+        loading,
+        error,
+        refetch: fetchEntries
+    };
+};
+
+export default useAuditLog;
@@ -0,0 +1,61 @@
+// hooks/useCheckInLink.js
+
+import { useState, useEffect, useCallback } from 'react';
+import defaultDataBackend from "../services/dataBackend.js";
+import {buildCheckInUrl} from "../services/checkInLinks.js";
+
+/**
+ * 강의의 QR 출석 링크를 만드는 훅 (관리자 QR 표시 화면용)
+ * @param {Object} options
+ * @param {string} options.sheetName - 출석부 시트명
+ * @param {string} options.lecture - 강의명
+ * @param {number} options.expiresAt - 링크 만료 시각 (ms)
+ * @param {string} options.baseUrl - 출석체크 화면 주소
+ * @param {Object} options.backend - 데이터 백엔드
+ * @param {boolean} options.enabled - 만들지 여부 (기본값: true)
+ */
+export const useCheckInLink = (options = {}) => {
+    const [link, setLink] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+
+    const {
+        sheetName,
+        lecture,
+        expiresAt,
+        baseUrl,
+        backend = defaultDataBackend,
+        enabled = true
+    } = options;
+
+    const fetchLink = useCallback(async () => {
+        try {
+            setLoading(true);
+            setError(null);
+
+            const result = await backend.createCheckInToken({sheetName, lecture, expiresAt});
+            setLink({...result, url: buildCheckInUrl(baseUrl, result.token)});
+
+        } catch (err) {
+            setError(err.message);
+            console.error('QR 출석 링크 만들기 실패:', err);
+        } finally {
+            setLoading(false);
+        }
+    }, [backend, sheetName, lecture, expiresAt, baseUrl]);
+
+    useEffect(() => {
+        if (enabled && sheetName && lecture && expiresAt) {
+            fetchLink();
+        }
+    }, [enabled, sheetName, lecture, expiresAt, fetchLink]);
+
+    return {
+        link,
+        loading,
+        error,
+        refetch: fetchLink
+    };
+};
+
+export default useCheckInLink;
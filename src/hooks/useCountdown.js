@@ -0,0 +1,33 @@
+// hooks/useCountdown.js
+
+import { useState, useEffect } from 'react';
+
+/**
+ * 지정한 시각까지 남은 시간 (1초마다 갱신)
+ * @param {number|null} until - 목표 시각 (없으면 0)
+ * @returns {number} 남은 시간 (밀리초, 지났으면 0)
+ */
+export const useCountdown = (until) => {
+    const [now, setNow] = useState(() => Date.now());
+
+    useEffect(() => {
+        if (!until) {
+            return undefined;
+        }
+
+        setNow(Date.now());
+        const timer = setInterval(() => {
+            const current = Date.now();
+            setNow(current);
+            if (current >= until) {
+                clearInterval(timer);
+            }
+        }, 1000);
+
+        return () => clearInterval(timer);
+    }, [until]);
+
+    return until ? Math.max(until - now, 0) : 0;
+};
+
+export default useCountdown;
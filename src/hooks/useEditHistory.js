@@ -0,0 +1,135 @@
+// hooks/useEditHistory.js
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { ConflictError } from "../services/errors.js";
+
+/**
+ * 입력 중인 요소에서는 단축키를 가로채지 않음
+ */
+const isEditableTarget = (target) => {
+    if (!target) return false;
+    const tagName = target.tagName?.toLowerCase();
+    return tagName === 'input' || tagName === 'textarea' || tagName === 'select' || target.isContentEditable;
+};
+
+/**
+ * 관리자 셀 수정의 실행 취소/다시 실행 기록 (세션 동안만 유지)
+ * 각 단계는 apply(change)로 반대 방향 쓰기를 CAS로 다시 적용하므로,
+ * 그 사이 다른 사람이 바꾼 셀은 덮어쓰지 않고 해당 기록을 버립니다.
+ * @param {Object} options
+ * @param {Function} options.apply - 셀 변경 적용 함수 ({...change, fromValue, toValue}) => Promise
+ * @param {boolean} options.enabled - 단축키 사용 여부 (모달이 열려 있으면 false)
+ * @param {number} options.limit - 보관할 최대 기록 수 (기본값: 50)
+ * @param {Function} options.onConflict - 되돌릴 수 없는 기록을 버렸을 때 콜백 (change, error)
+ * @returns {Object} {canUndo, canRedo, nextUndo, nextRedo, busy, record, undo, redo, clear}
+ */
+export const useEditHistory = ({ apply, enabled = true, limit = 50, onConflict } = {}) => {
+    const [stacks, setStacks] = useState({ undo: [], redo: [] });
+    const [busy, setBusy] = useState(false);
+
+    // 비동기 단계 사이에도 최신 기록을 읽도록 ref에도 보관
+    const stacksRef = useRef(stacks);
+    const busyRef = useRef(false);
+
+    const commit = useCallback((nextStacks) => {
+        stacksRef.current = nextStacks;
+        setStacks(nextStacks);
+    }, []);
+
+    /**
+     * 새 셀 변경 기록 (다시 실행 기록은 비움)
+     * @param {Object} change - {spreadsheetId, sheetName, cellAddress, guards, previousValue, newValue, userName, lecture}
+     */
+    const record = useCallback((change) => {
+        const undo = [...stacksRef.current.undo, change].slice(-limit);
+        commit({ undo, redo: [] });
+    }, [commit, limit]);
+
+    /**
+     * 한 단계 적용 (from 스택 마지막 기록을 꺼내 적용하고 성공하면 to 스택에 보관)
+     */
+    const step = useCallback(async (from, to, getValues) => {
+        const stack = stacksRef.current[from];
+        if (busyRef.current || stack.length === 0) return null;
+
+        const change = stack[stack.length - 1];
+        busyRef.current = true;
+        setBusy(true);
+
+        try {
+            await apply({ ...change, ...getValues(change) });
+            commit({
+                [from]: stacksRef.current[from].slice(0, -1),
+                [to]: [...stacksRef.current[to], change]
+            });
+            return change;
+        } catch (error) {
+            if (error instanceof ConflictError) {
+                // 그 사이 다른 사람이 바꾼 셀 - 되돌리지 않고 기록을 버림
+                commit({ ...stacksRef.current, [from]: stacksRef.current[from].slice(0, -1) });
+                if (onConflict) {
+                    onConflict(change, error);
+                }
+                return null;
+            }
+            throw error;
+        } finally {
+            busyRef.current = false;
+            setBusy(false);
+        }
+    }, [apply, commit, onConflict]);
+
+    const undo = useCallback(() => {
+        return step('undo', 'redo', change => ({ fromValue: change.newValue, toValue: change.previousValue }));
+    }, [step]);
+
+    const redo = useCallback(() => {
+        return step('redo', 'undo', change => ({ fromValue: change.previousValue, toValue: change.newValue }));
+    }, [step]);
+
+    const clear = useCallback(() => {
+        commit({ undo: [], redo: [] });
+    }, [commit]);
+
+    // Ctrl+Z / Ctrl+Shift+Z (macOS: Cmd), Ctrl+Y
+    useEffect(() => {
+        if (!enabled) return;
+
+        const handleKeyDown = (event) => {
+            if (!(event.ctrlKey || event.metaKey) || isEditableTarget(event.target)) return;
+
+            const key = event.key.toLowerCase();
+            const run = (action) => {
+                event.preventDefault();
+                action().catch(err => console.error('실행 취소/다시 실행 실패:', err));
+            };
+
+            if (key === 'z' && event.shiftKey) {
+                run(redo);
+            } else if (key === 'z') {
+                run(undo);
+            } else if (key === 'y') {
+                run(redo);
+            }
+        };
+
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [enabled, undo, redo]);
+
+    const { undo: undoStack, redo: redoStack } = stacks;
+
+    return {
+        canUndo: undoStack.length > 0 && !busy,
+        canRedo: redoStack.length > 0 && !busy,
+        nextUndo: undoStack[undoStack.length - 1] || null,
+        nextRedo: redoStack[redoStack.length - 1] || null,
+        busy,
+        record,
+        undo,
+        redo,
+        clear
+    };
+};
+
+export default useEditHistory;
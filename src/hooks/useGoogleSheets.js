@@ -2,22 +2,72 @@
 
 import { useState, useEffect, useCallback, useRef } from 'react';
 import {SHEETS_CONFIG} from "../services/sheetsConfig.js";
-import googleSheetsData from "../services/GoogleSheetsData.js";
-import googleSheetsAuth from "../services/GoogleSheetsAuth.js";
-import {getColAddress, getRowAddress} from "../services/model.js";
+import defaultDataBackend from "../services/dataBackend.js";
+import {
+    getAppendColumnIndex,
+    getAppendRowNumber,
+    getColAddress,
+    getDataRows,
+    getHeader,
+    getNameCellAddress,
+    getRowAddress
+} from "../services/model.js";
+import {BATCH_CELL_STATUS} from "../services/SheetsDataBackend.js";
+import {columnLetterToIndex, parseCellReference} from "../services/a1Notation.js";
+import offlineOutbox, {isNetworkFailure, isSelfCheckInEntry} from "../services/offlineOutbox.js";
+import {AttendanceCodeError, AuthError, ConflictError, QuotaError, ValidationError, withContext} from "../services/errors.js";
+import {parseSemesterTitle, pickDefaultSemester} from "../services/semesters.js";
+import defaultAuditLog, {
+    AUDIT_SOURCE,
+    createLockoutAuditEntry,
+    createOfflineFailureAuditEntry,
+    formatQueuedCheckInNote
+} from "../services/auditLog.js";
+import {checkInAttempts as defaultCheckInAttempts, getCheckInAttemptKeys} from "../services/attemptLocks.js";
+import {formatLockRemaining} from "../services/attemptLimiter.js";
+import {parseAttendanceCell} from "../utils/attendanceStatus.js";
+
+/**
+ * 출석 항목을 스프레드시트 셀 값으로 변환 (CAS 예상값용)
+ * @param {Object} attendanceItem - { status, desc }
+ * @returns {string} 셀 값
+ */
+const getAttendanceCellValue = (attendanceItem) => {
+    return attendanceItem?.status === 'Etc'
+        ? attendanceItem.desc
+        : attendanceItem?.status || '';
+};
+
+/**
+ * 새 셀 값을 출석 항목으로 변환 (낙관적 업데이트용)
+ * @param {string} newValue - 새 셀 값
+ * @returns {Object} { status, desc }
+ */
+const toAttendanceItem = (newValue) => {
+    // 시트에서 읽을 때와 같은 규칙 (지각, 소감문 등 기호도 그대로 표시)
+    return parseAttendanceCell(newValue);
+};
 
 /**
  * Google Sheets 데이터를 관리하는 커스텀 훅
  * @param {Object} options - 옵션 객체
  * @param {string} options.spreadsheetId - 스프레드시트 ID
  * @param {string} options.sheetName - 시트명
- * @param {string} options.range - 데이터 범위
+ * @param {string|null} options.range - 데이터 범위 (null이면 시트 크기에 맞춰 자동 감지)
+ * @param {Object} options.backend - 데이터 백엔드 (기본값: 설정에 따른 공유 백엔드)
  * @param {boolean} options.autoFetch - 자동으로 데이터를 가져올지 여부 (기본값: true)
  * @param {number} options.refetchInterval - 자동 새로고침 간격 (밀리초, 0이면 비활성화)
  * @param {Function} options.onSuccess - 성공 콜백
  * @param {Function} options.onError - 에러 콜백
  * @param {Function} options.onCellUpdate - 셀 업데이트 성공 콜백
  * @param {Function} options.onCellUpdateError - 셀 업데이트 에러 콜백
+ * @param {Function} options.onCellsUpdate - 배치 셀 업데이트 완료 콜백
+ * @param {boolean} options.offlineQueue - 연결이 끊겼을 때 셀 업데이트를 오프라인 대기열에 보관할지 여부 (기본값: false)
+ * @param {Object} options.outbox - 오프라인 대기열 (기본값: 공유 대기열)
+ * @param {boolean} options.semesterTabs - 학기별 탭 목록을 불러와 현재 학기 탭을 기본으로 표시할지 여부 (기본값: false)
+ * @param {string|null} options.auditSource - 출석 기록을 변경 이력에 남길 때의 출처 (AUDIT_SOURCE, null이면 기록하지 않음)
+ * @param {Object} options.auditLog - 변경 이력 (기본값: 공유 변경 이력)
+ * @param {Object} options.checkInAttempts - 본인 출석체크 인증번호 시도 제한 (기본값: 이 기기의 시도 제한)
  * @returns {Object} 훅 반환값
  */
 export const useGoogleSheets = (options = {}) => {
@@ -25,12 +75,20 @@ export const useGoogleSheets = (options = {}) => {
         spreadsheetId = SHEETS_CONFIG.spreadsheetId,
         sheetName = SHEETS_CONFIG.sheetName,
         range = SHEETS_CONFIG.range,
+        backend = defaultDataBackend,
         autoFetch = true,
         refetchInterval = 0,
         onSuccess,
         onError,
         onCellUpdate,
-        onCellUpdateError
+        onCellUpdateError,
+        onCellsUpdate,
+        offlineQueue = false,
+        outbox = offlineOutbox,
+        semesterTabs = false,
+        auditSource = null,
+        auditLog = defaultAuditLog,
+        checkInAttempts = defaultCheckInAttempts
     } = options;
 
     // 상태 관리
@@ -39,27 +97,109 @@ export const useGoogleSheets = (options = {}) => {
     const [error, setError] = useState(null);
     const [lastFetch, setLastFetch] = useState(null);
     const [cellUpdateLoading, setCellUpdateLoading] = useState(false);
+    const [queueStatus, setQueueStatus] = useState(() => backend.getQueueStatus());
+    const [outboxStatus, setOutboxStatus] = useState({ pending: 0, conflicts: 0, rejected: 0, entries: [] });
+    const [semesters, setSemesters] = useState([]);
+
+    // 현재 화면에 불러온 시트 (fetchOtherSheet로 다른 학기 탭을 불러오면 바뀜)
+    const activeSpreadsheetId = data?.spreadsheetId || spreadsheetId;
+    const activeSheetName = data?.sheetName || sheetName;
 
     // ref를 사용해서 최신 상태 추적
     const isAuthenticatedRef = useRef(false);
     const abortControllerRef = useRef(null);
     const intervalRef = useRef(null);
+    // 새로고침 시 다시 불러올 시트 (마지막으로 불러온 시트)
+    const activeTargetRef = useRef({ spreadsheetId, sheetName });
 
     /**
      * 행/열 인덱스를 A1 표기법으로 변환
-     * @param {number} rowIndex - 행 인덱스 (0부터 시작)
+     * @param {number} rowIndex - 데이터 행 인덱스 (0부터 시작)
      * @param {number} colIndex - 열 인덱스 (0부터 시작)
      * @returns {string} A1 표기법 셀 주소
      */
     const getSheetCellAddress = useCallback((rowIndex, colIndex) => {
-        // 출석 데이터는 3행부터 시작 (헤더 2행 + 1-based)
-        const row = getRowAddress(rowIndex);
+        const dataRow = data?.dataRows?.[rowIndex];
+        if (!dataRow) {
+            throw new ValidationError(`유효하지 않은 행 인덱스: ${rowIndex}`);
+        }
+
+        // 빈 행이 제외되어 있으므로 파싱 시 기록한 원본 시트 행 번호 사용
+        const row = getRowAddress(dataRow);
 
-        // 출석 데이터는 C열부터 시작 (이름/반 제외)
-        const col = getColAddress(colIndex);
+        // 건너뛴 헤더 열이 있을 수 있으므로 강의 헤더의 원본 열 위치 사용
+        const header = data.headers?.[colIndex];
+        if (!header) {
+            throw new ValidationError(`유효하지 않은 열 인덱스: ${colIndex}`);
+        }
+        const col = getColAddress(header);
 
         return `${col}${row}`;
-    }, []);
+    }, [data]);
+
+    /**
+     * 성공한 출석 기록을 변경 이력 시트에 추가
+     * 관리자 수정은 로그인한 관리자 아이디를 함께 남기며, 프록시 모드에서는 서버가 세션 토큰의 관리자로 다시 채웁니다.
+     * 이력 기록 실패가 출석 기록을 실패시키지 않도록 기다리지 않고 경고만 남깁니다.
+     * @param {Array<Object>} entries - {sheetName, cellAddress, userName, lecture, previousValue, newValue}
+     * @param {string} targetSpreadsheetId - 스프레드시트 ID
+     */
+    const recordAudit = useCallback((entries, targetSpreadsheetId = activeSpreadsheetId) => {
+        if (!auditSource || entries.length === 0) return;
+
+        const admin = auditSource === AUDIT_SOURCE.ADMIN ? backend.getAdminSession()?.admin.username : undefined;
+        auditLog
+            .append(backend, targetSpreadsheetId, entries.map(entry => ({
+                source: auditSource,
+                sheetName: activeSheetName,
+                admin,
+                ...entry
+            })))
+            .catch(err => console.warn('⚠️ 변경 이력 기록 실패:', err.message));
+    }, [auditSource, auditLog, backend, activeSpreadsheetId, activeSheetName]);
+
+    /**
+     * 본인 출석체크 실패 기록
+     * 인증번호가 틀렸으면 이 기기의 실패 횟수를 세고, 잠금이 시작되면 잠금 이력을 남기고 QuotaError로 바꿔 돌려줍니다.
+     * 프록시 서버가 잠근 경우(429)는 이 기기에도 반영합니다. (잠금 이력은 서버가 기록)
+     * @param {Error} err - 출석 기록 에러
+     * @param {Array<string>} attemptKeys - 시도 제한 키 (기기, 학생)
+     * @param {Object} target - {sheetName, cellAddress, userName, lecture} 시도한 출석 셀
+     * @returns {Error} 화면에 전달할 에러
+     */
+    const recordCheckInFailure = useCallback((err, attemptKeys, target) => {
+        if (err instanceof QuotaError && backend.verifiesCheckInOnServer()) {
+            checkInAttempts.lock(attemptKeys, err.retryAfterMs);
+            return err;
+        }
+        if (!(err instanceof AttendanceCodeError)) {
+            return err;
+        }
+
+        const lockout = checkInAttempts.recordFailure(attemptKeys);
+        if (!lockout) {
+            return err;
+        }
+
+        console.warn(`🚫 본인 출석체크 잠금: ${target.userName} ${target.cellAddress} (${formatLockRemaining(lockout.lockMs)})`);
+        if (!backend.verifiesCheckInOnServer()) {
+            recordAudit([createLockoutAuditEntry(target, lockout)]);
+        }
+        return new QuotaError(`인증번호를 여러 번 틀렸습니다. (${formatLockRemaining(lockout.lockMs)} 후 다시 시도)`, {
+            retryAfterMs: lockout.lockMs,
+            reason: 'lockout',
+            cause: err
+        });
+    }, [backend, checkInAttempts, recordAudit]);
+
+    /**
+     * 이 기기의 본인 출석체크 잠금 상태 (출석 확인 창 안내용)
+     * @param {string} studentName - 학생 이름
+     * @returns {{locked: boolean, lockedUntil: number|null, retryAfterMs: number}} 잠금 상태
+     */
+    const getCheckInLock = useCallback((studentName) => {
+        return checkInAttempts.getStatus(getCheckInAttemptKeys(activeSheetName, studentName));
+    }, [checkInAttempts, activeSheetName]);
 
     /**
      * 셀 주소에서 행/열 인덱스 추출
@@ -69,38 +209,35 @@ export const useGoogleSheets = (options = {}) => {
     const parseCellAddress = useCallback((cellAddress) => {
         const match = cellAddress.match(/^([A-Z]+)(\d+)$/);
         if (!match) {
-            throw new Error(`유효하지 않은 셀 주소: ${cellAddress}`);
+            throw new ValidationError(`유효하지 않은 셀 주소: ${cellAddress}`);
         }
 
-        const colLetters = match[1];
         const rowNumber = parseInt(match[2], 10);
 
         // 열 문자를 숫자로 변환 (A=0, B=1, C=2...)
-        let colIndex = 0;
-        for (let i = 0; i < colLetters.length; i++) {
-            colIndex = colIndex * 26 + (colLetters.charCodeAt(i) - 65 + 1);
-        }
-        colIndex -= 1; // 0-based로 변환
+        const colIndex = columnLetterToIndex(match[1]);
 
-        // 출석 데이터 기준으로 인덱스 계산
-        const dataRowIndex = rowNumber - 3; // 헤더 2행 제외
-        const attendanceColIndex = colIndex - 2; // C열부터 시작하므로 -2
+        // 출석 데이터 기준으로 인덱스 계산 (원본 시트 행/열 위치로 검색, 없으면 -1)
+        const dataRowIndex = data?.dataRows?.findIndex(row => row.rowNumber === rowNumber) ?? -1;
+        const attendanceColIndex = data?.headers?.findIndex(header => header.column === colIndex) ?? -1;
 
         return {
             rowIndex: dataRowIndex,
             colIndex: attendanceColIndex
         };
-    }, []);
+    }, [data]);
 
     /**
      * 에러 처리 헬퍼
+     * error 상태에는 에러 종류(AuthError, QuotaError 등)를 유지한 에러 객체를 저장
      */
     const handleError = useCallback((err, context = '') => {
-        const errorMessage = err?.message || '알 수 없는 오류가 발생했습니다.';
-        const fullError = context ? `${context}: ${errorMessage}` : errorMessage;
+        const sourceError = err instanceof Error ? err : new Error(err || '알 수 없는 오류가 발생했습니다.');
+        const typedError = context ? withContext(sourceError, context) : sourceError;
+        const fullError = typedError.message;
 
         console.error('useGoogleSheets 에러:', fullError, err);
-        setError(fullError);
+        setError(typedError);
 
         if (onError) {
             onError(fullError, err);
@@ -126,13 +263,13 @@ export const useGoogleSheets = (options = {}) => {
     const authenticate = useCallback(async () => {
         try {
             // 이미 인증된 상태면 건너뛰기
-            if (googleSheetsAuth.isAuthenticated()) {
+            if (backend.isAuthenticated()) {
                 isAuthenticatedRef.current = true;
                 return true;
             }
 
             console.log('🔐 Google Sheets 인증 시작...');
-            await googleSheetsAuth.authenticate();
+            await backend.authenticate();
             isAuthenticatedRef.current = true;
             console.log('✅ 인증 완료');
             return true;
@@ -141,7 +278,7 @@ export const useGoogleSheets = (options = {}) => {
             handleError(err, '인증 실패');
             return false;
         }
-    }, [handleError]);
+    }, [backend, handleError]);
 
     /**
      * 데이터 가져오기
@@ -157,8 +294,8 @@ export const useGoogleSheets = (options = {}) => {
 
         const {
             showLoading = true,
-            targetSpreadsheetId = spreadsheetId,
-            targetSheetName = sheetName,
+            targetSpreadsheetId = activeTargetRef.current.spreadsheetId,
+            targetSheetName = activeTargetRef.current.sheetName,
             targetRange = range
         } = options;
 
@@ -178,10 +315,10 @@ export const useGoogleSheets = (options = {}) => {
                 return null;
             }
 
-            console.log(`📊 데이터 가져오기 시작: ${targetSheetName}!${targetRange}`);
+            console.log(`📊 데이터 가져오기 시작: ${targetSheetName}!${targetRange || '(자동 범위)'}`);
 
             // 데이터 조회
-            const result = await googleSheetsData.fetchSheetData(
+            const result = await backend.fetchSheetData(
                 targetSpreadsheetId,
                 targetSheetName,
                 targetRange
@@ -192,6 +329,7 @@ export const useGoogleSheets = (options = {}) => {
                 return null;
             }
 
+            activeTargetRef.current = { spreadsheetId: targetSpreadsheetId, sheetName: targetSheetName };
             handleSuccess(result);
             console.log('✅ 데이터 가져오기 완료');
             return result;
@@ -211,32 +349,46 @@ export const useGoogleSheets = (options = {}) => {
             }
             abortControllerRef.current = null;
         }
-    }, [spreadsheetId, sheetName, range, authenticate, handleError, handleSuccess]);
+    }, [backend, range, authenticate, handleError, handleSuccess]);
 
     /**
      * 셀 업데이트 (낙관적 업데이트 + CAS)
+     * offlineQueue가 켜져 있으면 네트워크 오류 시 오프라인 대기열에 보관하고 낙관적 업데이트를 유지합니다.
+     * 본인 출석체크는 이 기기에서 인증번호를 여러 번 틀리면 잠기며, 잠긴 동안에는 요청하지 않고 QuotaError(retryAfterMs 포함)를 던집니다.
      * @param {number} rowIndex - 데이터 행 인덱스 (0부터 시작)
      * @param {number} colIndex - 출석 열 인덱스 (0부터 시작)
      * @param {string} newValue - 새로운 값
-     * @returns {Promise<boolean>} 업데이트 성공 여부
+     * @param {Object} options
+     * @param {string} options.attendanceCode - 본인 출석체크 인증번호 (백엔드/프록시 서버에서 확인)
+     * @param {string} options.checkInToken - QR 출석 토큰 (인증번호 대신 사용)
+     * @returns {Promise<boolean>} 바로 기록되었으면 true, 오프라인 대기열에 보관되었으면 false
      */
-    const updateCell = useCallback(async (rowIndex, colIndex, newValue) => {
+    const updateCell = useCallback(async (rowIndex, colIndex, newValue, { attendanceCode, checkInToken } = {}) => {
         if (!data || !data.dataRows) {
-            throw new Error('데이터가 로드되지 않았습니다.');
+            throw new ValidationError('데이터가 로드되지 않았습니다.');
         }
 
         if (rowIndex < 0 || rowIndex >= data.dataRows.length) {
-            throw new Error(`유효하지 않은 행 인덱스: ${rowIndex}`);
+            throw new ValidationError(`유효하지 않은 행 인덱스: ${rowIndex}`);
         }
 
         if (colIndex < 0 || colIndex >= data.headers.length) {
-            throw new Error(`유효하지 않은 열 인덱스: ${colIndex}`);
+            throw new ValidationError(`유효하지 않은 열 인덱스: ${colIndex}`);
         }
 
         const targetRow = data.dataRows[rowIndex];
-        const currentValue = targetRow.attendance?.[colIndex]?.status === 'Etc'
-            ? targetRow.attendance[colIndex].desc
-            : targetRow.attendance?.[colIndex]?.status || '';
+        const currentValue = getAttendanceCellValue(targetRow.attendance?.[colIndex]);
+
+        // 셀 주소 계산 (이름 셀도 함께 확인하여 행이 바뀐 경우 기록하지 않음)
+        const cellAddress = getSheetCellAddress(rowIndex, colIndex);
+        const guards = [{ cellAddress: getNameCellAddress(targetRow), expectedValue: targetRow.user?.name }];
+
+        // 본인 출석체크 잠금 확인 (기기별, 학생별 - 새로고침해도 유지)
+        const isSelfCheckIn = attendanceCode !== undefined || checkInToken !== undefined;
+        const attemptKeys = getCheckInAttemptKeys(activeSheetName, targetRow.user?.name);
+        if (isSelfCheckIn) {
+            checkInAttempts.assertAllowed(attemptKeys, '인증번호를 여러 번 틀렸습니다.');
+        }
 
         try {
             setCellUpdateLoading(true);
@@ -244,11 +396,9 @@ export const useGoogleSheets = (options = {}) => {
             // 인증 확인
             const isAuthenticated = await authenticate();
             if (!isAuthenticated) {
-                throw new Error('인증이 필요합니다.');
+                throw new AuthError('인증이 필요합니다.');
             }
 
-            // 셀 주소 계산
-            const cellAddress = getSheetCellAddress(rowIndex, colIndex);
             console.log(`📝 셀 업데이트 시도: ${cellAddress} (${targetRow.user?.name})`);
 
             // 낙관적 업데이트: UI 먼저 업데이트
@@ -258,18 +408,7 @@ export const useGoogleSheets = (options = {}) => {
             const updatedAttendance = [...(updatedRow.attendance || [])];
 
             // 새 값에 따른 출석 상태 파싱
-            let newAttendanceItem;
-            if (!newValue || newValue.trim() === '' || newValue.trim() === '-') {
-                newAttendanceItem = { status: 'None', desc: '' };
-            } else if (newValue.trim() === 'X') {
-                newAttendanceItem = { status: 'X', desc: '' };
-            } else if (newValue.trim() === 'O') {
-                newAttendanceItem = { status: 'O', desc: '' };
-            } else {
-                newAttendanceItem = { status: 'Etc', desc: newValue.trim() };
-            }
-
-            updatedAttendance[colIndex] = newAttendanceItem;
+            updatedAttendance[colIndex] = toAttendanceItem(newValue);
             updatedRow.attendance = updatedAttendance;
             updatedData.dataRows[rowIndex] = updatedRow;
 
@@ -277,25 +416,62 @@ export const useGoogleSheets = (options = {}) => {
             setData(updatedData);
 
             // CAS를 사용한 실제 업데이트
-            const updateResult = await googleSheetsData.updateCellWithCAS(
-                spreadsheetId,
-                sheetName,
+            const updateResult = await backend.updateCellWithCAS(
+                activeSpreadsheetId,
+                activeSheetName,
                 cellAddress,
                 newValue,
-                currentValue
-            );
+                currentValue,
+                { guards, attendanceCode, checkInToken }
+            ).catch(updateError => {
+                throw isSelfCheckIn
+                    ? recordCheckInFailure(updateError, attemptKeys, {
+                        sheetName: activeSheetName,
+                        cellAddress,
+                        userName: targetRow.user?.name,
+                        lecture: data.headers[colIndex]?.lecture
+                    })
+                    : updateError;
+            });
 
             console.log('✅ 셀 업데이트 성공:', cellAddress);
+            if (isSelfCheckIn) {
+                checkInAttempts.recordSuccess(attemptKeys);
+            }
+
+            // 본인 출석체크는 백엔드가 출석체크 시간에 따라 출석/지각을 정하므로 실제로 기록된 값으로 다시 반영
+            const writtenValue = updateResult.newValue ?? newValue;
+            if (writtenValue !== newValue) {
+                const writtenAttendance = [...updatedAttendance];
+                writtenAttendance[colIndex] = toAttendanceItem(writtenValue);
+                updatedData.dataRows[rowIndex] = { ...updatedRow, attendance: writtenAttendance };
+                setData({ ...updatedData });
+            }
+
+            // 프록시 서버가 이미 이력을 남긴 본인 출석체크는 다시 기록하지 않음
+            if (!updateResult.audited) {
+                recordAudit([{
+                    cellAddress,
+                    userName: targetRow.user?.name,
+                    lecture: data.headers[colIndex]?.lecture,
+                    previousValue: updateResult.previousValue,
+                    newValue: writtenValue
+                }]);
+            }
 
             // 성공 콜백 호출
             if (onCellUpdate) {
                 onCellUpdate({
                     rowIndex,
                     colIndex,
+                    spreadsheetId: activeSpreadsheetId,
+                    sheetName: activeSheetName,
                     cellAddress,
+                    guards,
                     previousValue: currentValue,
-                    newValue,
+                    newValue: writtenValue,
                     userName: targetRow.user?.name,
+                    lecture: data.headers[colIndex]?.lecture,
                     updateResult
                 });
             }
@@ -305,13 +481,27 @@ export const useGoogleSheets = (options = {}) => {
         } catch (err) {
             console.error('❌ 셀 업데이트 실패:', err.message);
 
+            // 연결이 끊긴 경우 대기열에 보관하고 낙관적 업데이트 유지 (연결 복구 시 CAS로 재전송)
+            if (offlineQueue && isNetworkFailure(err)) {
+                await outbox.enqueue({
+                    spreadsheetId: activeSpreadsheetId,
+                    sheetName: activeSheetName,
+                    cellAddress,
+                    newValue,
+                    expectedValue: currentValue,
+                    guards,
+                    attendanceCode,
+                    checkInToken,
+                    userName: targetRow.user?.name,
+                    lecture: data.headers[colIndex]?.lecture
+                });
+                return false;
+            }
+
             // CAS 충돌인 경우 원본 데이터로 복원하고 새로고침
-            if (err.message.includes('CONFLICT:')) {
+            if (err instanceof ConflictError) {
                 console.log('🔄 데이터 충돌 감지 - 새로고침 수행');
 
-                // 에러 상태 설정
-                const conflictError = `데이터가 이미 수정되었습니다. 새로고침 후 다시 시도해주세요. ${err.message}`;
-
                 // 에러 콜백 호출
                 if (onCellUpdateError) {
                     onCellUpdateError({
@@ -326,7 +516,7 @@ export const useGoogleSheets = (options = {}) => {
                 // 백그라운드에서 새로고침
                 await fetchData({ showLoading: false });
 
-                throw new Error(conflictError);
+                throw err;
             } else {
                 // 일반적인 에러인 경우 이전 상태 복원
                 setData(data);
@@ -347,7 +537,357 @@ export const useGoogleSheets = (options = {}) => {
         } finally {
             setCellUpdateLoading(false);
         }
-    }, [data, spreadsheetId, sheetName, authenticate, getSheetCellAddress, onCellUpdate, onCellUpdateError, fetchData]);
+    }, [data, backend, activeSpreadsheetId, activeSheetName, authenticate, getSheetCellAddress, onCellUpdate, onCellUpdateError, fetchData, offlineQueue, outbox, recordAudit, checkInAttempts, recordCheckInFailure]);
+
+    /**
+     * 여러 셀 일괄 업데이트 (낙관적 업데이트 + 셀별 CAS)
+     * 예상값 확인과 기록을 각각 한 번의 요청으로 처리합니다.
+     * @param {Array<{rowIndex: number, colIndex: number, newValue: string}>} updates - 업데이트 목록
+     * @returns {Promise<Object>} {results, written, conflicts, errors} - 셀별 결과 (written / conflict / error)
+     */
+    const updateCells = useCallback(async (updates) => {
+        if (!data || !data.dataRows) {
+            throw new ValidationError('데이터가 로드되지 않았습니다.');
+        }
+
+        if (!Array.isArray(updates) || updates.length === 0) {
+            return { results: [], written: 0, conflicts: 0, errors: 0 };
+        }
+
+        updates.forEach(({ rowIndex, colIndex }) => {
+            if (rowIndex < 0 || rowIndex >= data.dataRows.length) {
+                throw new ValidationError(`유효하지 않은 행 인덱스: ${rowIndex}`);
+            }
+            if (colIndex < 0 || colIndex >= data.headers.length) {
+                throw new ValidationError(`유효하지 않은 열 인덱스: ${colIndex}`);
+            }
+        });
+
+        const casUpdates = updates.map(({ rowIndex, colIndex, newValue }) => {
+            const targetRow = data.dataRows[rowIndex];
+            return {
+                cellAddress: getSheetCellAddress(rowIndex, colIndex),
+                newValue,
+                expectedValue: getAttendanceCellValue(targetRow.attendance?.[colIndex]),
+                guards: [{ cellAddress: getNameCellAddress(targetRow), expectedValue: targetRow.user?.name }]
+            };
+        });
+
+        try {
+            setCellUpdateLoading(true);
+
+            // 인증 확인
+            const isAuthenticated = await authenticate();
+            if (!isAuthenticated) {
+                throw new AuthError('인증이 필요합니다.');
+            }
+
+            console.log(`📝 배치 셀 업데이트 시도: ${updates.length}개 셀`);
+
+            // 낙관적 업데이트: UI 먼저 업데이트
+            const updatedDataRows = [...data.dataRows];
+            updates.forEach(({ rowIndex, colIndex, newValue }) => {
+                const updatedRow = { ...updatedDataRows[rowIndex] };
+                const updatedAttendance = [...(updatedRow.attendance || [])];
+                updatedAttendance[colIndex] = toAttendanceItem(newValue);
+                updatedRow.attendance = updatedAttendance;
+                updatedDataRows[rowIndex] = updatedRow;
+            });
+            setData({ ...data, dataRows: updatedDataRows });
+
+            // 셀별 CAS를 사용한 일괄 업데이트
+            const summary = await backend.updateCellsWithCAS(activeSpreadsheetId, activeSheetName, casUpdates);
+
+            const results = summary.results.map((result, index) => ({
+                ...result,
+                rowIndex: updates[index].rowIndex,
+                colIndex: updates[index].colIndex,
+                userName: data.dataRows[updates[index].rowIndex]?.user?.name
+            }));
+
+            recordAudit(results
+                .filter(result => result.status === BATCH_CELL_STATUS.WRITTEN)
+                .map(result => ({
+                    cellAddress: result.cellAddress,
+                    userName: result.userName,
+                    lecture: data.headers[result.colIndex]?.lecture,
+                    previousValue: result.previousValue,
+                    newValue: result.newValue
+                })));
+
+            // 기록되지 않은 셀이 있으면 실제 값으로 다시 맞춤
+            if (summary.conflicts > 0 || summary.errors > 0) {
+                console.log('🔄 기록되지 않은 셀이 있음 - 새로고침 수행');
+                await fetchData({ showLoading: false });
+
+                if (onCellUpdateError) {
+                    results
+                        .filter(result => result.status !== BATCH_CELL_STATUS.WRITTEN)
+                        .forEach(result => onCellUpdateError({
+                            rowIndex: result.rowIndex,
+                            colIndex: result.colIndex,
+                            error: result.error,
+                            isConflict: result.status === BATCH_CELL_STATUS.CONFLICT,
+                            userName: result.userName
+                        }));
+                }
+            }
+
+            const batchResult = { ...summary, results };
+
+            if (onCellsUpdate) {
+                onCellsUpdate(batchResult);
+            }
+
+            return batchResult;
+
+        } catch (err) {
+            console.error('❌ 배치 셀 업데이트 실패:', err.message);
+
+            // 요청 자체가 실패한 경우 이전 상태 복원
+            setData(data);
+            throw err;
+
+        } finally {
+            setCellUpdateLoading(false);
+        }
+    }, [data, backend, activeSpreadsheetId, activeSheetName, authenticate, getSheetCellAddress, onCellUpdateError, onCellsUpdate, fetchData, recordAudit]);
+
+    /**
+     * 이전에 기록한 셀 변경을 CAS로 다시 적용 (실행 취소/다시 실행)
+     * 셀 값이 fromValue일 때만 toValue로 바꾸므로, 그 사이 다른 사람이 바꾼 값은 덮어쓰지 않습니다.
+     * @param {Object} change
+     * @param {string} change.spreadsheetId - 스프레드시트 ID (기록 당시)
+     * @param {string} change.sheetName - 시트명 (기록 당시)
+     * @param {string} change.cellAddress - 셀 주소
+     * @param {Array<{cellAddress: string, expectedValue: string}>} change.guards - 함께 확인할 셀
+     * @param {string} change.fromValue - 현재 있어야 하는 값
+     * @param {string} change.toValue - 새로 기록할 값
+     * @param {string} change.userName - 학생 이름 (변경 이력용)
+     * @param {string} change.lecture - 강의명 (변경 이력용)
+     * @returns {Promise<Object>} CAS 업데이트 결과
+     */
+    const applyCellChange = useCallback(async (change) => {
+        try {
+            setCellUpdateLoading(true);
+
+            const isAuthenticated = await authenticate();
+            if (!isAuthenticated) {
+                throw new AuthError('인증이 필요합니다.');
+            }
+
+            const updateResult = await backend.updateCellWithCAS(
+                change.spreadsheetId,
+                change.sheetName,
+                change.cellAddress,
+                change.toValue,
+                change.fromValue,
+                { guards: change.guards }
+            );
+
+            recordAudit([{
+                sheetName: change.sheetName,
+                cellAddress: change.cellAddress,
+                userName: change.userName,
+                lecture: change.lecture,
+                previousValue: updateResult.previousValue,
+                newValue: change.toValue
+            }], change.spreadsheetId);
+
+            await fetchData({ showLoading: false });
+            return updateResult;
+        } catch (err) {
+            if (err instanceof ConflictError) {
+                console.log('🔄 되돌릴 셀이 이미 바뀜 - 새로고침 수행');
+                await fetchData({ showLoading: false });
+            }
+            throw err;
+        } finally {
+            setCellUpdateLoading(false);
+        }
+    }, [backend, authenticate, fetchData, recordAudit]);
+
+    /**
+     * 명단/일정 수정 공통 처리 (인증 → CAS 기록 → 새로고침)
+     * 충돌한 경우에도 최신 데이터를 보여주도록 새로고침한 뒤 에러를 전달합니다.
+     * @param {Function} operation - 백엔드 명단 메서드를 호출하는 함수
+     * @returns {Promise<Object>} 백엔드 결과
+     */
+    const runSheetEdit = useCallback(async (operation) => {
+        if (!data) {
+            throw new ValidationError('데이터가 로드되지 않았습니다.');
+        }
+
+        try {
+            setCellUpdateLoading(true);
+
+            const isAuthenticated = await authenticate();
+            if (!isAuthenticated) {
+                throw new AuthError('인증이 필요합니다.');
+            }
+
+            const result = await operation();
+            await fetchData({ showLoading: false });
+            return result;
+        } catch (err) {
+            if (err instanceof ConflictError) {
+                console.log('🔄 명단/일정 충돌 감지 - 새로고침 수행');
+                await fetchData({ showLoading: false });
+            }
+            throw err;
+        } finally {
+            setCellUpdateLoading(false);
+        }
+    }, [data, authenticate, fetchData]);
+
+    /**
+     * 기록한 셀을 현재 데이터에 바로 반영하고 헤더/출석 정보를 다시 계산
+     * 강의 일정이 바뀌면 최근 강의, 오늘 강의가 새로고침을 기다리지 않고 바로 바뀝니다.
+     * @param {Array<{cellAddress: string, newValue: string}>} cells - 기록한 셀 목록
+     */
+    const applyWrittenCells = useCallback(async (cells) => {
+        if (!data?.rows) return;
+
+        const rows = data.rows.map(row => [...row]);
+        cells.forEach(({ cellAddress, newValue }) => {
+            const { row, col } = parseCellReference(cellAddress);
+            while (rows.length <= row) {
+                rows.push([]);
+            }
+            while (rows[row].length < col) {
+                rows[row].push('');
+            }
+            rows[row][col] = newValue;
+        });
+
+        const headers = await getHeader(rows);
+        const dataRows = await getDataRows(rows, headers);
+        setData(prev => prev && {
+            ...prev,
+            rows,
+            headers,
+            dataRows,
+            totalRows: rows.length,
+            dataRowCount: dataRows.length
+        });
+    }, [data]);
+
+    /**
+     * 강의 헤더 수정 처리 - 기록 후 바로 화면에 반영
+     */
+    const runScheduleEdit = useCallback((operation) => {
+        return runSheetEdit(async () => {
+            const result = await operation();
+            await applyWrittenCells(result.cells);
+            return result;
+        });
+    }, [runSheetEdit, applyWrittenCells]);
+
+    /**
+     * 강의 인덱스로 헤더 조회
+     */
+    const getLectureHeader = useCallback((lectureIndex) => {
+        const header = data?.headers?.[lectureIndex];
+        if (!header) {
+            throw new ValidationError(`유효하지 않은 강의 인덱스: ${lectureIndex}`);
+        }
+        return header;
+    }, [data]);
+
+    /**
+     * 새 강의 열 추가
+     * @param {{lecture: string, date: Date, checkInWindow: Object|null}} lectureInfo - 강의명, 날짜, 출석체크 시간
+     * @returns {Promise<Object>} {column, lecture, dateCell, cells}
+     */
+    const addLecture = useCallback((lectureInfo) => {
+        return runScheduleEdit(() => backend.addLecture(
+            activeSpreadsheetId,
+            activeSheetName,
+            getAppendColumnIndex(data.rows),
+            lectureInfo
+        ));
+    }, [data, backend, activeSpreadsheetId, activeSheetName, runScheduleEdit]);
+
+    /**
+     * 강의명/날짜/출석체크 시간 수정
+     * @param {number} lectureIndex - 강의 인덱스 (headers 배열 기준)
+     * @param {{lecture: string, date: Date, checkInWindow: Object|null}} changes - 바꿀 강의명/날짜/출석체크 시간
+     * @returns {Promise<Object>} {column, lecture, dateCell, cells}
+     */
+    const updateLecture = useCallback((lectureIndex, changes) => {
+        return runScheduleEdit(() => backend.updateLecture(
+            activeSpreadsheetId,
+            activeSheetName,
+            getLectureHeader(lectureIndex),
+            changes
+        ));
+    }, [backend, activeSpreadsheetId, activeSheetName, runScheduleEdit, getLectureHeader]);
+
+    /**
+     * 강의 연기 (기본 1주)
+     * @param {number} lectureIndex - 강의 인덱스 (headers 배열 기준)
+     * @param {number} days - 미룰 일수
+     * @returns {Promise<Object>} {column, lecture, dateCell, cells}
+     */
+    const postponeLecture = useCallback((lectureIndex, days = 7) => {
+        return runScheduleEdit(() => backend.postponeLecture(
+            activeSpreadsheetId,
+            activeSheetName,
+            getLectureHeader(lectureIndex),
+            days
+        ));
+    }, [backend, activeSpreadsheetId, activeSheetName, runScheduleEdit, getLectureHeader]);
+
+    /**
+     * 데이터 행 인덱스로 학생 행 조회
+     */
+    const getRosterRow = useCallback((rowIndex) => {
+        const targetRow = data?.dataRows?.[rowIndex];
+        if (!targetRow) {
+            throw new ValidationError(`유효하지 않은 행 인덱스: ${rowIndex}`);
+        }
+        return targetRow;
+    }, [data]);
+
+    /**
+     * 새 학생 추가 (마지막 행 다음에 이름/반 기록)
+     * @param {{name: string, className: string}} student - 학생 정보
+     * @returns {Promise<Object>} {rowNumber, name, classCell}
+     */
+    const addStudent = useCallback((student) => {
+        return runSheetEdit(() => backend.appendStudent(
+            activeSpreadsheetId,
+            activeSheetName,
+            getAppendRowNumber(data.totalRows),
+            student
+        ));
+    }, [data, backend, activeSpreadsheetId, activeSheetName, runSheetEdit]);
+
+    /**
+     * 학생 이름/반 수정
+     * @param {number} rowIndex - 데이터 행 인덱스 (0부터 시작)
+     * @param {{name: string, className: string}} changes - 바꿀 정보
+     * @returns {Promise<Object>} {rowNumber, name, classCell}
+     */
+    const updateStudent = useCallback((rowIndex, changes) => {
+        return runSheetEdit(() => {
+            const targetRow = getRosterRow(rowIndex);
+            return backend.updateStudent(activeSpreadsheetId, activeSheetName, getRowAddress(targetRow), targetRow.user, changes);
+        });
+    }, [backend, activeSpreadsheetId, activeSheetName, runSheetEdit, getRosterRow]);
+
+    /**
+     * 학생 퇴소 처리/취소 (출석 기록은 유지)
+     * @param {number} rowIndex - 데이터 행 인덱스 (0부터 시작)
+     * @param {boolean} withdrawn - 퇴소 여부
+     * @returns {Promise<Object>} {rowNumber, name, classCell}
+     */
+    const setStudentWithdrawn = useCallback((rowIndex, withdrawn) => {
+        return runSheetEdit(() => {
+            const targetRow = getRosterRow(rowIndex);
+            return backend.setStudentWithdrawn(activeSpreadsheetId, activeSheetName, getRowAddress(targetRow), targetRow.user, withdrawn);
+        });
+    }, [backend, activeSpreadsheetId, activeSheetName, runSheetEdit, getRosterRow]);
 
     /**
      * 특정 셀의 현재 값 조회
@@ -358,13 +898,37 @@ export const useGoogleSheets = (options = {}) => {
     const getCellValue = useCallback(async (rowIndex, colIndex) => {
         try {
             const cellAddress = getSheetCellAddress(rowIndex, colIndex);
-            const value = await googleSheetsData.getCurrentCellValue(spreadsheetId, sheetName, cellAddress);
+            const value = await backend.getCurrentCellValue(activeSpreadsheetId, activeSheetName, cellAddress);
             return value;
         } catch (err) {
             console.error('셀 값 조회 실패:', err);
             throw err;
         }
-    }, [spreadsheetId, sheetName, getSheetCellAddress]);
+    }, [backend, activeSpreadsheetId, activeSheetName, getSheetCellAddress]);
+
+    /**
+     * 학생 신청 접수 (결석 사유, 소감문 - 출석 셀은 관리자가 승인할 때 기록)
+     * @param {string} type - 신청 종류 (REQUEST_TYPE)
+     * @param {number} rowIndex - 데이터 행 인덱스
+     * @param {number} colIndex - 출석 열 인덱스
+     * @param {string} text - 학생이 쓴 내용
+     * @returns {Promise<Object>} 접수한 신청 항목
+     */
+    const submitStudentRequest = useCallback(async (type, rowIndex, colIndex, text) => {
+        const cellAddress = getSheetCellAddress(rowIndex, colIndex);
+
+        const isAuthenticated = await authenticate();
+        if (!isAuthenticated) {
+            throw new AuthError('인증이 필요합니다.');
+        }
+
+        return backend.submitStudentRequest(activeSpreadsheetId, type, {
+            sheetName: activeSheetName,
+            cellAddress,
+            userName: data.dataRows[rowIndex].user.name,
+            text
+        });
+    }, [backend, data, activeSpreadsheetId, activeSheetName, getSheetCellAddress, authenticate]);
 
     /**
      * 데이터 새로고침 (로딩 상태 표시)
@@ -392,6 +956,39 @@ export const useGoogleSheets = (options = {}) => {
         });
     }, [fetchData]);
 
+    /**
+     * 학기 탭 선택 (해당 탭의 출석부를 불러옴)
+     * @param {string} semesterSheetName - 학기 탭 이름
+     */
+    const selectSemester = useCallback((semesterSheetName) => {
+        return fetchOtherSheet(activeSpreadsheetId, semesterSheetName);
+    }, [fetchOtherSheet, activeSpreadsheetId]);
+
+    /**
+     * 학기 탭 목록을 불러오고 현재 학기 탭을 표시
+     */
+    const loadSemesters = useCallback(async () => {
+        try {
+            const isAuthenticated = await authenticate();
+            if (!isAuthenticated) {
+                return;
+            }
+
+            const semesterList = await backend.listSemesters(spreadsheetId, sheetName);
+            setSemesters(semesterList);
+
+            if (autoFetch) {
+                const initialSemester = pickDefaultSemester(semesterList, sheetName);
+                await fetchData({
+                    targetSpreadsheetId: spreadsheetId,
+                    targetSheetName: initialSemester?.sheetName || sheetName
+                });
+            }
+        } catch (err) {
+            handleError(err, '학기 목록 조회 실패');
+        }
+    }, [backend, spreadsheetId, sheetName, autoFetch, authenticate, fetchData, handleError]);
+
     /**
      * 에러 상태 초기화
      */
@@ -427,13 +1024,13 @@ export const useGoogleSheets = (options = {}) => {
      * 인증 상태 초기화
      */
     const clearAuth = useCallback(() => {
-        googleSheetsAuth.clearAuthentication();
+        backend.clearAuthentication();
         isAuthenticatedRef.current = false;
-    }, []);
+    }, [backend]);
 
-    // 컴포넌트 마운트 시 자동 데이터 가져오기
+    // 컴포넌트 마운트 시 자동 데이터 가져오기 (학기 탭을 쓰는 경우 학기 목록을 불러온 뒤 가져옴)
     useEffect(() => {
-        if (autoFetch) {
+        if (autoFetch && !semesterTabs) {
             fetchData();
         }
 
@@ -453,14 +1050,125 @@ export const useGoogleSheets = (options = {}) => {
                 clearInterval(intervalRef.current);
             }
         };
-    }, [autoFetch, refetchInterval, fetchData, refreshData]);
+    }, [autoFetch, semesterTabs, refetchInterval, fetchData, refreshData]);
+
+    // 요청 대기열 상태 구독 (대기 중인 요청 수를 화면에 표시)
+    useEffect(() => {
+        setQueueStatus(backend.getQueueStatus());
+        return backend.subscribeQueueStatus(setQueueStatus);
+    }, [backend]);
+
+    // 오프라인 대기열 상태 구독 (관리자 화면의 충돌 목록, 학생 화면의 저장 대기 표시)
+    useEffect(() => {
+        let cancelled = false;
+        outbox.getStatus().then(status => {
+            if (!cancelled) setOutboxStatus(status);
+        });
+        const unsubscribe = outbox.subscribe(setOutboxStatus);
+
+        return () => {
+            cancelled = true;
+            unsubscribe();
+        };
+    }, [outbox]);
+
+    /**
+     * 오프라인 대기열 재전송 (연결 복구 시 자동 호출)
+     * @returns {Promise<Object|null>} {written, conflicts, rejected, remaining} (인증 실패 시 null)
+     */
+    const replayOutbox = useCallback(async () => {
+        const isAuthenticated = await authenticate();
+        if (!isAuthenticated) {
+            return null;
+        }
+
+        const summary = await outbox.replay(backend);
+        summary.writtenEntries?.filter(entry => !entry.audited).forEach(entry => recordAudit([{
+            sheetName: entry.sheetName,
+            cellAddress: entry.cellAddress,
+            userName: entry.userName,
+            lecture: entry.lecture,
+            previousValue: entry.previousValue,
+            newValue: entry.newValue,
+            note: isSelfCheckInEntry(entry) ? formatQueuedCheckInNote(entry.queuedAt) : undefined
+        }], entry.spreadsheetId));
+
+        // 충돌/거부는 이 기기에만 남으므로 관리자가 보도록 이력에도 남김 (프록시 모드의 본인 출석체크는 서버가 기록)
+        summary.failedEntries
+            ?.filter(entry => !(isSelfCheckInEntry(entry) && backend.verifiesCheckInOnServer()))
+            .forEach(entry => recordAudit([createOfflineFailureAuditEntry({
+                sheetName: entry.sheetName,
+                cellAddress: entry.cellAddress,
+                userName: entry.userName,
+                lecture: entry.lecture
+            }, {
+                newValue: entry.newValue,
+                currentValue: entry.currentValue,
+                queuedAt: entry.queuedAt,
+                reason: entry.lastError
+            })], entry.spreadsheetId));
+
+        if (summary.written > 0 || summary.conflicts > 0 || summary.rejected > 0) {
+            fetchData({ showLoading: false });
+        }
+        return summary;
+    }, [outbox, backend, authenticate, fetchData, recordAudit]);
+
+    /**
+     * 오프라인 대기열 항목 삭제 (관리자가 충돌 항목을 확인한 뒤 정리)
+     * @param {number} id - 대기열 항목 ID
+     */
+    const dismissOutboxEntry = useCallback((id) => {
+        return outbox.remove(id);
+    }, [outbox]);
+
+    // 연결이 복구되면 대기열 재전송 (마운트 시에도 남은 항목이 있으면 재전송)
+    const replayOutboxRef = useRef(replayOutbox);
+    useEffect(() => {
+        replayOutboxRef.current = replayOutbox;
+    }, [replayOutbox]);
+
+    useEffect(() => {
+        if (!offlineQueue) return;
+
+        const replay = () => {
+            replayOutboxRef.current().catch(err => console.error('대기열 재전송 실패:', err));
+        };
+        const handleOnline = () => {
+            console.log('🌐 연결 복구 - 오프라인 대기열 재전송');
+            replay();
+        };
+
+        if (navigator.onLine !== false) {
+            replay();
+        }
+        window.addEventListener('online', handleOnline);
+        return () => window.removeEventListener('online', handleOnline);
+    }, [offlineQueue]);
+
+    // 파라미터 변경 시 새로고침 대상 시트 초기화
+    useEffect(() => {
+        activeTargetRef.current = { spreadsheetId, sheetName };
+    }, [spreadsheetId, sheetName]);
 
     // 파라미터 변경 시 데이터 다시 가져오기
     useEffect(() => {
-        if (autoFetch && (spreadsheetId || sheetName || range)) {
+        if (autoFetch && !semesterTabs && (spreadsheetId || sheetName || range)) {
             fetchData();
         }
-    }, [spreadsheetId, sheetName, range, autoFetch, fetchData]);
+    }, [spreadsheetId, sheetName, range, autoFetch, semesterTabs, fetchData]);
+
+    // 학기 탭 목록 불러오기 (스프레드시트/기본 탭이 바뀔 때만)
+    const loadSemestersRef = useRef(loadSemesters);
+    useEffect(() => {
+        loadSemestersRef.current = loadSemesters;
+    }, [loadSemesters]);
+
+    useEffect(() => {
+        if (semesterTabs) {
+            loadSemestersRef.current();
+        }
+    }, [semesterTabs, spreadsheetId, sheetName]);
 
     // 컴포넌트 언마운트 시 정리
     useEffect(() => {
@@ -482,6 +1190,8 @@ export const useGoogleSheets = (options = {}) => {
         error,
         lastFetch,
         cellUpdateLoading,
+        queueStatus,
+        outboxStatus,
 
         // 데이터 정보 (data가 있을 때만)
         headers: data?.headers || [],
@@ -491,29 +1201,53 @@ export const useGoogleSheets = (options = {}) => {
         dataRowCount: data?.dataRowCount || 0,
         hasData: data?.hasData || false,
 
+        // 학기 정보
+        semesters,
+        selectedSemester: semesters.find(semester => semester.sheetName === activeSheetName)
+            || { sheetName: activeSheetName, label: parseSemesterTitle(activeSheetName)?.label || activeSheetName },
+
         // 메서드
         refetch,
         refreshData,
         fetchOtherSheet,
+        selectSemester,
         clearError,
         reset,
         clearAuth,
 
         // 셀 업데이트 메서드
         updateCell,
+        getCheckInLock,
+        replayOutbox,
+        dismissOutboxEntry,
+        updateCells,
         getCellValue,
         getSheetCellAddress,
         parseCellAddress,
 
+        applyCellChange,
+        submitStudentRequest,
+
+        // 명단 관리 메서드
+        addStudent,
+        updateStudent,
+        setStudentWithdrawn,
+
+        // 강의 일정 관리 메서드
+        addLecture,
+        updateLecture,
+        postponeLecture,
+
         // 인증 상태
-        isAuthenticated: googleSheetsAuth.isAuthenticated(),
-        authStatus: googleSheetsAuth.getAuthStatus(),
+        isAuthenticated: backend.isAuthenticated(),
+        authStatus: backend.getAuthStatus(),
 
         // 설정 정보
         config: {
             spreadsheetId,
             sheetName,
             range,
+            backend: backend.type,
             autoFetch,
             refetchInterval
         }
@@ -531,6 +1265,7 @@ export const useGoogleSheetsCell = (cellAddress, options = {}) => {
     const {
         spreadsheetId = SHEETS_CONFIG.spreadsheetId,
         sheetName = SHEETS_CONFIG.sheetName,
+        backend = defaultDataBackend,
         autoFetch = true
     } = options;
 
@@ -542,11 +1277,11 @@ export const useGoogleSheetsCell = (cellAddress, options = {}) => {
             setError(null);
 
             // 인증 확인
-            if (!googleSheetsAuth.isAuthenticated()) {
-                await googleSheetsAuth.authenticate();
+            if (!backend.isAuthenticated()) {
+                await backend.authenticate();
             }
 
-            const value = await googleSheetsData.getCellValue(spreadsheetId, sheetName, cellAddress);
+            const value = await backend.getCellValue(spreadsheetId, sheetName, cellAddress);
             setCellValue(value);
 
         } catch (err) {
@@ -555,7 +1290,7 @@ export const useGoogleSheetsCell = (cellAddress, options = {}) => {
         } finally {
             setLoading(false);
         }
-    }, [cellAddress, spreadsheetId, sheetName]);
+    }, [cellAddress, backend, spreadsheetId, sheetName]);
 
     useEffect(() => {
         if (autoFetch && cellAddress) {
@@ -581,6 +1316,7 @@ export const useGoogleSheetsBatch = (ranges, options = {}) => {
 
     const {
         spreadsheetId = SHEETS_CONFIG.spreadsheetId,
+        backend = defaultDataBackend,
         autoFetch = true
     } = options;
 
@@ -592,11 +1328,11 @@ export const useGoogleSheetsBatch = (ranges, options = {}) => {
             setError(null);
 
             // 인증 확인
-            if (!googleSheetsAuth.isAuthenticated()) {
-                await googleSheetsAuth.authenticate();
+            if (!backend.isAuthenticated()) {
+                await backend.authenticate();
             }
 
-            const data = await googleSheetsData.getBatchData(spreadsheetId, ranges);
+            const data = await backend.getBatchData(spreadsheetId, ranges);
             setBatchData(data);
 
         } catch (err) {
@@ -605,7 +1341,7 @@ export const useGoogleSheetsBatch = (ranges, options = {}) => {
         } finally {
             setLoading(false);
         }
-    }, [ranges, spreadsheetId]);
+    }, [ranges, backend, spreadsheetId]);
 
     useEffect(() => {
         if (autoFetch && ranges && ranges.length > 0) {
@@ -621,4 +1357,4 @@ export const useGoogleSheetsBatch = (ranges, options = {}) => {
     };
 };
 
-export default useGoogleSheets;
\ No newline at end of file
+export default useGoogleSheets;
@@ -0,0 +1,106 @@
+// hooks/useStudentRequests.js
+
+import { useState, useEffect, useCallback } from 'react';
+import {SHEETS_CONFIG} from "../services/sheetsConfig.js";
+import defaultDataBackend from "../services/dataBackend.js";
+import defaultAuditLog, {AUDIT_SOURCE} from "../services/auditLog.js";
+
+/**
+ * 학생 신청 목록을 가져오고 승인/반려하는 훅 (관리자 신청함)
+ * 승인하면 출석 셀 기록을 변경 이력에 관리자 수정으로 남김
+ * @param {Object} options
+ * @param {string} options.type - 신청 종류 (REQUEST_TYPE)
+ * @param {string} options.spreadsheetId - 스프레드시트 ID
+ * @param {Object} options.backend - 데이터 백엔드
+ * @param {Object} options.auditLog - 변경 이력 (기본값: 공유 변경 이력)
+ * @param {boolean} options.autoFetch - 자동으로 가져올지 여부 (기본값: true)
+ */
+export const useStudentRequests = (options = {}) => {
+    const [requests, setRequests] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+    const [deciding, setDeciding] = useState(false);
+
+    const {
+        type,
+        spreadsheetId = SHEETS_CONFIG.spreadsheetId,
+        backend = defaultDataBackend,
+        auditLog = defaultAuditLog,
+        autoFetch = true
+    } = options;
+
+    const fetchRequests = useCallback(async () => {
+        try {
+            setLoading(true);
+            setError(null);
+
+            // 인증 확인
+            if (!backend.isAuthenticated()) {
+                await backend.authenticate();
+            }
+
+            setRequests(await backend.listStudentRequests(spreadsheetId, type));
+
+        } catch (err) {
+            setError(err.message);
+            console.error('학생 신청 가져오기 실패:', err);
+        } finally {
+            setLoading(false);
+        }
+    }, [backend, spreadsheetId, type]);
+
+    /**
+     * 승인/반려 공통 처리 (처리 후 목록 새로고침, 충돌해도 최신 목록을 보여주도록 새로고침)
+     */
+    const decide = useCallback(async (request, decision) => {
+        try {
+            setDeciding(true);
+            const result = await backend.decideStudentRequest(spreadsheetId, type, request, decision);
+
+            if (result.attendance) {
+                auditLog
+                    .append(backend, spreadsheetId, [{
+                        source: AUDIT_SOURCE.ADMIN,
+                        admin: backend.getAdminSession()?.admin.username,
+                        sheetName: request.sheetName,
+                        cellAddress: request.cellAddress,
+                        userName: request.userName,
+                        lecture: request.lecture,
+                        previousValue: result.attendance.previousValue,
+                        newValue: result.request.value
+                    }])
+                    .catch(err => console.warn('⚠️ 변경 이력 기록 실패:', err.message));
+            }
+            return result;
+        } finally {
+            setDeciding(false);
+            await fetchRequests();
+        }
+    }, [backend, auditLog, spreadsheetId, type, fetchRequests]);
+
+    const approve = useCallback((request, value, note) => {
+        return decide(request, {approve: true, value, note});
+    }, [decide]);
+
+    const reject = useCallback((request, note) => {
+        return decide(request, {approve: false, note});
+    }, [decide]);
+
+    useEffect(() => {
+        if (autoFetch) {
+            fetchRequests();
+        }
+    }, [autoFetch, fetchRequests]);
+
+    return {
+        requests,
+        loading,
+        error,
+        deciding,
+        refetch: fetchRequests,
+        approve,
+        reject
+    };
+};
+
+export default useStudentRequests;
@@ -1,6 +1,7 @@
 // services/GoogleSheetsAuth.js
 
 import { SHEETS_CONFIG, SERVICE_ACCOUNT_CREDENTIALS } from './sheetsConfig.js';
+import { AuthError, SheetsError, fetchWithNetworkError, withContext } from './errors.js';
 
 /**
  * Google Sheets API 인증을 담당하는 클래스
@@ -59,7 +60,7 @@ class GoogleSheetsAuth {
             return `${unsignedToken}.${signatureBase64}`;
         } catch (error) {
             console.error('JWT 서명 생성 실패:', error);
-            throw new Error(`JWT 토큰 생성 실패: ${error.message}`);
+            throw new AuthError(`JWT 토큰 생성 실패: ${error.message}`, { cause: error });
         }
     }
 
@@ -90,7 +91,7 @@ class GoogleSheetsAuth {
                 ["sign"]
             );
         } catch (error) {
-            throw new Error(`개인키 가져오기 실패: ${error.message}`);
+            throw new AuthError(`개인키 가져오기 실패: ${error.message}`, { cause: error });
         }
     }
 
@@ -103,7 +104,7 @@ class GoogleSheetsAuth {
         try {
             console.log('🔑 액세스 토큰 요청 중...');
 
-            const response = await fetch(SHEETS_CONFIG.api.tokenUrl, {
+            const response = await fetchWithNetworkError(SHEETS_CONFIG.api.tokenUrl, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/x-www-form-urlencoded'
@@ -116,7 +117,7 @@ class GoogleSheetsAuth {
 
             if (!response.ok) {
                 const errorData = await response.json().catch(() => ({}));
-                throw new Error(`토큰 요청 실패: ${response.status} - ${errorData.error_description || response.statusText}`);
+                throw new AuthError(`토큰 요청 실패: ${response.status} - ${errorData.error_description || response.statusText}`, { status: response.status });
             }
 
             const data = await response.json();
@@ -148,6 +149,10 @@ class GoogleSheetsAuth {
                 return true;
             }
 
+            if (!credentials) {
+                throw new AuthError('서비스 계정 자격 증명이 없습니다. VITE_SERVICE_ACCOUNT_CREDENTIALS 환경변수를 확인하세요.');
+            }
+
             const jwt = await this.createJWT(credentials);
             await this.getAccessToken(jwt);
 
@@ -156,7 +161,10 @@ class GoogleSheetsAuth {
         } catch (error) {
             console.error('❌ 인증 실패:', error.message);
             this.clearAuthentication();
-            throw new Error(`Google Sheets API 인증 실패: ${error.message}`);
+            // 네트워크 오류는 그대로 구분하고, 그 밖의 실패는 인증 오류로 전달
+            throw error instanceof SheetsError
+                ? withContext(error, 'Google Sheets API 인증 실패')
+                : new AuthError(`Google Sheets API 인증 실패: ${error.message}`, { cause: error });
         }
     }
 
@@ -217,7 +225,7 @@ class GoogleSheetsAuth {
     getAuthHeaders() {
         const token = this.getToken();
         if (!token) {
-            throw new Error('유효한 액세스 토큰이 없습니다. authenticate()를 먼저 호출하세요.');
+            throw new AuthError('유효한 액세스 토큰이 없습니다. authenticate()를 먼저 호출하세요.');
         }
 
         return {
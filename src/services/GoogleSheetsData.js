@@ -2,83 +2,266 @@
 
 import {SHEETS_CONFIG, DEFAULT_REQUEST_OPTIONS} from './sheetsConfig.js';
 import googleSheetsAuth from './GoogleSheetsAuth.js';
-import {getDataRows, getHeader, isEqualStatus} from "./model.js";
+import proxyAuth from './ProxyAuth.js';
+import SheetsDataBackend from './SheetsDataBackend.js';
+import RequestScheduler, {parseRetryAfter} from './RequestScheduler.js';
+import {AuthError, ConflictError, PermissionError, createHttpError, fetchWithNetworkError, withContext} from './errors.js';
+import {getDeviceId} from './attemptLocks.js';
 
 /**
  * Google Sheets 데이터 조회를 담당하는 클래스
- * 인증된 상태에서 스프레드시트 데이터를 가져오고 처리
+ * Sheets v4 REST API를 사용하는 SheetsDataBackend 구현체
+ * 프록시 모드에서는 Google 대신 프록시 서버(server/)의 조회/본인 출석체크/관리자 수정 엔드포인트를 호출
  */
-class GoogleSheetsData {
-    constructor(authInstance = googleSheetsAuth) {
-        this.auth = authInstance;
+class GoogleSheetsData extends SheetsDataBackend {
+    /**
+     * @param {Object} authInstance - 인증 객체 (프록시 모드에서는 ProxyAuth)
+     * @param {RequestScheduler} scheduler - 요청 대기열
+     * @param {Object} options
+     * @param {string|null} options.proxyUrl - 프록시 서버 주소 (지정하면 프록시 모드)
+     */
+    constructor(authInstance = googleSheetsAuth, scheduler = new RequestScheduler(), {proxyUrl = null} = {}) {
+        super(authInstance, 'google');
+        this.scheduler = scheduler;
+        this.proxyUrl = proxyUrl ? proxyUrl.replace(/\/+$/, '') : null;
+
+        // 프록시 모드에서는 인증번호를 서버에서 확인하므로 브라우저에 두지 않음
+        this.attendanceCode = this.proxyUrl ? null : SHEETS_CONFIG.attendanceCode;
+        this.attendanceCodeSecret = this.proxyUrl ? null : SHEETS_CONFIG.attendanceCodeSecret;
+        this.attendanceCodePeriod = SHEETS_CONFIG.attendanceCodePeriod;
     }
 
     /**
      * API 요청 헬퍼 메서드
+     * 모든 요청은 스케줄러 대기열을 거쳐 동시 요청 수와 요청 간격이 제한됨
      * @param {string} url - 요청 URL
      * @param {Object} options - fetch 옵션
+     * @param {Object} scheduleOptions
+     * @param {boolean} scheduleOptions.retryable - 429/5xx/네트워크 오류 시 재시도 여부 (기본값: GET 요청만)
+     * @param {boolean} scheduleOptions.reauthenticate - 401이면 재인증 후 다시 보낼지 여부 (로그인처럼 401이 응답 결과인 요청은 false)
      * @returns {Promise<Object>} API 응답 데이터
      */
-    async makeApiRequest(url, options = {}) {
+    async makeApiRequest(url, options = {}, {retryable = !options.method || options.method === 'GET', reauthenticate = true} = {}) {
         try {
-            // 토큰 유효성 확인 및 필요시 갱신
-            await this.auth.ensureValidToken();
-
-            const requestOptions = {
-                headers: {
-                    ...this.auth.getAuthHeaders(),
-                    'Content-Type': 'application/json',
-                    ...options.headers
-                },
-                ...options
-            };
+            return await this.scheduler.schedule(() => this.sendApiRequest(url, options, {reauthenticate}), {retryable});
+        } catch (error) {
+            console.error('API 요청 중 오류:', error);
+            throw error;
+        }
+    }
 
-            const response = await fetch(url, requestOptions);
+    /**
+     * API 요청 한 번 전송 (401이면 재인증 후 한 번 더 전송)
+     * @param {string} url - 요청 URL
+     * @param {Object} options - fetch 옵션
+     * @param {Object} requestOptions
+     * @param {boolean} requestOptions.reauthenticate - 401이면 재인증 후 다시 보낼지 여부
+     * @returns {Promise<Object>} API 응답 데이터
+     */
+    async sendApiRequest(url, options = {}, {reauthenticate = true} = {}) {
+        // 토큰 유효성 확인 및 필요시 갱신
+        await this.auth.ensureValidToken();
+
+        const requestOptions = {
+            headers: {
+                ...this.auth.getAuthHeaders(),
+                'Content-Type': 'application/json',
+                ...options.headers
+            },
+            ...options
+        };
+
+        const response = await fetchWithNetworkError(url, requestOptions);
+
+        if (!response.ok) {
+            // 401 에러인 경우 인증 재시도
+            if (response.status === 401 && reauthenticate) {
+                console.log('🔄 401 오류 - 인증 재시도');
+                this.auth.clearAuthentication();
+                await this.auth.authenticate();
+
+                // 재인증 후 재시도
+                const retryRequestOptions = {
+                    ...requestOptions,
+                    headers: {
+                        ...this.auth.getAuthHeaders(),
+                        'Content-Type': 'application/json',
+                        ...options.headers
+                    }
+                };
 
-            if (!response.ok) {
-                const errorData = await response.json().catch(() => ({}));
+                const retryResponse = await fetchWithNetworkError(url, retryRequestOptions);
 
-                // 401 에러인 경우 인증 재시도
-                if (response.status === 401) {
-                    console.log('🔄 401 오류 - 인증 재시도');
-                    this.auth.clearAuthentication();
-                    await this.auth.authenticate();
+                if (!retryResponse.ok) {
+                    throw await createResponseError(retryResponse, 'API 요청 재시도 실패');
+                }
 
-                    // 재인증 후 재시도
-                    const retryRequestOptions = {
-                        ...requestOptions,
-                        headers: {
-                            ...this.auth.getAuthHeaders(),
-                            'Content-Type': 'application/json',
-                            ...options.headers
-                        }
-                    };
+                return await retryResponse.json();
+            }
 
-                    const retryResponse = await fetch(url, retryRequestOptions);
+            throw await createResponseError(response, 'API 요청 실패');
+        }
 
-                    if (!retryResponse.ok) {
-                        const retryErrorData = await retryResponse.json().catch(() => ({}));
-                        throw new Error(`API 요청 재시도 실패: ${retryResponse.status} - ${retryErrorData.error?.message || retryResponse.statusText}`);
-                    }
+        return await response.json();
+    }
 
-                    return await retryResponse.json();
-                }
+    /**
+     * 프록시 서버 요청 (모든 엔드포인트는 POST + JSON 본문)
+     * @param {string} path - 엔드포인트 경로 (예: '/api/roster')
+     * @param {Object} body - 요청 본문
+     * @param {Object} scheduleOptions - {retryable, reauthenticate}
+     * @returns {Promise<Object>} 응답 데이터 (Sheets API 응답과 같은 형식)
+     */
+    proxyRequest(path, body, {retryable = false, reauthenticate = true} = {}) {
+        return this.makeApiRequest(`${this.proxyUrl}${path}`, {
+            method: 'POST',
+            body: JSON.stringify(body)
+        }, {retryable, reauthenticate});
+    }
 
-                throw new Error(`API 요청 실패: ${response.status} - ${errorData.error?.message || response.statusText}`);
+    /**
+     * 프록시 서버로 한 범위 조회
+     * @param {string} spreadsheetId - 스프레드시트 ID
+     * @param {string} range - 시트명을 포함한 범위
+     * @returns {Promise<Object>} valueRange ({range, values})
+     */
+    async readProxyRange(spreadsheetId, range) {
+        const data = await this.proxyRequest('/api/roster', {spreadsheetId, ranges: [range]}, {retryable: true});
+        return data.valueRanges?.[0] || {};
+    }
+
+    /**
+     * 관리자 계정 확인 (프록시 모드에서는 서버가 계정을 확인하고 서명한 세션 토큰을 발급)
+     * 이후 관리자 수정 요청에는 비밀번호 대신 세션 토큰을 붙임
+     * 프록시 서버 없이 직접 사용하면 세션을 서명할 서버가 없어 화면에서 위조할 수 있으므로 관리자 로그인을 받지 않음 (PermissionError)
+     * 로그인 실패(401)는 응답 결과이므로 재인증 후 다시 보내지 않음 (서버의 실패 횟수가 두 번 세어지지 않도록)
+     * @param {string} username - 아이디
+     * @param {string} password - 비밀번호
+     * @returns {Promise<Object|null>} 관리자 세션 {token, expiresAt, absoluteExpiresAt, idleTimeoutMs, admin: {username, name}}, 틀리면 null
+     */
+    async authenticateAdmin(username, password) {
+        if (!this.proxyUrl) {
+            throw new PermissionError('관리자 기능은 프록시 서버(VITE_SHEETS_PROXY_URL)를 통해서만 사용할 수 있습니다.');
+        }
+
+        this.adminSession.clear();
+        try {
+            return await this.proxyRequest('/api/admin/login', {username, password, deviceId: getDeviceId()}, {reauthenticate: false});
+        } catch (error) {
+            if (error instanceof AuthError) {
+                return null;
             }
+            throw error;
+        }
+    }
+
+    /**
+     * 본인 출석체크 인증번호를 서버에서 확인하는지 여부 (프록시 모드)
+     * @returns {boolean} 서버 확인 여부
+     */
+    verifiesCheckInOnServer() {
+        return Boolean(this.proxyUrl);
+    }
 
-            return await response.json();
+    /**
+     * 현재 관리자 세션 (직접 모드에서는 서명한 세션이 없으므로 저장된 값이 있어도 무시)
+     * @returns {Object|null} 관리자 세션 (없거나 만료되었으면 null)
+     */
+    getAdminSession() {
+        return this.proxyUrl ? super.getAdminSession() : null;
+    }
+
+    /**
+     * 관리자 세션 연장 (프록시 모드에서는 서버가 새 세션 토큰을 발급, 직접 모드에는 관리자 세션이 없음)
+     * @returns {Promise<Object|null>} 연장한 관리자 세션, 세션이 만료되었거나 서버가 거부하면 null
+     */
+    async refreshAdminSession() {
+        if (!this.proxyUrl) {
+            return null;
+        }
+        if (!this.adminSession.get()) {
+            return null;
+        }
+
+        try {
+            const session = await this.proxyRequest('/api/admin/update', {action: 'refresh'});
+            this.adminSession.save(session);
+            return session;
         } catch (error) {
-            console.error('API 요청 중 오류:', error);
+            if (error instanceof AuthError) {
+                this.adminSession.clear();
+                return null;
+            }
             throw error;
         }
     }
 
+    /**
+     * 관리자 로그아웃 (프록시 모드에서는 서버에도 세션 폐기를 요청)
+     * 화면의 세션은 바로 지우고, 폐기 요청이 실패해도 로그아웃은 그대로 진행 (토큰은 만료 시각까지만 유효)
+     */
+    logoutAdmin() {
+        const token = this.proxyUrl ? this.adminSession.getToken() : null;
+        super.logoutAdmin();
+        if (!token) {
+            return;
+        }
+
+        this.makeApiRequest(`${this.proxyUrl}/api/admin/update`, {
+            method: 'POST',
+            headers: {'Authorization': `Bearer ${token}`, 'Content-Type': 'application/json'},
+            body: JSON.stringify({action: 'logout'})
+        }, {reauthenticate: false}).catch(error => {
+            console.warn('⚠️ 서버 세션 폐기 실패:', error.message);
+        });
+    }
+
+    /**
+     * 강의의 현재 출석 인증번호 (프록시 모드에서는 비밀 값이 서버에만 있으므로 관리자 요청으로 받아옴)
+     * @param {string} lecture - 강의명
+     * @returns {Promise<Object>} {code, lecture, periodSeconds, expiresAt, remainingMs}
+     */
+    async getAttendanceCode(lecture) {
+        if (!this.proxyUrl) {
+            return super.getAttendanceCode(lecture);
+        }
+        return this.proxyRequest('/api/admin/update', {action: 'attendanceCode', lecture}, {retryable: true});
+    }
+
+    /**
+     * QR 출석 토큰 생성 (프록시 모드에서는 서버가 서명)
+     * @param {Object} payload - {sheetName, lecture, expiresAt}
+     * @returns {Promise<{token: string, expiresAt: number}>} 토큰과 실제 만료 시각
+     */
+    async createCheckInToken(payload) {
+        if (!this.proxyUrl) {
+            return super.createCheckInToken(payload);
+        }
+        return this.proxyRequest('/api/admin/update', {action: 'checkInToken', ...payload});
+    }
+
+    /**
+     * 요청 대기열 상태
+     * @returns {{pending: number, active: number, retrying: number}} 대기열 상태
+     */
+    getQueueStatus() {
+        return this.scheduler.getStatus();
+    }
+
+    /**
+     * 요청 대기열 상태 변경 구독
+     * @param {Function} listener - 상태 객체를 받는 콜백
+     * @returns {Function} 구독 해제 함수
+     */
+    subscribeQueueStatus(listener) {
+        return this.scheduler.subscribe(listener);
+    }
+
     /**
      * 스프레드시트 데이터 조회
      * @param {string} spreadsheetId - 스프레드시트 ID
      * @param {string} sheetName - 시트명
-     * @param {string} range - 데이터 범위
+     * @param {string|null} range - 데이터 범위 (없으면 시트 전체)
      * @returns {Promise<Array<Array<string>>>} 스프레드시트 데이터 배열
      */
     async getSheetData(
@@ -87,19 +270,21 @@ class GoogleSheetsData {
         range = SHEETS_CONFIG.range
     ) {
         try {
-            console.log(`📊 데이터 조회 시작: ${sheetName}!${range}`);
+            console.log(`📊 데이터 조회 시작: ${sheetName}${range ? `!${range}` : ''}`);
 
             const encodedSheetName = encodeURIComponent(sheetName);
-            const encodedRange = encodeURIComponent(range);
+            const encodedRange = range ? `!${encodeURIComponent(range)}` : '';
 
             const queryParams = new URLSearchParams({
                 valueRenderOption: DEFAULT_REQUEST_OPTIONS.valueRenderOption,
                 dateTimeRenderOption: DEFAULT_REQUEST_OPTIONS.dateTimeRenderOption
             });
 
-            const url = `${SHEETS_CONFIG.api.baseUrl}/${spreadsheetId}/values/${encodedSheetName}!${encodedRange}?${queryParams}`;
+            const url = `${SHEETS_CONFIG.api.baseUrl}/${spreadsheetId}/values/${encodedSheetName}${encodedRange}?${queryParams}`;
 
-            const data = await this.makeApiRequest(url);
+            const data = this.proxyUrl
+                ? await this.readProxyRange(spreadsheetId, range ? `${sheetName}!${range}` : sheetName)
+                : await this.makeApiRequest(url);
 
             if (!data.values || data.values.length === 0) {
                 console.warn('⚠️ 조회된 데이터가 없습니다.');
@@ -110,7 +295,7 @@ class GoogleSheetsData {
             return data.values;
         } catch (error) {
             console.error('❌ 데이터 조회 실패:', error.message);
-            throw new Error(`스프레드시트 데이터 조회 실패: ${error.message}`);
+            throw withContext(error, '스프레드시트 데이터 조회 실패');
         }
     }
 
@@ -138,7 +323,9 @@ class GoogleSheetsData {
             });
 
             const url = `${SHEETS_CONFIG.api.baseUrl}/${spreadsheetId}/values/${encodedSheetName}!${encodedRange}?${queryParams}`;
-            const data = await this.makeApiRequest(url);
+            const data = this.proxyUrl
+                ? await this.readProxyRange(spreadsheetId, `${sheetName}!${cellAddress}`)
+                : await this.makeApiRequest(url);
 
             const currentValue = data.values?.[0]?.[0] || '';
             console.log(`✅ 현재 셀 값: "${currentValue}"`);
@@ -146,7 +333,7 @@ class GoogleSheetsData {
             return currentValue;
         } catch (error) {
             console.error('❌ 셀 값 조회 실패:', error.message);
-            throw new Error(`셀 값 조회 실패: ${error.message}`);
+            throw withContext(error, '셀 값 조회 실패');
         }
     }
 
@@ -156,13 +343,16 @@ class GoogleSheetsData {
      * @param {string} sheetName - 시트명
      * @param {string} cellAddress - 셀 주소 (예: 'C3')
      * @param {string} value - 새로운 값
+     * @param {Object} options
+     * @param {boolean} options.retryable - 일시적 오류 시 재시도 허용 여부 (CAS 확인을 거친 쓰기만 true)
      * @returns {Promise<Object>} 업데이트 결과
      */
     async updateCell(
         spreadsheetId = SHEETS_CONFIG.spreadsheetId,
         sheetName = SHEETS_CONFIG.sheetName,
         cellAddress,
-        value
+        value,
+        {retryable = false} = {}
     ) {
         try {
             console.log(`📝 셀 업데이트 시작: ${sheetName}!${cellAddress} = "${value}"`);
@@ -185,10 +375,12 @@ class GoogleSheetsData {
                 responseDateTimeRenderOption: DEFAULT_REQUEST_OPTIONS.dateTimeRenderOption
             });
 
-            const data = await this.makeApiRequest(`${url}?${queryParams}`, {
-                method: 'PUT',
-                body: JSON.stringify(requestBody)
-            });
+            const data = this.proxyUrl
+                ? await this.proxyRequest('/api/admin/update', {spreadsheetId, action: 'update', sheetName, cellAddress, value}, {retryable})
+                : await this.makeApiRequest(`${url}?${queryParams}`, {
+                    method: 'PUT',
+                    body: JSON.stringify(requestBody)
+                }, {retryable});
 
             console.log(`✅ 셀 업데이트 완료: ${sheetName}!${cellAddress}`);
             return {
@@ -201,61 +393,55 @@ class GoogleSheetsData {
             };
         } catch (error) {
             console.error('❌ 셀 업데이트 실패:', error.message);
-            throw new Error(`셀 업데이트 실패: ${error.message}`);
+            throw withContext(error, '셀 업데이트 실패');
         }
     }
 
     /**
-     * CAS (Compare-And-Swap)를 사용한 안전한 셀 업데이트
+     * 여러 셀 값을 values:batchUpdate 한 번으로 업데이트
      * @param {string} spreadsheetId - 스프레드시트 ID
      * @param {string} sheetName - 시트명
-     * @param {string} cellAddress - 셀 주소
-     * @param {string} newValue - 새로운 값
-     * @param {string} expectedValue - 예상되는 현재 값
+     * @param {Array<{cellAddress: string, value: string}>} cells - 업데이트할 셀 목록
+     * @param {Object} options
+     * @param {boolean} options.retryable - 일시적 오류 시 재시도 허용 여부 (CAS 확인을 거친 쓰기만 true)
      * @returns {Promise<Object>} 업데이트 결과
      */
-    async updateCellWithCAS(
+    async batchUpdateCells(
         spreadsheetId = SHEETS_CONFIG.spreadsheetId,
         sheetName = SHEETS_CONFIG.sheetName,
-        cellAddress,
-        newValue,
-        expectedValue
+        cells = [],
+        {retryable = false} = {}
     ) {
         try {
-            console.log(`🔒 CAS 업데이트 시작: ${sheetName}!${cellAddress}`);
-            console.log(`   예상값: "${expectedValue}" → 새값: "${newValue}"`);
-
-            // 1. 현재 값 조회
-            const currentValue = await this.getCurrentCellValue(spreadsheetId, sheetName, cellAddress);
+            console.log(`📝 배치 셀 업데이트 시작: ${sheetName} (${cells.length}개 셀)`);
 
-            // 2. 값 비교 - 빈 값 처리 고려
-            const normalizedCurrent = (currentValue || '').toString().trim();
-            const normalizedExpected = (expectedValue || '').toString().trim();
+            const url = `${SHEETS_CONFIG.api.baseUrl}/${spreadsheetId}/values:batchUpdate`;
 
-            if (!isEqualStatus(normalizedCurrent, normalizedExpected)) {
-                console.log(`❌ CAS 실패: 현재값="${normalizedCurrent}", 예상값="${normalizedExpected}"`);
-                throw new Error(`CONFLICT: 데이터가 이미 수정되었습니다. 현재 값: "${normalizedCurrent}"`);
-            }
+            const requestBody = {
+                valueInputOption: 'USER_ENTERED', // 사용자가 입력한 것처럼 처리 (수식 등 지원)
+                data: cells.map(({cellAddress, value}) => ({
+                    range: `${sheetName}!${cellAddress}`,
+                    majorDimension: "ROWS",
+                    values: [[value]]
+                }))
+            };
 
-            // 3. 값이 동일하면 업데이트 수행
-            const updateResult = await this.updateCell(spreadsheetId, sheetName, cellAddress, newValue);
+            const data = this.proxyUrl
+                ? await this.proxyRequest('/api/admin/update', {spreadsheetId, action: 'batchUpdate', sheetName, cells}, {retryable})
+                : await this.makeApiRequest(url, {
+                    method: 'POST',
+                    body: JSON.stringify(requestBody)
+                }, {retryable});
 
-            console.log(`✅ CAS 업데이트 완료: ${sheetName}!${cellAddress}`);
+            console.log(`✅ 배치 셀 업데이트 완료: ${data.totalUpdatedCells ?? 0}개 셀`);
             return {
-                ...updateResult,
-                casSuccess: true,
-                previousValue: currentValue,
-                newValue: newValue
+                success: true,
+                updatedCells: data.totalUpdatedCells,
+                responses: data.responses
             };
         } catch (error) {
-            console.error('❌ CAS 업데이트 실패:', error.message);
-
-            // CAS 충돌인지 다른 에러인지 구분
-            if (error.message.includes('CONFLICT:')) {
-                throw error; // CAS 충돌 에러는 그대로 전달
-            } else {
-                throw new Error(`CAS 업데이트 실패: ${error.message}`);
-            }
+            console.error('❌ 배치 셀 업데이트 실패:', error.message);
+            throw withContext(error, '배치 셀 업데이트 실패');
         }
     }
 
@@ -280,7 +466,9 @@ class GoogleSheetsData {
 
             const url = `${SHEETS_CONFIG.api.baseUrl}/${spreadsheetId}/values:batchGet?${queryParams}`;
 
-            const data = await this.makeApiRequest(url);
+            const data = this.proxyUrl
+                ? await this.proxyRequest('/api/roster', {spreadsheetId, ranges}, {retryable: true})
+                : await this.makeApiRequest(url);
 
             const result = {};
             if (data.valueRanges) {
@@ -294,369 +482,212 @@ class GoogleSheetsData {
             return result;
         } catch (error) {
             console.error('❌ 배치 데이터 조회 실패:', error.message);
-            throw new Error(`배치 데이터 조회 실패: ${error.message}`);
-        }
-    }
-
-    /**
-     * 스프레드시트 메타데이터 조회
-     * @param {string} spreadsheetId - 스프레드시트 ID
-     * @returns {Promise<Object>} 스프레드시트 메타데이터
-     */
-    async getSpreadsheetMetadata(spreadsheetId = SHEETS_CONFIG.spreadsheetId) {
-        try {
-            console.log(`📋 스프레드시트 메타데이터 조회: ${spreadsheetId}`);
-
-            const url = `${SHEETS_CONFIG.api.baseUrl}/${spreadsheetId}`;
-            const data = await this.makeApiRequest(url);
-
-            console.log(`✅ 메타데이터 조회 완료: ${data.properties?.title}`);
-            return data;
-        } catch (error) {
-            console.error('❌ 메타데이터 조회 실패:', error.message);
-            throw new Error(`스프레드시트 메타데이터 조회 실패: ${error.message}`);
+            throw withContext(error, '배치 데이터 조회 실패');
         }
     }
 
     /**
-     * 스프레드시트 데이터를 조회하고 구조화된 형태로 반환
+     * CAS 셀 업데이트
+     * 프록시 모드의 본인 출석체크(인증번호/QR 토큰 포함, 또는 관리자 비밀번호 없음)는 프록시 서버가
+     * 인증번호 확인, CAS 확인, 기록, 변경 이력을 함께 처리
+     * 응답의 audited가 true면 이력이 이미 기록된 것이므로 화면에서 다시 기록하지 않음
      * @param {string} spreadsheetId - 스프레드시트 ID
      * @param {string} sheetName - 시트명
-     * @param {string} range - 데이터 범위
-     * @returns {Promise<Object>} 구조화된 데이터 객체
+     * @param {string} cellAddress - 셀 주소 (예: 'C3')
+     * @param {string} newValue - 새로운 값
+     * @param {string} expectedValue - 예상되는 현재 값
+     * @param {Object} options - {guards, attendanceCode, checkInToken, queuedAt}
+     * @returns {Promise<Object>} 업데이트 결과
      */
-    async fetchSheetData(
+    async updateCellWithCAS(
         spreadsheetId = SHEETS_CONFIG.spreadsheetId,
         sheetName = SHEETS_CONFIG.sheetName,
-        range = SHEETS_CONFIG.range
+        cellAddress,
+        newValue,
+        expectedValue,
+        options = {}
     ) {
+        const isSelfCheckIn = options.attendanceCode !== undefined || options.checkInToken !== undefined;
+        if (!this.proxyUrl || (this.auth.hasAdminSession() && !isSelfCheckIn)) {
+            return super.updateCellWithCAS(spreadsheetId, sheetName, cellAddress, newValue, expectedValue, options);
+        }
+
         try {
-            const values = await this.getSheetData(spreadsheetId, sheetName, range);
-
-            if (!values || values.length === 0) {
-                return {
-                    rows: [],
-                    headers: [],
-                    dataRows: [],
-                    totalRows: 0,
-                    dataRowCount: 0,
-                    hasData: false,
-                    range,
-                    sheetName,
-                    spreadsheetId
-                };
-            }
+            console.log(`🔒 본인 출석체크 요청: ${sheetName}!${cellAddress}`);
 
-            // 첫 번째 행을 헤더로 처리
-            const headers = await getHeader(values);
-            const dataRows = await getDataRows(values, headers.length);
-
-            const result = {
-                rows: values,
-                headers,
-                dataRows,
-                totalRows: values.length,
-                dataRowCount: dataRows.length,
-                hasData: true,
-                range,
-                sheetName,
+            const data = await this.proxyRequest('/api/check-in', {
                 spreadsheetId,
-                lastUpdated: new Date().toISOString()
-            };
-
-            console.log(`📋 데이터 처리 완료:`, {
-                totalRows: result.totalRows,
-                dataRows: result.dataRowCount,
-                headers: result.headers.length,
-                sheetName: result.sheetName
+                sheetName,
+                cellAddress,
+                newValue,
+                expectedValue,
+                guards: options.guards || [],
+                attendanceCode: options.attendanceCode,
+                checkInToken: options.checkInToken,
+                queuedAt: options.queuedAt,
+                deviceId: getDeviceId()
             });
 
-            return result;
+            console.log(`✅ 본인 출석체크 완료: ${sheetName}!${cellAddress}`);
+            return {
+                success: true,
+                updatedRange: data.updatedRange,
+                updatedCells: data.updatedCells,
+                updatedData: data.updatedData,
+                casSuccess: true,
+                previousValue: data.previousValue,
+                // 서버가 출석체크 시간에 따라 출석/지각을 정해 기록
+                newValue: data.newValue ?? newValue,
+                audited: data.audited
+            };
         } catch (error) {
-            console.error('❌ 데이터 가져오기 실패:', error);
-            throw error;
+            console.error('❌ 본인 출석체크 실패:', error.message);
+
+            if (error instanceof ConflictError) {
+                throw error;
+            }
+            throw withContext(error, 'CAS 업데이트 실패');
         }
     }
 
-    // /**
-    //  * 스프레드시트 데이터 목업 함수 (개발/테스트용)
-    //  * @param {string} spreadsheetId - 스프레드시트 ID
-    //  * @param {string} sheetName - 시트명
-    //  * @param {string} range - 데이터 범위
-    //  * @returns {Promise<Object>} 구조화된 목업 데이터 객체
-    //  */
-    // async fetchSheetData(
-    //     spreadsheetId = 'mock-spreadsheet-id',
-    //     sheetName = 'Mock Sheet',
-    //     range = 'A1:P50'
-    // ) {
-    //     // 실제 API 호출 시뮬레이션을 위한 지연
-    //     await new Promise(resolve => setTimeout(resolve, 800));
-    //
-    //     try {
-    //         // 목업 헤더 데이터 생성
-    //         const headers = [
-    //             { lecture: '1강', date: new Date(2025, 8, 10) },   // 2025년 9월 10일
-    //             { lecture: '2강', date: new Date(2025, 8, 17) },   // 2025년 9월 17일
-    //             { lecture: '3강', date: new Date(2025, 8, 24) },   // 2025년 9월 24일
-    //             { lecture: '4강', date: new Date(2025, 9, 1) },    // 2025년 10월 1일
-    //             { lecture: '5강', date: new Date(2025, 9, 8) },    // 2025년 10월 8일
-    //             { lecture: '6강', date: new Date(2025, 9, 15) },   // 2025년 10월 15일
-    //             { lecture: '7강', date: new Date(2025, 9, 22) },   // 2025년 10월 22일
-    //             { lecture: '8강', date: new Date(2025, 9, 29) },   // 2025년 10월 29일
-    //             { lecture: '9강', date: new Date(2025, 10, 5) },   // 2025년 11월 5일
-    //             { lecture: '10강', date: new Date(2025, 10, 12) }, // 2025년 11월 12일
-    //             { lecture: '11강', date: new Date(2025, 10, 19) }, // 2025년 11월 19일
-    //             { lecture: '12강', date: new Date(2025, 10, 26) }, // 2025년 11월 26일
-    //             { lecture: '13강', date: new Date(2025, 11, 3) },  // 2025년 12월 3일
-    //             { lecture: '14강', date: new Date(2025, 11, 10) }  // 2025년 12월 10일
-    //         ];
-    //
-    //         // 목업 출석 데이터 생성 도우미 함수
-    //         const generateAttendance = (pattern) => {
-    //             const attendance = [];
-    //             for (let i = 0; i < headers.length; i++) {
-    //                 switch (pattern[i % pattern.length]) {
-    //                     case 'O':
-    //                         attendance.push({ status: 'O', desc: '' });
-    //                         break;
-    //                     case 'X':
-    //                         attendance.push({ status: 'X', desc: '' });
-    //                         break;
-    //                     case 'L':
-    //                         attendance.push({ status: 'Etc', desc: '지각' });
-    //                         break;
-    //                     case 'E':
-    //                         attendance.push({ status: 'Etc', desc: '조퇴' });
-    //                         break;
-    //                     case 'S':
-    //                         attendance.push({ status: 'Etc', desc: '병가' });
-    //                         break;
-    //                     case 'P':
-    //                         attendance.push({ status: 'Etc', desc: '공가' });
-    //                         break;
-    //                     default:
-    //                         attendance.push({ status: 'None', desc: '' });
-    //                 }
-    //             }
-    //             return attendance;
-    //         };
-    //
-    //         // 목업 데이터 행 생성
-    //         const dataRows = [
-    //             {
-    //                 user: { name: '강민영', class: '저녁반' },
-    //                 attendance: generateAttendance(['X', 'O', 'O', 'L', 'O', 'X', 'O', 'O', 'E', 'O', 'O', 'S', 'O', 'O'])
-    //             },
-    //             {
-    //                 user: { name: '강신희', class: '저녁반' },
-    //                 attendance: generateAttendance(['O', 'X', 'X', 'O', 'O', 'O', 'L', 'O', 'O', 'X', 'O', 'O', 'P', 'O'])
-    //             },
-    //             {
-    //                 user: { name: '강은진', class: '저녁반' },
-    //                 attendance: generateAttendance(['O', 'O', 'O', 'O', 'X', 'O', 'O', 'L', 'O', 'O', 'O', 'O', 'O', 'E'])
-    //             },
-    //             {
-    //                 user: { name: '고태린', class: '저녁반' },
-    //                 attendance: generateAttendance(['-', 'P', 'O', 'O', 'O', 'X', 'O', 'O', 'O', 'L', 'O', 'X', 'O', 'O'])
-    //             },
-    //             {
-    //                 user: { name: '김도현', class: '오전반' },
-    //                 attendance: generateAttendance(['O', 'O', 'L', 'O', 'O', 'O', 'X', 'O', 'O', 'O', 'S', 'O', 'O', 'O'])
-    //             },
-    //             {
-    //                 user: { name: '김민수', class: '오전반' },
-    //                 attendance: generateAttendance(['O', 'X', 'O', 'E', 'O', 'O', 'O', 'L', 'O', 'O', 'O', 'X', 'O', 'O'])
-    //             },
-    //             {
-    //                 user: { name: '김지연', class: '오후반' },
-    //                 attendance: generateAttendance(['L', 'O', 'O', 'O', 'O', 'X', 'O', 'O', 'P', 'O', 'O', 'O', 'E', 'O'])
-    //             },
-    //             {
-    //                 user: { name: '박서준', class: '오후반' },
-    //                 attendance: generateAttendance(['O', 'O', 'X', 'O', 'L', 'O', 'O', 'O', 'O', 'X', 'O', 'O', 'O', 'S'])
-    //             },
-    //             {
-    //                 user: { name: '박지민', class: '저녁반' },
-    //                 attendance: generateAttendance(['O', 'L', 'O', 'O', 'O', 'O', 'E', 'O', 'X', 'O', 'O', 'O', 'O', 'O'])
-    //             },
-    //             {
-    //                 user: { name: '백승우', class: '오전반' },
-    //                 attendance: generateAttendance(['X', 'O', 'O', 'O', 'O', 'L', 'O', 'X', 'O', 'O', 'P', 'O', 'O', 'O'])
-    //             },
-    //             {
-    //                 user: { name: '송하은', class: '오후반' },
-    //                 attendance: generateAttendance(['O', 'O', 'P', 'O', 'X', 'O', 'O', 'O', 'O', 'L', 'O', 'E', 'O', 'O'])
-    //             },
-    //             {
-    //                 user: { name: '신예원', class: '저녁반' },
-    //                 attendance: generateAttendance(['O', 'X', 'O', 'L', 'O', 'O', 'O', 'S', 'O', 'O', 'X', 'O', 'O', 'O'])
-    //             },
-    //             {
-    //                 user: { name: '안재현', class: '오전반' },
-    //                 attendance: generateAttendance(['L', 'O', 'O', 'O', 'E', 'O', 'X', 'O', 'O', 'O', 'O', 'L', 'O', 'X'])
-    //             },
-    //             {
-    //                 user: { name: '윤서아', class: '오후반' },
-    //                 attendance: generateAttendance(['O', 'O', 'X', 'O', 'O', 'P', 'O', 'O', 'L', 'O', 'O', 'O', 'S', 'O'])
-    //             },
-    //             {
-    //                 user: { name: '이준혁', class: '저녁반' },
-    //                 attendance: generateAttendance(['O', 'P', 'O', 'O', 'O', 'O', 'L', 'O', 'O', 'E', 'O', 'X', 'O', 'O'])
-    //             },
-    //             {
-    //                 user: { name: '임채원', class: '오전반' },
-    //                 attendance: generateAttendance(['E', 'O', 'L', 'O', 'O', 'X', 'O', 'O', 'O', 'O', 'S', 'O', 'O', 'P'])
-    //             },
-    //             {
-    //                 user: { name: '장민호', class: '오후반' },
-    //                 attendance: generateAttendance(['O', 'O', 'O', 'X', 'L', 'O', 'O', 'P', 'O', 'O', 'O', 'E', 'X', 'O'])
-    //             },
-    //             {
-    //                 user: { name: '정수빈', class: '저녁반' },
-    //                 attendance: generateAttendance(['O', 'L', 'X', 'O', 'O', 'O', 'S', 'O', 'O', 'O', 'P', 'O', 'O', 'E'])
-    //             },
-    //             {
-    //                 user: { name: '조현우', class: '오전반' },
-    //                 attendance: generateAttendance(['S', 'O', 'O', 'E', 'O', 'L', 'O', 'O', 'X', 'O', 'O', 'O', 'L', 'O'])
-    //             },
-    //             {
-    //                 user: { name: '최예진', class: '오후반' },
-    //                 attendance: generateAttendance(['O', 'O', 'E', 'O', 'P', 'O', 'X', 'O', 'O', 'L', 'O', 'O', 'O', 'S'])
-    //             }
-    //         ];
-    //
-    //         // 목업 원본 rows 데이터 (Google Sheets 형태 시뮬레이션)
-    //         const rows = [
-    //             // 헤더 1행: 강의명
-    //             ['', '', '1강', '2강', '3강', '4강', '5강', '6강', '7강', '8강', '9강', '10강', '11강', '12강', '13강', '14강'],
-    //             // 헤더 2행: 날짜
-    //             ['', '', '9/10', '9/17', '9/24', '10/1', '10/8', '10/15', '10/22', '10/29', '11/5', '11/12', '11/19', '11/26', '12/3', '12/10'],
-    //             // 데이터 행들
-    //             ...dataRows.map(row => {
-    //                 const rowData = [row.user.name, row.user.class];
-    //                 row.attendance.forEach(att => {
-    //                     if (att.status === 'O') rowData.push('O');
-    //                     else if (att.status === 'X') rowData.push('X');
-    //                     else if (att.status === 'Etc') rowData.push(att.desc);
-    //                     else rowData.push('-');
-    //                 });
-    //                 return rowData;
-    //             })
-    //         ];
-    //
-    //         const result = {
-    //             rows,
-    //             headers,
-    //             dataRows,
-    //             totalRows: rows.length,
-    //             dataRowCount: dataRows.length,
-    //             hasData: true,
-    //             range,
-    //             sheetName,
-    //             spreadsheetId,
-    //             lastUpdated: new Date().toISOString()
-    //         };
-    //
-    //         console.log(`📋 목업 데이터 생성 완료:`, {
-    //             totalRows: result.totalRows,
-    //             dataRows: result.dataRowCount,
-    //             headers: result.headers.length,
-    //             sheetName: result.sheetName
-    //         });
-    //
-    //         return result;
-    //
-    //     } catch (error) {
-    //         console.error('❌ 목업 데이터 생성 실패:', error);
-    //         throw error;
-    //     }
-    // }
+    /**
+     * 학생 신청 접수 (프록시 모드에서는 신청 시트를 학생이 직접 쓸 수 없으므로 서버가 확인 후 기록)
+     * @param {string} spreadsheetId - 스프레드시트 ID
+     * @param {string} type - 신청 종류 (REQUEST_TYPE)
+     * @param {Object} request - {sheetName, cellAddress, userName, text}
+     * @returns {Promise<Object>} 접수한 신청 항목
+     */
+    async submitStudentRequest(spreadsheetId = SHEETS_CONFIG.spreadsheetId, type, request = {}) {
+        if (!this.proxyUrl) {
+            return super.submitStudentRequest(spreadsheetId, type, request);
+        }
 
+        const {sheetName, cellAddress, userName, text} = request;
+        const entry = await this.proxyRequest('/api/request', {spreadsheetId, type, sheetName, cellAddress, userName, text});
+        console.log(`📨 신청 접수: ${entry.userName} ${entry.lecture}`);
+        return entry;
+    }
 
     /**
-     * 특정 셀의 값 조회
+     * values:append로 시트 마지막 행 다음에 행 추가
+     * 값은 입력한 그대로(RAW) 기록하며, 재시도 시 중복 기록될 수 있으므로 재시도하지 않음
      * @param {string} spreadsheetId - 스프레드시트 ID
      * @param {string} sheetName - 시트명
-     * @param {string} cellAddress - 셀 주소 (예: 'A1')
-     * @returns {Promise<string>} 셀 값
+     * @param {Array<Array<string>>} rows - 추가할 행 목록
+     * @returns {Promise<Object>} 추가 결과
      */
-    async getCellValue(
-        spreadsheetId = SHEETS_CONFIG.spreadsheetId,
-        sheetName = SHEETS_CONFIG.sheetName,
-        cellAddress
-    ) {
+    async appendRows(spreadsheetId = SHEETS_CONFIG.spreadsheetId, sheetName, rows = []) {
         try {
-            const range = `${sheetName}!${cellAddress}`;
-            const values = await this.getSheetData(spreadsheetId, sheetName, cellAddress);
+            console.log(`📝 행 추가 시작: ${sheetName} (${rows.length}행)`);
+
+            const encodedRange = encodeURIComponent(`${sheetName}!A1`);
+            const queryParams = new URLSearchParams({
+                valueInputOption: 'RAW',
+                insertDataOption: 'INSERT_ROWS'
+            });
+            const url = `${SHEETS_CONFIG.api.baseUrl}/${spreadsheetId}/values/${encodedRange}:append?${queryParams}`;
 
-            return values[0]?.[0] || '';
+            const data = this.proxyUrl
+                ? await this.proxyRequest('/api/admin/update', {spreadsheetId, action: 'append', sheetName, rows})
+                : await this.makeApiRequest(url, {
+                    method: 'POST',
+                    body: JSON.stringify({majorDimension: 'ROWS', values: rows})
+                });
+
+            console.log(`✅ 행 추가 완료: ${data.updates?.updatedRange}`);
+            return {
+                success: true,
+                updatedRange: data.updates?.updatedRange,
+                updatedRows: data.updates?.updatedRows
+            };
         } catch (error) {
-            console.error('❌ 셀 값 조회 실패:', error.message);
-            throw new Error(`셀 값 조회 실패: ${error.message}`);
+            console.error('❌ 행 추가 실패:', error.message);
+            throw withContext(error, '행 추가 실패');
         }
     }
 
     /**
-     * 데이터를 CSV 형태로 변환
-     * @param {Array<Array<string>>} data - 스프레드시트 데이터
-     * @param {string} delimiter - 구분자 (기본값: ',')
-     * @returns {string} CSV 문자열
-     */
-    convertToCSV(data, delimiter = ',') {
-        if (!data || data.length === 0) return '';
-
-        return data.map(row =>
-            row.map(cell => {
-                // 셀에 구분자, 줄바꿈, 따옴표가 있으면 따옴표로 감싸기
-                const cellStr = String(cell || '');
-                if (cellStr.includes(delimiter) || cellStr.includes('\n') || cellStr.includes('"')) {
-                    return `"${cellStr.replace(/"/g, '""')}"`;
-                }
-                return cellStr;
-            }).join(delimiter)
-        ).join('\n');
-    }
-
-    /**
-     * 데이터를 JSON 형태로 변환 (헤더를 키로 사용)
-     * @param {Array<Array<string>>} data - 스프레드시트 데이터
-     * @returns {Array<Object>} JSON 배열
+     * batchUpdate(addSheet)로 새 시트 추가 후 제목 행 기록
+     * @param {string} spreadsheetId - 스프레드시트 ID
+     * @param {string} sheetName - 추가할 시트명
+     * @param {Array<string>} headerRow - 1행에 기록할 제목 행 (선택사항)
+     * @returns {Promise<Object>} 추가된 시트 속성
      */
-    convertToJSON(data) {
-        if (!data || data.length === 0) return [];
+    async addSheet(spreadsheetId = SHEETS_CONFIG.spreadsheetId, sheetName, headerRow = []) {
+        try {
+            console.log(`📄 시트 추가 시작: ${sheetName}`);
+
+            const url = `${SHEETS_CONFIG.api.baseUrl}/${spreadsheetId}:batchUpdate`;
+            const data = this.proxyUrl
+                ? await this.proxyRequest('/api/admin/update', {spreadsheetId, action: 'addSheet', sheetName})
+                : await this.makeApiRequest(url, {
+                    method: 'POST',
+                    body: JSON.stringify({
+                        requests: [{addSheet: {properties: {title: sheetName}}}]
+                    })
+                });
 
-        const headers = data[0];
-        const rows = data.slice(1);
+            if (headerRow.length > 0) {
+                await this.appendRows(spreadsheetId, sheetName, [headerRow]);
+            }
 
-        return rows.map(row => {
-            const obj = {};
-            headers.forEach((header, index) => {
-                obj[header] = row[index] || '';
-            });
-            return obj;
-        });
+            console.log(`✅ 시트 추가 완료: ${sheetName}`);
+            return data.replies?.[0]?.addSheet?.properties;
+        } catch (error) {
+            console.error('❌ 시트 추가 실패:', error.message);
+            throw withContext(error, '시트 추가 실패');
+        }
     }
 
     /**
-     * 연결 상태 테스트
-     * @returns {Promise<boolean>} 연결 성공 여부
+     * 스프레드시트 메타데이터 조회
+     * @param {string} spreadsheetId - 스프레드시트 ID
+     * @returns {Promise<Object>} 스프레드시트 메타데이터
      */
-    async testConnection() {
+    async getSpreadsheetMetadata(spreadsheetId = SHEETS_CONFIG.spreadsheetId) {
         try {
-            console.log('🔍 연결 상태 테스트 중...');
-            await this.getSpreadsheetMetadata();
-            console.log('✅ 연결 상태 테스트 성공');
-            return true;
+            console.log(`📋 스프레드시트 메타데이터 조회: ${spreadsheetId}`);
+
+            const url = `${SHEETS_CONFIG.api.baseUrl}/${spreadsheetId}`;
+            const data = this.proxyUrl
+                ? await this.proxyRequest('/api/roster', {spreadsheetId, metadata: true}, {retryable: true})
+                : await this.makeApiRequest(url);
+
+            console.log(`✅ 메타데이터 조회 완료: ${data.properties?.title}`);
+            return data;
         } catch (error) {
-            console.error('❌ 연결 상태 테스트 실패:', error.message);
-            return false;
+            console.error('❌ 메타데이터 조회 실패:', error.message);
+            throw withContext(error, '스프레드시트 메타데이터 조회 실패');
         }
     }
 }
 
+/**
+ * 실패한 응답을 상태 코드에 맞는 에러 종류로 변환 (Retry-After 정보 포함)
+ * @param {Response} response - fetch 응답
+ * @param {string} prefix - 에러 메시지 접두어
+ * @returns {Promise<import('./errors.js').SheetsError>} 에러 객체
+ */
+async function createResponseError(response, prefix) {
+    const errorData = await response.json().catch(() => ({}));
+    return createHttpError(
+        response.status,
+        `${prefix}: ${response.status} - ${errorData.error?.message || response.statusText}`,
+        {
+            retryAfterMs: parseRetryAfter(response.headers.get('Retry-After')),
+            // 프록시 서버의 에러 종류 (예: INVALID_ATTENDANCE_CODE)
+            reason: errorData.error?.status,
+            // 프록시 서버의 CAS 충돌 정보 (cellAddress, currentValue, expectedValue)
+            ...errorData.error?.conflict
+        }
+    );
+}
+
 // 싱글톤 인스턴스 생성 및 내보내기
-const googleSheetsData = new GoogleSheetsData();
+// 프록시 서버 주소가 있으면 브라우저에서 Google 인증 없이 프록시 서버를 호출
+const googleSheetsData = SHEETS_CONFIG.proxyUrl
+    ? new GoogleSheetsData(proxyAuth, new RequestScheduler(), {proxyUrl: SHEETS_CONFIG.proxyUrl})
+    : new GoogleSheetsData();
 
 export default googleSheetsData;
-export {GoogleSheetsData};
\ No newline at end of file
+export {GoogleSheetsData};
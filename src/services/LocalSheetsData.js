@@ -0,0 +1,419 @@
+// services/LocalSheetsData.js
+
+import {SHEETS_CONFIG} from './sheetsConfig.js';
+import SheetsDataBackend from './SheetsDataBackend.js';
+import {SAMPLE_ADMIN_ACCOUNTS, createSampleSpreadsheet} from './fixtures/sampleSpreadsheet.js';
+import {parseA1Range, parseCellReference} from './a1Notation.js';
+import {PermissionError, ValidationError, withContext} from './errors.js';
+
+const DEFAULT_STORAGE_KEY = 'stg-attendance:local-spreadsheet';
+
+/**
+ * local 백엔드용 인증 객체
+ * 네트워크 인증이 없으므로 항상 인증된 상태로 간주
+ */
+class LocalAuth {
+    async authenticate() {
+        return true;
+    }
+
+    async ensureValidToken() {
+        return null;
+    }
+
+    isAuthenticated() {
+        return true;
+    }
+
+    clearAuthentication() {
+        // 오프라인 모드에서는 초기화할 인증 정보가 없음
+    }
+
+    getAuthStatus() {
+        return {
+            isAuthenticated: true,
+            hasToken: false,
+            tokenTTL: 0,
+            expiryTime: null,
+            mode: 'local'
+        };
+    }
+}
+
+/**
+ * 오프라인 출석부 백엔드
+ * 예제 스프레드시트를 메모리 또는 localStorage에 보관하고
+ * Sheets API와 같은 형태로 조회/수정 결과를 반환
+ */
+class LocalSheetsData extends SheetsDataBackend {
+    /**
+     * @param {Object} options
+     * @param {Object} options.fixture - 초기 스프레드시트 ({spreadsheetId, title, sheets})
+     * @param {string} options.storage - 저장 방식 ('memory' | 'localStorage')
+     * @param {string} options.storageKey - localStorage 키
+     * @param {number} options.latency - 응답 지연 시간 (밀리초, 네트워크 시뮬레이션용)
+     * @param {string} options.attendanceCode - 본인 출석체크 인증번호 (데모용, 기본값: '1234')
+     * @param {string} options.attendanceCodeSecret - 시간 기반 인증번호 비밀 값 (지정하면 고정 인증번호 대신 사용)
+     * @param {number} options.attendanceCodePeriod - 시간 기반 인증번호 주기 (초)
+     * @param {Array<Object>} options.adminAccounts - 관리자 계정 (기본값: 데모 계정 admin / 1111)
+     */
+    constructor({
+                    fixture,
+                    storage = SHEETS_CONFIG.localStorage,
+                    storageKey = DEFAULT_STORAGE_KEY,
+                    latency = 0,
+                    attendanceCode = SHEETS_CONFIG.attendanceCode || '1234',
+                    attendanceCodeSecret = SHEETS_CONFIG.attendanceCodeSecret,
+                    attendanceCodePeriod = SHEETS_CONFIG.attendanceCodePeriod,
+                    adminAccounts = SAMPLE_ADMIN_ACCOUNTS
+                } = {}) {
+        super(new LocalAuth(), 'local');
+
+        this.fixture = fixture || createSampleSpreadsheet({
+            spreadsheetId: SHEETS_CONFIG.spreadsheetId,
+            sheetName: SHEETS_CONFIG.sheetName,
+            settingsSheetName: SHEETS_CONFIG.settingsSheetName
+        });
+        this.storageKey = storageKey;
+        this.latency = latency;
+        this.attendanceCode = attendanceCode;
+        this.attendanceCodeSecret = attendanceCodeSecret;
+        this.attendanceCodePeriod = attendanceCodePeriod;
+        this.adminAccounts = adminAccounts;
+        this.useLocalStorage = storage === 'localStorage' && typeof localStorage !== 'undefined';
+        this.spreadsheet = this.loadSpreadsheet();
+    }
+
+    // ===== 저장소 관리 =====
+
+    /**
+     * 저장된 스프레드시트를 불러오거나 초기 데이터로 생성
+     * @returns {Object} 스프레드시트 객체
+     */
+    loadSpreadsheet() {
+        if (this.useLocalStorage) {
+            try {
+                const saved = localStorage.getItem(this.storageKey);
+                if (saved) {
+                    return JSON.parse(saved);
+                }
+            } catch (error) {
+                console.warn('⚠️ 저장된 오프라인 데이터를 읽을 수 없어 초기화합니다:', error.message);
+            }
+        }
+
+        return structuredClone(this.fixture);
+    }
+
+    /**
+     * 현재 스프레드시트 상태를 저장
+     */
+    persist() {
+        if (!this.useLocalStorage) return;
+
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.spreadsheet));
+        } catch (error) {
+            console.warn('⚠️ 오프라인 데이터 저장 실패:', error.message);
+        }
+    }
+
+    /**
+     * 초기 예제 데이터로 되돌리기 (데모/교육 후 정리용)
+     */
+    reset() {
+        this.spreadsheet = structuredClone(this.fixture);
+        this.persist();
+        console.log('🔄 오프라인 출석부가 초기화되었습니다.');
+    }
+
+    /**
+     * 네트워크 지연 시뮬레이션
+     */
+    async simulateLatency() {
+        if (this.latency > 0) {
+            await new Promise(resolve => setTimeout(resolve, this.latency));
+        }
+    }
+
+    /**
+     * 요청한 스프레드시트가 보관 중인 스프레드시트인지 확인
+     * @param {string} spreadsheetId - 스프레드시트 ID
+     */
+    assertSpreadsheet(spreadsheetId) {
+        if (spreadsheetId && spreadsheetId !== this.spreadsheet.spreadsheetId) {
+            throw new PermissionError(`스프레드시트를 찾을 수 없습니다: ${spreadsheetId}`, {status: 404});
+        }
+    }
+
+    /**
+     * 시트 값 배열 조회
+     * @param {string} sheetName - 시트명
+     * @returns {Array<Array<string>>} 시트 값
+     */
+    getSheetValues(sheetName) {
+        const values = this.spreadsheet.sheets[sheetName];
+        if (!values) {
+            throw new ValidationError(`시트를 찾을 수 없습니다: ${sheetName}`, {status: 400});
+        }
+        return values;
+    }
+
+    /**
+     * 범위에 해당하는 값을 잘라서 반환 (Sheets API처럼 뒤쪽 빈 셀/행은 생략)
+     * @param {Array<Array<string>>} values - 시트 값
+     * @param {string|null} range - A1 범위 (없으면 시트 전체)
+     * @returns {Array<Array<string>>} 범위 값
+     */
+    sliceRange(values, range) {
+        const {startRow, startCol, endRow, endCol} = range
+            ? parseA1Range(range)
+            : {startRow: 0, startCol: 0, endRow: Infinity, endCol: Infinity};
+
+        const rows = values.slice(startRow, endRow + 1).map(row => {
+            const cells = row.slice(startCol, endCol + 1).map(cell => (cell ?? '').toString());
+            while (cells.length > 0 && cells[cells.length - 1] === '') {
+                cells.pop();
+            }
+            return cells;
+        });
+
+        while (rows.length > 0 && rows[rows.length - 1].length === 0) {
+            rows.pop();
+        }
+
+        return rows;
+    }
+
+    /**
+     * 시트 값 배열의 셀 하나를 기록 (필요하면 행/열을 늘림)
+     * @param {Array<Array<string>>} values - 시트 값
+     * @param {string} cellAddress - 셀 주소
+     * @param {string} value - 새로운 값
+     * @returns {string} 기록된 값
+     */
+    writeCell(values, cellAddress, value) {
+        const {row, col} = parseCellReference(cellAddress);
+
+        while (values.length <= row) {
+            values.push([]);
+        }
+        while (values[row].length < col) {
+            values[row].push('');
+        }
+        values[row][col] = value ?? '';
+
+        return values[row][col];
+    }
+
+    // ===== SheetsDataBackend 구현 =====
+
+    async getSheetData(
+        spreadsheetId = SHEETS_CONFIG.spreadsheetId,
+        sheetName = SHEETS_CONFIG.sheetName,
+        range = SHEETS_CONFIG.range
+    ) {
+        try {
+            console.log(`📊 [local] 데이터 조회 시작: ${sheetName}${range ? `!${range}` : ''}`);
+            await this.simulateLatency();
+            this.assertSpreadsheet(spreadsheetId);
+
+            const values = this.sliceRange(this.getSheetValues(sheetName), range);
+
+            if (values.length === 0) {
+                console.warn('⚠️ 조회된 데이터가 없습니다.');
+                return [];
+            }
+
+            console.log(`✅ [local] 데이터 조회 완료: ${values.length}행`);
+            return values;
+        } catch (error) {
+            console.error('❌ 데이터 조회 실패:', error.message);
+            throw withContext(error, '스프레드시트 데이터 조회 실패');
+        }
+    }
+
+    async getCurrentCellValue(
+        spreadsheetId = SHEETS_CONFIG.spreadsheetId,
+        sheetName = SHEETS_CONFIG.sheetName,
+        cellAddress
+    ) {
+        try {
+            await this.simulateLatency();
+            this.assertSpreadsheet(spreadsheetId);
+
+            const {row, col} = parseCellReference(cellAddress);
+            const currentValue = (this.getSheetValues(sheetName)[row]?.[col] ?? '').toString();
+            console.log(`✅ [local] 현재 셀 값: "${currentValue}"`);
+
+            return currentValue;
+        } catch (error) {
+            console.error('❌ 셀 값 조회 실패:', error.message);
+            throw withContext(error, '셀 값 조회 실패');
+        }
+    }
+
+    async updateCell(
+        spreadsheetId = SHEETS_CONFIG.spreadsheetId,
+        sheetName = SHEETS_CONFIG.sheetName,
+        cellAddress,
+        value
+    ) {
+        try {
+            console.log(`📝 [local] 셀 업데이트 시작: ${sheetName}!${cellAddress} = "${value}"`);
+            await this.simulateLatency();
+            this.assertSpreadsheet(spreadsheetId);
+
+            const values = this.getSheetValues(sheetName);
+            const writtenValue = this.writeCell(values, cellAddress, value);
+
+            this.persist();
+
+            console.log(`✅ [local] 셀 업데이트 완료: ${sheetName}!${cellAddress}`);
+            return {
+                success: true,
+                updatedRange: `${sheetName}!${cellAddress}`,
+                updatedRows: 1,
+                updatedColumns: 1,
+                updatedCells: 1,
+                updatedData: {
+                    range: `${sheetName}!${cellAddress}`,
+                    majorDimension: 'ROWS',
+                    values: [[writtenValue]]
+                }
+            };
+        } catch (error) {
+            console.error('❌ 셀 업데이트 실패:', error.message);
+            throw withContext(error, '셀 업데이트 실패');
+        }
+    }
+
+    async batchUpdateCells(
+        spreadsheetId = SHEETS_CONFIG.spreadsheetId,
+        sheetName = SHEETS_CONFIG.sheetName,
+        cells = []
+    ) {
+        try {
+            console.log(`📝 [local] 배치 셀 업데이트 시작: ${sheetName} (${cells.length}개 셀)`);
+            await this.simulateLatency();
+            this.assertSpreadsheet(spreadsheetId);
+
+            const values = this.getSheetValues(sheetName);
+            cells.forEach(({cellAddress, value}) => {
+                this.writeCell(values, cellAddress, value);
+            });
+
+            this.persist();
+
+            console.log(`✅ [local] 배치 셀 업데이트 완료: ${cells.length}개 셀`);
+            return {
+                success: true,
+                updatedCells: cells.length,
+                responses: cells.map(({cellAddress}) => ({
+                    updatedRange: `${sheetName}!${cellAddress}`,
+                    updatedCells: 1
+                }))
+            };
+        } catch (error) {
+            console.error('❌ 배치 셀 업데이트 실패:', error.message);
+            throw withContext(error, '배치 셀 업데이트 실패');
+        }
+    }
+
+    async getBatchData(spreadsheetId = SHEETS_CONFIG.spreadsheetId, ranges) {
+        try {
+            console.log(`📊 [local] 배치 데이터 조회 시작: ${ranges.length}개 범위`);
+            await this.simulateLatency();
+            this.assertSpreadsheet(spreadsheetId);
+
+            const result = {};
+            ranges.forEach(range => {
+                const {sheetName} = parseA1Range(range);
+                const values = this.getSheetValues(sheetName || SHEETS_CONFIG.sheetName);
+                result[range] = this.sliceRange(values, range);
+            });
+
+            console.log(`✅ [local] 배치 데이터 조회 완료: ${Object.keys(result).length}개 범위`);
+            return result;
+        } catch (error) {
+            console.error('❌ 배치 데이터 조회 실패:', error.message);
+            throw withContext(error, '배치 데이터 조회 실패');
+        }
+    }
+
+    async appendRows(spreadsheetId = SHEETS_CONFIG.spreadsheetId, sheetName, rows = []) {
+        try {
+            console.log(`📝 [local] 행 추가 시작: ${sheetName} (${rows.length}행)`);
+            await this.simulateLatency();
+            this.assertSpreadsheet(spreadsheetId);
+
+            const values = this.getSheetValues(sheetName);
+            const startRow = values.length + 1;
+            rows.forEach(row => values.push(row.map(cell => (cell ?? '').toString())));
+
+            this.persist();
+
+            const updatedRange = `${sheetName}!A${startRow}`;
+            console.log(`✅ [local] 행 추가 완료: ${updatedRange}`);
+            return {success: true, updatedRange, updatedRows: rows.length};
+        } catch (error) {
+            console.error('❌ 행 추가 실패:', error.message);
+            throw withContext(error, '행 추가 실패');
+        }
+    }
+
+    async addSheet(spreadsheetId = SHEETS_CONFIG.spreadsheetId, sheetName, headerRow = []) {
+        try {
+            console.log(`📄 [local] 시트 추가 시작: ${sheetName}`);
+            await this.simulateLatency();
+            this.assertSpreadsheet(spreadsheetId);
+
+            if (this.spreadsheet.sheets[sheetName]) {
+                throw new ValidationError(`이미 있는 시트입니다: ${sheetName}`, {status: 400});
+            }
+
+            this.spreadsheet.sheets[sheetName] = headerRow.length > 0 ? [[...headerRow]] : [];
+            this.persist();
+
+            console.log(`✅ [local] 시트 추가 완료: ${sheetName}`);
+            return {
+                sheetId: Object.keys(this.spreadsheet.sheets).length - 1,
+                title: sheetName
+            };
+        } catch (error) {
+            console.error('❌ 시트 추가 실패:', error.message);
+            throw withContext(error, '시트 추가 실패');
+        }
+    }
+
+    async getSpreadsheetMetadata(spreadsheetId = SHEETS_CONFIG.spreadsheetId) {
+        await this.simulateLatency();
+        this.assertSpreadsheet(spreadsheetId);
+
+        const sheets = Object.entries(this.spreadsheet.sheets).map(([title, values], index) => ({
+            properties: {
+                sheetId: index,
+                title,
+                index,
+                sheetType: 'GRID',
+                gridProperties: {
+                    rowCount: values.length,
+                    columnCount: values.reduce((max, row) => Math.max(max, row.length), 0)
+                }
+            }
+        }));
+
+        return {
+            spreadsheetId,
+            properties: {
+                title: this.spreadsheet.title,
+                locale: 'ko_KR',
+                timeZone: 'Asia/Seoul'
+            },
+            sheets
+        };
+    }
+}
+
+export default LocalSheetsData;
+export {LocalSheetsData, LocalAuth};
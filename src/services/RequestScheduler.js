@@ -0,0 +1,224 @@
+// services/RequestScheduler.js
+
+import {SHEETS_CONFIG} from './sheetsConfig.js';
+import {NetworkError, QuotaError} from './errors.js';
+
+// 재시도할 수 있는 HTTP 상태 코드 (일시적인 서버 오류)
+const RETRYABLE_STATUS_CODES = [500, 502, 503, 504];
+
+/**
+ * Sheets API 요청 스케줄러
+ * 동시 요청 수를 제한하고 토큰 버킷으로 요청 간격을 조절하여 할당량을 넘지 않도록 하며,
+ * 재시도 가능한 요청은 Retry-After 또는 지터가 섞인 지수 백오프 후 다시 보냄
+ */
+class RequestScheduler {
+    /**
+     * @param {Object} options
+     * @param {number} options.maxConcurrent - 동시에 보낼 수 있는 최대 요청 수
+     * @param {number} options.requestsPerMinute - 분당 최대 요청 수 (Sheets 사용자별 할당량)
+     * @param {number} options.burstSize - 한 번에 몰아서 보낼 수 있는 요청 수
+     * @param {number} options.maxRetries - 최대 재시도 횟수
+     * @param {number} options.baseDelayMs - 첫 재시도 대기 시간 (밀리초)
+     * @param {number} options.maxDelayMs - 최대 재시도 대기 시간 (밀리초)
+     */
+    constructor({
+                    maxConcurrent = SHEETS_CONFIG.requestQueue.maxConcurrent,
+                    requestsPerMinute = SHEETS_CONFIG.requestQueue.requestsPerMinute,
+                    burstSize = SHEETS_CONFIG.requestQueue.burstSize,
+                    maxRetries = SHEETS_CONFIG.requestQueue.maxRetries,
+                    baseDelayMs = SHEETS_CONFIG.requestQueue.baseDelayMs,
+                    maxDelayMs = SHEETS_CONFIG.requestQueue.maxDelayMs
+                } = {}) {
+        this.maxConcurrent = maxConcurrent;
+        this.refillPerMs = requestsPerMinute / 60000;
+        this.burstSize = burstSize;
+        this.maxRetries = maxRetries;
+        this.baseDelayMs = baseDelayMs;
+        this.maxDelayMs = maxDelayMs;
+
+        this.tokens = burstSize;
+        this.lastRefill = Date.now();
+        this.queue = [];
+        this.active = 0;
+        this.retrying = 0;
+        this.drainTimer = null;
+        this.listeners = new Set();
+    }
+
+    // ===== 상태 보고 =====
+
+    /**
+     * 현재 대기열 상태
+     * @returns {{pending: number, active: number, retrying: number}} 대기 중/진행 중/재시도 대기 중 요청 수
+     */
+    getStatus() {
+        return {
+            pending: this.queue.length,
+            active: this.active,
+            retrying: this.retrying
+        };
+    }
+
+    /**
+     * 대기열 상태 변경 구독
+     * @param {Function} listener - 상태 객체를 받는 콜백
+     * @returns {Function} 구독 해제 함수
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notify() {
+        const status = this.getStatus();
+        this.listeners.forEach(listener => {
+            try {
+                listener(status);
+            } catch (error) {
+                console.error('대기열 상태 콜백 오류:', error);
+            }
+        });
+    }
+
+    // ===== 요청 실행 =====
+
+    /**
+     * 요청을 대기열에 넣고 결과를 반환
+     * @param {Function} task - 요청을 보내는 비동기 함수
+     * @param {Object} options
+     * @param {boolean} options.retryable - 일시적 오류 시 재시도 여부 (멱등 조회, CAS로 보호된 쓰기만 true)
+     * @returns {Promise<*>} task 결과
+     */
+    async schedule(task, {retryable = false} = {}) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.enqueue(task);
+            } catch (error) {
+                if (!retryable || attempt >= this.maxRetries || !this.isRetryableError(error)) {
+                    throw error;
+                }
+
+                const delay = this.getRetryDelay(error, attempt);
+                console.warn(`🔁 요청 재시도 대기 (${attempt + 1}/${this.maxRetries}): ${Math.round(delay)}ms - ${error.message}`);
+
+                this.retrying++;
+                this.notify();
+                try {
+                    await new Promise(resolve => setTimeout(resolve, delay));
+                } finally {
+                    this.retrying--;
+                    this.notify();
+                }
+            }
+        }
+    }
+
+    /**
+     * 대기열에 작업 추가 (재시도 없이 한 번 실행)
+     * @param {Function} task - 요청을 보내는 비동기 함수
+     * @returns {Promise<*>} task 결과
+     */
+    enqueue(task) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({task, resolve, reject});
+            this.notify();
+            this.drain();
+        });
+    }
+
+    /**
+     * 동시 요청 수와 토큰이 허용하는 만큼 대기열의 작업을 시작
+     */
+    drain() {
+        if (this.drainTimer) return;
+
+        while (this.queue.length > 0 && this.active < this.maxConcurrent) {
+            this.refillTokens();
+
+            if (this.tokens < 1) {
+                // 다음 토큰이 채워질 때까지 대기
+                const waitMs = Math.ceil((1 - this.tokens) / this.refillPerMs);
+                this.drainTimer = setTimeout(() => {
+                    this.drainTimer = null;
+                    this.drain();
+                }, waitMs);
+                return;
+            }
+
+            this.tokens -= 1;
+            this.run(this.queue.shift());
+        }
+    }
+
+    async run({task, resolve, reject}) {
+        this.active++;
+        this.notify();
+
+        try {
+            resolve(await task());
+        } catch (error) {
+            reject(error);
+        } finally {
+            this.active--;
+            this.notify();
+            this.drain();
+        }
+    }
+
+    refillTokens() {
+        const now = Date.now();
+        this.tokens = Math.min(this.burstSize, this.tokens + (now - this.lastRefill) * this.refillPerMs);
+        this.lastRefill = now;
+    }
+
+    // ===== 재시도 정책 =====
+
+    /**
+     * 재시도할 수 있는 오류인지 확인 (네트워크 오류, 할당량 초과, 일시적인 서버 오류)
+     * @param {Error} error - 요청 오류
+     * @returns {boolean} 재시도 가능 여부
+     */
+    isRetryableError(error) {
+        if (error instanceof NetworkError || error instanceof QuotaError) {
+            return true;
+        }
+        return RETRYABLE_STATUS_CODES.includes(error?.status);
+    }
+
+    /**
+     * 재시도 대기 시간 계산
+     * 서버가 Retry-After를 보냈으면 그 값을 따르고, 아니면 full jitter 지수 백오프
+     * @param {import('./errors.js').SheetsError} error - 요청 오류 (options.retryAfterMs 포함 가능)
+     * @param {number} attempt - 0부터 시작하는 재시도 횟수
+     * @returns {number} 대기 시간 (밀리초)
+     */
+    getRetryDelay(error, attempt) {
+        const retryAfterMs = error?.options?.retryAfterMs;
+        if (Number.isFinite(retryAfterMs) && retryAfterMs >= 0) {
+            return retryAfterMs;
+        }
+
+        const ceiling = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** attempt);
+        return Math.random() * ceiling;
+    }
+}
+
+/**
+ * Retry-After 헤더 값을 밀리초로 변환 (초 단위 숫자 또는 HTTP 날짜)
+ * @param {string|null} value - Retry-After 헤더 값
+ * @returns {number|null} 대기 시간 (밀리초)
+ */
+export function parseRetryAfter(value) {
+    if (!value) return null;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+export default RequestScheduler;
+export {RequestScheduler};
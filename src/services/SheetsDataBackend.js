@@ -0,0 +1,1310 @@
+// services/SheetsDataBackend.js
+
+import {SHEETS_CONFIG} from './sheetsConfig.js';
+import {formatClassCell, formatSheetDate, getDataRows, getHeader, isEqualStatus, parseLectureDateCell} from "./model.js";
+import {columnIndexToLetter, parseA1Range, parseCellReference} from './a1Notation.js';
+import {AttendanceCodeError, ConflictError, PermissionError, QuotaError, ValidationError, withContext} from './errors.js';
+import {listSemesterSheets} from './semesters.js';
+import {DEFAULT_CODE_PERIOD_SECONDS, getCurrentAttendanceCode, matchesAttendanceCode} from './attendanceCodes.js';
+import {createCheckInToken, verifyCheckInToken} from './checkInLinks.js';
+import {assertCheckInOpen, parseQueuedAt} from './checkInWindow.js';
+import {findAdminAccount, getAdminSessionExpiry, verifyPasswordHash} from './adminAccounts.js';
+import adminSession from './adminSession.js';
+import {adminLoginAttempts, getAdminLoginAttemptKeys} from './attemptLocks.js';
+import {formatLockRemaining} from './attemptLimiter.js';
+import {STATUS_REGISTRY_RANGE, applyStatusRegistry, parseStatusRegistry} from '../utils/attendanceStatus.js';
+import {COMPLETION_POLICY_RANGE, applyCompletionPolicy, parseCompletionPolicy} from '../utils/completionPolicy.js';
+import {formatAuditTimestamp} from './auditEntries.js';
+import {
+    REQUEST_APPROVAL_VALUES,
+    REQUEST_STATUS,
+    assertRequestTarget,
+    findPendingRequest,
+    getRequestColumns,
+    getRequestDecisionCells,
+    getRequestTargetCells,
+    normalizeRequestText,
+    parseRequestRows,
+    toRequestRow
+} from './studentRequests.js';
+
+// 배치 CAS 업데이트의 셀별 결과 상태
+export const BATCH_CELL_STATUS = {
+    WRITTEN: 'written',     // 기록 완료
+    CONFLICT: 'conflict',   // 예상값과 현재값이 달라 기록하지 않음
+    ERROR: 'error'          // 주소 오류 또는 기록 실패
+};
+
+/**
+ * 보호 셀(이름 등)의 현재 값이 예상값과 같은지 확인
+ * 출석 기호와 달리 미기록 표기를 동일시하지 않고 앞뒤 공백만 무시
+ */
+function isGuardSatisfied(currentValue, expectedValue) {
+    return (currentValue || '').toString().trim() === (expectedValue || '').toString().trim();
+}
+
+/**
+ * 출석부 데이터 백엔드의 공통 인터페이스
+ * 구현체는 getSheetData, getCurrentCellValue, updateCell, batchUpdateCells,
+ * getBatchData, getSpreadsheetMetadata, appendRows, addSheet 를 제공해야 하며, CAS 업데이트와 구조화된 조회는
+ * 이 클래스의 공통 구현을 그대로 사용합니다.
+ */
+class SheetsDataBackend {
+    /**
+     * @param {Object} authInstance - 인증 객체 (authenticate, isAuthenticated, getAuthStatus, clearAuthentication)
+     * @param {string} type - 백엔드 종류 ('google' | 'local')
+     */
+    constructor(authInstance, type) {
+        this.auth = authInstance;
+        this.type = type;
+
+        // 본인 출석체크 인증번호 (서버에서 확인하지 않는 백엔드만 구현체가 설정)
+        // attendanceCodeSecret이 있으면 고정 인증번호 대신 강의별 시간 기반 인증번호 사용
+        this.attendanceCode = null;
+        this.attendanceCodeSecret = null;
+        this.attendanceCodePeriod = DEFAULT_CODE_PERIOD_SECONDS;
+
+        // 화면에서 확인하는 관리자 계정 (서버에서 확인하지 않는 백엔드만 구현체가 설정)
+        this.adminAccounts = [];
+        this.adminSessionOptions = {
+            ttlMs: SHEETS_CONFIG.adminSessionTtlMs,
+            idleTimeoutMs: SHEETS_CONFIG.adminIdleTimeoutMs
+        };
+        this.adminSession = adminSession;
+
+        // 이 기기의 관리자 로그인 시도 제한 (새로고침해도 유지)
+        this.adminLoginAttempts = adminLoginAttempts;
+    }
+
+    // ===== 구현체가 제공해야 하는 메서드들 =====
+
+    /**
+     * 스프레드시트 데이터 조회
+     * @param {string} spreadsheetId - 스프레드시트 ID
+     * @param {string} sheetName - 시트명
+     * @param {string} range - 데이터 범위
+     * @returns {Promise<Array<Array<string>>>} 스프레드시트 데이터 배열
+     */
+    async getSheetData() {
+        throw new Error(`${this.constructor.name}.getSheetData()가 구현되지 않았습니다.`);
+    }
+
+    /**
+     * 특정 셀의 현재 값을 조회 (CAS용)
+     * @param {string} spreadsheetId - 스프레드시트 ID
+     * @param {string} sheetName - 시트명
+     * @param {string} cellAddress - 셀 주소 (예: 'C3')
+     * @returns {Promise<string>} 현재 셀 값
+     */
+    async getCurrentCellValue() {
+        throw new Error(`${this.constructor.name}.getCurrentCellValue()가 구현되지 않았습니다.`);
+    }
+
+    /**
+     * 단일 셀 값 업데이트
+     * @param {string} spreadsheetId - 스프레드시트 ID
+     * @param {string} sheetName - 시트명
+     * @param {string} cellAddress - 셀 주소 (예: 'C3')
+     * @param {string} value - 새로운 값
+     * @param {Object} options
+     * @param {boolean} options.retryable - 일시적 오류 시 재시도 허용 여부 (CAS 확인을 거친 쓰기만 true)
+     * @returns {Promise<Object>} 업데이트 결과
+     */
+    async updateCell() {
+        throw new Error(`${this.constructor.name}.updateCell()가 구현되지 않았습니다.`);
+    }
+
+    /**
+     * 여러 셀 값을 한 번의 요청으로 업데이트
+     * @param {string} spreadsheetId - 스프레드시트 ID
+     * @param {string} sheetName - 시트명
+     * @param {Array<{cellAddress: string, value: string}>} cells - 업데이트할 셀 목록
+     * @param {Object} options
+     * @param {boolean} options.retryable - 일시적 오류 시 재시도 허용 여부 (CAS 확인을 거친 쓰기만 true)
+     * @returns {Promise<Object>} 업데이트 결과 ({success, updatedCells})
+     */
+    async batchUpdateCells() {
+        throw new Error(`${this.constructor.name}.batchUpdateCells()가 구현되지 않았습니다.`);
+    }
+
+    /**
+     * 여러 범위의 데이터를 한 번에 조회
+     * @param {string} spreadsheetId - 스프레드시트 ID
+     * @param {Array<string>} ranges - 범위 배열 (예: ['Sheet1!A1:C10', 'Sheet2!A1:B5'])
+     * @returns {Promise<Object>} 범위별 데이터 객체
+     */
+    async getBatchData() {
+        throw new Error(`${this.constructor.name}.getBatchData()가 구현되지 않았습니다.`);
+    }
+
+    /**
+     * 스프레드시트 메타데이터 조회 (Sheets API spreadsheets.get 응답 형태)
+     * @param {string} spreadsheetId - 스프레드시트 ID
+     * @returns {Promise<Object>} 스프레드시트 메타데이터
+     */
+    async getSpreadsheetMetadata() {
+        throw new Error(`${this.constructor.name}.getSpreadsheetMetadata()가 구현되지 않았습니다.`);
+    }
+
+    /**
+     * 시트 마지막 행 다음에 행 추가 (기존 셀은 덮어쓰지 않음)
+     * @param {string} spreadsheetId - 스프레드시트 ID
+     * @param {string} sheetName - 시트명
+     * @param {Array<Array<string>>} rows - 추가할 행 목록
+     * @returns {Promise<Object>} 추가 결과 ({success, updatedRange, updatedRows})
+     */
+    async appendRows() {
+        throw new Error(`${this.constructor.name}.appendRows()가 구현되지 않았습니다.`);
+    }
+
+    /**
+     * 새 시트(탭) 추가
+     * @param {string} spreadsheetId - 스프레드시트 ID
+     * @param {string} sheetName - 추가할 시트명
+     * @param {Array<string>} headerRow - 1행에 기록할 제목 행 (선택사항)
+     * @returns {Promise<Object>} 추가된 시트 속성
+     */
+    async addSheet() {
+        throw new Error(`${this.constructor.name}.addSheet()가 구현되지 않았습니다.`);
+    }
+
+    /**
+     * 요청 대기열 상태 (대기열이 없는 백엔드는 항상 비어 있음)
+     * @returns {{pending: number, active: number, retrying: number}} 대기열 상태
+     */
+    getQueueStatus() {
+        return {pending: 0, active: 0, retrying: 0};
+    }
+
+    /**
+     * 요청 대기열 상태 변경 구독
+     * @param {Function} listener - 상태 객체를 받는 콜백
+     * @returns {Function} 구독 해제 함수
+     */
+    subscribeQueueStatus() {
+        return () => {};
+    }
+
+    // ===== 인증 위임 =====
+
+    /**
+     * 백엔드 인증 수행
+     * @returns {Promise<boolean>} 인증 성공 여부
+     */
+    async authenticate() {
+        return await this.auth.authenticate();
+    }
+
+    /**
+     * 인증 상태 확인
+     * @returns {boolean} 인증된 상태인지 여부
+     */
+    isAuthenticated() {
+        return this.auth.isAuthenticated();
+    }
+
+    /**
+     * 인증 상태 정보 반환
+     * @returns {Object} 인증 상태 정보
+     */
+    getAuthStatus() {
+        return this.auth.getAuthStatus();
+    }
+
+    /**
+     * 인증 상태 초기화
+     */
+    clearAuthentication() {
+        this.auth.clearAuthentication();
+    }
+
+    // ===== 관리자 로그인 =====
+
+    /**
+     * 관리자 로그인
+     * 이 기기에서 비밀번호를 여러 번 틀리면 점점 길게 잠그며, 잠긴 동안에는 비밀번호를 확인하지 않고 QuotaError (retryAfterMs 포함)
+     * @param {string} username - 아이디
+     * @param {string} password - 비밀번호
+     * @returns {Promise<Object|null>} 관리자 세션 {token, expiresAt, absoluteExpiresAt, idleTimeoutMs, admin: {username, name}}, 틀리면 null
+     */
+    async loginAdmin(username, password) {
+        const attemptKeys = getAdminLoginAttemptKeys(username);
+        this.adminLoginAttempts.assertAllowed(attemptKeys, '비밀번호를 여러 번 틀렸습니다.');
+
+        let session;
+        try {
+            session = await this.authenticateAdmin(username, password);
+        } catch (error) {
+            // 프록시 서버가 잠근 경우 이 기기에도 반영
+            if (error instanceof QuotaError) {
+                this.adminLoginAttempts.lock(attemptKeys, error.retryAfterMs);
+            }
+            throw error;
+        }
+
+        if (!session) {
+            const lockout = this.adminLoginAttempts.recordFailure(attemptKeys);
+            if (lockout) {
+                console.warn(`🚫 관리자 로그인 잠금: ${username} (${formatLockRemaining(lockout.lockMs)})`);
+                this.adminLoginAttempts.assertAllowed(attemptKeys, '비밀번호를 여러 번 틀렸습니다.');
+            }
+            return null;
+        }
+
+        this.adminLoginAttempts.recordSuccess(attemptKeys);
+        this.adminSession.save(session);
+        console.log(`🔐 관리자 로그인: ${session.admin.username}`);
+        return session;
+    }
+
+    /**
+     * 관리자 계정 확인 (loginAdmin에서 호출)
+     * 프록시 서버를 거치지 않는 백엔드(local 데모)는 화면에 있는 계정 목록의 비밀번호 해시로 확인하며,
+     * 서명할 서버가 없으므로 세션 토큰 없이 로그인한 관리자와 만료 시각만 보관 (위조할 수 있으므로 데모/개발용)
+     * 만료 시각은 adminSessionOptions {ttlMs, idleTimeoutMs}로 계산
+     * @param {string} username - 아이디
+     * @param {string} password - 비밀번호
+     * @returns {Promise<Object|null>} 관리자 세션, 틀리면 null
+     */
+    async authenticateAdmin(username, password) {
+        if (this.adminAccounts.length === 0) {
+            throw new PermissionError('관리자 계정이 설정되지 않았습니다.');
+        }
+
+        const account = findAdminAccount(this.adminAccounts, username);
+        if (!account || !await verifyPasswordHash(password, account.passwordHash)) {
+            return null;
+        }
+
+        return {
+            token: null,
+            ...getAdminSessionExpiry(this.adminSessionOptions),
+            admin: {username: account.username, name: account.name}
+        };
+    }
+
+    /**
+     * 이 기기의 관리자 로그인 잠금 상태 (로그인 화면 안내용)
+     * @param {string} username - 아이디 (빈 값이면 기기 잠금만 확인)
+     * @returns {{locked: boolean, lockedUntil: number|null, retryAfterMs: number}} 잠금 상태
+     */
+    getAdminLoginLock(username) {
+        return this.adminLoginAttempts.getStatus(getAdminLoginAttemptKeys(username));
+    }
+
+    /**
+     * 현재 관리자 세션
+     * @returns {Object|null} 관리자 세션 (없거나 만료되었으면 null)
+     */
+    getAdminSession() {
+        return this.adminSession.get();
+    }
+
+    /**
+     * 관리자 세션 연장 (유휴 시간만큼, 로그인 후 유효 시간은 넘지 않음)
+     * @returns {Promise<Object|null>} 연장한 관리자 세션, 세션이 없거나 만료되었으면 null
+     */
+    async refreshAdminSession() {
+        const current = this.adminSession.get();
+        if (!current) {
+            return null;
+        }
+
+        const session = {
+            ...current,
+            ...getAdminSessionExpiry({
+                idleTimeoutMs: current.idleTimeoutMs,
+                absoluteExpiresAt: current.absoluteExpiresAt
+            })
+        };
+        this.adminSession.save(session);
+        return session;
+    }
+
+    /**
+     * 관리자 로그아웃
+     */
+    logoutAdmin() {
+        this.adminSession.clear();
+    }
+
+    // ===== 본인 출석체크 =====
+
+    /**
+     * 본인 출석체크 인증번호를 서버에서 확인하는지 여부
+     * true면 서버가 실패 횟수 잠금과 잠금 이력 기록을 함께 처리하므로 화면은 이력을 남기지 않음
+     * @returns {boolean} 서버 확인 여부
+     */
+    verifiesCheckInOnServer() {
+        return false;
+    }
+
+    // ===== 공통 구현 =====
+
+    /**
+     * 본인 출석체크 인증번호 확인
+     * 프록시 서버를 거치지 않는 백엔드(local, 자격 증명을 브라우저에 둔 google)에서만 사용하며,
+     * 이 경우 인증번호가 브라우저에 있으므로 데모/개발용으로만 의미가 있음
+     * @param {string} attendanceCode - 입력한 인증번호
+     * @param {string} lecture - 출석할 강의명 (시간 기반 인증번호일 때 사용)
+     */
+    async verifyAttendanceCode(attendanceCode, lecture) {
+        if (this.attendanceCodeSecret) {
+            const matches = await matchesAttendanceCode(attendanceCode, this.attendanceCodeSecret, lecture, {
+                periodSeconds: this.attendanceCodePeriod
+            });
+            if (!matches) {
+                throw new AttendanceCodeError('인증번호가 일치하지 않습니다.');
+            }
+            return;
+        }
+
+        if (!this.attendanceCode) {
+            throw new AttendanceCodeError('출석 인증번호가 설정되지 않았습니다. 담당자에게 문의하세요.');
+        }
+        if ((attendanceCode || '').toString().trim() !== this.attendanceCode) {
+            throw new AttendanceCodeError('인증번호가 일치하지 않습니다.');
+        }
+    }
+
+    /**
+     * QR 출석 토큰 확인 (서명, 만료 시각, 시트/강의 일치)
+     * @param {string} checkInToken - 출석 토큰
+     * @param {Object} target
+     * @param {string} target.sheetName - 출석할 시트명
+     * @param {string} target.lecture - 출석할 강의명
+     */
+    async verifyCheckInToken(checkInToken, {sheetName, lecture}) {
+        const payload = await verifyCheckInToken(checkInToken, this.attendanceCodeSecret);
+        if (!payload || payload.sheetName !== sheetName || payload.lecture !== (lecture || '').toString().trim()) {
+            throw new AttendanceCodeError('QR 코드가 만료되었거나 이 강의의 QR 코드가 아닙니다.');
+        }
+    }
+
+    /**
+     * QR 출석 토큰 생성 (관리자 QR 표시 화면용, 시간 기반 인증번호 비밀 값으로 서명)
+     * @param {Object} payload
+     * @param {string} payload.sheetName - 출석부 시트명
+     * @param {string} payload.lecture - 강의명
+     * @param {number} payload.expiresAt - 만료 시각 (ms, 최대 24시간)
+     * @returns {Promise<{token: string, expiresAt: number}>} 토큰과 실제 만료 시각
+     */
+    async createCheckInToken(payload) {
+        if (!this.attendanceCodeSecret) {
+            throw new PermissionError('QR 출석에는 시간 기반 인증번호 비밀 값이 필요합니다.');
+        }
+        return createCheckInToken(this.attendanceCodeSecret, payload);
+    }
+
+    /**
+     * 강의의 현재 출석 인증번호 (관리자 인증번호 표시 화면용)
+     * @param {string} lecture - 강의명
+     * @returns {Promise<Object>} {code, lecture, periodSeconds, expiresAt, remainingMs} - 고정 인증번호면 주기/만료 시각은 null
+     */
+    async getAttendanceCode(lecture) {
+        if (this.attendanceCodeSecret) {
+            return getCurrentAttendanceCode(this.attendanceCodeSecret, lecture, {periodSeconds: this.attendanceCodePeriod});
+        }
+        if (this.attendanceCode) {
+            return {code: this.attendanceCode, lecture, periodSeconds: null, expiresAt: null, remainingMs: null};
+        }
+        throw new PermissionError('출석 인증번호가 설정되지 않았습니다.');
+    }
+
+    /**
+     * CAS (Compare-And-Swap)를 사용한 안전한 셀 업데이트
+     * @param {string} spreadsheetId - 스프레드시트 ID
+     * @param {string} sheetName - 시트명
+     * @param {string} cellAddress - 셀 주소
+     * @param {string} newValue - 새로운 값
+     * @param {string} expectedValue - 예상되는 현재 값
+     * @param {Object} options - 추가 옵션
+     * @param {Array<{cellAddress: string, expectedValue: string}>} options.guards - 함께 확인할 셀 (예: 같은 행의 이름 셀)
+     * @param {string} options.attendanceCode - 본인 출석체크 인증번호 (지정하면 기록 전에 확인하고, 새 값 대신 출석체크 시간에 따라 출석/지각을 기록)
+     * @param {string} options.checkInToken - QR 출석 토큰 (인증번호 대신 지정하면 기록 전에 확인)
+     * @param {number} options.queuedAt - 오프라인 대기열에 보관한 시각 (ms, 확인만 하고 출석/지각과 인증은 지금 시각 기준)
+     * @returns {Promise<Object>} 업데이트 결과 (newValue: 실제로 기록한 값)
+     */
+    async updateCellWithCAS(
+        spreadsheetId = SHEETS_CONFIG.spreadsheetId,
+        sheetName = SHEETS_CONFIG.sheetName,
+        cellAddress,
+        newValue,
+        expectedValue,
+        options = {}
+    ) {
+        const {guards = [], attendanceCode, checkInToken, queuedAt} = options;
+
+        try {
+            if (attendanceCode !== undefined || checkInToken !== undefined) {
+                // 출석체크 시간(2행 날짜 셀)과 시간 기반 인증번호/QR 토큰(1행 강의명)은 출석 셀 열의 헤더 기준이므로 시트에서 읽어 확인
+                const columnLetter = columnIndexToLetter(parseCellReference(cellAddress).col);
+                const headerRanges = [`${sheetName}!${columnLetter}1`, `${sheetName}!${columnLetter}2`];
+                const headerValues = await this.getBatchData(spreadsheetId, headerRanges);
+                const [lecture, dateCell] = headerRanges.map(range => (headerValues[range]?.[0]?.[0] || '').toString().trim());
+
+                // 유예 시간이 지났으면 지각으로 기록 (오프라인 대기열이 보낸 보관 시각은 기기 시계라 판정에 쓰지 않음)
+                parseQueuedAt(queuedAt);
+                newValue = assertCheckInOpen({lecture, ...parseLectureDateCell(dateCell)}).status;
+
+                if (checkInToken !== undefined) {
+                    await this.verifyCheckInToken(checkInToken, {sheetName, lecture});
+                } else {
+                    await this.verifyAttendanceCode(attendanceCode, lecture);
+                }
+            }
+
+            console.log(`🔒 CAS 업데이트 시작: ${sheetName}!${cellAddress}`);
+            console.log(`   예상값: "${expectedValue}" → 새값: "${newValue}"`);
+
+            // 1. 현재 값 조회 (보호 셀이 있으면 한 번의 배치 조회로 함께 확인)
+            let currentValue;
+            if (guards.length > 0) {
+                const targetRange = `${sheetName}!${cellAddress}`;
+                const guardRanges = guards.map(guard => `${sheetName}!${guard.cellAddress}`);
+                const values = await this.getBatchData(spreadsheetId, [targetRange, ...guardRanges]);
+
+                guards.forEach((guard, index) => {
+                    const guardValue = values[guardRanges[index]]?.[0]?.[0] || '';
+                    if (!isGuardSatisfied(guardValue, guard.expectedValue)) {
+                        console.log(`❌ CAS 실패: ${guard.cellAddress} 현재값="${guardValue}", 예상값="${guard.expectedValue}"`);
+                        throw new ConflictError(`행 정보가 변경되었습니다. ${guard.cellAddress} 현재 값: "${guardValue}"`, {
+                            cellAddress: guard.cellAddress,
+                            currentValue: guardValue,
+                            expectedValue: guard.expectedValue
+                        });
+                    }
+                });
+
+                currentValue = values[targetRange]?.[0]?.[0] || '';
+            } else {
+                currentValue = await this.getCurrentCellValue(spreadsheetId, sheetName, cellAddress);
+            }
+
+            // 2. 값 비교 - 빈 값 처리 고려
+            const normalizedCurrent = (currentValue || '').toString().trim();
+            const normalizedExpected = (expectedValue || '').toString().trim();
+
+            if (!isEqualStatus(normalizedCurrent, normalizedExpected)) {
+                console.log(`❌ CAS 실패: 현재값="${normalizedCurrent}", 예상값="${normalizedExpected}"`);
+                throw new ConflictError(`데이터가 이미 수정되었습니다. 현재 값: "${normalizedCurrent}"`, {
+                    cellAddress,
+                    currentValue: normalizedCurrent,
+                    expectedValue: normalizedExpected
+                });
+            }
+
+            // 3. 값이 동일하면 업데이트 수행
+            // 현재값 확인을 거친 쓰기이므로 일시적 오류는 재시도 허용
+            const updateResult = await this.updateCell(spreadsheetId, sheetName, cellAddress, newValue, {retryable: true});
+
+            console.log(`✅ CAS 업데이트 완료: ${sheetName}!${cellAddress}`);
+            return {
+                ...updateResult,
+                casSuccess: true,
+                previousValue: currentValue,
+                newValue: newValue
+            };
+        } catch (error) {
+            console.error('❌ CAS 업데이트 실패:', error.message);
+
+            // CAS 충돌은 그대로, 다른 에러는 종류를 유지한 채 상황 설명을 붙여 전달
+            if (error instanceof ConflictError) {
+                throw error;
+            }
+            throw withContext(error, 'CAS 업데이트 실패');
+        }
+    }
+
+    /**
+     * 여러 셀을 셀별 CAS로 한 번에 업데이트
+     * 모든 예상값을 한 번의 배치 조회로 확인하고, 충돌하지 않은 셀만 한 번의 배치 쓰기로 기록합니다.
+     * @param {string} spreadsheetId - 스프레드시트 ID
+     * @param {string} sheetName - 시트명
+     * @param {Array<{cellAddress: string, newValue: string, expectedValue: string, guards: Array}>} updates - 업데이트 목록 (guards: 함께 확인할 셀)
+     * @returns {Promise<Object>} {results, written, conflicts, errors} - results는 입력 순서와 같은 셀별 결과
+     */
+    async updateCellsWithCAS(
+        spreadsheetId = SHEETS_CONFIG.spreadsheetId,
+        sheetName = SHEETS_CONFIG.sheetName,
+        updates = []
+    ) {
+        console.log(`🔒 배치 CAS 업데이트 시작: ${sheetName} (${updates.length}개 셀)`);
+
+        const seenAddresses = new Set();
+        const results = updates.map(({cellAddress, newValue, expectedValue, guards = []}) => {
+            const result = {
+                cellAddress,
+                newValue,
+                expectedValue,
+                guards,
+                previousValue: null,
+                status: null,
+                error: null
+            };
+
+            try {
+                parseCellReference(cellAddress);
+                guards.forEach(guard => parseCellReference(guard.cellAddress));
+            } catch (error) {
+                return {...result, status: BATCH_CELL_STATUS.ERROR, error};
+            }
+
+            const normalizedAddress = cellAddress.toUpperCase();
+            if (seenAddresses.has(normalizedAddress)) {
+                return {
+                    ...result,
+                    status: BATCH_CELL_STATUS.ERROR,
+                    error: new ValidationError(`같은 셀이 중복 지정되었습니다: ${cellAddress}`)
+                };
+            }
+            seenAddresses.add(normalizedAddress);
+
+            return result;
+        });
+
+        const pending = results.filter(result => !result.status);
+
+        if (pending.length > 0) {
+            // 1. 현재 값과 보호 셀 값 일괄 조회
+            const ranges = pending.map(result => `${sheetName}!${result.cellAddress}`);
+            const guardRanges = [...new Set(pending.flatMap(result =>
+                result.guards.map(guard => `${sheetName}!${guard.cellAddress}`)
+            ))].filter(range => !ranges.includes(range));
+            let currentValues;
+            try {
+                currentValues = await this.getBatchData(spreadsheetId, [...ranges, ...guardRanges]);
+            } catch (error) {
+                console.error('❌ 배치 CAS 업데이트 실패:', error.message);
+                throw withContext(error, '배치 CAS 업데이트 실패');
+            }
+
+            // 2. 셀별 값 비교
+            const toWrite = [];
+            pending.forEach((result, index) => {
+                const currentValue = currentValues[ranges[index]]?.[0]?.[0] || '';
+                result.previousValue = currentValue;
+
+                const brokenGuard = result.guards.find(guard => {
+                    const guardValue = currentValues[`${sheetName}!${guard.cellAddress}`]?.[0]?.[0] || '';
+                    return !isGuardSatisfied(guardValue, guard.expectedValue);
+                });
+
+                if (brokenGuard) {
+                    const guardValue = currentValues[`${sheetName}!${brokenGuard.cellAddress}`]?.[0]?.[0] || '';
+                    result.status = BATCH_CELL_STATUS.CONFLICT;
+                    result.error = new ConflictError(`행 정보가 변경되었습니다. ${brokenGuard.cellAddress} 현재 값: "${guardValue}"`, {
+                        cellAddress: brokenGuard.cellAddress,
+                        currentValue: guardValue,
+                        expectedValue: brokenGuard.expectedValue
+                    });
+                } else if (isEqualStatus(currentValue.toString().trim(), (result.expectedValue || '').toString().trim())) {
+                    toWrite.push(result);
+                } else {
+                    result.status = BATCH_CELL_STATUS.CONFLICT;
+                    result.error = new ConflictError(`데이터가 이미 수정되었습니다. 현재 값: "${currentValue}"`, {
+                        cellAddress: result.cellAddress,
+                        currentValue,
+                        expectedValue: result.expectedValue
+                    });
+                }
+            });
+
+            // 3. 충돌하지 않은 셀 일괄 기록
+            if (toWrite.length > 0) {
+                try {
+                    await this.batchUpdateCells(
+                        spreadsheetId,
+                        sheetName,
+                        toWrite.map(result => ({cellAddress: result.cellAddress, value: result.newValue})),
+                        {retryable: true}
+                    );
+                    toWrite.forEach(result => {
+                        result.status = BATCH_CELL_STATUS.WRITTEN;
+                    });
+                } catch (error) {
+                    console.error('❌ 배치 쓰기 실패:', error.message);
+                    toWrite.forEach(result => {
+                        result.status = BATCH_CELL_STATUS.ERROR;
+                        result.error = error;
+                    });
+                }
+            }
+        }
+
+        const count = (status) => results.filter(result => result.status === status).length;
+        const summary = {
+            results,
+            written: count(BATCH_CELL_STATUS.WRITTEN),
+            conflicts: count(BATCH_CELL_STATUS.CONFLICT),
+            errors: count(BATCH_CELL_STATUS.ERROR)
+        };
+
+        console.log(`✅ 배치 CAS 업데이트 완료: 기록 ${summary.written}, 충돌 ${summary.conflicts}, 오류 ${summary.errors}`);
+        return summary;
+    }
+
+    /**
+     * 여러 셀을 모두 기록하거나 하나도 기록하지 않는 CAS 업데이트 (명단 행, 강의 헤더 수정용)
+     * 한 셀이라도 예상값과 다르면 ConflictError를 던지고 아무것도 기록하지 않습니다.
+     * @param {string} spreadsheetId - 스프레드시트 ID
+     * @param {string} sheetName - 시트명
+     * @param {Array<{cellAddress: string, newValue: string, expectedValue: string}>} cells - 기록할 셀 목록
+     * @returns {Promise<Object>} {cells, previousValues} - previousValues는 셀 주소별 기록 전 값
+     */
+    async updateCellGroupWithCAS(
+        spreadsheetId = SHEETS_CONFIG.spreadsheetId,
+        sheetName = SHEETS_CONFIG.sheetName,
+        cells = []
+    ) {
+        try {
+            cells.forEach(cell => parseCellReference(cell.cellAddress));
+            console.log(`🔒 묶음 CAS 업데이트 시작: ${sheetName}!${cells.map(cell => cell.cellAddress).join(', ')}`);
+
+            // 1. 모든 셀의 현재 값을 한 번에 조회
+            const ranges = cells.map(cell => `${sheetName}!${cell.cellAddress}`);
+            const values = await this.getBatchData(spreadsheetId, ranges);
+
+            // 2. 하나라도 다르면 기록하지 않음 (이름/반은 표기 그대로 비교)
+            const previousValues = {};
+            cells.forEach((cell, index) => {
+                const currentValue = values[ranges[index]]?.[0]?.[0] || '';
+                if (!isGuardSatisfied(currentValue, cell.expectedValue)) {
+                    console.log(`❌ CAS 실패: ${cell.cellAddress} 현재값="${currentValue}", 예상값="${cell.expectedValue}"`);
+                    throw new ConflictError(`데이터가 이미 수정되었습니다. ${cell.cellAddress} 현재 값: "${currentValue}"`, {
+                        cellAddress: cell.cellAddress,
+                        currentValue,
+                        expectedValue: cell.expectedValue
+                    });
+                }
+                previousValues[cell.cellAddress] = currentValue;
+            });
+
+            // 3. 한 번의 배치 쓰기로 기록
+            await this.batchUpdateCells(
+                spreadsheetId,
+                sheetName,
+                cells.map(cell => ({cellAddress: cell.cellAddress, value: cell.newValue})),
+                {retryable: true}
+            );
+
+            console.log(`✅ 묶음 CAS 업데이트 완료: ${cells.length}개 셀`);
+            return {cells, previousValues};
+        } catch (error) {
+            console.error('❌ 묶음 CAS 업데이트 실패:', error.message);
+
+            if (error instanceof ConflictError) {
+                throw error;
+            }
+            throw withContext(error, '묶음 CAS 업데이트 실패');
+        }
+    }
+
+    // ===== 명단 관리 =====
+
+    /**
+     * 새 학생 행 추가 (A열: 이름, B열: 반)
+     * 추가할 행의 이름/반 셀이 비어 있을 때만 기록하므로, 다른 관리자가 먼저 같은 행에 추가했다면 충돌합니다.
+     * @param {string} spreadsheetId - 스프레드시트 ID
+     * @param {string} sheetName - 시트명
+     * @param {number} rowNumber - 추가할 시트 행 번호 (model.getAppendRowNumber)
+     * @param {{name: string, className: string}} student - 학생 정보
+     * @returns {Promise<Object>} {rowNumber, name, classCell}
+     */
+    async appendStudent(
+        spreadsheetId = SHEETS_CONFIG.spreadsheetId,
+        sheetName = SHEETS_CONFIG.sheetName,
+        rowNumber,
+        {name, className} = {}
+    ) {
+        const trimmedName = (name || '').trim();
+        if (!trimmedName) {
+            throw new ValidationError('학생 이름을 입력해주세요.');
+        }
+
+        const classCell = formatClassCell(className);
+        await this.updateCellGroupWithCAS(spreadsheetId, sheetName, [
+            {cellAddress: `A${rowNumber}`, newValue: trimmedName, expectedValue: ''},
+            {cellAddress: `B${rowNumber}`, newValue: classCell, expectedValue: ''}
+        ]);
+
+        console.log(`👤 학생 추가: ${trimmedName} (${classCell || '반 없음'}) → ${rowNumber}행`);
+        return {rowNumber, name: trimmedName, classCell};
+    }
+
+    /**
+     * 학생 이름/반/퇴소 여부 수정
+     * 화면에 보이던 이름과 반 셀 값을 예상값으로 사용하며, 출석 기록 열은 건드리지 않습니다.
+     * @param {string} spreadsheetId - 스프레드시트 ID
+     * @param {string} sheetName - 시트명
+     * @param {number} rowNumber - 학생의 시트 행 번호
+     * @param {{name: string, classCell: string}} currentUser - 화면에 보이던 학생 정보 (getDataRows의 user)
+     * @param {{name: string, className: string, withdrawn: boolean}} changes - 바꿀 정보
+     * @returns {Promise<Object>} {rowNumber, name, classCell}
+     */
+    async updateStudent(
+        spreadsheetId = SHEETS_CONFIG.spreadsheetId,
+        sheetName = SHEETS_CONFIG.sheetName,
+        rowNumber,
+        currentUser,
+        {name, className, withdrawn} = {}
+    ) {
+        const trimmedName = (name ?? currentUser.name ?? '').trim();
+        if (!trimmedName) {
+            throw new ValidationError('학생 이름은 비워둘 수 없습니다. 퇴소 처리를 사용해주세요.');
+        }
+
+        const classCell = formatClassCell(className ?? currentUser.class, withdrawn ?? currentUser.withdrawn);
+        await this.updateCellGroupWithCAS(spreadsheetId, sheetName, [
+            {cellAddress: `A${rowNumber}`, newValue: trimmedName, expectedValue: currentUser.name},
+            {cellAddress: `B${rowNumber}`, newValue: classCell, expectedValue: currentUser.classCell}
+        ]);
+
+        console.log(`👤 학생 정보 수정: ${currentUser.name} → ${trimmedName} (${classCell || '반 없음'})`);
+        return {rowNumber, name: trimmedName, classCell};
+    }
+
+    /**
+     * 학생 퇴소 처리/취소 (행과 출석 기록은 삭제하지 않고 반 셀에 퇴소 표시만 추가/제거)
+     * @param {string} spreadsheetId - 스프레드시트 ID
+     * @param {string} sheetName - 시트명
+     * @param {number} rowNumber - 학생의 시트 행 번호
+     * @param {{name: string, class: string, classCell: string, withdrawn: boolean}} currentUser - 화면에 보이던 학생 정보
+     * @param {boolean} withdrawn - 퇴소 여부
+     * @returns {Promise<Object>} {rowNumber, name, classCell}
+     */
+    async setStudentWithdrawn(
+        spreadsheetId = SHEETS_CONFIG.spreadsheetId,
+        sheetName = SHEETS_CONFIG.sheetName,
+        rowNumber,
+        currentUser,
+        withdrawn = true
+    ) {
+        return this.updateStudent(spreadsheetId, sheetName, rowNumber, currentUser, {withdrawn});
+    }
+
+    // ===== 강의 일정 관리 =====
+
+    /**
+     * 새 강의 열 추가 (1행: 강의명, 2행: 날짜)
+     * 추가할 열의 헤더 셀이 비어 있을 때만 기록합니다.
+     * @param {string} spreadsheetId - 스프레드시트 ID
+     * @param {string} sheetName - 시트명
+     * @param {number} column - 추가할 열 인덱스 (0-based, model.getAppendColumnIndex)
+     * @param {{lecture: string, date: Date, checkInWindow: Object|null}} lectureInfo - 강의명, 날짜, 출석체크 시간 (checkInWindow.js, 선택)
+     * @returns {Promise<Object>} {column, lecture, dateCell, cells}
+     */
+    async addLecture(
+        spreadsheetId = SHEETS_CONFIG.spreadsheetId,
+        sheetName = SHEETS_CONFIG.sheetName,
+        column,
+        {lecture, date, checkInWindow = null} = {}
+    ) {
+        if (column < 2) {
+            throw new ValidationError('강의 열은 C열부터 추가할 수 있습니다.');
+        }
+        return this.writeLectureHeader(spreadsheetId, sheetName, column, {lecture: '', dateCell: ''}, {lecture, date, checkInWindow});
+    }
+
+    /**
+     * 강의명/날짜/출석체크 시간 수정
+     * 화면에 보이던 강의명과 날짜 셀 값을 예상값으로 사용합니다.
+     * @param {string} spreadsheetId - 스프레드시트 ID
+     * @param {string} sheetName - 시트명
+     * @param {{lecture: string, dateCell: string, checkInWindow: Object|null, column: number}} header - 화면에 보이던 헤더 (getHeader 결과)
+     * @param {{lecture: string, date: Date, checkInWindow: Object|null}} changes - 바꿀 강의명/날짜/출석체크 시간 (생략하면 그대로, 출석체크 시간을 null로 주면 삭제)
+     * @returns {Promise<Object>} {column, lecture, dateCell, cells}
+     */
+    async updateLecture(
+        spreadsheetId = SHEETS_CONFIG.spreadsheetId,
+        sheetName = SHEETS_CONFIG.sheetName,
+        header,
+        {lecture, date, checkInWindow} = {}
+    ) {
+        return this.writeLectureHeader(spreadsheetId, sheetName, header.column, header, {
+            lecture: lecture ?? header.lecture,
+            date: date ?? header.date,
+            checkInWindow: checkInWindow === undefined ? header.checkInWindow : checkInWindow
+        });
+    }
+
+    /**
+     * 강의 연기 (날짜를 days일 뒤로 이동, 기본 1주)
+     * @param {string} spreadsheetId - 스프레드시트 ID
+     * @param {string} sheetName - 시트명
+     * @param {{lecture: string, date: Date, dateCell: string, column: number}} header - 화면에 보이던 헤더
+     * @param {number} days - 미룰 일수
+     * @returns {Promise<Object>} {column, lecture, dateCell, cells}
+     */
+    async postponeLecture(
+        spreadsheetId = SHEETS_CONFIG.spreadsheetId,
+        sheetName = SHEETS_CONFIG.sheetName,
+        header,
+        days = 7
+    ) {
+        if (!(header.date instanceof Date)) {
+            throw new ValidationError(`${header.lecture}의 날짜를 알 수 없어 연기할 수 없습니다.`);
+        }
+
+        const date = new Date(header.date);
+        date.setDate(date.getDate() + days);
+        return this.updateLecture(spreadsheetId, sheetName, header, {date});
+    }
+
+    /**
+     * 강의 헤더 두 셀(강의명, 날짜)을 함께 CAS로 기록
+     */
+    async writeLectureHeader(spreadsheetId, sheetName, column, expected, {lecture, date, checkInWindow = null}) {
+        const trimmedLecture = (lecture || '').toString().trim();
+        if (!trimmedLecture) {
+            throw new ValidationError('강의명을 입력해주세요.');
+        }
+
+        const columnLetter = columnIndexToLetter(column);
+        const dateCell = formatSheetDate(date, checkInWindow);
+        const cells = [
+            {cellAddress: `${columnLetter}1`, newValue: trimmedLecture, expectedValue: expected.lecture},
+            {cellAddress: `${columnLetter}2`, newValue: dateCell, expectedValue: expected.dateCell}
+        ];
+
+        await this.updateCellGroupWithCAS(spreadsheetId, sheetName, cells);
+
+        console.log(`🗓️ 강의 일정 기록: ${columnLetter}열 ${trimmedLecture} (${dateCell})`);
+        return {column, lecture: trimmedLecture, dateCell, cells};
+    }
+
+    // ===== 학생 신청 (결석 사유, 소감문) =====
+
+    /**
+     * 신청 종류의 시트명
+     * @param {string} type - 신청 종류 (REQUEST_TYPE)
+     * @returns {string} 시트명
+     */
+    getRequestSheetName(type) {
+        getRequestColumns(type);
+        return SHEETS_CONFIG.requestSheetNames[type];
+    }
+
+    /**
+     * 신청 시트 값 조회 (시트가 없으면 null)
+     * @param {string} spreadsheetId - 스프레드시트 ID
+     * @param {string} type - 신청 종류
+     * @returns {Promise<Array<Array<string>>|null>} 시트 값
+     */
+    async readRequestSheet(spreadsheetId, type) {
+        const requestSheetName = this.getRequestSheetName(type);
+        const metadata = await this.getSpreadsheetMetadata(spreadsheetId);
+        const exists = (metadata?.sheets || []).some(sheet => sheet.properties?.title === requestSheetName);
+        return exists ? await this.getSheetData(spreadsheetId, requestSheetName, null) : null;
+    }
+
+    /**
+     * 학생 신청 접수 (출석부 화면에서 학생이 직접 제출)
+     * 출석 셀의 학생 이름과 강의명을 시트에서 다시 읽어 확인하고, 같은 셀에 대기 중인 신청이 있으면 받지 않음
+     * 신청 시트가 없으면 제목 행과 함께 생성
+     * @param {string} spreadsheetId - 스프레드시트 ID
+     * @param {string} type - 신청 종류 (REQUEST_TYPE)
+     * @param {Object} request
+     * @param {string} request.sheetName - 출석부 시트명
+     * @param {string} request.cellAddress - 출석 셀 주소
+     * @param {string} request.userName - 학생 이름 (이름 셀과 같아야 함)
+     * @param {string} request.text - 학생이 쓴 내용 (결석 사유, 소감문)
+     * @returns {Promise<Object>} 접수한 신청 항목
+     */
+    async submitStudentRequest(spreadsheetId = SHEETS_CONFIG.spreadsheetId, type, {sheetName, cellAddress, userName, text} = {}) {
+        const requestSheetName = this.getRequestSheetName(type);
+        const content = normalizeRequestText(type, text);
+        const target = getRequestTargetCells(cellAddress);
+
+        const ranges = [`${sheetName}!${target.nameCell}`, `${sheetName}!${target.lectureCell}`];
+        const values = await this.getBatchData(spreadsheetId, ranges);
+        const [nameValue, lecture] = ranges.map(range => (values[range]?.[0]?.[0] || '').toString().trim());
+        assertRequestTarget({userName, nameValue, lecture, nameCell: target.nameCell});
+
+        const existing = await this.readRequestSheet(spreadsheetId, type);
+        if (existing === null) {
+            console.log(`📄 신청 시트 생성: ${requestSheetName}`);
+            await this.addSheet(spreadsheetId, requestSheetName, getRequestColumns(type));
+        } else if (findPendingRequest(parseRequestRows(existing), {sheetName, cellAddress: target.cellAddress})) {
+            throw new ValidationError(`${lecture} 신청이 이미 접수되어 관리자 확인을 기다리고 있습니다.`);
+        }
+
+        const entry = {
+            timestamp: formatAuditTimestamp(),
+            sheetName,
+            cellAddress: target.cellAddress,
+            userName: nameValue,
+            lecture,
+            text: content,
+            status: REQUEST_STATUS.PENDING
+        };
+        await this.appendRows(spreadsheetId, requestSheetName, [toRequestRow(entry)]);
+
+        console.log(`📨 신청 접수: ${nameValue} ${lecture} (${requestSheetName})`);
+        return entry;
+    }
+
+    /**
+     * 학생 신청 목록 (관리자 화면, 시트 순서)
+     * 대기 중인 신청은 출석 셀의 현재 값(currentValue)을 함께 읽어, 승인할 때 CAS 예상값으로 사용
+     * @param {string} spreadsheetId - 스프레드시트 ID
+     * @param {string} type - 신청 종류
+     * @returns {Promise<Array<Object>>} 신청 항목
+     */
+    async listStudentRequests(spreadsheetId = SHEETS_CONFIG.spreadsheetId, type) {
+        const values = await this.readRequestSheet(spreadsheetId, type);
+        if (!values) return [];
+
+        const entries = parseRequestRows(values);
+        const pending = entries.filter(entry => entry.status === REQUEST_STATUS.PENDING);
+        if (pending.length > 0) {
+            const ranges = pending.map(entry => `${entry.sheetName}!${entry.cellAddress}`);
+            const currentValues = await this.getBatchData(spreadsheetId, ranges);
+            pending.forEach((entry, index) => {
+                entry.currentValue = (currentValues[ranges[index]]?.[0]?.[0] || '').toString().trim();
+            });
+        }
+
+        return entries;
+    }
+
+    /**
+     * 학생 신청 승인/반려 (관리자)
+     * 승인하면 출석 셀에 기록 값을 CAS로 기록하고(학생 이름 셀도 함께 확인), 신청 행에 처리 결과와 처리한 관리자를 남김
+     * 기록 값이 정해진 종류(소감문 → 'ㅁ', REQUEST_APPROVAL_VALUES)는 관리자가 고른 값 대신 그 값을 기록
+     * 출석 셀이나 신청이 그 사이 바뀌었으면 ConflictError
+     * @param {string} spreadsheetId - 스프레드시트 ID
+     * @param {string} type - 신청 종류
+     * @param {Object} request - listStudentRequests 항목 (currentValue 포함)
+     * @param {Object} decision
+     * @param {boolean} decision.approve - 승인 여부
+     * @param {string} decision.value - 승인할 때 출석 셀에 기록할 값 (기록 값이 정해진 종류면 무시)
+     * @param {string} decision.note - 메모 (선택)
+     * @returns {Promise<{request: Object, attendance: Object|null}>} 처리한 신청과 출석 셀 기록 결과 (반려면 null)
+     */
+    async decideStudentRequest(spreadsheetId = SHEETS_CONFIG.spreadsheetId, type, request, {approve, value = '', note = ''} = {}) {
+        const requestSheetName = this.getRequestSheetName(type);
+        if (request.status !== REQUEST_STATUS.PENDING) {
+            throw new ValidationError('이미 처리된 신청입니다.');
+        }
+
+        const decidedBy = this.getAdminSession()?.admin.username || '';
+        const recordedValue = approve ? (REQUEST_APPROVAL_VALUES[type] ?? (value || '').toString().trim()) : '';
+
+        let attendance = null;
+        if (approve) {
+            if (!recordedValue) {
+                throw new ValidationError('출석부에 기록할 값을 입력해주세요.');
+            }
+            const {nameCell} = getRequestTargetCells(request.cellAddress);
+            attendance = await this.updateCellWithCAS(
+                spreadsheetId,
+                request.sheetName,
+                request.cellAddress,
+                recordedValue,
+                request.currentValue,
+                {guards: [{cellAddress: nameCell, expectedValue: request.userName}]}
+            );
+        }
+
+        const status = approve ? REQUEST_STATUS.APPROVED : REQUEST_STATUS.REJECTED;
+        const decidedAt = new Date();
+        await this.updateCellGroupWithCAS(spreadsheetId, requestSheetName, getRequestDecisionCells(request, {
+            status,
+            decidedBy,
+            value: recordedValue,
+            note: (note || '').toString().trim(),
+            decidedAt
+        }));
+
+        console.log(`📬 신청 ${approve ? '승인' : '반려'}: ${request.userName} ${request.lecture}${approve ? ` = "${recordedValue}"` : ''}`);
+        return {
+            request: {...request, status, decidedAt: formatAuditTimestamp(decidedAt), decidedBy, value: recordedValue, note},
+            attendance
+        };
+    }
+
+    /**
+     * 시트의 격자 크기(행/열 수)를 메타데이터에서 조회
+     * @param {string} spreadsheetId - 스프레드시트 ID
+     * @param {string} sheetName - 시트명
+     * @param {Object|null} knownMetadata - 이미 조회한 스프레드시트 메타데이터 (없으면 새로 조회)
+     * @returns {Promise<{rowCount: number, columnCount: number}>} 격자 크기
+     */
+    async getSheetGridSize(
+        spreadsheetId = SHEETS_CONFIG.spreadsheetId,
+        sheetName = SHEETS_CONFIG.sheetName,
+        knownMetadata = null
+    ) {
+        const metadata = knownMetadata || await this.getSpreadsheetMetadata(spreadsheetId);
+        const sheet = metadata?.sheets?.find(item => item.properties?.title === sheetName);
+
+        if (!sheet) {
+            throw new ValidationError(`시트를 찾을 수 없습니다: ${sheetName}`);
+        }
+
+        const {rowCount = 0, columnCount = 0} = sheet.properties.gridProperties || {};
+        return {rowCount, columnCount};
+    }
+
+    /**
+     * 설정 탭의 출석 상태 정의와 수료 기준을 읽어 ATTENDANCE_CONFIG, COMPLETION_POLICY에 반영
+     * 설정 탭이 없으면 기본값만 사용하고, 읽지 못하면 지금까지의 설정을 그대로 사용
+     * @param {string} spreadsheetId - 스프레드시트 ID
+     * @param {Object|null} knownMetadata - 이미 조회한 스프레드시트 메타데이터 (없으면 새로 조회)
+     * @returns {Promise<{statuses: Array<Object>, completionPolicy: Object}|null>} 적용한 설정 (읽지 못했으면 null)
+     */
+    async loadSettings(spreadsheetId = SHEETS_CONFIG.spreadsheetId, knownMetadata = null) {
+        const settingsSheetName = SHEETS_CONFIG.settingsSheetName;
+
+        try {
+            const metadata = knownMetadata || await this.getSpreadsheetMetadata(spreadsheetId);
+            const exists = (metadata?.sheets || []).some(sheet => sheet.properties?.title === settingsSheetName);
+            if (!exists) {
+                applyStatusRegistry([]);
+                applyCompletionPolicy({});
+                return {statuses: [], completionPolicy: {}};
+            }
+
+            const statusRange = `${settingsSheetName}!${STATUS_REGISTRY_RANGE}`;
+            const policyRange = `${settingsSheetName}!${COMPLETION_POLICY_RANGE}`;
+            const data = await this.getBatchData(spreadsheetId, [statusRange, policyRange]);
+
+            const statuses = parseStatusRegistry(data[statusRange]);
+            const completionPolicy = parseCompletionPolicy(data[policyRange]);
+            applyStatusRegistry(statuses);
+            applyCompletionPolicy(completionPolicy);
+
+            console.log(`🏷️ 출석 상태 설정 적용: ${statuses.map(entry => entry.status).join(', ') || '(없음)'}`);
+            console.log(`🎓 수료 기준 적용: ${Object.keys(completionPolicy).join(', ') || '(기본값)'}`);
+            return {statuses, completionPolicy};
+        } catch (error) {
+            console.warn('⚠️ 설정 탭을 읽지 못해 기존 출석 상태 정의와 수료 기준을 사용합니다:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * 학기별 출석부 탭 목록 조회 (최근 학기부터)
+     * @param {string} spreadsheetId - 스프레드시트 ID
+     * @param {string} defaultSheetName - 기본 출석부 탭 이름
+     * @returns {Promise<Array<{sheetName: string, label: string, year: number|null, term: number|null}>>} 학기 탭 목록
+     */
+    async listSemesters(
+        spreadsheetId = SHEETS_CONFIG.spreadsheetId,
+        defaultSheetName = SHEETS_CONFIG.sheetName
+    ) {
+        const metadata = await this.getSpreadsheetMetadata(spreadsheetId);
+        const semesters = listSemesterSheets(metadata, defaultSheetName);
+
+        console.log(`📚 학기 탭 ${semesters.length}개: ${semesters.map(semester => semester.label).join(', ')}`);
+        return semesters;
+    }
+
+    /**
+     * 스프레드시트 데이터를 조회하고 구조화된 형태로 반환
+     * 범위를 지정하지 않으면 시트의 실제 크기만큼 조회하고,
+     * 지정한 범위가 시트보다 작아 데이터가 잘린 경우 truncation 정보를 함께 반환
+     * @param {string} spreadsheetId - 스프레드시트 ID
+     * @param {string} sheetName - 시트명
+     * @param {string|null} range - 데이터 범위 (null이면 자동 감지)
+     * @returns {Promise<Object>} 구조화된 데이터 객체
+     */
+    async fetchSheetData(
+        spreadsheetId = SHEETS_CONFIG.spreadsheetId,
+        sheetName = SHEETS_CONFIG.sheetName,
+        range = SHEETS_CONFIG.range
+    ) {
+        try {
+            let gridSize = null;
+            let metadata = null;
+            try {
+                metadata = await this.getSpreadsheetMetadata(spreadsheetId);
+                gridSize = await this.getSheetGridSize(spreadsheetId, sheetName, metadata);
+            } catch (error) {
+                // 범위를 직접 지정한 경우에는 잘림 여부만 확인하지 못할 뿐 조회는 계속 진행
+                if (!range) throw error;
+                console.warn('⚠️ 시트 크기를 확인할 수 없어 잘림 여부를 검사하지 않습니다:', error.message);
+            }
+
+            // 출석 상태 정의(설정 탭)를 먼저 반영해야 셀 값을 새 상태로 파싱 (수료 기준도 함께)
+            const targetRange = range || getUsedRange(gridSize);
+            const [values] = await Promise.all([
+                this.getSheetData(spreadsheetId, sheetName, targetRange),
+                metadata ? this.loadSettings(spreadsheetId, metadata) : null
+            ]);
+
+            if (!values || values.length === 0) {
+                return {
+                    rows: [],
+                    headers: [],
+                    dataRows: [],
+                    totalRows: 0,
+                    dataRowCount: 0,
+                    hasData: false,
+                    range: targetRange,
+                    gridSize,
+                    truncation: null,
+                    sheetName,
+                    spreadsheetId
+                };
+            }
+
+            const truncation = gridSize ? detectTruncation(values, targetRange, gridSize) : null;
+            if (truncation) {
+                console.warn(`⚠️ 조회 범위(${targetRange})가 시트 크기(${gridSize.rowCount}행 × ${gridSize.columnCount}열)보다 작아 데이터가 잘렸을 수 있습니다.`);
+            }
+
+            // 첫 번째 행을 헤더로 처리
+            const headers = await getHeader(values);
+            const dataRows = await getDataRows(values, headers);
+
+            const result = {
+                rows: values,
+                headers,
+                dataRows,
+                totalRows: values.length,
+                dataRowCount: dataRows.length,
+                hasData: true,
+                range: targetRange,
+                gridSize,
+                truncation,
+                sheetName,
+                spreadsheetId,
+                lastUpdated: new Date().toISOString()
+            };
+
+            console.log(`📋 데이터 처리 완료:`, {
+                totalRows: result.totalRows,
+                dataRows: result.dataRowCount,
+                headers: result.headers.length,
+                sheetName: result.sheetName
+            });
+
+            return result;
+        } catch (error) {
+            console.error('❌ 데이터 가져오기 실패:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 특정 셀의 값 조회
+     * @param {string} spreadsheetId - 스프레드시트 ID
+     * @param {string} sheetName - 시트명
+     * @param {string} cellAddress - 셀 주소 (예: 'A1')
+     * @returns {Promise<string>} 셀 값
+     */
+    async getCellValue(
+        spreadsheetId = SHEETS_CONFIG.spreadsheetId,
+        sheetName = SHEETS_CONFIG.sheetName,
+        cellAddress
+    ) {
+        try {
+            const values = await this.getSheetData(spreadsheetId, sheetName, cellAddress);
+
+            return values[0]?.[0] || '';
+        } catch (error) {
+            console.error('❌ 셀 값 조회 실패:', error.message);
+            throw withContext(error, '셀 값 조회 실패');
+        }
+    }
+
+    /**
+     * 데이터를 CSV 형태로 변환
+     * @param {Array<Array<string>>} data - 스프레드시트 데이터
+     * @param {string} delimiter - 구분자 (기본값: ',')
+     * @returns {string} CSV 문자열
+     */
+    convertToCSV(data, delimiter = ',') {
+        if (!data || data.length === 0) return '';
+
+        return data.map(row =>
+            row.map(cell => {
+                // 셀에 구분자, 줄바꿈, 따옴표가 있으면 따옴표로 감싸기
+                const cellStr = String(cell || '');
+                if (cellStr.includes(delimiter) || cellStr.includes('\n') || cellStr.includes('"')) {
+                    return `"${cellStr.replace(/"/g, '""')}"`;
+                }
+                return cellStr;
+            }).join(delimiter)
+        ).join('\n');
+    }
+
+    /**
+     * 데이터를 JSON 형태로 변환 (헤더를 키로 사용)
+     * @param {Array<Array<string>>} data - 스프레드시트 데이터
+     * @returns {Array<Object>} JSON 배열
+     */
+    convertToJSON(data) {
+        if (!data || data.length === 0) return [];
+
+        const headers = data[0];
+        const rows = data.slice(1);
+
+        return rows.map(row => {
+            const obj = {};
+            headers.forEach((header, index) => {
+                obj[header] = row[index] || '';
+            });
+            return obj;
+        });
+    }
+
+    /**
+     * 연결 상태 테스트
+     * @returns {Promise<boolean>} 연결 성공 여부
+     */
+    async testConnection() {
+        try {
+            console.log('🔍 연결 상태 테스트 중...');
+            await this.getSpreadsheetMetadata();
+            console.log('✅ 연결 상태 테스트 성공');
+            return true;
+        } catch (error) {
+            console.error('❌ 연결 상태 테스트 실패:', error.message);
+            return false;
+        }
+    }
+}
+
+/**
+ * 격자 크기 전체를 덮는 A1 범위를 생성
+ * @param {{rowCount: number, columnCount: number}} gridSize - 시트 격자 크기
+ * @returns {string} A1 범위 (예: 'A1:Z1000')
+ */
+function getUsedRange({rowCount, columnCount}) {
+    const lastColumn = columnIndexToLetter(Math.max(columnCount, 1) - 1);
+    return `A1:${lastColumn}${Math.max(rowCount, 1)}`;
+}
+
+/**
+ * 조회 결과가 요청 범위 끝까지 차 있고 시트에 그 이후 행/열이 더 있으면 잘린 것으로 판단
+ * @param {Array<Array<string>>} values - 조회된 값
+ * @param {string} range - 요청한 A1 범위
+ * @param {{rowCount: number, columnCount: number}} gridSize - 시트 격자 크기
+ * @returns {Object|null} 잘림 정보 (잘리지 않았으면 null)
+ */
+function detectTruncation(values, range, gridSize) {
+    const {startRow, startCol, endRow, endCol} = parseA1Range(range);
+    const requestedRows = endRow - startRow + 1;
+    const requestedColumns = endCol - startCol + 1;
+
+    const rows = values.length >= requestedRows && endRow + 1 < gridSize.rowCount;
+    const columns = values.some(row => row.length >= requestedColumns) && endCol + 1 < gridSize.columnCount;
+
+    if (!rows && !columns) {
+        return null;
+    }
+
+    return {
+        rows,
+        columns,
+        range,
+        rowCount: gridSize.rowCount,
+        columnCount: gridSize.columnCount
+    };
+}
+
+export default SheetsDataBackend;
+export {SheetsDataBackend};
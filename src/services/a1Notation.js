@@ -0,0 +1,124 @@
+// services/a1Notation.js
+
+import {ValidationError} from './errors.js';
+
+/**
+ * 0-based 열 인덱스를 A1 표기법의 열 문자로 변환합니다.
+ * (0 → A, 25 → Z, 26 → AA ...)
+ *
+ * @param {number} columnIndex - 0-based 열 인덱스
+ * @returns {string} 열 문자
+ */
+export function columnIndexToLetter(columnIndex) {
+    if (!Number.isInteger(columnIndex) || columnIndex < 0) {
+        throw new ValidationError(`유효하지 않은 열 인덱스: ${columnIndex}`);
+    }
+
+    let letters = '';
+    let n = columnIndex + 1;
+
+    while (n > 0) {
+        const remainder = (n - 1) % 26;
+        letters = String.fromCharCode(65 + remainder) + letters;
+        n = Math.floor((n - 1) / 26);
+    }
+
+    return letters;
+}
+
+/**
+ * A1 표기법의 열 문자를 0-based 열 인덱스로 변환합니다.
+ * (A → 0, Z → 25, AA → 26 ...)
+ *
+ * @param {string} letters - 열 문자
+ * @returns {number} 0-based 열 인덱스
+ */
+export function columnLetterToIndex(letters) {
+    if (!letters || !/^[A-Z]+$/i.test(letters)) {
+        throw new ValidationError(`유효하지 않은 열 문자: ${letters}`);
+    }
+
+    let index = 0;
+    const upper = letters.toUpperCase();
+    for (let i = 0; i < upper.length; i++) {
+        index = index * 26 + (upper.charCodeAt(i) - 64);
+    }
+
+    return index - 1;
+}
+
+/**
+ * 'C3' 형식의 셀 주소를 0-based 행/열 인덱스로 변환합니다.
+ *
+ * @param {string} cellAddress - A1 표기법 셀 주소
+ * @returns {{row: number, col: number}} 0-based 행/열 인덱스
+ */
+export function parseCellReference(cellAddress) {
+    const match = (cellAddress || '').trim().match(/^([A-Z]+)(\d+)$/i);
+    if (!match) {
+        throw new ValidationError(`유효하지 않은 셀 주소: ${cellAddress}`);
+    }
+
+    return {
+        row: parseInt(match[2], 10) - 1,
+        col: columnLetterToIndex(match[1])
+    };
+}
+
+/**
+ * 'Sheet!A1:P500', 'A1:P500', 'C3' 형식의 범위를 분해합니다.
+ * 끝 좌표가 없는 열/행은 Infinity 로 표시됩니다. (예: 'A:C', 'A1:C')
+ *
+ * @param {string} range - A1 표기법 범위
+ * @returns {{sheetName: string|null, startRow: number, startCol: number, endRow: number, endCol: number}}
+ */
+export function parseA1Range(range) {
+    if (!range) {
+        throw new ValidationError('범위가 지정되지 않았습니다.');
+    }
+
+    let sheetName = null;
+    let rangePart = range;
+
+    const separatorIndex = range.lastIndexOf('!');
+    if (separatorIndex >= 0) {
+        sheetName = range.slice(0, separatorIndex).replace(/^'(.*)'$/, '$1').replace(/''/g, "'");
+        rangePart = range.slice(separatorIndex + 1);
+    }
+
+    const [startRef, endRef = startRef] = rangePart.split(':');
+
+    const parseBound = (ref, isEnd) => {
+        const match = ref.trim().match(/^([A-Z]*)(\d*)$/i);
+        if (!match || (!match[1] && !match[2])) {
+            throw new ValidationError(`유효하지 않은 범위: ${range}`);
+        }
+
+        return {
+            col: match[1] ? columnLetterToIndex(match[1]) : (isEnd ? Infinity : 0),
+            row: match[2] ? parseInt(match[2], 10) - 1 : (isEnd ? Infinity : 0)
+        };
+    };
+
+    const start = parseBound(startRef, false);
+    const end = parseBound(endRef, true);
+
+    return {
+        sheetName,
+        startRow: start.row,
+        startCol: start.col,
+        endRow: end.row,
+        endCol: end.col
+    };
+}
+
+/**
+ * 0-based 행/열 인덱스로 A1 셀 주소를 만듭니다.
+ *
+ * @param {number} rowIndex - 0-based 행 인덱스
+ * @param {number} colIndex - 0-based 열 인덱스
+ * @returns {string} A1 표기법 셀 주소
+ */
+export function toCellAddress(rowIndex, colIndex) {
+    return `${columnIndexToLetter(colIndex)}${rowIndex + 1}`;
+}
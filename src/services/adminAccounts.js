@@ -0,0 +1,181 @@
+// services/adminAccounts.js
+// 관리자 계정 (솔트를 넣은 비밀번호 해시)과 관리자 세션 토큰
+// 브라우저와 프록시 서버(Node)가 함께 사용하므로 import.meta.env 등 번들러 전용 기능은 사용하지 않음
+
+import {fromBase64Url, signToken, toBase64Url, verifyToken} from './signedTokens.js';
+
+// 비밀번호 해시 형식: pbkdf2-sha256$반복 횟수$솔트$해시 (솔트와 해시는 base64url)
+export const PASSWORD_HASH_ALGORITHM = 'pbkdf2-sha256';
+
+// PBKDF2 반복 횟수 기본값 (OWASP 권장값)
+const DEFAULT_HASH_ITERATIONS = 600000;
+
+// 솔트와 해시 길이 (바이트)
+const SALT_BYTES = 16;
+const HASH_BYTES = 32;
+
+// 관리자 세션 유효 시간 기본값 (로그인 후 이 시간이 지나면 사용 중이어도 다시 로그인)
+export const DEFAULT_ADMIN_SESSION_TTL_MS = 8 * 60 * 60 * 1000;
+
+// 관리자 세션 유휴 시간 기본값 (이 시간 동안 사용하지 않으면 로그아웃)
+export const DEFAULT_ADMIN_IDLE_TIMEOUT_MS = 15 * 60 * 1000;
+
+// 자동 로그아웃 전에 경고를 표시하는 시간
+export const ADMIN_SESSION_WARNING_MS = 60 * 1000;
+
+// 출석 토큰과 비밀 값을 함께 쓰더라도 서로 바꿔 쓸 수 없도록 용도 구분
+const TOKEN_PURPOSE = 'admin-session';
+
+const textEncoder = new TextEncoder();
+
+/**
+ * PBKDF2-SHA256 키 유도
+ */
+async function derivePasswordHash(password, salt, iterations) {
+    const key = await globalThis.crypto.subtle.importKey(
+        'raw',
+        textEncoder.encode(password),
+        'PBKDF2',
+        false,
+        ['deriveBits']
+    );
+    const bits = await globalThis.crypto.subtle.deriveBits(
+        {name: 'PBKDF2', hash: 'SHA-256', salt, iterations},
+        key,
+        HASH_BYTES * 8
+    );
+    return new Uint8Array(bits);
+}
+
+/**
+ * 비밀번호 해시 생성 (계정 등록용)
+ * @param {string} password - 비밀번호
+ * @param {Object} options
+ * @param {Uint8Array} options.salt - 솔트 (기본값: 임의 값)
+ * @param {number} options.iterations - 반복 횟수
+ * @returns {Promise<string>} 비밀번호 해시 (pbkdf2-sha256$반복 횟수$솔트$해시)
+ */
+export async function hashPassword(password, {
+    salt = globalThis.crypto.getRandomValues(new Uint8Array(SALT_BYTES)),
+    iterations = DEFAULT_HASH_ITERATIONS
+} = {}) {
+    const hash = await derivePasswordHash(password, salt, iterations);
+    return [PASSWORD_HASH_ALGORITHM, iterations, toBase64Url(salt), toBase64Url(hash)].join('$');
+}
+
+/**
+ * 비밀번호 확인 (해시를 끝까지 비교하여 일치하는 글자 수가 시간으로 드러나지 않도록)
+ * @param {string} password - 입력한 비밀번호
+ * @param {string} passwordHash - 저장된 비밀번호 해시
+ * @returns {Promise<boolean>} 일치 여부
+ */
+export async function verifyPasswordHash(password, passwordHash) {
+    const [algorithm, iterations, salt, hash] = (passwordHash || '').split('$');
+    if (algorithm !== PASSWORD_HASH_ALGORITHM || !salt || !hash || typeof password !== 'string') {
+        return false;
+    }
+
+    try {
+        const expected = fromBase64Url(hash);
+        const actual = await derivePasswordHash(password, fromBase64Url(salt), parseInt(iterations, 10));
+
+        let difference = expected.length ^ actual.length;
+        for (let i = 0; i < actual.length; i++) {
+            difference |= actual[i] ^ (expected[i] ?? 0);
+        }
+        return difference === 0;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * 관리자 계정 목록 읽기
+ * JSON 배열: [{"username": "kim", "name": "김관리", "passwordHash": "pbkdf2-sha256$..."}]
+ * @param {string|Array<Object>|null} value - JSON 문자열 또는 배열
+ * @returns {Array<{username: string, name: string, passwordHash: string}>} 관리자 계정 목록
+ */
+export function parseAdminAccounts(value) {
+    if (!value) {
+        return [];
+    }
+
+    const accounts = typeof value === 'string' ? JSON.parse(value) : value;
+    if (!Array.isArray(accounts)) {
+        throw new Error('관리자 계정 목록은 JSON 배열이어야 합니다.');
+    }
+
+    return accounts.map((account, index) => {
+        const username = (account?.username || '').toString().trim();
+        if (!username || !account.passwordHash?.startsWith(`${PASSWORD_HASH_ALGORITHM}$`)) {
+            throw new Error(`관리자 계정 ${index + 1}번의 username 또는 passwordHash가 올바르지 않습니다.`);
+        }
+        return {username, name: (account.name || username).toString(), passwordHash: account.passwordHash};
+    });
+}
+
+/**
+ * 아이디로 관리자 계정 찾기 (대소문자 구분 없음)
+ * @param {Array<Object>} accounts - 관리자 계정 목록
+ * @param {string} username - 아이디
+ * @returns {Object|null} 관리자 계정
+ */
+export function findAdminAccount(accounts, username) {
+    const normalized = (username || '').toString().trim().toLowerCase();
+    return accounts.find(account => account.username.toLowerCase() === normalized) || null;
+}
+
+/**
+ * 관리자 세션 만료 시각 계산
+ * 사용할 때마다 유휴 시간만큼 연장하되, 로그인 후 유효 시간(absoluteExpiresAt)은 넘지 않음
+ * @param {Object} options
+ * @param {number} options.ttlMs - 세션 유효 시간
+ * @param {number} options.idleTimeoutMs - 유휴 시간
+ * @param {number} options.absoluteExpiresAt - 최대 만료 시각 (연장할 때 로그인 때의 값을 그대로 넘김)
+ * @param {number} options.now - 기준 시각 (기본값: 현재)
+ * @returns {{expiresAt: number, absoluteExpiresAt: number, idleTimeoutMs: number}} 만료 시각
+ */
+export function getAdminSessionExpiry({
+    ttlMs = DEFAULT_ADMIN_SESSION_TTL_MS,
+    idleTimeoutMs = DEFAULT_ADMIN_IDLE_TIMEOUT_MS,
+    now = Date.now(),
+    absoluteExpiresAt = now + ttlMs
+} = {}) {
+    return {
+        expiresAt: Math.min(now + idleTimeoutMs, absoluteExpiresAt),
+        absoluteExpiresAt,
+        idleTimeoutMs
+    };
+}
+
+/**
+ * 관리자 세션 토큰 발급 (로그인, 연장)
+ * @param {string} secret - 세션 서명 비밀 값
+ * @param {Object} account - 관리자 계정 {username, name, sessionId} (sessionId는 로그아웃 때 서버가 폐기할 세션 ID, 연장해도 그대로)
+ * @param {Object} options - getAdminSessionExpiry 옵션 {ttlMs, idleTimeoutMs, absoluteExpiresAt, now}
+ * @returns {Promise<Object>} 관리자 세션 {token, expiresAt, absoluteExpiresAt, idleTimeoutMs, admin: {username, name}}
+ */
+export async function createAdminSessionToken(secret, {username, name, sessionId}, options = {}) {
+    const expiry = getAdminSessionExpiry(options);
+    const token = await signToken(secret, TOKEN_PURPOSE, {
+        username,
+        name,
+        sessionId,
+        expiresAt: expiry.expiresAt,
+        absoluteExpiresAt: expiry.absoluteExpiresAt
+    });
+    return {token, ...expiry, admin: {username, name}};
+}
+
+/**
+ * 관리자 세션 토큰 확인
+ * @param {string} token - 세션 토큰
+ * @param {string} secret - 세션 서명 비밀 값
+ * @param {Object} options
+ * @param {number} options.now - 기준 시각 (기본값: 현재)
+ * @returns {Promise<{username: string, name: string, sessionId: string, expiresAt: number, absoluteExpiresAt: number}|null>} 서명이 맞고 만료되지 않았으면 토큰 내용
+ */
+export async function verifyAdminSessionToken(token, secret, {now = Date.now()} = {}) {
+    const payload = await verifyToken(token, secret, TOKEN_PURPOSE, {now});
+    return typeof payload?.username === 'string' && typeof payload.sessionId === 'string' ? payload : null;
+}
@@ -0,0 +1,74 @@
+// services/adminSession.js
+
+// 관리자 세션을 보관하는 sessionStorage 키 (탭을 닫으면 삭제)
+const ADMIN_SESSION_KEY = 'stg-attendance:admin-session';
+
+/**
+ * 로그인한 관리자 세션 보관
+ * 세션: {token, expiresAt, absoluteExpiresAt, idleTimeoutMs, admin: {username, name}}
+ * expiresAt은 유휴 시간 기준 만료 시각이며 사용하는 동안 연장되고, absoluteExpiresAt(로그인 후 유효 시간)은 넘지 않음
+ * token은 프록시 서버가 서명한 세션 토큰이며, 서버가 없는 직접(google)/오프라인(local) 모드에서는 null
+ * 만료된 세션은 읽을 때 삭제
+ */
+class AdminSession {
+    /**
+     * @param {Storage|null} storage - 세션 저장소 (없으면 메모리에만 보관)
+     */
+    constructor(storage = typeof sessionStorage !== 'undefined' ? sessionStorage : null) {
+        this.storage = storage;
+        this.session = this.load();
+    }
+
+    load() {
+        try {
+            return JSON.parse(this.storage?.getItem(ADMIN_SESSION_KEY) || 'null');
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * 현재 세션 (없거나 만료되었으면 null)
+     * @returns {{token: string|null, expiresAt: number, admin: {username: string, name: string}}|null} 관리자 세션
+     */
+    get() {
+        if (this.session && !(this.session.expiresAt > Date.now())) {
+            console.log('⏰ 관리자 세션 만료');
+            this.clear();
+        }
+        return this.session;
+    }
+
+    /**
+     * 세션 저장 (null이면 삭제)
+     * @param {Object|null} session - 관리자 세션
+     */
+    save(session) {
+        this.session = session || null;
+
+        if (!this.storage) return;
+        if (this.session) {
+            this.storage.setItem(ADMIN_SESSION_KEY, JSON.stringify(this.session));
+        } else {
+            this.storage.removeItem(ADMIN_SESSION_KEY);
+        }
+    }
+
+    clear() {
+        this.save(null);
+    }
+
+    /**
+     * 프록시 서버 요청에 붙일 세션 토큰
+     * @returns {string|null} 세션 토큰
+     */
+    getToken() {
+        return this.get()?.token || null;
+    }
+}
+
+// 싱글톤 인스턴스 생성 및 내보내기
+const adminSession = new AdminSession();
+
+export default adminSession;
+export {AdminSession};
@@ -0,0 +1,207 @@
+// services/attemptLimiter.js
+// 인증번호/관리자 비밀번호 시도 제한 (여러 번 틀리면 점점 길게 잠금)
+// 브라우저와 프록시 서버(Node)가 함께 사용하므로 import.meta.env 등 번들러 전용 기능은 사용하지 않음
+
+import {QuotaError} from './errors.js';
+
+// 잠금 정책 기본값
+export const DEFAULT_LOCKOUT_POLICY = {
+    maxFailures: 5,                 // 이 횟수만큼 연속으로 틀리면 잠금
+    baseLockMs: 30 * 1000,          // 첫 잠금 시간 (잠길 때마다 두 배)
+    maxLockMs: 15 * 60 * 1000,      // 최대 잠금 시간
+    resetAfterMs: 60 * 60 * 1000    // 마지막 실패 후 이 시간이 지나면 실패/잠금 기록 삭제
+};
+
+// 기기 식별자 형식 (브라우저가 처음 실행할 때 만들어 보관하고, 본인 출석체크/관리자 로그인 요청에 함께 보냄)
+const DEVICE_ID_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+
+/**
+ * 새 기기 식별자 (무작위 128비트, 보안 컨텍스트가 아닌 http 주소에서도 동작하도록 getRandomValues 사용)
+ * @returns {string} 기기 식별자
+ */
+export function createDeviceId() {
+    const bytes = globalThis.crypto.getRandomValues(new Uint8Array(16));
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * 요청에 담긴 기기 식별자 확인 (형식이 틀리면 null)
+ * @param {*} value - 요청의 deviceId 값
+ * @returns {string|null} 기기 식별자
+ */
+export function normalizeDeviceId(value) {
+    return typeof value === 'string' && DEVICE_ID_PATTERN.test(value) ? value : null;
+}
+
+/**
+ * 잠금 시간 (잠긴 횟수에 따라 두 배씩, 최대 maxLockMs)
+ * @param {number} lockCount - 이번 잠금을 포함한 잠긴 횟수 (1부터)
+ * @param {Object} policy - 잠금 정책
+ * @returns {number} 잠금 시간 (밀리초)
+ */
+export function getLockDuration(lockCount, policy = DEFAULT_LOCKOUT_POLICY) {
+    return Math.min(policy.baseLockMs * 2 ** Math.max(lockCount - 1, 0), policy.maxLockMs);
+}
+
+/**
+ * 남은 잠금 시간 안내 ("3분 20초", "40초")
+ * @param {number} remainingMs - 남은 시간
+ * @returns {string} 안내 문자열
+ */
+export function formatLockRemaining(remainingMs) {
+    const totalSeconds = Math.max(Math.ceil(remainingMs / 1000), 0);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    if (minutes === 0) return `${seconds}초`;
+    return seconds === 0 ? `${minutes}분` : `${minutes}분 ${seconds}초`;
+}
+
+/**
+ * 시도 제한
+ * 키(기기, 접속 주소, 학생, 아이디 등)별로 연속 실패를 세고, maxFailures번 틀리면 잠금
+ * 잠금이 풀린 뒤 다시 틀리면 다음 잠금은 두 배로 길어지며, resetAfterMs 동안 실패가 없으면 처음부터 다시 셈
+ * 기록: {키 → {failures, lockCount, lockedUntil, lastFailureAt}}
+ */
+export class AttemptLimiter {
+    /**
+     * @param {Object} options
+     * @param {Storage|null} options.storage - 기록 저장소 (localStorage 등, 없으면 메모리에만 보관)
+     * @param {string} options.storageKey - 저장소 키
+     * @param {Object} options.policy - 잠금 정책 (DEFAULT_LOCKOUT_POLICY 일부 덮어쓰기)
+     */
+    constructor({storage = null, storageKey = 'attempts', policy = {}} = {}) {
+        this.storage = storage;
+        this.storageKey = storageKey;
+        this.policy = {...DEFAULT_LOCKOUT_POLICY, ...policy};
+        this.records = this.load();
+    }
+
+    load() {
+        try {
+            const records = JSON.parse(this.storage?.getItem(this.storageKey) || '{}');
+            return records && typeof records === 'object' ? records : {};
+        } catch {
+            return {};
+        }
+    }
+
+    /**
+     * 기록 저장 (오래된 기록은 정리)
+     */
+    save(now = Date.now()) {
+        Object.keys(this.records).forEach(key => {
+            if (this.isStale(this.records[key], now)) {
+                delete this.records[key];
+            }
+        });
+
+        if (!this.storage) return;
+        try {
+            if (Object.keys(this.records).length > 0) {
+                this.storage.setItem(this.storageKey, JSON.stringify(this.records));
+            } else {
+                this.storage.removeItem(this.storageKey);
+            }
+        } catch (error) {
+            console.warn('⚠️ 시도 기록 저장 실패:', error.message);
+        }
+    }
+
+    isStale(record, now) {
+        return !(record.lockedUntil > now) && now - record.lastFailureAt >= this.policy.resetAfterMs;
+    }
+
+    getRecord(key, now) {
+        const record = this.records[key];
+        return record && !this.isStale(record, now) ? record : null;
+    }
+
+    /**
+     * 잠금 상태 (여러 키 중 가장 늦게 풀리는 잠금 기준)
+     * @param {Array<string>} keys - 확인할 키
+     * @param {number} now - 기준 시각
+     * @returns {{locked: boolean, lockedUntil: number|null, retryAfterMs: number}} 잠금 상태
+     */
+    getStatus(keys, now = Date.now()) {
+        const lockedUntil = keys.reduce((latest, key) => {
+            const until = this.getRecord(key, now)?.lockedUntil || 0;
+            return until > now && until > (latest || 0) ? until : latest;
+        }, null);
+
+        return {locked: lockedUntil !== null, lockedUntil, retryAfterMs: lockedUntil ? lockedUntil - now : 0};
+    }
+
+    /**
+     * 잠겨 있으면 QuotaError (retryAfterMs 포함)
+     * @param {Array<string>} keys - 확인할 키
+     * @param {string} message - 에러 메시지
+     */
+    assertAllowed(keys, message, now = Date.now()) {
+        const status = this.getStatus(keys, now);
+        if (status.locked) {
+            throw new QuotaError(`${message} (${formatLockRemaining(status.retryAfterMs)} 후 다시 시도)`, {
+                retryAfterMs: status.retryAfterMs,
+                reason: 'lockout'
+            });
+        }
+    }
+
+    /**
+     * 실패 기록 (maxFailures번째 실패면 잠금)
+     * @param {Array<string>} keys - 기록할 키
+     * @param {number} now - 기준 시각
+     * @returns {{key: string, failures: number, lockCount: number, lockMs: number, lockedUntil: number}|null} 이번 실패로 잠긴 키 (가장 긴 잠금), 없으면 null
+     */
+    recordFailure(keys, now = Date.now()) {
+        let lockout = null;
+
+        keys.forEach(key => {
+            const record = this.getRecord(key, now) || {failures: 0, lockCount: 0, lockedUntil: 0};
+            const failures = record.failures + 1;
+            const next = {...record, failures, lastFailureAt: now};
+
+            if (failures >= this.policy.maxFailures) {
+                const lockCount = record.lockCount + 1;
+                const lockMs = getLockDuration(lockCount, this.policy);
+                Object.assign(next, {failures: 0, lockCount, lockedUntil: now + lockMs});
+
+                if (!lockout || lockMs > lockout.lockMs) {
+                    lockout = {key, failures, lockCount, lockMs, lockedUntil: now + lockMs};
+                }
+            }
+            this.records[key] = next;
+        });
+
+        this.save(now);
+        return lockout;
+    }
+
+    /**
+     * 성공 기록 (실패/잠금 기록 삭제)
+     * @param {Array<string>} keys - 삭제할 키
+     */
+    recordSuccess(keys, now = Date.now()) {
+        keys.forEach(key => delete this.records[key]);
+        this.save(now);
+    }
+
+    /**
+     * 다른 곳(프록시 서버)에서 알려준 잠금을 이 기록에도 반영
+     * @param {Array<string>} keys - 잠글 키
+     * @param {number} retryAfterMs - 잠금 시간
+     */
+    lock(keys, retryAfterMs, now = Date.now()) {
+        if (!(retryAfterMs > 0)) return;
+
+        keys.forEach(key => {
+            const record = this.getRecord(key, now) || {failures: 0, lockCount: 0, lockedUntil: 0};
+            this.records[key] = {
+                ...record,
+                failures: 0,
+                lockedUntil: Math.max(record.lockedUntil, now + retryAfterMs),
+                lastFailureAt: now
+            };
+        });
+        this.save(now);
+    }
+}
@@ -0,0 +1,60 @@
+// services/attemptLocks.js
+
+import {AttemptLimiter, createDeviceId, normalizeDeviceId} from './attemptLimiter.js';
+
+// 새로고침하거나 탭을 닫아도 잠금이 유지되도록 localStorage에 보관
+const storage = typeof localStorage !== 'undefined' ? localStorage : null;
+
+const DEVICE_ID_STORAGE_KEY = 'stg-attendance:device-id';
+
+// 읽어 둔 기기 식별자 (저장소를 쓸 수 없으면 이 페이지에서만 사용)
+let cachedDeviceId = null;
+
+// 이 기기 전체에 적용하는 키 (학생/아이디를 바꿔 가며 시도해도 함께 잠김)
+const DEVICE_KEY = 'device';
+
+/**
+ * 이 기기의 본인 출석체크 인증번호 시도 제한 (기기별, 학생별)
+ */
+export const checkInAttempts = new AttemptLimiter({storage, storageKey: 'stg-attendance:check-in-attempts'});
+
+/**
+ * 이 기기의 관리자 로그인 시도 제한 (기기별, 아이디별)
+ */
+export const adminLoginAttempts = new AttemptLimiter({storage, storageKey: 'stg-attendance:admin-login-attempts'});
+
+/**
+ * 본인 출석체크 시도 제한 키
+ * @param {string} sheetName - 출석부 시트명
+ * @param {string} studentName - 학생 이름
+ * @returns {Array<string>} [기기, 학생]
+ */
+export const getCheckInAttemptKeys = (sheetName, studentName) => [DEVICE_KEY, `student:${sheetName}:${studentName}`];
+
+/**
+ * 관리자 로그인 시도 제한 키
+ * @param {string} username - 아이디
+ * @returns {Array<string>} [기기, 아이디] (아이디를 입력하지 않았으면 기기만)
+ */
+export const getAdminLoginAttemptKeys = (username) => {
+    const normalized = (username || '').toString().trim().toLowerCase();
+    return normalized ? [DEVICE_KEY, `user:${normalized}`] : [DEVICE_KEY];
+};
+
+/**
+ * 이 기기의 식별자 (프록시 서버가 같은 와이파이/공유기 뒤의 기기를 구분하여 시도 제한을 세도록 요청에 함께 보냄)
+ * 처음 호출할 때 만들어 localStorage에 보관
+ * @returns {string} 기기 식별자
+ */
+export const getDeviceId = () => {
+    if (cachedDeviceId) return cachedDeviceId;
+
+    try {
+        cachedDeviceId = normalizeDeviceId(storage?.getItem(DEVICE_ID_STORAGE_KEY)) || createDeviceId();
+        storage?.setItem(DEVICE_ID_STORAGE_KEY, cachedDeviceId);
+    } catch (error) {
+        console.warn('⚠️ 기기 식별자 저장 실패:', error.message);
+        cachedDeviceId = cachedDeviceId || createDeviceId();
+    }
+    return cachedDeviceId;
+};
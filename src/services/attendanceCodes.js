@@ -0,0 +1,103 @@
+// services/attendanceCodes.js
+// 강의별 시간 기반 출석 인증번호 (TOTP 방식)
+// 브라우저와 프록시 서버(Node)가 함께 사용하므로 import.meta.env 등 번들러 전용 기능은 사용하지 않음
+
+// 인증번호 자릿수 (출석 확인 팝업의 입력 칸과 같음)
+export const ATTENDANCE_CODE_DIGITS = 4;
+
+// 인증번호가 바뀌는 주기 기본값 (초)
+export const DEFAULT_CODE_PERIOD_SECONDS = 60;
+
+const textEncoder = new TextEncoder();
+
+/**
+ * 시각 → 인증번호 구간 번호
+ * @param {number} timestamp - 기준 시각 (ms)
+ * @param {number} periodSeconds - 인증번호 주기 (초)
+ * @returns {number} 구간 번호
+ */
+export function getCodeCounter(timestamp, periodSeconds = DEFAULT_CODE_PERIOD_SECONDS) {
+    return Math.floor(timestamp / (periodSeconds * 1000));
+}
+
+/**
+ * 구간 번호의 인증번호 생성
+ * 비밀 값을 키로 "강의명:구간 번호"를 HMAC-SHA256으로 서명한 뒤 RFC 4226 방식으로 잘라 숫자로 변환
+ * 강의명이 다르면 같은 시각에도 다른 인증번호가 나옴
+ * @param {string} secret - 비밀 값
+ * @param {string} lecture - 강의명 (1행 헤더)
+ * @param {number} counter - 구간 번호
+ * @returns {Promise<string>} 인증번호
+ */
+async function generateCodeForCounter(secret, lecture, counter) {
+    const key = await globalThis.crypto.subtle.importKey(
+        'raw',
+        textEncoder.encode(secret),
+        {name: 'HMAC', hash: 'SHA-256'},
+        false,
+        ['sign']
+    );
+    const message = textEncoder.encode(`${(lecture || '').toString().trim()}:${counter}`);
+    const signature = new Uint8Array(await globalThis.crypto.subtle.sign('HMAC', key, message));
+
+    const offset = signature[signature.length - 1] & 0x0f;
+    const binary = ((signature[offset] & 0x7f) << 24) |
+        (signature[offset + 1] << 16) |
+        (signature[offset + 2] << 8) |
+        signature[offset + 3];
+
+    return (binary % (10 ** ATTENDANCE_CODE_DIGITS)).toString().padStart(ATTENDANCE_CODE_DIGITS, '0');
+}
+
+/**
+ * 현재 인증번호 (관리자 표시 화면용)
+ * @param {string} secret - 비밀 값
+ * @param {string} lecture - 강의명
+ * @param {Object} options
+ * @param {number} options.timestamp - 기준 시각 (기본값: 현재)
+ * @param {number} options.periodSeconds - 인증번호 주기 (초)
+ * @returns {Promise<Object>} {code, lecture, periodSeconds, expiresAt, remainingMs} - 만료 시각과 남은 시간 (ms)
+ */
+export async function getCurrentAttendanceCode(secret, lecture, {
+    timestamp = Date.now(),
+    periodSeconds = DEFAULT_CODE_PERIOD_SECONDS
+} = {}) {
+    const counter = getCodeCounter(timestamp, periodSeconds);
+    const expiresAt = (counter + 1) * periodSeconds * 1000;
+
+    // 화면과 서버의 시계가 다를 수 있으므로 화면은 만료 시각 대신 남은 시간으로 다음 번호를 요청
+    return {
+        code: await generateCodeForCounter(secret, lecture, counter),
+        lecture,
+        periodSeconds,
+        expiresAt,
+        remainingMs: expiresAt - timestamp
+    };
+}
+
+/**
+ * 입력한 인증번호 확인
+ * 화면을 보고 입력하는 사이에 번호가 바뀔 수 있으므로 현재 구간과 직전 구간의 인증번호를 모두 인정
+ * @param {string} attendanceCode - 입력한 인증번호
+ * @param {string} secret - 비밀 값
+ * @param {string} lecture - 강의명
+ * @param {Object} options
+ * @param {number} options.timestamp - 기준 시각 (기본값: 현재)
+ * @param {number} options.periodSeconds - 인증번호 주기 (초)
+ * @returns {Promise<boolean>} 일치 여부
+ */
+export async function matchesAttendanceCode(attendanceCode, secret, lecture, {
+    timestamp = Date.now(),
+    periodSeconds = DEFAULT_CODE_PERIOD_SECONDS
+} = {}) {
+    const input = (attendanceCode ?? '').toString().trim();
+    if (!secret || input.length !== ATTENDANCE_CODE_DIGITS) {
+        return false;
+    }
+
+    const counter = getCodeCounter(timestamp, periodSeconds);
+    const candidates = await Promise.all([counter, counter - 1]
+        .map(value => generateCodeForCounter(secret, lecture, value)));
+
+    return candidates.includes(input);
+}
@@ -0,0 +1,137 @@
+// services/auditEntries.js
+
+// 변경 이력 행 형식 - 설정(import.meta.env)에 의존하지 않으므로 프록시 서버와 함께 사용
+
+import {formatLockRemaining} from './attemptLimiter.js';
+
+// 변경 출처
+export const AUDIT_SOURCE = {
+    SELF_CHECK_IN: 'self',  // 학생 본인 출석체크
+    ADMIN: 'admin',         // 관리자 화면에서 수정
+    LOCKOUT: 'lockout',     // 인증번호를 여러 번 틀려 본인 출석체크가 잠김 (셀은 바뀌지 않음)
+    OFFLINE_FAILED: 'offline'   // 오프라인 대기열에서 다시 보냈지만 충돌/거부되어 저장하지 않음 (셀은 바뀌지 않음)
+};
+
+export const AUDIT_SOURCE_LABELS = {
+    [AUDIT_SOURCE.SELF_CHECK_IN]: '본인 출석체크',
+    [AUDIT_SOURCE.ADMIN]: '관리자',
+    [AUDIT_SOURCE.LOCKOUT]: '출석 잠금',
+    [AUDIT_SOURCE.OFFLINE_FAILED]: '오프라인 저장 실패'
+};
+
+// 변경 이력 시트의 열 (1행 제목) - 관리자 열은 관리자 수정일 때 로그인한 관리자 아이디, 메모 열은 오프라인 출석체크 시각 등 덧붙일 내용
+export const AUDIT_COLUMNS = ['시각', '출처', '시트', '셀', '학생', '강의', '이전 값', '새 값', '관리자', '메모'];
+
+/**
+ * 이력 시각 형식 ("2025-09-10 14:03:22", 로컬 시간 - 시트에서 읽기 쉽고 문자열 정렬 가능)
+ * @param {Date} date - 기록 시각
+ * @returns {string} 시각 문자열
+ */
+export function formatAuditTimestamp(date = new Date()) {
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+        `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+/**
+ * 이력 항목 → 시트 행
+ * @param {Object} entry - {timestamp, source, sheetName, cellAddress, userName, lecture, previousValue, newValue, admin, note}
+ * @returns {Array<string>} 시트 행
+ */
+export function toAuditRow(entry) {
+    return [
+        entry.timestamp || formatAuditTimestamp(),
+        entry.source || '',
+        entry.sheetName || '',
+        entry.cellAddress || '',
+        entry.userName || '',
+        entry.lecture || '',
+        entry.previousValue ?? '',
+        entry.newValue ?? '',
+        entry.admin || '',
+        entry.note || ''
+    ].map(value => value.toString());
+}
+
+/**
+ * 본인 출석체크 잠금 이력 항목 (다른 학생 대신 출석하려는 시도를 관리자가 확인하도록)
+ * 이전 값/새 값 열에 실패 횟수와 잠금 시간을 남김
+ * @param {Object} target - {sheetName, cellAddress, userName, lecture} 시도한 출석 셀
+ * @param {Object} lockout - AttemptLimiter.recordFailure 결과 {failures, lockMs}
+ * @returns {Object} 이력 항목
+ */
+export function createLockoutAuditEntry(target, lockout) {
+    return {
+        ...target,
+        source: AUDIT_SOURCE.LOCKOUT,
+        previousValue: `${lockout.failures}회 실패`,
+        newValue: `${formatLockRemaining(lockout.lockMs)} 잠금`
+    };
+}
+
+/**
+ * 오프라인 대기열에서 다시 보낸 본인 출석체크의 메모 (학생이 실제로 출석체크한 시각)
+ * @param {number} queuedAt - 오프라인 대기열에 보관한 시각 (ms)
+ * @returns {string} 메모 (보관 시각이 없으면 빈 문자열)
+ */
+export function formatQueuedCheckInNote(queuedAt) {
+    return queuedAt ? `오프라인 출석체크 ${formatAuditTimestamp(new Date(queuedAt))} (기기 시각)` : '';
+}
+
+/**
+ * 오프라인 대기열 저장 실패 이력 항목 (기기에만 남은 충돌/거부 기록을 관리자가 확인하도록)
+ * 이전 값 열에 지금 시트 값(알 때만), 새 값 열에 기록하려던 값, 메모 열에 보관 시각과 실패 사유를 남김
+ * @param {Object} target - {sheetName, cellAddress, userName, lecture} 기록하려던 출석 셀
+ * @param {Object} failure
+ * @param {string} failure.newValue - 기록하려던 값
+ * @param {string} failure.currentValue - 지금 시트 값 (충돌일 때)
+ * @param {number} failure.queuedAt - 오프라인 대기열에 보관한 시각 (ms)
+ * @param {string} failure.reason - 실패 사유
+ * @returns {Object} 이력 항목
+ */
+export function createOfflineFailureAuditEntry(target, {newValue, currentValue, queuedAt, reason}) {
+    return {
+        ...target,
+        source: AUDIT_SOURCE.OFFLINE_FAILED,
+        previousValue: currentValue ?? '',
+        newValue: newValue ?? '',
+        note: [formatQueuedCheckInNote(queuedAt) || '오프라인 기록', reason].filter(Boolean).join(' · ')
+    };
+}
+
+/**
+ * 시트 행 → 이력 항목
+ * @param {Array<string>} row - 시트 행
+ * @param {number} rowNumber - 시트 행 번호 (1-based)
+ * @returns {Object} 이력 항목
+ */
+export function parseAuditRow(row, rowNumber) {
+    const [timestamp = '', source = '', sheetName = '', cellAddress = '', userName = '', lecture = '', previousValue = '', newValue = '', admin = '', note = ''] = row;
+    return {rowNumber, timestamp, source, sheetName, cellAddress, userName, lecture, previousValue, newValue, admin, note};
+}
+
+/**
+ * 이력 항목 필터링
+ * @param {Array<Object>} entries - 이력 항목
+ * @param {Object} filters
+ * @param {string} filters.query - 학생 이름 / 셀 주소 / 관리자 아이디 검색어
+ * @param {string} filters.lecture - 강의명 (빈 값이면 전체)
+ * @param {string} filters.source - 변경 출처 (빈 값이면 전체)
+ * @param {string} filters.sheetName - 시트명 (빈 값이면 전체)
+ * @returns {Array<Object>} 조건에 맞는 이력 항목
+ */
+export function filterAuditEntries(entries, {query = '', lecture = '', source = '', sheetName = ''} = {}) {
+    const normalizedQuery = query.trim().toLowerCase();
+
+    return entries.filter(entry => {
+        if (lecture && entry.lecture !== lecture) return false;
+        if (source && entry.source !== source) return false;
+        if (sheetName && entry.sheetName !== sheetName) return false;
+        if (normalizedQuery) {
+            return entry.userName.toLowerCase().includes(normalizedQuery) ||
+                entry.cellAddress.toLowerCase().includes(normalizedQuery) ||
+                entry.admin.toLowerCase().includes(normalizedQuery);
+        }
+        return true;
+    });
+}
@@ -0,0 +1,103 @@
+// services/auditLog.js
+
+import {SHEETS_CONFIG} from './sheetsConfig.js';
+import {AUDIT_COLUMNS, toAuditRow, parseAuditRow} from './auditEntries.js';
+
+export * from './auditEntries.js';
+
+/**
+ * 출석 변경 이력
+ * 성공한 출석 기록을 전용 시트에 행 추가로만 남기고, 기존 행은 수정하거나 삭제하지 않음.
+ * 백엔드는 호출할 때마다 받아서 화면별 백엔드(google / local)를 그대로 사용
+ */
+class AuditLog {
+    /**
+     * @param {string} sheetName - 변경 이력 시트명
+     */
+    constructor(sheetName = SHEETS_CONFIG.auditSheetName) {
+        this.sheetName = sheetName;
+        // 백엔드별 {spreadsheetId → 시트 준비 Promise}
+        this.ensured = new WeakMap();
+    }
+
+    /**
+     * 이력 시트가 있는지 확인
+     * @param {import('./SheetsDataBackend.js').SheetsDataBackend} backend - 데이터 백엔드
+     * @param {string} spreadsheetId - 스프레드시트 ID
+     * @returns {Promise<boolean>} 시트 존재 여부
+     */
+    async hasSheet(backend, spreadsheetId) {
+        const metadata = await backend.getSpreadsheetMetadata(spreadsheetId);
+        return (metadata?.sheets || []).some(sheet => sheet.properties?.title === this.sheetName);
+    }
+
+    /**
+     * 이력 시트가 없으면 제목 행과 함께 생성 (스프레드시트별로 한 번만 확인)
+     * @param {import('./SheetsDataBackend.js').SheetsDataBackend} backend - 데이터 백엔드
+     * @param {string} spreadsheetId - 스프레드시트 ID
+     */
+    ensureSheet(backend, spreadsheetId) {
+        if (!this.ensured.has(backend)) {
+            this.ensured.set(backend, new Map());
+        }
+        const bySpreadsheet = this.ensured.get(backend);
+
+        if (!bySpreadsheet.has(spreadsheetId)) {
+            const promise = this.hasSheet(backend, spreadsheetId).then(exists => {
+                if (!exists) {
+                    console.log(`📄 변경 이력 시트 생성: ${this.sheetName}`);
+                    return backend.addSheet(spreadsheetId, this.sheetName, AUDIT_COLUMNS);
+                }
+            }).catch(error => {
+                // 실패하면 다음 기록 때 다시 확인
+                bySpreadsheet.delete(spreadsheetId);
+                throw error;
+            });
+            bySpreadsheet.set(spreadsheetId, promise);
+        }
+
+        return bySpreadsheet.get(spreadsheetId);
+    }
+
+    /**
+     * 이력 항목 추가
+     * @param {import('./SheetsDataBackend.js').SheetsDataBackend} backend - 데이터 백엔드
+     * @param {string} spreadsheetId - 스프레드시트 ID
+     * @param {Array<Object>} entries - {source, sheetName, cellAddress, userName, lecture, previousValue, newValue}
+     */
+    async append(backend, spreadsheetId = SHEETS_CONFIG.spreadsheetId, entries = []) {
+        if (entries.length === 0) return;
+
+        await this.ensureSheet(backend, spreadsheetId);
+        await backend.appendRows(spreadsheetId, this.sheetName, entries.map(toAuditRow));
+
+        console.log(`🧾 변경 이력 ${entries.length}건 기록`);
+    }
+
+    /**
+     * 이력 조회 (최근 기록부터)
+     * @param {import('./SheetsDataBackend.js').SheetsDataBackend} backend - 데이터 백엔드
+     * @param {string} spreadsheetId - 스프레드시트 ID
+     * @returns {Promise<Array<Object>>} 이력 항목
+     */
+    async list(backend, spreadsheetId = SHEETS_CONFIG.spreadsheetId) {
+        if (!(await this.hasSheet(backend, spreadsheetId))) {
+            return [];
+        }
+
+        const values = await backend.getSheetData(spreadsheetId, this.sheetName, null);
+
+        // 1행은 제목
+        return values
+            .slice(1)
+            .map((row, index) => parseAuditRow(row, index + 2))
+            .filter(entry => entry.timestamp)
+            .reverse();
+    }
+}
+
+// 앱 전체에서 공유하는 변경 이력
+const auditLog = new AuditLog();
+
+export default auditLog;
+export {AuditLog};
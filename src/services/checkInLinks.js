@@ -0,0 +1,101 @@
+// services/checkInLinks.js
+// QR 출석 링크 (서명된 단기 출석 토큰)
+// 브라우저와 프록시 서버(Node)가 함께 사용하므로 import.meta.env 등 번들러 전용 기능은 사용하지 않음
+
+import {decodeToken, signToken, verifyToken} from './signedTokens.js';
+import {getCheckInWindowTimes} from './checkInWindow.js';
+
+// 출석 링크의 토큰 쿼리 파라미터 이름 (예: https://attendance.example.com/?checkin=...)
+export const CHECK_IN_LINK_PARAM = 'checkin';
+
+// 출석 링크의 최대 유효 시간 (만료 시각을 이보다 길게 요청해도 줄여서 서명)
+export const MAX_CHECK_IN_LINK_TTL_MS = 24 * 60 * 60 * 1000;
+
+// 시간 기반 인증번호와 같은 비밀 값을 쓰므로 서명 대상에 용도를 붙여 구분
+const TOKEN_PURPOSE = 'check-in-link';
+
+/**
+ * 출석 토큰 내용 형식 확인
+ */
+const isCheckInPayload = (payload) => typeof payload?.lecture === 'string' && typeof payload?.sheetName === 'string';
+
+/**
+ * 강의 날짜의 출석 링크 만료 시각 (출석체크 마감 시각, 없으면 강의 당일이 끝날 때)
+ * @param {Date} lectureDate - 강의 날짜 (2행 헤더)
+ * @param {Object|null} checkInWindow - 출석체크 시간 (checkInWindow.js)
+ * @returns {number|null} 만료 시각 (ms)
+ */
+export function getCheckInLinkExpiry(lectureDate, checkInWindow = null) {
+    if (!(lectureDate instanceof Date) || isNaN(lectureDate.getTime())) {
+        return null;
+    }
+
+    return getCheckInWindowTimes(lectureDate, checkInWindow).closesAt;
+}
+
+/**
+ * 출석 토큰 생성
+ * 토큰 내용: {sheetName, lecture, expiresAt} (형식은 signedTokens.js)
+ * @param {string} secret - 비밀 값
+ * @param {Object} payload
+ * @param {string} payload.sheetName - 출석부 시트명
+ * @param {string} payload.lecture - 강의명 (1행 헤더)
+ * @param {number} payload.expiresAt - 만료 시각 (ms)
+ * @param {Object} options
+ * @param {number} options.now - 기준 시각 (기본값: 현재)
+ * @returns {Promise<{token: string, expiresAt: number}>} 토큰과 실제 만료 시각
+ */
+export async function createCheckInToken(secret, {sheetName, lecture, expiresAt}, {now = Date.now()} = {}) {
+    const cappedExpiresAt = Math.min(Number(expiresAt) || 0, now + MAX_CHECK_IN_LINK_TTL_MS);
+    const token = await signToken(secret, TOKEN_PURPOSE, {
+        sheetName,
+        lecture: (lecture || '').toString().trim(),
+        expiresAt: cappedExpiresAt
+    });
+
+    return {token, expiresAt: cappedExpiresAt};
+}
+
+/**
+ * 출석 토큰 내용 읽기 (서명은 확인하지 않음 - 화면에서 강의를 미리 선택하는 용도)
+ * @param {string} token - 출석 토큰
+ * @returns {{sheetName: string, lecture: string, expiresAt: number}|null} 토큰 내용
+ */
+export function decodeCheckInToken(token) {
+    const payload = decodeToken(token);
+    return isCheckInPayload(payload) ? payload : null;
+}
+
+/**
+ * 출석 토큰 확인
+ * @param {string} token - 출석 토큰
+ * @param {string} secret - 비밀 값
+ * @param {Object} options
+ * @param {number} options.now - 기준 시각 (기본값: 현재)
+ * @returns {Promise<Object|null>} 서명이 맞고 만료되지 않았으면 토큰 내용, 아니면 null
+ */
+export async function verifyCheckInToken(token, secret, {now = Date.now()} = {}) {
+    const payload = await verifyToken(token, secret, TOKEN_PURPOSE, {now});
+    return isCheckInPayload(payload) ? payload : null;
+}
+
+/**
+ * 출석 링크 주소
+ * @param {string} baseUrl - 출석체크 화면 주소
+ * @param {string} token - 출석 토큰
+ * @returns {string} 출석 링크
+ */
+export function buildCheckInUrl(baseUrl, token) {
+    const url = new URL(baseUrl);
+    url.searchParams.set(CHECK_IN_LINK_PARAM, token);
+    return url.toString();
+}
+
+/**
+ * 주소의 쿼리 문자열에서 출석 토큰 읽기
+ * @param {string} search - location.search
+ * @returns {string|null} 출석 토큰
+ */
+export function readCheckInToken(search) {
+    return new URLSearchParams(search || '').get(CHECK_IN_LINK_PARAM);
+}
@@ -0,0 +1,366 @@
+// services/checkInWindow.js
+// 강의별 본인 출석체크 시간 (시작 시각, 지각 유예 시간, 마감 시각)
+// 브라우저와 프록시 서버(Node)가 함께 사용하므로 import.meta.env 등 번들러 전용 기능은 사용하지 않음
+//
+// 2행 날짜 셀 뒤에 시간을 적어 강의별로 지정: "2025. 9. 10 14:00~16:00 (유예 10분)"
+// - 14:00: 강의 시작 (유예 시간이 지나기 전까지는 출석 'O', 시작 전에는 본인 출석체크 불가 - 미리 열려면 openLeadMinutes)
+// - ~16:00: 본인 출석체크 마감 (생략하면 강의 당일이 끝날 때까지, 유예 후에는 지각 'ㅣ')
+// - (유예 10분): 시작 후 출석으로 인정하는 시간 (생략하면 DEFAULT_GRACE_MINUTES)
+// 시간이 없는 날짜 셀은 예전처럼 강의 당일 언제든 출석 'O'
+// 시각과 '강의 당일'은 기기(서버)의 시간대가 아닌 출석부 시간대(CHECK_IN_WINDOW_CONFIG.timeZone) 기준
+
+import {ATTENDANCE_STATUS} from '../utils/attendanceStatus.js';
+import {ValidationError} from './errors.js';
+
+// 지각 유예 시간 기본값 (분)
+export const DEFAULT_GRACE_MINUTES = 10;
+
+// 출석체크 가능 상태
+export const CHECK_IN_PHASE = {
+    NOT_TODAY: 'notToday',  // 강의 당일이 아님
+    NOT_OPEN: 'notOpen',    // 강의 당일이지만 출석체크 시작 전
+    ON_TIME: 'onTime',      // 출석 ('O')
+    LATE: 'late',           // 지각 ('ㅣ')
+    CLOSED: 'closed'        // 마감
+};
+
+// 출석부 시간대 기본값
+export const DEFAULT_TIME_ZONE = 'Asia/Seoul';
+
+// 현재 출석체크 시간 설정 (configureCheckInWindow로 갱신)
+export const CHECK_IN_WINDOW_CONFIG = {
+    timeZone: DEFAULT_TIME_ZONE,    // 2행에 적힌 날짜와 시각의 시간대 (IANA 이름)
+    openLeadMinutes: 0              // 강의 시작 몇 분 전부터 본인 출석체크를 받을지
+};
+
+// 오프라인으로 보관한 본인 출석체크를 다시 받는 기간 (보관 시각이 이보다 오래되면 거부)
+export const MAX_QUEUED_CHECK_IN_AGE_MS = 12 * 60 * 60 * 1000;
+
+// 보관 시각이 기준 시각보다 늦어도 기기 시계 차이로 보고 허용하는 범위
+const QUEUED_CLOCK_SKEW_MS = 60 * 1000;
+
+const MINUTES_PER_DAY = 24 * 60;
+
+// 시간대별 날짜/시각 변환기 (만들 때 비용이 커서 재사용)
+const zonedFormatters = new Map();
+
+// 시각 ("14:00", 구글 시트가 날짜+시간으로 바꿔 표시한 "오후 2:00:00"도 허용)
+const TIME_PATTERN = /(?:(오전|오후|AM|PM)\s*)?(\d{1,2}):(\d{2})(?::\d{2})?/i;
+
+// 유예 시간 ("(유예 10분)")
+const GRACE_PATTERN = /\(\s*유예\s*(\d+)\s*분\s*\)/;
+
+/**
+ * 시간대의 날짜/시각 변환기 (알 수 없는 시간대면 RangeError)
+ */
+function getZonedFormatter(timeZone) {
+    if (!zonedFormatters.has(timeZone)) {
+        zonedFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        }));
+    }
+    return zonedFormatters.get(timeZone);
+}
+
+/**
+ * 시각(ms)을 시간대의 벽시계 시각으로 읽어 UTC 기준 ms로 (시간대 차이 계산용)
+ */
+function getZonedWallTime(time, timeZone) {
+    const parts = Object.fromEntries(getZonedFormatter(timeZone).formatToParts(new Date(time))
+        .filter(part => part.type !== 'literal')
+        .map(part => [part.type, parseInt(part.value, 10)]));
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+}
+
+/**
+ * 시간대의 날짜와 자정부터의 분 → 시각 (ms)
+ * 시간대 차이를 한 번 구한 뒤, 일광 절약 시간 경계에서 차이가 바뀌면 다시 맞춤
+ */
+function zonedTimeToMs(date, minutes, timeZone) {
+    const wallTime = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(), 0, minutes);
+    const guess = wallTime - (getZonedWallTime(wallTime, timeZone) - wallTime);
+    return wallTime - (getZonedWallTime(guess, timeZone) - guess);
+}
+
+/**
+ * 출석체크 시간 설정 적용 (지정하지 않은 항목은 그대로)
+ * 브라우저는 VITE_TIME_ZONE, VITE_CHECK_IN_OPEN_LEAD_MINUTES, 프록시 서버는 TIME_ZONE, CHECK_IN_OPEN_LEAD_MINUTES 환경변수로 같게 지정
+ * @param {Object} options
+ * @param {string} options.timeZone - 출석부 시간대 (예: 'Asia/Seoul')
+ * @param {number} options.openLeadMinutes - 강의 시작 몇 분 전부터 본인 출석체크를 받을지
+ */
+export function configureCheckInWindow({timeZone, openLeadMinutes} = {}) {
+    if (timeZone) {
+        try {
+            getZonedFormatter(timeZone);
+        } catch {
+            throw new ValidationError(`알 수 없는 시간대입니다: ${timeZone}`);
+        }
+        CHECK_IN_WINDOW_CONFIG.timeZone = timeZone;
+    }
+    if (openLeadMinutes !== undefined && openLeadMinutes !== null) {
+        if (!Number.isInteger(openLeadMinutes) || openLeadMinutes < 0 || openLeadMinutes >= MINUTES_PER_DAY) {
+            throw new ValidationError(`출석체크를 미리 받는 시간은 0분 이상의 정수여야 합니다: ${openLeadMinutes}`);
+        }
+        CHECK_IN_WINDOW_CONFIG.openLeadMinutes = openLeadMinutes;
+    }
+}
+
+/**
+ * 본인 출석체크를 받기 시작하는 시각 (자정부터의 분, 강의 당일 자정보다 앞당기지 않음)
+ * @param {Object} checkInWindow - 출석체크 시간
+ * @returns {number} 자정부터의 분
+ */
+export function getOpenMinutes(checkInWindow) {
+    return Math.max(0, checkInWindow.startMinutes - CHECK_IN_WINDOW_CONFIG.openLeadMinutes);
+}
+
+/**
+ * 출석부 시간대 기준 오늘 날짜 (강의 날짜와 같은 형식 - 이 기기 시간대의 자정)
+ * @param {number} now - 기준 시각 (기본값: 현재)
+ * @returns {Date} 오늘 날짜
+ */
+export function getCheckInToday(now = Date.now()) {
+    const wallTime = new Date(getZonedWallTime(now, CHECK_IN_WINDOW_CONFIG.timeZone));
+    return new Date(wallTime.getUTCFullYear(), wallTime.getUTCMonth(), wallTime.getUTCDate());
+}
+
+/**
+ * 강의 날짜가 출석부 시간대 기준 오늘인지
+ * @param {Date} date - 강의 날짜
+ * @param {number} now - 기준 시각 (기본값: 현재)
+ * @returns {boolean} 오늘이면 true
+ */
+export function isCheckInDay(date, now = Date.now()) {
+    return date instanceof Date && !isNaN(date.getTime()) && date.toDateString() === getCheckInToday(now).toDateString();
+}
+
+/**
+ * 시각 문자열 → 자정부터의 분 (형식이 틀리면 null)
+ */
+function parseClock(text) {
+    const match = (text || '').toString().match(TIME_PATTERN);
+    if (!match) return null;
+
+    let hours = parseInt(match[2], 10);
+    const minutes = parseInt(match[3], 10);
+    const meridiem = (match[1] || '').toUpperCase();
+    if (meridiem === '오후' || meridiem === 'PM') {
+        hours = hours % 12 + 12;
+    } else if (meridiem === '오전' || meridiem === 'AM') {
+        hours = hours % 12;
+    }
+
+    return hours < 24 && minutes < 60 ? hours * 60 + minutes : null;
+}
+
+/**
+ * 자정부터의 분 → "14:00"
+ * @param {number} minutes - 자정부터의 분
+ * @returns {string} 시각
+ */
+export function formatClock(minutes) {
+    const hours = Math.floor(minutes / 60);
+    return `${String(hours).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * 날짜 셀에서 시간 부분이 시작하는 위치 (없으면 -1)
+ * @param {string} dateCell - 2행 날짜 셀 값
+ * @returns {number} 문자열 위치
+ */
+export function findCheckInWindowStart(dateCell) {
+    const text = (dateCell || '').toString();
+    const match = text.match(TIME_PATTERN);
+    return match ? match.index : -1;
+}
+
+/**
+ * 날짜 셀의 출석체크 시간 읽기
+ * @param {string} dateCell - 2행 날짜 셀 값 ("2025. 9. 10 14:00~16:00 (유예 10분)")
+ * @returns {{startMinutes: number, endMinutes: number|null, graceMinutes: number}|null} 출석체크 시간 (시간이 없으면 null)
+ */
+export function parseCheckInWindow(dateCell) {
+    const start = findCheckInWindowStart(dateCell);
+    if (start < 0) return null;
+
+    const text = dateCell.toString().slice(start);
+    const [startText, endText] = text.replace(GRACE_PATTERN, '').split('~');
+    const startMinutes = parseClock(startText);
+    if (startMinutes === null) return null;
+
+    const endMinutes = parseClock(endText);
+    const grace = text.match(GRACE_PATTERN);
+
+    return {
+        startMinutes,
+        // 마감이 시작보다 빠르면 잘못 적은 것으로 보고 무시 (당일 끝까지)
+        endMinutes: endMinutes !== null && endMinutes > startMinutes ? endMinutes : null,
+        graceMinutes: grace ? parseInt(grace[1], 10) : DEFAULT_GRACE_MINUTES
+    };
+}
+
+/**
+ * 화면 입력값으로 출석체크 시간 만들기 (시작 시각이 비어 있으면 null)
+ * @param {Object} input
+ * @param {string} input.startTime - 시작 시각 ("14:00")
+ * @param {string} input.endTime - 마감 시각 (선택)
+ * @param {number|string} input.graceMinutes - 지각 유예 시간 (분)
+ * @returns {{startMinutes: number, endMinutes: number|null, graceMinutes: number}|null} 출석체크 시간
+ */
+export function createCheckInWindow({startTime, endTime, graceMinutes} = {}) {
+    if (!startTime) {
+        if (endTime) {
+            throw new ValidationError('마감 시각을 정하려면 시작 시각도 입력해주세요.');
+        }
+        return null;
+    }
+
+    const startMinutes = parseClock(startTime);
+    const endMinutes = endTime ? parseClock(endTime) : null;
+    const grace = graceMinutes === '' || graceMinutes === undefined ? DEFAULT_GRACE_MINUTES : Number(graceMinutes);
+
+    if (startMinutes === null || (endTime && endMinutes === null)) {
+        throw new ValidationError('출석 시각 형식이 올바르지 않습니다. (예: 14:00)');
+    }
+    if (endMinutes !== null && endMinutes <= startMinutes) {
+        throw new ValidationError('출석 마감 시각은 시작 시각보다 늦어야 합니다.');
+    }
+    if (!Number.isInteger(grace) || grace < 0 || grace >= MINUTES_PER_DAY) {
+        throw new ValidationError('지각 유예 시간은 0분 이상의 정수로 입력해주세요.');
+    }
+
+    return {startMinutes, endMinutes, graceMinutes: grace};
+}
+
+/**
+ * 출석체크 시간 → 날짜 셀 뒤에 붙일 문자열 ("14:00~16:00 (유예 10분)")
+ * @param {Object|null} checkInWindow - 출석체크 시간
+ * @returns {string} 날짜 셀 뒤에 붙일 문자열 (없으면 빈 문자열)
+ */
+export function formatCheckInWindow(checkInWindow) {
+    if (!checkInWindow) return '';
+
+    const range = checkInWindow.endMinutes !== null
+        ? `${formatClock(checkInWindow.startMinutes)}~${formatClock(checkInWindow.endMinutes)}`
+        : formatClock(checkInWindow.startMinutes);
+    return `${range} (유예 ${checkInWindow.graceMinutes}분)`;
+}
+
+/**
+ * 강의 날짜 기준 출석체크 시각들 (출석부 시간대 기준)
+ * @param {Date} date - 강의 날짜
+ * @param {Object|null} checkInWindow - 출석체크 시간
+ * @returns {{opensAt: number|null, startsAt: number|null, lateAfter: number|null, closesAt: number}} 본인 출석체크 시작, 강의 시작, 지각 처리 시작, 마감 시각 (ms, 시간이 없으면 당일 끝에 마감)
+ */
+export function getCheckInWindowTimes(date, checkInWindow) {
+    const at = (minutes) => zonedTimeToMs(date, minutes, CHECK_IN_WINDOW_CONFIG.timeZone);
+    const endOfDay = at(MINUTES_PER_DAY) - 1;
+
+    if (!checkInWindow) {
+        return {opensAt: null, startsAt: null, lateAfter: null, closesAt: endOfDay};
+    }
+
+    return {
+        opensAt: at(getOpenMinutes(checkInWindow)),
+        startsAt: at(checkInWindow.startMinutes),
+        lateAfter: at(checkInWindow.startMinutes + checkInWindow.graceMinutes),
+        closesAt: checkInWindow.endMinutes !== null ? at(checkInWindow.endMinutes) : endOfDay
+    };
+}
+
+/**
+ * 오프라인 대기열이 보낸 보관 시각 확인 (변경 이력 메모용)
+ * 기기 시계로 정한 값이라 앞당겨 보낼 수 있으므로 출석/지각, 마감, 인증번호, QR 토큰 만료는 이 값이 아닌 받은 시각(now)으로 판정
+ * @param {number|undefined} queuedAt - 오프라인 대기열에 보관한 시각 (ms)
+ * @param {number} now - 받은 시각 (기본값: 현재)
+ * @returns {number|null} 보관 시각 (ms, 없으면 null)
+ */
+export function parseQueuedAt(queuedAt, now = Date.now()) {
+    if (queuedAt === undefined || queuedAt === null) {
+        return null;
+    }
+    if (!Number.isFinite(queuedAt) || queuedAt > now + QUEUED_CLOCK_SKEW_MS) {
+        throw new ValidationError('오프라인 출석체크 시각이 올바르지 않습니다.');
+    }
+    if (queuedAt < now - MAX_QUEUED_CHECK_IN_AGE_MS) {
+        throw new ValidationError('오프라인으로 보관한 지 너무 오래된 출석체크입니다. 다시 출석체크해주세요.');
+    }
+    return Math.min(queuedAt, now);
+}
+
+/**
+ * 지금 본인 출석체크를 할 수 있는지, 기록할 값은 무엇인지
+ * 강의 당일 출석체크 시작 전에는 기록할 수 없고, 유예 시간이 끝나기 전이면 출석, 그 뒤 마감 전이면 지각, 마감 후에는 기록할 수 없음
+ * @param {{date: Date, checkInWindow: Object|null}} header - 강의 헤더 (getHeader 결과)
+ * @param {number} now - 기준 시각 (기본값: 현재)
+ * @returns {{phase: string, status: string|null, opensAt: number|null, startsAt: number|null, lateAfter: number|null, closesAt: number|null}} CHECK_IN_PHASE와 기록할 출석 값
+ */
+export function getCheckInState({date, checkInWindow = null} = {}, now = Date.now()) {
+    if (!isCheckInDay(date, now)) {
+        return {phase: CHECK_IN_PHASE.NOT_TODAY, status: null, opensAt: null, startsAt: null, lateAfter: null, closesAt: null};
+    }
+
+    const times = getCheckInWindowTimes(date, checkInWindow);
+    if (times.opensAt !== null && now < times.opensAt) {
+        return {phase: CHECK_IN_PHASE.NOT_OPEN, status: null, ...times};
+    }
+    if (now >= times.closesAt) {
+        return {phase: CHECK_IN_PHASE.CLOSED, status: null, ...times};
+    }
+    if (times.lateAfter !== null && now >= times.lateAfter) {
+        return {phase: CHECK_IN_PHASE.LATE, status: ATTENDANCE_STATUS.LATE, ...times};
+    }
+    return {phase: CHECK_IN_PHASE.ON_TIME, status: ATTENDANCE_STATUS.PRESENT, ...times};
+}
+
+/**
+ * 본인 출석체크를 받을 수 있을 때만 상태를 돌려주고, 아니면 ValidationError
+ * 기록할 값은 브라우저가 보낸 값 대신 이 상태의 status(출석/지각)를 사용
+ * @param {{lecture: string, date: Date, checkInWindow: Object|null}} header - 강의 헤더 (시트에서 읽은 값)
+ * @param {number} now - 기준 시각 (기본값: 현재)
+ * @returns {Object} getCheckInState 결과 (phase가 ON_TIME 또는 LATE)
+ */
+export function assertCheckInOpen(header, now = Date.now()) {
+    const state = getCheckInState(header, now);
+    const lecture = header?.lecture ? `${header.lecture} ` : '';
+
+    if (state.phase === CHECK_IN_PHASE.NOT_TODAY) {
+        throw new ValidationError(`${lecture}출석체크는 강의 당일에만 할 수 있습니다.`);
+    }
+    if (state.phase === CHECK_IN_PHASE.NOT_OPEN) {
+        throw new ValidationError(`${lecture}출석체크는 ${formatClock(getOpenMinutes(header.checkInWindow))}부터 할 수 있습니다.`);
+    }
+    if (state.phase === CHECK_IN_PHASE.CLOSED) {
+        throw new ValidationError(`${lecture}출석체크가 마감되었습니다. (${formatClock(header.checkInWindow.endMinutes)} 마감)`);
+    }
+    return state;
+}
+
+/**
+ * 출석체크 시간 안내 문구 ("14:00 시작 · 14:10부터 지각 · 16:00 마감", 미리 받으면 앞에 "13:50부터 출석체크")
+ * @param {Object|null} checkInWindow - 출석체크 시간
+ * @returns {string} 안내 문구 (시간이 없으면 빈 문자열)
+ */
+export function describeCheckInWindow(checkInWindow) {
+    if (!checkInWindow) return '';
+
+    const parts = [`${formatClock(checkInWindow.startMinutes)} 시작`];
+    if (getOpenMinutes(checkInWindow) < checkInWindow.startMinutes) {
+        parts.unshift(`${formatClock(getOpenMinutes(checkInWindow))}부터 출석체크`);
+    }
+    if (checkInWindow.endMinutes === null || checkInWindow.startMinutes + checkInWindow.graceMinutes < checkInWindow.endMinutes) {
+        parts.push(`${formatClock(checkInWindow.startMinutes + checkInWindow.graceMinutes)}부터 지각`);
+    }
+    if (checkInWindow.endMinutes !== null) {
+        parts.push(`${formatClock(checkInWindow.endMinutes)} 마감`);
+    }
+    return parts.join(' · ');
+}
@@ -0,0 +1,35 @@
+// services/dataBackend.js
+
+import {SHEETS_CONFIG} from './sheetsConfig.js';
+import googleSheetsData from './GoogleSheetsData.js';
+import LocalSheetsData from './LocalSheetsData.js';
+import {configureCheckInWindow} from './checkInWindow.js';
+
+/**
+ * 설정에 맞는 데이터 백엔드 인스턴스를 생성합니다.
+ * @param {string} type - 백엔드 종류 ('google' | 'local')
+ * @param {Object} options - local 백엔드 옵션 (fixture, storage, storageKey, latency)
+ * @returns {import('./SheetsDataBackend.js').SheetsDataBackend} 데이터 백엔드
+ */
+export function createDataBackend(type = SHEETS_CONFIG.backend, options = {}) {
+    switch (type) {
+        case 'local':
+            console.log('💾 오프라인(local) 데이터 백엔드를 사용합니다.');
+            return new LocalSheetsData(options);
+        case 'google':
+            if (googleSheetsData.proxyUrl) {
+                console.log(`🛡️ 프록시 서버를 통해 Google Sheets를 사용합니다: ${googleSheetsData.proxyUrl}`);
+            }
+            return googleSheetsData;
+        default:
+            throw new Error(`알 수 없는 데이터 백엔드: ${type}`);
+    }
+}
+
+// 출석체크 시간은 기기 시간대와 관계없이 출석부 시간대로 계산
+configureCheckInWindow({timeZone: SHEETS_CONFIG.timeZone, openLeadMinutes: SHEETS_CONFIG.checkInOpenLeadMinutes});
+
+// 앱 전체에서 공유하는 기본 백엔드
+const dataBackend = createDataBackend();
+
+export default dataBackend;
@@ -0,0 +1,165 @@
+// services/errors.js
+
+/**
+ * 서비스 계층 에러 기본 클래스
+ * 화면에서는 메시지 문자열 대신 에러 종류(instanceof)로 분기하여 해결 방법을 안내
+ */
+export class SheetsError extends Error {
+    /**
+     * @param {string} message - 에러 메시지
+     * @param {Object} options
+     * @param {number} options.status - HTTP 상태 코드 (있는 경우)
+     * @param {Error} options.cause - 원인 에러
+     */
+    constructor(message, options = {}) {
+        super(message, {cause: options.cause});
+        this.name = 'SheetsError';
+        this.status = options.status;
+        this.options = options;
+    }
+}
+
+/**
+ * CAS 충돌 - 예상값과 현재 시트 값이 다름
+ */
+export class ConflictError extends SheetsError {
+    /**
+     * @param {string} message - 에러 메시지
+     * @param {Object} options
+     * @param {string} options.cellAddress - 충돌한 셀 주소
+     * @param {string} options.currentValue - 현재 시트 값
+     * @param {string} options.expectedValue - 예상했던 값
+     */
+    constructor(message, options = {}) {
+        super(message, options);
+        this.name = 'ConflictError';
+        this.cellAddress = options.cellAddress;
+        this.currentValue = options.currentValue;
+        this.expectedValue = options.expectedValue;
+    }
+}
+
+/**
+ * 인증 실패 - 자격 증명 누락, 토큰 발급/갱신 실패
+ */
+export class AuthError extends SheetsError {
+    constructor(message, options = {}) {
+        super(message, options);
+        this.name = 'AuthError';
+    }
+}
+
+/**
+ * 할당량 초과 (429)
+ */
+export class QuotaError extends SheetsError {
+    /**
+     * @param {string} message - 에러 메시지
+     * @param {Object} options
+     * @param {number|null} options.retryAfterMs - 서버가 알려준 재시도 대기 시간 (밀리초)
+     */
+    constructor(message, options = {}) {
+        super(message, options);
+        this.name = 'QuotaError';
+        this.retryAfterMs = options.retryAfterMs ?? null;
+    }
+}
+
+/**
+ * 권한 없음 (403) 또는 스프레드시트를 찾을 수 없음 (404)
+ */
+export class PermissionError extends SheetsError {
+    constructor(message, options = {}) {
+        super(message, options);
+        this.name = 'PermissionError';
+    }
+}
+
+/**
+ * 본인 출석체크 인증번호 불일치 (403, 프록시 서버 응답의 error.status가 INVALID_ATTENDANCE_CODE)
+ */
+export class AttendanceCodeError extends SheetsError {
+    constructor(message, options = {}) {
+        super(message, options);
+        this.name = 'AttendanceCodeError';
+    }
+}
+
+// 프록시 서버가 인증번호 불일치를 알릴 때 사용하는 error.status 값
+export const INVALID_ATTENDANCE_CODE = 'INVALID_ATTENDANCE_CODE';
+
+/**
+ * 네트워크 연결 실패 - 요청이 서버에 도달하지 못함
+ */
+export class NetworkError extends SheetsError {
+    constructor(message, options = {}) {
+        super(message, options);
+        this.name = 'NetworkError';
+    }
+}
+
+/**
+ * 잘못된 입력 - 셀 주소, 범위, 행/열 인덱스 오류 (400)
+ */
+export class ValidationError extends SheetsError {
+    constructor(message, options = {}) {
+        super(message, options);
+        this.name = 'ValidationError';
+    }
+}
+
+/**
+ * HTTP 오류 응답을 에러 종류로 변환
+ * @param {number} status - HTTP 상태 코드
+ * @param {string} message - 에러 메시지
+ * @param {Object} options - 추가 정보 (retryAfterMs, reason 등)
+ * @returns {SheetsError} 에러 객체
+ */
+export function createHttpError(status, message, options = {}) {
+    const errorOptions = {...options, status};
+
+    if (status === 401) return new AuthError(message, errorOptions);
+    if (status === 403 && options.reason === INVALID_ATTENDANCE_CODE) return new AttendanceCodeError(message, errorOptions);
+    if (status === 403 || status === 404) return new PermissionError(message, errorOptions);
+    if (status === 429) return new QuotaError(message, errorOptions);
+    if (status === 400) return new ValidationError(message, errorOptions);
+    if (status === 409) return new ConflictError(message, errorOptions);
+
+    // 5xx 등 일시적인 서버 오류
+    return new SheetsError(message, errorOptions);
+}
+
+/**
+ * 에러 종류는 유지하면서 메시지 앞에 상황 설명을 붙임
+ * @param {Error} error - 원본 에러
+ * @param {string} context - 상황 설명 (예: '셀 업데이트 실패')
+ * @returns {Error} 같은 종류의 새 에러 (서비스 에러가 아니면 일반 Error)
+ */
+export function withContext(error, context) {
+    const message = `${context}: ${error?.message || error}`;
+
+    if (error instanceof SheetsError) {
+        const ErrorClass = error.constructor;
+        return new ErrorClass(message, {...error.options, cause: error});
+    }
+
+    return new Error(message, {cause: error});
+}
+
+/**
+ * fetch 호출 - 요청이 서버에 도달하지 못하면 NetworkError로 변환
+ * @param {string} url - 요청 URL
+ * @param {Object} options - fetch 옵션
+ * @returns {Promise<Response>} fetch 응답
+ */
+export async function fetchWithNetworkError(url, options) {
+    try {
+        return await fetch(url, options);
+    } catch (error) {
+        // 요청 취소는 네트워크 오류가 아니므로 그대로 전달
+        if (error?.name === 'AbortError') {
+            throw error;
+        }
+        throw new NetworkError(`네트워크 연결에 실패했습니다: ${error.message}`, {cause: error});
+    }
+}
@@ -0,0 +1,145 @@
+// services/fixtures/sampleSpreadsheet.js
+
+import {getCheckInToday} from '../checkInWindow.js';
+
+/**
+ * 오프라인(local) 백엔드에서 사용하는 예제 출석부
+ * 실제 스프레드시트와 같은 구조 (1행: 강의명, 2행: 날짜, 3행부터: 이름/반/출석)
+ */
+
+const LECTURE_COUNT = 14;
+
+// 오늘이 몇 번째 강의(0부터)인지 - 데모에서 바로 출석 체크를 해볼 수 있도록 오늘 강의를 포함
+const TODAY_LECTURE_INDEX = 5;
+
+// 출석 패턴 기호 → 셀 값
+const PATTERN_VALUES = {
+    O: 'O',
+    X: 'X',
+    M: 'ㅁ',
+    L: '지각',
+    E: '조퇴',
+    S: '병가',
+    P: '공가'
+};
+
+const SAMPLE_STUDENTS = [
+    ['강민영', 'A', 'XOOLOXOOEOOSOO'],
+    ['강신희', 'A', 'OXXOOOLOOXOOPO'],
+    ['강은진', 'A', 'OOOOXOOLOOOOOE'],
+    ['고태린', 'A', '-POOOXOOOLOXOO'],
+    ['김도현', 'B', 'OOLOOOXOOOSOOO'],
+    ['김민수', 'B', 'OXOEOOOLOOOXOO'],
+    ['김지연', 'B', 'LOOOOXOOPOOOEO'],
+    ['박서준', 'B', 'OOXOLOOOOXOOOS'],
+    ['박지민', 'A', 'OLOOOOEOXOOOOO'],
+    ['백승우', 'B', 'XOOOOLOXOOPOOO'],
+    ['송하은', 'B', 'OOPOXMOOOLOEOO'],
+    ['신예원', 'A', 'OXOLOOOSOOXOOO'],
+    ['안재현', 'B', 'LOOOEOXOOOOLOX'],
+    ['윤서아', 'B', 'OOXOOPOOLOOOSO'],
+    ['이준혁', 'A', 'OPOOOOLOOEOXOO'],
+    ['임채원', 'B', 'EOLOOXOOOOSOOP'],
+    ['장민호', 'B', 'OOOXLOOPOOOEXO'],
+    ['정수빈', 'A', 'OLXOOOSOOOPOOE'],
+    ['조현우', 'B', 'SOOEOLOOXOOOLO'],
+    ['최예진', 'B', 'OOEOPOXOOLOOOS']
+];
+
+// 예제 설정 탭 (출석 상태 정의) - 예제 출석부에 적힌 조퇴/병가/공가와 온라인 수강
+const SAMPLE_SETTINGS_VALUES = [
+    ['기호', '표시명', '짧은 표시명', '색상', '아이콘', '출석 인정', '관리자 전용', '설명'],
+    ['조퇴', '조퇴', '조퇴', '보라', '🚪', '예', '', '조퇴 (출석으로 인정)'],
+    ['병가', '병가', '병가', '회색', '🏥', '예', '예', '병가 (학생 화면에는 출석으로 표시)'],
+    ['공가', '공가', '공가', '파랑', '📄', '예', '', '공적 사유로 출석 인정'],
+    ['온', '온라인 수강', '온라인', '초록', '💻', '예', '', '온라인으로 수강 (출석으로 인정)']
+];
+
+// 예제 수료 기준 (설정 탭 J:K열) - 첫 강의와 마지막 강의는 필수
+const SAMPLE_COMPLETION_POLICY_VALUES = [
+    ['수료 기준', '값'],
+    ['최소 출석', '10'],
+    ['최대 결석', '3'],
+    ['소감문 인정 한도', '2'],
+    ['필수 강의', `1강, ${LECTURE_COUNT}강`]
+];
+
+// 수료 기준 표가 시작하는 열 (0부터, J열)
+const SAMPLE_COMPLETION_POLICY_COLUMN = 9;
+
+// 데모 관리자 계정 (아이디 admin, 비밀번호 1111) - 오프라인(local) 백엔드와 가짜 Sheets 서버에서만 사용
+export const SAMPLE_ADMIN_ACCOUNTS = [{
+    username: 'admin',
+    name: '데모 관리자',
+    passwordHash: 'pbkdf2-sha256$600000$_0I4Q0AWtv9BBBiI_l3Uzg$UXBK2a223536yKvl8l4vkrkT21t5dusMo1hCyKNmxGQ'
+}];
+
+/**
+ * 날짜를 스프레드시트 표시 형식("2025. 9. 10")으로 변환
+ */
+const formatSheetDate = (date) => `${date.getFullYear()}. ${date.getMonth() + 1}. ${date.getDate()}`;
+
+/**
+ * 예제 출석부 시트 값을 생성합니다.
+ * 강의는 매주 같은 요일에 열리며, 오늘 강의 이후의 출석은 비어 있습니다.
+ *
+ * @param {Date} today - 기준 날짜 (기본값: 출석부 시간대 기준 오늘)
+ * @returns {Array<Array<string>>} 시트 값 (2차원 배열)
+ */
+export function createSampleSheetValues(today = getCheckInToday()) {
+    const firstLectureDate = new Date(today.getFullYear(), today.getMonth(), today.getDate() - TODAY_LECTURE_INDEX * 7);
+
+    const lectureRow = ['이름', '반'];
+    const dateRow = ['', ''];
+
+    for (let i = 0; i < LECTURE_COUNT; i++) {
+        const date = new Date(firstLectureDate);
+        date.setDate(firstLectureDate.getDate() + i * 7);
+
+        lectureRow.push(`${i + 1}강`);
+        dateRow.push(formatSheetDate(date));
+    }
+
+    const studentRows = SAMPLE_STUDENTS.map(([name, className, pattern]) => {
+        const attendance = pattern.split('').map((symbol, index) =>
+            index < TODAY_LECTURE_INDEX ? (PATTERN_VALUES[symbol] || '') : ''
+        );
+        return [name, className, ...attendance];
+    });
+
+    return [lectureRow, dateRow, ...studentRows];
+}
+
+/**
+ * 예제 스프레드시트를 생성합니다.
+ *
+ * @param {Object} options
+ * @param {string} options.spreadsheetId - 스프레드시트 ID
+ * @param {string} options.sheetName - 출석부 시트명
+ * @param {string|null} options.settingsSheetName - 설정 시트명 (지정하면 예제 출석 상태 정의와 수료 기준 탭 포함)
+ * @param {Date} options.today - 기준 날짜
+ * @returns {{spreadsheetId: string, title: string, sheets: Object<string, Array<Array<string>>>}}
+ */
+export function createSampleSpreadsheet({spreadsheetId, sheetName, settingsSheetName = null, today = getCheckInToday()} = {}) {
+    const sheets = {
+        [sheetName]: createSampleSheetValues(today)
+    };
+    if (settingsSheetName) {
+        const rowCount = Math.max(SAMPLE_SETTINGS_VALUES.length, SAMPLE_COMPLETION_POLICY_VALUES.length);
+        sheets[settingsSheetName] = Array.from({length: rowCount}, (_, index) => {
+            const row = [...(SAMPLE_SETTINGS_VALUES[index] || [])];
+            const policyRow = SAMPLE_COMPLETION_POLICY_VALUES[index];
+            if (policyRow) {
+                while (row.length < SAMPLE_COMPLETION_POLICY_COLUMN) row.push('');
+                row.push(...policyRow);
+            }
+            return row;
+        });
+    }
+
+    return {
+        spreadsheetId,
+        title: '교리반 출석부 (예제)',
+        sheets
+    };
+}
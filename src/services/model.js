@@ -1,4 +1,16 @@
 import { parseAttendanceCell } from '../utils/attendanceStatus.js';
+import { columnIndexToLetter } from './a1Notation.js';
+import { findCheckInWindowStart, formatCheckInWindow, parseCheckInWindow } from './checkInWindow.js';
+import { ValidationError } from './errors.js';
+
+// 데이터가 시작되는 시트 행 번호 (1행: 강의명, 2행: 날짜)
+export const DATA_START_ROW = 3;
+
+// 강의(출석) 열이 시작되는 열 인덱스 (A열: 이름, B열: 반, C열부터 강의)
+export const LECTURE_START_COLUMN = 2;
+
+// 퇴소 표시 - 반 셀 뒤에 붙여서 기록 (예: 'A (퇴소)'), 출석 기록은 그대로 유지
+export const WITHDRAWN_MARKER = '(퇴소)';
 
 /**
  * 스프레드시트의 상위 2행(강의명, 날짜)을 파싱하여 헤더 정보를 추출합니다.
@@ -6,7 +18,7 @@ import { parseAttendanceCell } from '../utils/attendanceStatus.js';
  * @async
  * @function getHeader
  * @param {Array<Array<string>>} values - 스프레드시트의 전체 데이터 배열 (2차원 배열)
- * @returns {Promise<Array<{lecture: string, date: Date}>>} 강의명과 날짜 정보를 포함한 헤더 객체 배열
+ * @returns {Promise<Array<{lecture: string, date: Date, checkInWindow: Object|null, dateCell: string, column: number}>>} 강의명, 날짜, 출석체크 시간, 시트에 적힌 날짜 문자열, 원본 열 인덱스(0-based)를 포함한 헤더 객체 배열
  */
 export async function getHeader(values) {
     if (!values || values.length < 2) {
@@ -19,7 +31,7 @@ export async function getHeader(values) {
     const headers = [];
 
     // C열(인덱스 2)부터 시작
-    for (let i = 2; i < lectureRow.length; i++) {
+    for (let i = LECTURE_START_COLUMN; i < lectureRow.length; i++) {
         const lecture = lectureRow[i];
         const dateString = dateRow[i];
 
@@ -28,12 +40,17 @@ export async function getHeader(values) {
             continue;
         }
 
-        // 날짜 문자열을 Date 객체로 변환
-        const date = parseDateString(dateString);
+        // 날짜 문자열을 Date 객체와 출석체크 시간으로 변환
+        const {date, checkInWindow} = parseLectureDateCell(dateString);
 
+        // 건너뛴 열이 있어도 출석 셀을 정확히 읽고 쓰도록 원본 열 위치를 기록
         headers.push({
             lecture: lecture.toString().trim(),
-            date: date
+            date: date,
+            checkInWindow,
+            // 일정 수정 시 CAS 예상값으로 쓰기 위해 시트에 적힌 그대로의 날짜도 보관
+            dateCell: dateString.toString().trim(),
+            column: i
         });
     }
 
@@ -47,10 +64,10 @@ export async function getHeader(values) {
  * @async
  * @function getDataRows
  * @param {Array<Array<string>>} values - 스프레드시트의 전체 데이터 배열 (2차원 배열)
- * @param {number} headerLength - 헤더의 길이 (강의 수)
- * @returns {Promise<Array<{user: Object, attendance: Array}>>} 사용자 정보와 출석 정보를 포함한 객체 배열
+ * @param {Array<{column: number}>} headers - getHeader가 반환한 헤더 배열
+ * @returns {Promise<Array<{user: {name: string, class: string, classCell: string, withdrawn: boolean}, attendance: Array, rowNumber: number}>>} 사용자 정보, 출석 정보, 원본 시트 행 번호를 포함한 객체 배열
  */
-export async function getDataRows(values, headerLength) {
+export async function getDataRows(values, headers) {
     if (!values || values.length <= 2) {
         return [];
     }
@@ -58,16 +75,18 @@ export async function getDataRows(values, headerLength) {
     // 헤더 2줄을 제외한 데이터 행들
     const dataRows = values.slice(2);
 
-    const rows = dataRows.map(row => {
+    const rows = dataRows.map((row, index) => {
         // 사용자 정보 파싱 (A열과 B열)
         const user = parseUserInfo(row[0], row[1]);
 
-        // 출석 정보 파싱 (C열부터) - 새로운 attendanceStatus 모듈 사용
-        const attendance = parseAttendanceInfo(row, headerLength);
+        // 출석 정보 파싱 (헤더의 원본 열 기준) - 새로운 attendanceStatus 모듈 사용
+        const attendance = parseAttendanceInfo(row, headers);
 
         return {
             user,
-            attendance
+            attendance,
+            // 빈 행을 제외하기 전에 원본 시트 행 번호(1-based)를 기록
+            rowNumber: index + DATA_START_ROW
         };
     }).filter(item => item.user.name); // 이름이 없는 행은 제외
 
@@ -76,17 +95,121 @@ export async function getDataRows(values, headerLength) {
 }
 
 /**
- * 배열의 인덱스를 스프레드시트의 실제 행 번호로 변환합니다.
+ * 데이터 행의 스프레드시트 실제 행 번호를 반환합니다.
+ * 이름이 없는 행이 제외되므로 배열 인덱스가 아닌 파싱 시 기록한 rowNumber를 사용합니다.
+ *
+ * @param {{rowNumber: number}} dataRow - getDataRows가 반환한 데이터 행
+ * @returns {number} 1-based 시트 행 번호
+ */
+export function getRowAddress(dataRow) {
+    if (!dataRow || !Number.isInteger(dataRow.rowNumber)) {
+        throw new ValidationError('데이터 행의 시트 행 번호를 알 수 없습니다.');
+    }
+    return dataRow.rowNumber;
+}
+
+/**
+ * 데이터 행의 이름 셀(A열) 주소를 반환합니다. (CAS 검증용)
+ *
+ * @param {{rowNumber: number}} dataRow - getDataRows가 반환한 데이터 행
+ * @returns {string} A1 표기법 셀 주소
+ */
+export function getNameCellAddress(dataRow) {
+    return `A${getRowAddress(dataRow)}`;
+}
+
+/**
+ * 데이터 행의 반 셀(B열) 주소를 반환합니다.
+ *
+ * @param {{rowNumber: number}} dataRow - getDataRows가 반환한 데이터 행
+ * @returns {string} A1 표기법 셀 주소
  */
-export function getRowAddress(rowIndex) {
-    return rowIndex + 3;
+export function getClassCellAddress(dataRow) {
+    return `B${getRowAddress(dataRow)}`;
 }
 
 /**
- * 배열의 열 인덱스를 스프레드시트의 실제 열 주소(알파벳)로 변환합니다.
+ * 새 학생을 추가할 시트 행 번호를 반환합니다.
+ * 이름 없는 행도 내용이 있을 수 있으므로 조회된 마지막 행 다음 행을 사용합니다.
+ *
+ * @param {number} totalRows - 조회된 전체 행 수 (헤더 포함)
+ * @returns {number} 1-based 시트 행 번호
  */
-export function getColAddress(colIndex) {
-    return String.fromCharCode(67 + colIndex); // C(67)부터 시작
+export function getAppendRowNumber(totalRows) {
+    return Math.max(totalRows + 1, DATA_START_ROW);
+}
+
+/**
+ * 새 강의 열을 추가할 열 인덱스(0-based)를 반환합니다.
+ * 헤더가 비어 있는 열도 데이터가 있을 수 있으므로 조회된 가장 긴 행 다음 열을 사용합니다.
+ *
+ * @param {Array<Array<string>>} values - 스프레드시트의 전체 데이터 배열
+ * @returns {number} 열 인덱스 (C열 이상)
+ */
+export function getAppendColumnIndex(values) {
+    const width = (values || []).reduce((max, row) => Math.max(max, row?.length || 0), 0);
+    return Math.max(width, 2);
+}
+
+/**
+ * 날짜를 시트의 날짜 셀 형식("2025. 9. 10")으로 변환합니다.
+ * 출석체크 시간이 있으면 뒤에 붙입니다. ("2025. 9. 10 14:00~16:00 (유예 10분)")
+ *
+ * @param {Date} date - Date 객체
+ * @param {Object|null} checkInWindow - 출석체크 시간 (checkInWindow.js)
+ * @returns {string} 날짜 셀 값
+ */
+export function formatSheetDate(date, checkInWindow = null) {
+    if (!(date instanceof Date) || isNaN(date.getTime())) {
+        throw new ValidationError('올바른 날짜가 아닙니다.');
+    }
+    const dateText = `${date.getFullYear()}. ${date.getMonth() + 1}. ${date.getDate()}`;
+    return checkInWindow ? `${dateText} ${formatCheckInWindow(checkInWindow)}` : dateText;
+}
+
+/**
+ * 2행 날짜 셀을 날짜와 출석체크 시간으로 나눕니다.
+ *
+ * @param {string} dateCell - 날짜 셀 값 ("2025. 9. 10" 또는 "2025. 9. 10 14:00~16:00 (유예 10분)")
+ * @returns {{date: Date|null, checkInWindow: Object|null}} 날짜와 출석체크 시간 (없으면 null)
+ */
+export function parseLectureDateCell(dateCell) {
+    const text = (dateCell || '').toString().trim();
+    const windowStart = findCheckInWindowStart(text);
+
+    return {
+        date: parseDateString(windowStart >= 0 ? text.slice(0, windowStart) : text),
+        checkInWindow: parseCheckInWindow(text)
+    };
+}
+
+/**
+ * 반 셀에 기록할 값을 만듭니다. 퇴소한 학생은 반 뒤에 퇴소 표시를 붙입니다.
+ *
+ * @param {string} className - 반
+ * @param {boolean} withdrawn - 퇴소 여부
+ * @returns {string} 반 셀 값
+ */
+export function formatClassCell(className, withdrawn = false) {
+    const trimmed = (className || '').toString().trim();
+    if (!withdrawn) {
+        return trimmed;
+    }
+    return trimmed ? `${trimmed} ${WITHDRAWN_MARKER}` : WITHDRAWN_MARKER;
+}
+
+/**
+ * 강의 헤더의 스프레드시트 실제 열 주소(알파벳)를 반환합니다.
+ * Z열 이후는 AA, AB... 형식으로 표기합니다.
+ *
+ * @param {{column: number}} header - getHeader가 반환한 헤더
+ * @returns {string} 열 문자
+ */
+export function getColAddress(header) {
+    if (!header || !Number.isInteger(header.column)) {
+        throw new ValidationError('강의 헤더의 시트 열 위치를 알 수 없습니다.');
+    }
+    return columnIndexToLetter(header.column);
 }
 
 /**
@@ -146,26 +269,24 @@ function parseDateString(dateString) {
 
 function parseUserInfo(nameCell, classCell) {
     const name = nameCell ? nameCell.toString().trim() : '';
-    const className = classCell ? classCell.toString().trim() : '';
+    const rawClass = classCell ? classCell.toString().trim() : '';
+    const withdrawn = rawClass.includes(WITHDRAWN_MARKER);
 
     return {
         name,
-        class: className
+        class: withdrawn ? rawClass.replace(WITHDRAWN_MARKER, '').trim() : rawClass,
+        // CAS 예상값으로 쓰기 위해 시트에 적힌 그대로의 반 셀 값도 보관
+        classCell: rawClass,
+        withdrawn
     };
 }
 
-function parseAttendanceInfo(row, headerLength) {
-    const attendance = [];
-
-    // C열(인덱스 2)부터 시작하여 headerLength만큼 처리
-    for (let i = 0; i < headerLength; i++) {
-        const cellIndex = i + 2; // C열부터 시작하므로 +2
-        const cellValue = row[cellIndex];
+function parseAttendanceInfo(row, headers) {
+    // 각 강의 헤더의 원본 열에서 출석 값을 읽음
+    return headers.map(header => {
+        const cellValue = row[header.column];
 
         // 새로운 attendanceStatus 모듈의 parseAttendanceCell 함수 사용
-        const attendanceItem = parseAttendanceCell(cellValue);
-        attendance.push(attendanceItem);
-    }
-
-    return attendance;
+        return parseAttendanceCell(cellValue);
+    });
 }
\ No newline at end of file
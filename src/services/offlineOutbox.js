@@ -0,0 +1,324 @@
+// services/offlineOutbox.js
+
+import {AuthError, ConflictError, NetworkError, QuotaError} from './errors.js';
+
+const DB_NAME = 'stg-attendance';
+const DB_VERSION = 1;
+const STORE_NAME = 'outbox';
+
+// 대기열 항목 상태
+export const OUTBOX_STATUS = {
+    PENDING: 'pending',     // 연결 복구 후 다시 보낼 항목
+    CONFLICT: 'conflict',   // 재전송 중 CAS 충돌 - 관리자 확인 필요
+    REJECTED: 'rejected'    // 재전송했지만 거부됨 (인증번호 불일치, 출석체크 마감 등) - 기록한 사람에게 안내
+};
+
+/**
+ * 네트워크 연결 문제로 실패한 요청인지 확인
+ * @param {Error} error - 요청 오류
+ * @returns {boolean} 오프라인/네트워크 오류 여부
+ */
+export function isNetworkFailure(error) {
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+        return true;
+    }
+    return error instanceof NetworkError;
+}
+
+/**
+ * 재전송 실패 중 나중에 다시 보내면 되는 오류인지 (연결 끊김, 요청 제한/잠금, 로그인 만료)
+ */
+const isRetryableFailure = (error) => isNetworkFailure(error) || error instanceof QuotaError || error instanceof AuthError;
+
+/**
+ * 본인 출석체크 항목인지 (인증번호나 QR 토큰으로 학생이 직접 기록)
+ * @param {Object} entry - 대기열 항목
+ * @returns {boolean} 본인 출석체크 여부
+ */
+export const isSelfCheckInEntry = (entry) => entry.attendanceCode !== undefined || entry.checkInToken !== undefined;
+
+/**
+ * IDBRequest를 Promise로 변환
+ */
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+/**
+ * 오프라인 출석 기록 대기열
+ * 연결이 끊긴 동안의 셀 쓰기를 예상값, 시각과 함께 IndexedDB에 보관하고
+ * 연결이 복구되면 CAS로 다시 기록. IndexedDB가 없는 환경에서는 메모리에 보관
+ */
+class OfflineOutbox {
+    constructor() {
+        this.dbPromise = null;
+        this.memoryEntries = new Map();
+        this.nextMemoryId = 1;
+        this.listeners = new Set();
+        this.replaying = null;
+    }
+
+    // ===== 저장소 =====
+
+    /**
+     * IndexedDB 연결 (없으면 null)
+     * @returns {Promise<IDBDatabase|null>} DB 연결
+     */
+    openDatabase() {
+        if (typeof indexedDB === 'undefined') {
+            return Promise.resolve(null);
+        }
+
+        if (!this.dbPromise) {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(STORE_NAME, {keyPath: 'id', autoIncrement: true});
+            };
+            this.dbPromise = promisifyRequest(request).catch(error => {
+                console.warn('⚠️ IndexedDB를 열 수 없어 메모리 대기열을 사용합니다:', error?.message);
+                return null;
+            });
+        }
+
+        return this.dbPromise;
+    }
+
+    /**
+     * 대기열 저장소에 트랜잭션 실행
+     * @param {string} mode - 'readonly' | 'readwrite'
+     * @param {Function} operation - (store) => IDBRequest
+     * @returns {Promise<*>} 요청 결과
+     */
+    async withStore(mode, operation) {
+        const db = await this.openDatabase();
+        const store = db.transaction(STORE_NAME, mode).objectStore(STORE_NAME);
+        return promisifyRequest(operation(store));
+    }
+
+    /**
+     * 전체 항목 조회 (기록 시각 순)
+     * @returns {Promise<Array<Object>>} 대기열 항목
+     */
+    async list() {
+        const db = await this.openDatabase();
+        const entries = db
+            ? await this.withStore('readonly', store => store.getAll())
+            : [...this.memoryEntries.values()];
+
+        return entries.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+
+    async put(entry) {
+        const db = await this.openDatabase();
+        if (db) {
+            const id = await this.withStore('readwrite', store => store.put(entry));
+            return {...entry, id};
+        }
+
+        const saved = {...entry, id: entry.id ?? this.nextMemoryId++};
+        this.memoryEntries.set(saved.id, saved);
+        return saved;
+    }
+
+    /**
+     * 항목 삭제 (전송 완료, 관리자가 충돌을 확인하거나 학생이 거부 안내를 확인한 뒤 정리)
+     * @param {number} id - 항목 ID
+     */
+    async remove(id) {
+        const db = await this.openDatabase();
+        if (db) {
+            await this.withStore('readwrite', store => store.delete(id));
+        } else {
+            this.memoryEntries.delete(id);
+        }
+        await this.notify();
+    }
+
+    // ===== 대기열 관리 =====
+
+    /**
+     * 실패한 셀 쓰기를 대기열에 추가
+     * 같은 셀에 대기 중인 항목이 있으면 처음 예상값은 유지하고 새 값만 갱신
+     * @param {Object} write
+     * @param {string} write.spreadsheetId - 스프레드시트 ID
+     * @param {string} write.sheetName - 시트명
+     * @param {string} write.cellAddress - 셀 주소
+     * @param {string} write.newValue - 기록할 값
+     * @param {string} write.expectedValue - 기록 당시 화면에 보이던 값 (CAS 예상값)
+     * @param {Array<{cellAddress: string, expectedValue: string}>} write.guards - 함께 확인할 셀
+     * @param {string} write.attendanceCode - 본인 출석체크 인증번호 (재전송 때 서버에서 확인)
+     * @param {string} write.checkInToken - QR 출석 토큰 (인증번호 대신, 재전송 때 서버에서 확인)
+     * @param {string} write.userName - 학생 이름 (관리자 화면 표시용)
+     * @param {string} write.lecture - 강의명 (관리자 화면 표시용)
+     * @returns {Promise<Object>} 저장된 항목 (queuedAt: 마지막으로 보관한 시각 - 본인 출석체크는 변경 이력 메모로 남김)
+     */
+    async enqueue({spreadsheetId, sheetName, cellAddress, newValue, expectedValue, guards = [], attendanceCode, checkInToken, userName, lecture}) {
+        const entries = await this.list();
+        const existing = entries.find(entry =>
+            entry.status === OUTBOX_STATUS.PENDING &&
+            entry.spreadsheetId === spreadsheetId &&
+            entry.sheetName === sheetName &&
+            entry.cellAddress === cellAddress
+        );
+
+        // 다시 입력한 인증번호로 보내므로 보관 시각도 함께 갱신
+        const queuedAt = Date.now();
+        const saved = await this.put(existing
+            ? {...existing, newValue, attendanceCode, checkInToken, queuedAt, updatedAt: new Date(queuedAt).toISOString()}
+            : {
+                spreadsheetId,
+                sheetName,
+                cellAddress,
+                newValue,
+                expectedValue: expectedValue ?? '',
+                guards,
+                attendanceCode,
+                checkInToken,
+                userName,
+                lecture,
+                status: OUTBOX_STATUS.PENDING,
+                attempts: 0,
+                lastError: null,
+                queuedAt,
+                createdAt: new Date(queuedAt).toISOString()
+            });
+
+        console.log(`📥 오프라인 대기열 저장: ${sheetName}!${cellAddress} = "${newValue}" (${userName || '알 수 없음'})`);
+        await this.notify();
+        return saved;
+    }
+
+    /**
+     * 대기 중인 항목을 CAS로 다시 기록
+     * 본인 출석체크는 보관한 시각(queuedAt)을 함께 보내 변경 이력 메모로 남김 (출석/지각과 인증번호는 백엔드가 받은 시각으로 판정)
+     * 네트워크 오류, 요청 제한, 로그인 만료면 남은 항목은 다음 연결 복구 때 다시 시도
+     * CAS 충돌은 CONFLICT, 그 밖의 거부(인증번호 불일치, 출석체크 마감 등)는 REJECTED로 남겨 화면에서 안내
+     * @param {import('./SheetsDataBackend.js').SheetsDataBackend} backend - 데이터 백엔드
+     * @returns {Promise<{written: number, conflicts: number, rejected: number, remaining: number, writtenEntries: Array<Object>, failedEntries: Array<Object>}>} 재전송 결과 (writtenEntries: 기록된 항목과 기록 전 값, 서버가 이력을 남겼는지 여부 / failedEntries: 충돌/거부된 항목과 충돌한 시트 값)
+     */
+    async replay(backend) {
+        // 동시에 여러 번 호출되어도 한 번만 재전송
+        if (!this.replaying) {
+            this.replaying = this.replayPending(backend).finally(() => {
+                this.replaying = null;
+            });
+        }
+        return this.replaying;
+    }
+
+    async replayPending(backend) {
+        const pending = (await this.list()).filter(entry => entry.status === OUTBOX_STATUS.PENDING);
+        const summary = {written: 0, conflicts: 0, rejected: 0, remaining: pending.length, writtenEntries: [], failedEntries: []};
+
+        if (pending.length === 0) {
+            return summary;
+        }
+
+        console.log(`📤 오프라인 대기열 재전송 시작: ${pending.length}건`);
+
+        for (const entry of pending) {
+            try {
+                const updateResult = await backend.updateCellWithCAS(
+                    entry.spreadsheetId,
+                    entry.sheetName,
+                    entry.cellAddress,
+                    entry.newValue,
+                    entry.expectedValue,
+                    {
+                        guards: entry.guards,
+                        attendanceCode: entry.attendanceCode,
+                        checkInToken: entry.checkInToken,
+                        queuedAt: isSelfCheckInEntry(entry) ? entry.queuedAt ?? Date.parse(entry.createdAt) : undefined
+                    }
+                );
+
+                await this.remove(entry.id);
+                summary.writtenEntries.push({
+                    ...entry,
+                    // 본인 출석체크는 백엔드가 받은 시각의 출석체크 시간에 따라 출석/지각이 정해짐
+                    newValue: updateResult.newValue ?? entry.newValue,
+                    previousValue: updateResult.previousValue,
+                    audited: Boolean(updateResult.audited)
+                });
+                summary.written++;
+                summary.remaining--;
+            } catch (error) {
+                if (isRetryableFailure(error)) {
+                    // 아직 오프라인이거나 잠시 거부됨 - 남은 항목은 그대로 유지
+                    await this.put({...entry, attempts: entry.attempts + 1, lastError: error.message});
+                    console.warn('⚠️ 지금은 보낼 수 없어 재전송을 중단합니다:', error.message);
+                    break;
+                }
+
+                // 충돌은 관리자 확인 대상, 그 밖의 거부는 기록한 사람에게 안내할 대상으로 표시
+                const isConflict = error instanceof ConflictError;
+                const failedEntry = {
+                    ...entry,
+                    status: isConflict ? OUTBOX_STATUS.CONFLICT : OUTBOX_STATUS.REJECTED,
+                    attempts: entry.attempts + 1,
+                    lastError: error.message,
+                    failedAt: new Date().toISOString()
+                };
+                await this.put(failedEntry);
+                summary.failedEntries.push({...failedEntry, currentValue: isConflict ? error.currentValue : undefined});
+                if (isConflict) {
+                    summary.conflicts++;
+                } else {
+                    summary.rejected++;
+                }
+                summary.remaining--;
+                console.warn(`⚠️ 대기열 재전송 ${isConflict ? '충돌' : '거부'}: ${entry.cellAddress} - ${error.message}`);
+            }
+        }
+
+        await this.notify();
+        console.log(`✅ 오프라인 대기열 재전송 완료: 기록 ${summary.written}, 충돌 ${summary.conflicts}, 거부 ${summary.rejected}, 남음 ${summary.remaining}`);
+        return summary;
+    }
+
+    // ===== 상태 보고 =====
+
+    /**
+     * 대기열 상태 요약
+     * @returns {Promise<{pending: number, conflicts: number, rejected: number, entries: Array<Object>}>} 상태
+     */
+    async getStatus() {
+        const entries = await this.list();
+        return {
+            pending: entries.filter(entry => entry.status === OUTBOX_STATUS.PENDING).length,
+            conflicts: entries.filter(entry => entry.status === OUTBOX_STATUS.CONFLICT).length,
+            rejected: entries.filter(entry => entry.status === OUTBOX_STATUS.REJECTED).length,
+            entries
+        };
+    }
+
+    /**
+     * 대기열 변경 구독
+     * @param {Function} listener - 상태 요약을 받는 콜백
+     * @returns {Function} 구독 해제 함수
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    async notify() {
+        if (this.listeners.size === 0) return;
+
+        const status = await this.getStatus();
+        this.listeners.forEach(listener => {
+            try {
+                listener(status);
+            } catch (error) {
+                console.error('대기열 상태 콜백 오류:', error);
+            }
+        });
+    }
+}
+
+// 앱 전체에서 공유하는 대기열
+const offlineOutbox = new OfflineOutbox();
+
+export default offlineOutbox;
+export {OfflineOutbox};
@@ -0,0 +1,77 @@
+// services/semesters.js
+
+import {SHEETS_CONFIG} from './sheetsConfig.js';
+
+// 학기별 탭 이름 형식 (예: '25-2학기', '25-1학기 출석부')
+export const SEMESTER_SHEET_PATTERN = /^(\d{2})-([12])학기/;
+
+/**
+ * 탭 이름에서 학기 정보 추출
+ * @param {string} title - 시트 탭 이름
+ * @returns {{year: number, term: number, label: string}|null} 학기 정보 (학기 탭이 아니면 null)
+ */
+export function parseSemesterTitle(title) {
+    const match = (title || '').trim().match(SEMESTER_SHEET_PATTERN);
+    if (!match) return null;
+
+    return {
+        year: parseInt(match[1], 10),
+        term: parseInt(match[2], 10),
+        label: match[0]
+    };
+}
+
+/**
+ * 날짜 기준 현재 학기 이름 (3~8월: 1학기, 9~2월: 2학기)
+ * @param {Date} today - 기준 날짜
+ * @returns {string} 학기 이름 (예: '25-2학기')
+ */
+export function getCurrentSemesterLabel(today = new Date()) {
+    const month = today.getMonth() + 1;
+    const year = month <= 2 ? today.getFullYear() - 1 : today.getFullYear();
+    const term = month >= 3 && month <= 8 ? 1 : 2;
+
+    return `${String(year % 100).padStart(2, '0')}-${term}학기`;
+}
+
+/**
+ * 스프레드시트 메타데이터에서 학기 탭 목록 생성 (최근 학기부터)
+ * 기본 출석부 탭(SHEETS_CONFIG.sheetName)이 학기 형식이 아니어도 목록에 포함
+ * @param {Object} metadata - 스프레드시트 메타데이터 (Sheets API spreadsheets.get 응답)
+ * @param {string} defaultSheetName - 기본 출석부 탭 이름
+ * @returns {Array<{sheetName: string, label: string, year: number|null, term: number|null}>} 학기 탭 목록
+ */
+export function listSemesterSheets(metadata, defaultSheetName = SHEETS_CONFIG.sheetName) {
+    const titles = (metadata?.sheets || []).map(sheet => sheet.properties?.title).filter(Boolean);
+
+    const semesters = titles
+        .map(title => {
+            const semester = parseSemesterTitle(title);
+            return semester ? {sheetName: title, ...semester} : null;
+        })
+        .filter(Boolean)
+        .sort((a, b) => (b.year - a.year) || (b.term - a.term));
+
+    if (titles.includes(defaultSheetName) && !semesters.some(semester => semester.sheetName === defaultSheetName)) {
+        semesters.push({sheetName: defaultSheetName, label: defaultSheetName, year: null, term: null});
+    }
+
+    return semesters;
+}
+
+/**
+ * 기본으로 선택할 학기 탭
+ * 오늘 날짜의 학기 탭 → 기본 출석부 탭 → 가장 최근 학기 탭 순서로 선택
+ * @param {Array<Object>} semesters - listSemesterSheets 결과
+ * @param {string} defaultSheetName - 기본 출석부 탭 이름
+ * @param {Date} today - 기준 날짜
+ * @returns {Object|null} 선택할 학기 탭
+ */
+export function pickDefaultSemester(semesters, defaultSheetName = SHEETS_CONFIG.sheetName, today = new Date()) {
+    const currentLabel = getCurrentSemesterLabel(today);
+
+    return semesters.find(semester => semester.label === currentLabel)
+        || semesters.find(semester => semester.sheetName === defaultSheetName)
+        || semesters[0]
+        || null;
+}
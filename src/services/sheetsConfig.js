@@ -1,5 +1,10 @@
 // services/sheetsConfig.js
 
+import {DEFAULT_CODE_PERIOD_SECONDS} from './attendanceCodes.js';
+import {DEFAULT_ADMIN_IDLE_TIMEOUT_MS, DEFAULT_ADMIN_SESSION_TTL_MS} from './adminAccounts.js';
+import {REQUEST_TYPE} from './studentRequests.js';
+import {DEFAULT_TIME_ZONE} from './checkInWindow.js';
+
 // Google Sheets 관련 설정
 export const SHEETS_CONFIG = {
     // 스프레드시트 ID
@@ -9,7 +14,64 @@ export const SHEETS_CONFIG = {
     sheetName: '출석부 웹페이지 DB',
 
     // 데이터 범위
-    range: 'A1:P500',
+    // null이면 시트 메타데이터(gridProperties)로 실제 크기를 확인해 전체 사용 범위를 조회
+    range: null,
+
+    // 출석 변경 이력 시트명 (없으면 처음 기록할 때 생성, 행 추가만 하고 수정/삭제하지 않음)
+    auditSheetName: '변경 이력',
+
+    // 설정 시트명 (출석 상태 정의 등, 없으면 기본 출석 상태만 사용)
+    settingsSheetName: '설정',
+
+    // 학생 신청 종류별 시트명 (없으면 처음 신청할 때 생성, 관리자만 조회)
+    requestSheetNames: {
+        [REQUEST_TYPE.ABSENCE]: '결석 신청',
+        [REQUEST_TYPE.ESSAY]: '소감문'
+    },
+
+    // 데이터 백엔드 ('google' | 'local')
+    // local: 브라우저 메모리/localStorage의 예제 출석부를 사용 (데모, 관리자 교육, 테스트용)
+    backend: import.meta.env.VITE_DATA_BACKEND || 'google',
+
+    // 프록시 서버 주소 (예: 'http://localhost:8787')
+    // 지정하면 google 백엔드가 Google 대신 프록시 서버(server/)를 호출하며, 서비스 계정 자격 증명은 서버에만 둠
+    proxyUrl: import.meta.env.VITE_SHEETS_PROXY_URL || null,
+
+    // 본인 출석체크 인증번호 (프록시 서버 없이 google 백엔드를 직접 사용할 때만 - 브라우저 번들에 포함됨)
+    // 프록시 모드에서는 지정하지 않고 서버의 ATTENDANCE_CODE로 확인
+    attendanceCode: import.meta.env.VITE_ATTENDANCE_CODE || null,
+
+    // 강의별 시간 기반 인증번호의 비밀 값 (지정하면 고정 인증번호 대신 사용, 브라우저 번들에 포함됨)
+    // 프록시 모드에서는 지정하지 않고 서버의 ATTENDANCE_CODE_SECRET 사용
+    attendanceCodeSecret: import.meta.env.VITE_ATTENDANCE_CODE_SECRET || null,
+
+    // 출석부 시간대 - 출석체크 시간(시작, 지각, 마감)과 강의 당일을 이 시간대로 계산 (프록시 서버의 TIME_ZONE과 같게 지정)
+    timeZone: import.meta.env.VITE_TIME_ZONE || DEFAULT_TIME_ZONE,
+
+    // 강의 시작 몇 분 전부터 본인 출석체크를 받을지 (기본값 0 - 시작 시각부터, 프록시 서버의 CHECK_IN_OPEN_LEAD_MINUTES와 같게 지정)
+    checkInOpenLeadMinutes: Number(import.meta.env.VITE_CHECK_IN_OPEN_LEAD_MINUTES) || 0,
+
+    // 시간 기반 인증번호가 바뀌는 주기 (초)
+    attendanceCodePeriod: Number(import.meta.env.VITE_ATTENDANCE_CODE_PERIOD) || DEFAULT_CODE_PERIOD_SECONDS,
+
+    // 관리자 계정은 브라우저 번들에 두지 않음 (프록시 서버의 ADMIN_ACCOUNTS, local 데모는 데모 계정 admin / 1111)
+
+    // 관리자 세션 유효 시간과 유휴 시간 (밀리초, 프록시 모드에서는 서버의 ADMIN_SESSION_TTL_MINUTES, ADMIN_SESSION_IDLE_MINUTES 사용)
+    adminSessionTtlMs: (Number(import.meta.env.VITE_ADMIN_SESSION_TTL_MINUTES) * 60 * 1000) || DEFAULT_ADMIN_SESSION_TTL_MS,
+    adminIdleTimeoutMs: (Number(import.meta.env.VITE_ADMIN_SESSION_IDLE_MINUTES) * 60 * 1000) || DEFAULT_ADMIN_IDLE_TIMEOUT_MS,
+
+    // local 백엔드 저장 방식 ('memory' | 'localStorage')
+    localStorage: import.meta.env.VITE_LOCAL_BACKEND_STORAGE || 'localStorage',
+
+    // 요청 대기열 설정 (Sheets API 할당량: 사용자별 분당 60회)
+    requestQueue: {
+        maxConcurrent: 3,       // 동시 요청 수
+        requestsPerMinute: 60,  // 분당 요청 수
+        burstSize: 10,          // 한 번에 몰아서 보낼 수 있는 요청 수
+        maxRetries: 4,          // 429/5xx/네트워크 오류 재시도 횟수
+        baseDelayMs: 500,       // 첫 재시도 대기 시간
+        maxDelayMs: 16000       // 최대 재시도 대기 시간
+    },
 
     // API 관련 설정
     api: {
@@ -21,7 +83,11 @@ export const SHEETS_CONFIG = {
 
 // 서비스 계정 자격 증명
 // 실제 운영 환경에서는 환경변수나 별도 보안 저장소에서 관리해야 함
-export const SERVICE_ACCOUNT_CREDENTIALS = JSON.parse(import.meta.env.VITE_SERVICE_ACCOUNT_CREDENTIALS);
+// local 백엔드나 프록시 서버를 사용하는 경우 자격 증명이 없을 수 있으므로 null 허용
+// (VITE_ 환경변수는 브라우저 번들에 포함되므로 운영 환경에서는 프록시 서버 사용 권장)
+export const SERVICE_ACCOUNT_CREDENTIALS = import.meta.env.VITE_SERVICE_ACCOUNT_CREDENTIALS
+    ? JSON.parse(import.meta.env.VITE_SERVICE_ACCOUNT_CREDENTIALS)
+    : null;
 
 // 기본 요청 옵션
 export const DEFAULT_REQUEST_OPTIONS = {
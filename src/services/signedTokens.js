@@ -0,0 +1,108 @@
+// services/signedTokens.js
+// 서명된 토큰 (QR 출석 링크, 관리자 세션)
+// 브라우저와 프록시 서버(Node)가 함께 사용하므로 import.meta.env 등 번들러 전용 기능은 사용하지 않음
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+/**
+ * 바이트 → base64url (주소와 헤더에 그대로 쓸 수 있는 형식)
+ * @param {Uint8Array} bytes - 바이트
+ * @returns {string} base64url 문자열
+ */
+export const toBase64Url = (bytes) => btoa(String.fromCharCode(...bytes))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+
+/**
+ * base64url → 바이트
+ * @param {string} text - base64url 문자열
+ * @returns {Uint8Array} 바이트
+ */
+export const fromBase64Url = (text) => {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    return Uint8Array.from(atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, '=')), char => char.charCodeAt(0));
+};
+
+const importKey = (secret) => globalThis.crypto.subtle.importKey(
+    'raw',
+    textEncoder.encode(secret),
+    {name: 'HMAC', hash: 'SHA-256'},
+    false,
+    ['sign', 'verify']
+);
+
+/**
+ * 토큰 생성
+ * 토큰 형식: base64url(JSON 내용).base64url(HMAC-SHA256 서명)
+ * 같은 비밀 값을 여러 용도에 쓰므로 서명 대상 앞에 용도를 붙여 다른 용도의 토큰으로 쓰지 못하게 함
+ * @param {string} secret - 비밀 값
+ * @param {string} purpose - 토큰 용도 (예: 'check-in-link')
+ * @param {Object} payload - 토큰 내용 (expiresAt 포함)
+ * @returns {Promise<string>} 토큰
+ */
+export async function signToken(secret, purpose, payload) {
+    const encodedPayload = toBase64Url(textEncoder.encode(JSON.stringify(payload)));
+    const key = await importKey(secret);
+    const signature = new Uint8Array(await globalThis.crypto.subtle.sign(
+        'HMAC',
+        key,
+        textEncoder.encode(`${purpose}:${encodedPayload}`)
+    ));
+
+    return `${encodedPayload}.${toBase64Url(signature)}`;
+}
+
+/**
+ * 토큰 내용 읽기 (서명은 확인하지 않음)
+ * @param {string} token - 토큰
+ * @returns {Object|null} 토큰 내용
+ */
+export function decodeToken(token) {
+    try {
+        const [payload] = (token || '').split('.');
+        const decoded = JSON.parse(textDecoder.decode(fromBase64Url(payload)));
+        return decoded && typeof decoded === 'object' ? decoded : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * 토큰 확인
+ * @param {string} token - 토큰
+ * @param {string} secret - 비밀 값
+ * @param {string} purpose - 토큰 용도
+ * @param {Object} options
+ * @param {number} options.now - 기준 시각 (기본값: 현재)
+ * @returns {Promise<Object|null>} 서명이 맞고 만료되지 않았으면 토큰 내용, 아니면 null
+ */
+export async function verifyToken(token, secret, purpose, {now = Date.now()} = {}) {
+    if (!secret || typeof token !== 'string') {
+        return null;
+    }
+
+    const [payload, signature, ...rest] = token.split('.');
+    if (!payload || !signature || rest.length > 0) {
+        return null;
+    }
+
+    try {
+        const key = await importKey(secret);
+        const isValid = await globalThis.crypto.subtle.verify(
+            'HMAC',
+            key,
+            fromBase64Url(signature),
+            textEncoder.encode(`${purpose}:${payload}`)
+        );
+        if (!isValid) {
+            return null;
+        }
+    } catch {
+        return null;
+    }
+
+    const decoded = decodeToken(token);
+    return decoded && decoded.expiresAt > now ? decoded : null;
+}
@@ -0,0 +1,240 @@
+// services/studentRequests.js
+
+// 학생 신청(결석 사유, 소감문) 행 형식과 확인 - 설정(import.meta.env)에 의존하지 않으므로 프록시 서버와 함께 사용
+// 신청은 종류별 전용 시트에 행 추가로 쌓고, 관리자가 승인/반려하면 그 행의 처리 열만 채움
+
+import {columnIndexToLetter, parseCellReference} from './a1Notation.js';
+import {DATA_START_ROW, LECTURE_START_COLUMN} from './model.js';
+import {formatAuditTimestamp} from './auditEntries.js';
+import {ConflictError, ValidationError} from './errors.js';
+import {ATTENDANCE_STATUS} from '../utils/attendanceStatus.js';
+
+// 신청 종류 (종류마다 시트가 따로 있음 - SHEETS_CONFIG.requestSheetNames)
+export const REQUEST_TYPE = {
+    ABSENCE: 'absence',     // 결석 사유 신청
+    ESSAY: 'essay'          // 소감문 제출 (결석한 강의를 소감문으로 출석 인정)
+};
+
+// 종류별 시트 열 (1행 제목) - 6번째 열은 학생이 쓴 내용, 7번째 열부터는 관리자 처리 결과
+export const REQUEST_COLUMNS = {
+    [REQUEST_TYPE.ABSENCE]: ['신청 시각', '시트', '셀', '학생', '강의', '사유', '상태', '처리 시각', '처리 관리자', '기록 값', '메모'],
+    [REQUEST_TYPE.ESSAY]: ['제출 시각', '시트', '셀', '학생', '강의', '소감문', '상태', '처리 시각', '처리 관리자', '기록 값', '메모']
+};
+
+// 종류별 내용 이름 (안내/에러 메시지용)
+export const REQUEST_TEXT_LABELS = {
+    [REQUEST_TYPE.ABSENCE]: '결석 사유',
+    [REQUEST_TYPE.ESSAY]: '소감문'
+};
+
+// 승인하면 항상 기록하는 값 (없으면 관리자가 고른 값)
+export const REQUEST_APPROVAL_VALUES = {
+    [REQUEST_TYPE.ESSAY]: ATTENDANCE_STATUS.ESSAY
+};
+
+// 처리 상태
+export const REQUEST_STATUS = {
+    PENDING: 'pending',     // 관리자 확인 대기
+    APPROVED: 'approved',   // 승인 (출석 셀에 기록 값 기록)
+    REJECTED: 'rejected'    // 반려 (출석 셀은 그대로)
+};
+
+export const REQUEST_STATUS_LABELS = {
+    [REQUEST_STATUS.PENDING]: '대기',
+    [REQUEST_STATUS.APPROVED]: '승인',
+    [REQUEST_STATUS.REJECTED]: '반려'
+};
+
+// 학생이 쓸 수 있는 내용의 최대 길이 (종류별로 다르면 REQUEST_TEXT_LIMITS)
+export const MAX_REQUEST_TEXT_LENGTH = 1000;
+
+export const REQUEST_TEXT_LIMITS = {
+    [REQUEST_TYPE.ESSAY]: 5000
+};
+
+// 상태 열부터 메모 열까지 (0부터, G~K열)
+const DECISION_START_COLUMN = 6;
+
+// 처리 관리자 열 (0부터, I열 - 프록시 서버는 이 열을 세션 토큰의 관리자로 채움)
+export const REQUEST_DECIDED_BY_COLUMN = DECISION_START_COLUMN + 2;
+
+/**
+ * 알 수 없는 종류면 ValidationError
+ * @param {string} type - 신청 종류
+ * @returns {Array<string>} 시트 열
+ */
+export function getRequestColumns(type) {
+    const columns = REQUEST_COLUMNS[type];
+    if (!columns) {
+        throw new ValidationError(`알 수 없는 신청 종류입니다: ${type}`);
+    }
+    return columns;
+}
+
+/**
+ * 종류별 내용 최대 길이
+ * @param {string} type - 신청 종류
+ * @returns {number} 최대 글자 수
+ */
+export function getRequestTextLimit(type) {
+    return REQUEST_TEXT_LIMITS[type] || MAX_REQUEST_TEXT_LENGTH;
+}
+
+/**
+ * 학생이 쓴 내용 정리 (앞뒤 공백 제거, 비었거나 너무 길면 ValidationError)
+ * @param {string} type - 신청 종류
+ * @param {string} text - 학생이 쓴 내용
+ * @returns {string} 정리한 내용
+ */
+export function normalizeRequestText(type, text) {
+    const label = REQUEST_TEXT_LABELS[type] || '내용';
+    const limit = getRequestTextLimit(type);
+    const trimmed = (typeof text === 'string' ? text : '').trim();
+
+    if (!trimmed) {
+        throw new ValidationError(`${label}: 내용을 입력해주세요.`);
+    }
+    if (trimmed.length > limit) {
+        throw new ValidationError(`${label}: ${limit}자 이내로 입력해주세요. (현재 ${trimmed.length}자)`);
+    }
+    return trimmed;
+}
+
+/**
+ * 신청할 출석 셀 확인과 함께 읽을 셀 (학생 행의 이름 셀, 강의 열의 강의명 셀)
+ * @param {string} cellAddress - 출석 셀 주소
+ * @returns {{cellAddress: string, nameCell: string, lectureCell: string}} 셀 주소
+ */
+export function getRequestTargetCells(cellAddress) {
+    const normalized = (cellAddress || '').toString().toUpperCase();
+    const {row, col} = parseCellReference(normalized);
+    if (row + 1 < DATA_START_ROW || col < LECTURE_START_COLUMN) {
+        throw new ValidationError(`출석 셀이 아닙니다: ${normalized}`);
+    }
+
+    return {
+        cellAddress: normalized,
+        nameCell: `A${row + 1}`,
+        lectureCell: `${columnIndexToLetter(col)}1`
+    };
+}
+
+/**
+ * 시트에서 읽은 이름/강의명이 신청과 맞는지 확인
+ * 학생 이름은 화면이 보낸 값과 시트 값이 같아야 하며 (그 사이 명단이 바뀌면 ConflictError), 기록에는 시트 값을 사용
+ * @param {Object} target
+ * @param {string} target.userName - 화면이 보낸 학생 이름
+ * @param {string} target.nameValue - 시트의 이름 셀 값
+ * @param {string} target.lecture - 시트의 강의명 셀 값
+ * @param {string} target.nameCell - 이름 셀 주소
+ */
+export function assertRequestTarget({userName, nameValue, lecture, nameCell}) {
+    const name = (nameValue || '').toString().trim();
+    if (!name) {
+        throw new ValidationError(`학생 행이 아닙니다: ${nameCell}`);
+    }
+    if (name !== (userName || '').toString().trim()) {
+        throw new ConflictError(`학생 정보가 변경되었습니다. ${nameCell} 현재 값: "${name}"`, {
+            cellAddress: nameCell,
+            currentValue: name,
+            expectedValue: userName
+        });
+    }
+    if (!(lecture || '').toString().trim()) {
+        throw new ValidationError('강의 열이 아닙니다.');
+    }
+}
+
+/**
+ * 신청 항목 → 시트 행
+ * @param {Object} entry - {timestamp, sheetName, cellAddress, userName, lecture, text, status, decidedAt, decidedBy, value, note}
+ * @returns {Array<string>} 시트 행
+ */
+export function toRequestRow(entry) {
+    return [
+        entry.timestamp || formatAuditTimestamp(),
+        entry.sheetName || '',
+        entry.cellAddress || '',
+        entry.userName || '',
+        entry.lecture || '',
+        entry.text || '',
+        entry.status || REQUEST_STATUS.PENDING,
+        entry.decidedAt || '',
+        entry.decidedBy || '',
+        entry.value ?? '',
+        entry.note || ''
+    ].map(value => value.toString());
+}
+
+/**
+ * 시트 행 → 신청 항목
+ * @param {Array<string>} row - 시트 행
+ * @param {number} rowNumber - 시트 행 번호 (1-based)
+ * @returns {Object} 신청 항목
+ */
+export function parseRequestRow(row, rowNumber) {
+    const [
+        timestamp = '', sheetName = '', cellAddress = '', userName = '', lecture = '', text = '',
+        status = '', decidedAt = '', decidedBy = '', value = '', note = ''
+    ] = row;
+    return {rowNumber, timestamp, sheetName, cellAddress, userName, lecture, text, status, decidedAt, decidedBy, value, note};
+}
+
+/**
+ * 시트 값 → 신청 항목 목록 (1행 제목 제외, 시각이 없는 행 제외)
+ * @param {Array<Array<string>>} values - 신청 시트 값
+ * @returns {Array<Object>} 신청 항목 (시트 순서)
+ */
+export function parseRequestRows(values) {
+    return (values || [])
+        .slice(1)
+        .map((row, index) => parseRequestRow(row, index + 2))
+        .filter(entry => entry.timestamp);
+}
+
+/**
+ * 같은 출석 셀에 아직 처리되지 않은 신청 찾기
+ * @param {Array<Object>} entries - 신청 항목
+ * @param {{sheetName: string, cellAddress: string}} target - 출석 셀
+ * @returns {Object|undefined} 대기 중인 신청
+ */
+export function findPendingRequest(entries, {sheetName, cellAddress}) {
+    return entries.find(entry =>
+        entry.status === REQUEST_STATUS.PENDING &&
+        entry.sheetName === sheetName &&
+        entry.cellAddress === cellAddress
+    );
+}
+
+/**
+ * 신청 처리 결과를 기록할 셀 (상태 셀이 아직 대기일 때만 기록하도록 CAS 예상값 포함)
+ * @param {Object} request - 신청 항목 (rowNumber 필수)
+ * @param {Object} decision
+ * @param {string} decision.status - REQUEST_STATUS.APPROVED 또는 REJECTED
+ * @param {string} decision.decidedBy - 처리한 관리자 아이디
+ * @param {string} decision.value - 출석 셀에 기록한 값 (반려면 빈 값)
+ * @param {string} decision.note - 메모
+ * @param {Date} decision.decidedAt - 처리 시각
+ * @returns {Array<{cellAddress: string, newValue: string, expectedValue: string}>} updateCellGroupWithCAS 셀 목록
+ */
+export function getRequestDecisionCells(request, {status, decidedBy = '', value = '', note = '', decidedAt = new Date()}) {
+    const values = [status, formatAuditTimestamp(decidedAt), decidedBy, value, note];
+    const current = [request.status, request.decidedAt, request.decidedBy, request.value, request.note];
+
+    return values.map((newValue, index) => ({
+        cellAddress: `${columnIndexToLetter(DECISION_START_COLUMN + index)}${request.rowNumber}`,
+        newValue: (newValue ?? '').toString(),
+        expectedValue: (current[index] ?? '').toString()
+    }));
+}
+
+/**
+ * 관리자 화면 정렬 (대기 중인 신청 먼저, 그 안에서는 오래된 신청부터 / 처리한 신청은 최근 것부터)
+ * @param {Array<Object>} entries - 신청 항목
+ * @returns {Array<Object>} 정렬한 신청 항목
+ */
+export function sortRequestsForInbox(entries) {
+    const pending = entries.filter(entry => entry.status === REQUEST_STATUS.PENDING);
+    const decided = entries.filter(entry => entry.status !== REQUEST_STATUS.PENDING).reverse();
+    return [...pending, ...decided];
+}
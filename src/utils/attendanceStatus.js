@@ -14,13 +14,14 @@ export const ATTENDANCE_STATUS = {
     NONE: 'None'            // 미입력
 };
 
-// 출석 상태별 메타데이터
-export const ATTENDANCE_CONFIG = {
+// 출석 상태별 기본 메타데이터 (설정 탭이 없을 때 사용)
+const BUILT_IN_CONFIG = {
     [ATTENDANCE_STATUS.PRESENT]: {
         displayName: '출석',
         displayShortName: 'O',
         shortName: 'O',
         isAttendance: true,
+        adminOnly: false,
         color: 'green',
         icon: '✓',
         description: '정상 출석'
@@ -30,6 +31,7 @@ export const ATTENDANCE_CONFIG = {
         displayShortName: 'X',
         shortName: 'X',
         isAttendance: false,
+        adminOnly: false,
         color: 'red',
         icon: '✗',
         description: '결석'
@@ -39,31 +41,28 @@ export const ATTENDANCE_CONFIG = {
         displayShortName: '소감문',
         shortName: 'ㅁ',
         isAttendance: true,
+        adminOnly: false,
         color: 'blue',
         icon: '📝',
         description: '소감문 제출로 출석 인정'
     },
-    // [ATTENDANCE_STATUS.LATE]: {
-    //     displayName: '지각',
-    //     shortName: 'ㅣ',
-    //     isAttendance: true,
-    //     color: 'orange',
-    //     icon: '⏰',
-    //     description: '지각 (출석으로 인정)'
-    // },
-    // [ATTENDANCE_STATUS.EARLY_LEAVE]: {
-    //     displayName: '조퇴',
-    //     shortName: 'ㄷ',
-    //     isAttendance: true,
-    //     color: 'purple',
-    //     icon: '🚪',
-    //     description: '조퇴 (출석으로 인정)'
-    // },
+    [ATTENDANCE_STATUS.LATE]: {
+        displayName: '지각',
+        displayShortName: '지각',
+        shortName: 'ㅣ',
+        isAttendance: true,
+        adminOnly: false,
+        color: 'orange',
+        icon: '⏰',
+        description: '지각 (출석으로 인정)'
+    },
+    // 조퇴(ㄷ), 온라인 수강 등 그 밖의 상태는 설정 탭에서 추가 (parseStatusRegistry 참고)
     [ATTENDANCE_STATUS.OTHER]: {
         displayName: '기타',
         displayShortName: '기타',
         shortName: 'Etc',
         isAttendance: false,
+        adminOnly: false,
         color: 'orange',
         icon: '📋',
         description: '기타 사유로 출석 인정'
@@ -73,12 +72,19 @@ export const ATTENDANCE_CONFIG = {
         displayShortName: '-',
         shortName: '-',
         isAttendance: false,
+        adminOnly: false,
         color: 'gray',
         icon: '—',
         description: '출석 정보가 입력되지 않음'
     }
 };
 
+// 셀 값이 아니라 파싱 결과로만 쓰이는 상태 (설정 탭에서 정의할 수 없음)
+const RESERVED_STATUSES = [ATTENDANCE_STATUS.OTHER, ATTENDANCE_STATUS.NONE];
+
+// 출석 상태별 메타데이터 (기본 상태 + 설정 탭의 상태, applyStatusRegistry로 갱신)
+export const ATTENDANCE_CONFIG = {...BUILT_IN_CONFIG};
+
 // Tailwind CSS 색상 클래스 매핑
 export const COLOR_CLASSES = {
     green: {
@@ -119,8 +125,136 @@ export const COLOR_CLASSES = {
     }
 };
 
+// 설정 탭 색상 이름 → COLOR_CLASSES 키
+const COLOR_ALIASES = {
+    초록: 'green',
+    빨강: 'red',
+    파랑: 'blue',
+    주황: 'orange',
+    보라: 'purple',
+    회색: 'gray'
+};
+
+// 설정 탭의 출석 상태 표 머리글 (열 순서는 자유, 머리글 이름으로 찾음)
+export const STATUS_REGISTRY_COLUMNS = {
+    status: '기호',
+    displayName: '표시명',
+    displayShortName: '짧은 표시명',
+    color: '색상',
+    icon: '아이콘',
+    isAttendance: '출석 인정',
+    adminOnly: '관리자 전용',
+    description: '설명'
+};
+
+// 설정 탭에서 출석 상태 표를 읽을 범위 (I열부터는 다른 설정용으로 비워둠)
+export const STATUS_REGISTRY_RANGE = 'A1:H100';
+
+// 예/아니오 칸에서 '예'로 보는 값
+const TRUE_VALUES = ['o', '예', 'y', 'yes', 'true', '✓', 'v', '1'];
+
+/**
+ * 설정 탭 예/아니오 칸 읽기 (비어 있으면 undefined)
+ */
+function parseFlag(value) {
+    const text = (value ?? '').toString().trim().toLowerCase();
+    if (text === '') return undefined;
+    return TRUE_VALUES.includes(text);
+}
+
+/**
+ * 설정 탭 색상 칸 읽기 (비어 있으면 undefined, 모르는 색은 gray)
+ */
+function parseColor(value, status) {
+    const text = (value ?? '').toString().trim().toLowerCase();
+    if (text === '') return undefined;
+
+    const color = COLOR_ALIASES[text] || text;
+    if (!COLOR_CLASSES[color]) {
+        console.warn(`⚠️ 출석 상태 '${status}'의 색상을 알 수 없어 회색으로 표시합니다: ${value}`);
+        return 'gray';
+    }
+    return color;
+}
+
+/**
+ * 설정 탭 값에서 출석 상태 정의 읽기
+ * 머리글 행('기호' 칸이 있는 첫 행) 아래로 한 행에 상태 하나, 비어 있는 칸은 기본값 사용
+ * 기호가 없거나 미입력/기타 등 예약된 값인 행은 건너뜀
+ * @param {Array<Array<string>>} values - 설정 탭 값 (STATUS_REGISTRY_RANGE)
+ * @returns {Array<Object>} 출석 상태 정의 [{status, displayName, displayShortName, color, icon, isAttendance, adminOnly, description}]
+ */
+export function parseStatusRegistry(values) {
+    const rows = Array.isArray(values) ? values : [];
+    const headerIndex = rows.findIndex(row => (row || []).some(cell => (cell ?? '').toString().trim() === STATUS_REGISTRY_COLUMNS.status));
+    if (headerIndex < 0) return [];
+
+    const headerRow = rows[headerIndex].map(cell => (cell ?? '').toString().trim());
+    const columnOf = Object.fromEntries(
+        Object.entries(STATUS_REGISTRY_COLUMNS).map(([field, title]) => [field, headerRow.indexOf(title)])
+    );
+    const cellOf = (row, field) => {
+        const text = columnOf[field] >= 0 ? (row[columnOf[field]] ?? '').toString().trim() : '';
+        return text === '' ? undefined : text;
+    };
+
+    const entries = [];
+    rows.slice(headerIndex + 1).forEach(row => {
+        const status = cellOf(row || [], 'status');
+        if (!status || status === '-' || RESERVED_STATUSES.includes(status)) return;
+        if (entries.some(entry => entry.status === status)) {
+            console.warn(`⚠️ 출석 상태 '${status}'가 설정 탭에 여러 번 있어 처음 것만 사용합니다.`);
+            return;
+        }
+
+        entries.push({
+            status,
+            displayName: cellOf(row, 'displayName'),
+            displayShortName: cellOf(row, 'displayShortName'),
+            color: parseColor(cellOf(row, 'color'), status),
+            icon: cellOf(row, 'icon'),
+            isAttendance: parseFlag(cellOf(row, 'isAttendance')),
+            adminOnly: parseFlag(cellOf(row, 'adminOnly')),
+            description: cellOf(row, 'description')
+        });
+    });
+
+    return entries;
+}
+
+/**
+ * 출석 상태 정의를 ATTENDANCE_CONFIG에 반영 (기본 상태로 되돌린 뒤 덮어씀)
+ * 기본 상태와 같은 기호는 적힌 칸만 바꾸고, 새 기호는 비어 있는 칸을 기본값으로 채움
+ * 다른 모듈이 ATTENDANCE_CONFIG를 직접 참조하므로 객체를 바꾸지 않고 내용만 교체
+ * @param {Array<Object>} entries - parseStatusRegistry 결과 (빈 배열이면 기본 상태만 사용)
+ */
+export function applyStatusRegistry(entries = []) {
+    const registered = {};
+    entries.forEach(({status, ...fields}) => {
+        const defined = Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+        const base = BUILT_IN_CONFIG[status] || {
+            displayName: status,
+            displayShortName: status,
+            isAttendance: false,
+            adminOnly: false,
+            color: 'gray',
+            icon: '📋',
+            description: defined.displayName || status
+        };
+        registered[status] = {...base, shortName: status, ...defined};
+    });
+
+    // 미입력/기타는 항상 마지막 (빠른 선택, 범례 순서)
+    const [builtIn, reserved] = [false, true].map(isReserved => Object.fromEntries(
+        Object.entries(BUILT_IN_CONFIG).filter(([status]) => RESERVED_STATUSES.includes(status) === isReserved)
+    ));
+    Object.keys(ATTENDANCE_CONFIG).forEach(status => delete ATTENDANCE_CONFIG[status]);
+    Object.assign(ATTENDANCE_CONFIG, builtIn, registered, reserved);
+}
+
 /**
  * 셀 값을 기준으로 출석 상태를 파싱합니다.
+ * ATTENDANCE_CONFIG(설정 탭 포함)에 있는 기호는 그 상태로, 나머지 텍스트는 기타로 처리
  * @param {string} cellValue - 스프레드시트 셀의 원본 값
  * @returns {Object} { status, desc } - 파싱된 출석 정보
  */
@@ -133,35 +267,14 @@ export function parseAttendanceCell(cellValue) {
     }
 
     const value = cellValue.toString().trim();
+    const config = RESERVED_STATUSES.includes(value) ? null : ATTENDANCE_CONFIG[value];
 
-    // 기본 출석 상태들
-    if (value === ATTENDANCE_STATUS.PRESENT) {
-        return { status: ATTENDANCE_STATUS.PRESENT, desc: '' };
-    }
-
-    if (value === ATTENDANCE_STATUS.ABSENT) {
-        return { status: ATTENDANCE_STATUS.ABSENT, desc: '' };
-    }
-
-    // 지정된 특수 기호들
-    if (value === ATTENDANCE_STATUS.ESSAY) {
-        return {
-            status: ATTENDANCE_STATUS.ESSAY,
-            desc: ATTENDANCE_CONFIG[ATTENDANCE_STATUS.ESSAY].displayName
-        };
-    }
-
-    if (value === ATTENDANCE_STATUS.LATE) {
-        return {
-            status: ATTENDANCE_STATUS.LATE,
-            desc: ATTENDANCE_CONFIG[ATTENDANCE_STATUS.LATE].displayName
-        };
-    }
-
-    if (value === ATTENDANCE_STATUS.EARLY_LEAVE) {
+    if (config) {
+        // 출석/결석은 기호만으로 충분하므로 설명 없음
+        const isBasic = value === ATTENDANCE_STATUS.PRESENT || value === ATTENDANCE_STATUS.ABSENT;
         return {
-            status: ATTENDANCE_STATUS.EARLY_LEAVE,
-            desc: ATTENDANCE_CONFIG[ATTENDANCE_STATUS.EARLY_LEAVE].displayName
+            status: value,
+            desc: isBasic ? '' : config.displayName
         };
     }
 
@@ -172,6 +285,18 @@ export function parseAttendanceCell(cellValue) {
     };
 }
 
+/**
+ * 학생 화면에 보여줄 출석 상태
+ * 관리자 전용 상태(병가 등 사유를 학생 화면에 드러내지 않을 상태)는 출석 인정 여부에 따라 출석/결석으로 표시
+ * @param {string} status - 출석 상태
+ * @returns {string} 표시할 출석 상태
+ */
+export function getStudentVisibleStatus(status) {
+    const config = ATTENDANCE_CONFIG[status];
+    if (!config?.adminOnly) return status;
+    return config.isAttendance ? ATTENDANCE_STATUS.PRESENT : ATTENDANCE_STATUS.ABSENT;
+}
+
 /**
  * 출석 상태가 출석으로 인정되는지 확인합니다.
  * @param {string} status - 출석 상태
@@ -265,10 +390,13 @@ export function getAllAttendanceStatuses() {
 
 /**
  * 출석 범례 정보를 반환합니다.
+ * @param {Object} options
+ * @param {boolean} options.includeAdminOnly - 관리자 전용 상태 포함 여부 (학생 화면에서는 false)
  * @returns {Array} 범례 데이터
  */
-export function getAttendanceLegend() {
+export function getAttendanceLegend({includeAdminOnly = true} = {}) {
     return getAllAttendanceStatuses().filter(item =>
-        item.status !== ATTENDANCE_STATUS.OTHER // 기타는 범례에서 제외
+        item.status !== ATTENDANCE_STATUS.OTHER && // 기타는 범례에서 제외
+        (includeAdminOnly || !item.adminOnly)
     );
 }
\ No newline at end of file
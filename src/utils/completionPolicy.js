@@ -0,0 +1,220 @@
+/**
+ * 수료 기준 모듈
+ * 설정 탭의 수료 기준(최소 출석, 최대 결석, 소감문 인정 한도, 필수 강의)으로 학생별 수료 여부를 판정합니다.
+ */
+
+import {ATTENDANCE_STATUS, isAttendanceStatus} from './attendanceStatus.js';
+
+// 수료 판정 결과
+export const COMPLETION_RESULT = {
+    PASSED: 'passed',       // 수료 (또는 지금처럼 출석하면 수료)
+    AT_RISK: 'atRisk',      // 수료 위험 (몇 번만 더 빠지면 미수료)
+    FAILED: 'failed'        // 미수료 (남은 강의를 모두 출석해도 수료할 수 없음)
+};
+
+export const COMPLETION_RESULT_LABELS = {
+    [COMPLETION_RESULT.PASSED]: '수료',
+    [COMPLETION_RESULT.AT_RISK]: '수료 위험',
+    [COMPLETION_RESULT.FAILED]: '미수료'
+};
+
+// 판정 결과별 배지 스타일 (Tailwind)
+export const COMPLETION_RESULT_CLASSES = {
+    [COMPLETION_RESULT.PASSED]: 'bg-green-100 text-green-800',
+    [COMPLETION_RESULT.AT_RISK]: 'bg-yellow-100 text-yellow-800',
+    [COMPLETION_RESULT.FAILED]: 'bg-red-100 text-red-800'
+};
+
+// 기본 수료 기준 (설정 탭에 수료 기준이 없을 때 사용)
+const DEFAULT_COMPLETION_POLICY = {
+    minAttended: null,              // 최소 출석 강의 수 (null이면 전체 강의의 2/3, 올림)
+    maxAbsences: null,              // 최대 결석 수 (null이면 제한 없음)
+    maxEssaySubstitutions: null,    // 출석으로 인정할 소감문 수 (null이면 제한 없음, 넘는 소감문은 결석)
+    requiredLectures: [],           // 반드시 출석해야 하는 강의명
+    riskMargin: 1                   // 이만큼 이하로 더 빠질 수 있으면 수료 위험
+};
+
+// 현재 수료 기준 (applyCompletionPolicy로 갱신)
+export const COMPLETION_POLICY = {...DEFAULT_COMPLETION_POLICY};
+
+// 설정 탭의 수료 기준 표 (첫 열 항목 이름 → 수료 기준 필드)
+export const COMPLETION_POLICY_KEYS = {
+    '최소 출석': 'minAttended',
+    '최대 결석': 'maxAbsences',
+    '소감문 인정 한도': 'maxEssaySubstitutions',
+    '필수 강의': 'requiredLectures',
+    '위험 기준': 'riskMargin'
+};
+
+// 수료 기준 표 머리글 (첫 열)
+export const COMPLETION_POLICY_HEADER = '수료 기준';
+
+// 설정 탭에서 수료 기준 표를 읽을 범위 (출석 상태 표 STATUS_REGISTRY_RANGE 오른쪽, I열은 비워둠)
+export const COMPLETION_POLICY_RANGE = 'J1:K20';
+
+// 전체 강의 중 출석해야 하는 기본 비율 (minAttended가 없을 때)
+const DEFAULT_MIN_ATTENDED_RATIO = 2 / 3;
+
+/**
+ * 설정 탭 값에서 수료 기준 읽기
+ * 머리글 행('수료 기준' 칸이 있는 첫 행) 아래로 한 행에 항목 하나 (항목 이름 | 값)
+ * 값이 비어 있는 항목은 기본값, 필수 강의는 쉼표로 구분
+ * @param {Array<Array<string>>} values - 설정 탭 값 (COMPLETION_POLICY_RANGE)
+ * @returns {Object} 설정 탭에 적힌 수료 기준 (applyCompletionPolicy에 전달)
+ */
+export function parseCompletionPolicy(values) {
+    const rows = Array.isArray(values) ? values : [];
+    const headerIndex = rows.findIndex(row => (row?.[0] ?? '').toString().trim() === COMPLETION_POLICY_HEADER);
+    if (headerIndex < 0) return {};
+
+    const policy = {};
+    rows.slice(headerIndex + 1).forEach(row => {
+        const key = (row?.[0] ?? '').toString().trim();
+        const value = (row?.[1] ?? '').toString().trim();
+        if (!key || !value) return;
+
+        const field = COMPLETION_POLICY_KEYS[key];
+        if (!field) {
+            console.warn(`⚠️ 알 수 없는 수료 기준 항목이라 무시합니다: ${key}`);
+            return;
+        }
+
+        if (field === 'requiredLectures') {
+            policy[field] = value.split(',').map(lecture => lecture.trim()).filter(Boolean);
+            return;
+        }
+
+        const number = Number(value);
+        if (!Number.isInteger(number) || number < 0) {
+            console.warn(`⚠️ 수료 기준 '${key}' 값은 0 이상의 정수여야 해서 기본값을 사용합니다: ${value}`);
+            return;
+        }
+        policy[field] = number;
+    });
+    return policy;
+}
+
+/**
+ * 수료 기준 적용 (지정하지 않은 항목은 기본값)
+ * @param {Object} overrides - parseCompletionPolicy 결과
+ */
+export function applyCompletionPolicy(overrides = {}) {
+    const defined = Object.fromEntries(Object.entries(overrides).filter(([, value]) => value !== undefined));
+    Object.assign(COMPLETION_POLICY, DEFAULT_COMPLETION_POLICY, defined);
+}
+
+/**
+ * 강의가 이미 지났는지 (오늘 강의는 아직 출석할 수 있으므로 지나지 않은 것으로 봄)
+ */
+function isPastLecture(header, startOfToday) {
+    return header?.date instanceof Date && header.date < startOfToday;
+}
+
+/**
+ * 학생 한 명의 수료 여부 판정
+ * - 출석 인정 상태는 출석, 단 소감문(ㅁ)은 앞 강의부터 소감문 인정 한도까지만 출석이고 넘는 것은 결석
+ * - 지난 강의의 결석/출석 불인정 상태/미입력은 결석
+ * - 오늘 이후(또는 날짜가 없는) 강의의 미입력은 남은 강의
+ * @param {Array<{status: string}>} attendance - 학생 출석 (headers와 같은 순서)
+ * @param {Array<{lecture: string, date: Date|null}>} headers - 강의 헤더
+ * @param {Object} policy - 수료 기준 (기본값: COMPLETION_POLICY)
+ * @param {Date} now - 기준 시각
+ * @returns {Object} 판정 결과 {result, attended, essaysCredited, essaysOverLimit, absences, remaining, minAttended, lecturesNeeded, absencesLeft, missedRequired, pendingRequired, failReasons}
+ */
+export function evaluateCompletion(attendance = [], headers = [], policy = COMPLETION_POLICY, now = new Date()) {
+    const startOfToday = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const minAttended = policy.minAttended ?? Math.ceil(headers.length * DEFAULT_MIN_ATTENDED_RATIO);
+    const {maxAbsences = null, maxEssaySubstitutions = null, requiredLectures = [], riskMargin = DEFAULT_COMPLETION_POLICY.riskMargin} = policy;
+
+    let attended = 0;
+    let essaysCredited = 0;
+    let essaysOverLimit = 0;
+    let absences = 0;
+    let remaining = 0;
+    const missedRequired = [];
+    const pendingRequired = [];
+
+    headers.forEach((header, index) => {
+        const status = attendance[index]?.status ?? ATTENDANCE_STATUS.NONE;
+        const isRequired = requiredLectures.includes(header.lecture);
+
+        let credited = false;
+        if (status === ATTENDANCE_STATUS.ESSAY && isAttendanceStatus(status)) {
+            credited = maxEssaySubstitutions === null || essaysCredited < maxEssaySubstitutions;
+            if (credited) essaysCredited++;
+            else essaysOverLimit++;
+        } else {
+            credited = isAttendanceStatus(status);
+        }
+
+        if (credited) {
+            attended++;
+        } else if (status === ATTENDANCE_STATUS.NONE && !isPastLecture(header, startOfToday)) {
+            remaining++;
+            if (isRequired) pendingRequired.push(header.lecture);
+        } else {
+            absences++;
+            if (isRequired) missedRequired.push(header.lecture);
+        }
+    });
+
+    // 최소 출석까지 더 필요한 강의 수 (남은 필수 강의는 반드시 출석해야 하므로 포함)
+    const attendShortfall = Math.max(0, minAttended - attended);
+    const lecturesNeeded = Math.max(attendShortfall, pendingRequired.length);
+    const absencesLeft = maxAbsences === null ? null : maxAbsences - absences;
+
+    // 앞으로 더 빠져도 되는 강의 수 (최소 출석, 최대 결석 중 빡빡한 쪽)
+    const attendSlack = attendShortfall > 0 ? remaining - attendShortfall : Infinity;
+    const absenceSlack = absencesLeft === null || remaining === 0 ? Infinity : absencesLeft;
+    const slack = Math.min(attendSlack, absenceSlack);
+
+    // 미수료 사유
+    const failReasons = [];
+    if (missedRequired.length > 0) failReasons.push(`필수 강의 결석: ${missedRequired.join(', ')}`);
+    if (absencesLeft !== null && absencesLeft < 0) failReasons.push(`최대 결석 ${maxAbsences}회 초과`);
+    if (attendShortfall > remaining) failReasons.push('남은 강의를 모두 출석해도 최소 출석에 못 미침');
+
+    let result = COMPLETION_RESULT.PASSED;
+    if (failReasons.length > 0) {
+        result = COMPLETION_RESULT.FAILED;
+    } else if (slack <= riskMargin) {
+        result = COMPLETION_RESULT.AT_RISK;
+    }
+
+    return {
+        result,
+        attended,
+        essaysCredited,
+        essaysOverLimit,
+        absences,
+        remaining,
+        minAttended,
+        lecturesNeeded: result === COMPLETION_RESULT.FAILED ? null : lecturesNeeded,
+        absencesLeft: absencesLeft === null ? null : Math.max(0, absencesLeft),
+        missedRequired,
+        pendingRequired,
+        failReasons
+    };
+}
+
+/**
+ * 판정 결과 한 줄 요약 (화면 안내, 툴팁용)
+ * @param {Object} evaluation - evaluateCompletion 결과
+ * @returns {string} 요약 문구
+ */
+export function getCompletionSummary(evaluation) {
+    const {result, attended, minAttended, lecturesNeeded, absencesLeft, essaysOverLimit, failReasons} = evaluation;
+    const parts = [`출석 ${attended}/${minAttended}강`];
+
+    if (result === COMPLETION_RESULT.FAILED) {
+        parts.push(...failReasons);
+    } else if (lecturesNeeded > 0) {
+        parts.push(`${lecturesNeeded}강 더 출석하면 수료`);
+    } else {
+        parts.push('수료 기준 충족');
+    }
+
+    if (absencesLeft !== null && result !== COMPLETION_RESULT.FAILED) parts.push(`남은 결석 가능 ${absencesLeft}회`);
+    if (essaysOverLimit > 0) parts.push(`소감문 ${essaysOverLimit}건은 인정 한도 초과`);
+    return parts.join(' · ');
+}
@@ -62,9 +62,15 @@ export function calculateWeeklyStats(data, lectureIndex) {
             return;
         }
 
-        totalStudents++;
         const attendanceItem = row.attendance[lectureIndex];
 
+        // 퇴소한 학생은 해당 강의 기록이 있을 때만 집계
+        if (row.user?.withdrawn && (!attendanceItem || attendanceItem.status === ATTENDANCE_STATUS.NONE)) {
+            return;
+        }
+
+        totalStudents++;
+
         if (attendanceItem) {
             weeklyAttendanceData.push(attendanceItem);
 